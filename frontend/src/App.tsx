@@ -2,18 +2,60 @@ import React, { useState } from 'react';
 import './App.css';
 import AssignmentForm from './components/AssignmentForm';
 import ResultsView from './components/ResultsView';
-import { Assignment, MatchResponse } from './types';
+import { Assignment, MatchOptions, MatchResponse } from './types';
+import { API_BASE } from './config';
+import { MatchStage, streamMatches } from './matchStream';
 
-const API_BASE = 'http://localhost:3000/api';
+const PAGE_SIZE = 10;
+
+// Paging for ranked results; a roster is requested whole, sized by the user
+const matchParams = (options: MatchOptions) =>
+  options.roster ? { roster: true, limit: options.rosterSize } : { limit: PAGE_SIZE };
+
+// Fetch one page of ranked matches for an assignment
+const requestMatches = async (assignment: Assignment, assignmentId: string | undefined, offset: number, options: MatchOptions = {}): Promise<MatchResponse> => {
+  const response = await fetch(`${API_BASE}/matches`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ assignment, assignmentId, ...matchParams(options), offset }),
+  });
+
+  if (!response.ok) {
+    throw new Error('Failed to fetch creator matches. Please check if services are running.');
+  }
+
+  const jsonResponse = await response.json();
+  if (!jsonResponse.success) {
+    throw new Error(jsonResponse.error || 'Failed to fetch creator matches');
+  }
+
+  return {
+    ...jsonResponse.data,
+    timestamp: jsonResponse.timestamp
+  };
+};
+
+const STAGE_MESSAGES: Record<MatchStage, (payload: any) => string> = {
+  embedding: () => 'Understanding your assignment...',
+  search: (payload) => payload.isFallback ? 'Semantic search unavailable, scoring all creators...' : `Found ${payload.retrieved} similar creators, scoring...`,
+  candidates: (payload) => `Ranking ${payload.count} eligible creators...`,
+};
 
 function App() {
   const [isLoading, setIsLoading] = useState(false);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
   const [results, setResults] = useState<MatchResponse | null>(null);
+  const [assignmentId, setAssignmentId] = useState<string | undefined>(undefined);
+  // Options of the first page, so later pages are requested with the same parameters
+  const [matchOptions, setMatchOptions] = useState<MatchOptions>({});
   const [error, setError] = useState<string | null>(null);
+  const [stageMessage, setStageMessage] = useState<string | null>(null);
+  const [isReasoningPending, setIsReasoningPending] = useState(false);
 
-  const handleMatch = async (assignment: Assignment) => {
+  const handleMatch = async (assignment: Assignment, options: MatchOptions) => {
     setIsLoading(true);
     setError(null);
+    setMatchOptions(options);
     try {
       // 1. Persist the assignment first
       const persistResponse = await fetch(`${API_BASE}/assignments`, {
@@ -22,39 +64,67 @@ function App() {
         body: JSON.stringify({ ...assignment, userId: 'test-user' }),
       });
 
-      let assignmentId: string | undefined;
+      let persistedId: string | undefined;
       if (persistResponse.ok) {
         const persistData = await persistResponse.json();
-        assignmentId = persistData.data?.id;
+        persistedId = persistData.data?.id;
       } else {
         console.warn('Failed to persist assignment, proceeding with match only');
       }
+      setAssignmentId(persistedId);
 
-      // 2. Fetch matches (include assignmentId if available)
-      const response = await fetch(`${API_BASE}/matches`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ assignment, assignmentId }),
-      });
-
-      if (!response.ok) {
-        throw new Error('Failed to fetch creator matches. Please check if services are running.');
-      }
-
-      const jsonResponse = await response.json();
-      if (jsonResponse.success) {
-        setResults({
-          ...jsonResponse.data,
-          timestamp: jsonResponse.timestamp
+      // 2. Stream the first page: ranked creators render as soon as they arrive, reasoning fills in after
+      let rendered = false;
+      try {
+        const finalResults = await streamMatches({ assignment, assignmentId: persistedId, ...matchParams(options), offset: 0 }, {
+          onStage: (stage, payload) => setStageMessage(STAGE_MESSAGES[stage](payload)),
+          onRanked: (data) => {
+            rendered = true;
+            setResults(data);
+            setIsReasoningPending(true);
+            setIsLoading(false);
+          },
+          onReasoning: (creatorId, reasoning, reasoningDetails) => {
+            setResults(current => current && {
+              ...current,
+              matches: current.matches.map(m => m.creator.uniqueId === creatorId ? { ...m, reasoning, reasoningDetails } : m)
+            });
+          },
         });
-      } else {
-        throw new Error(jsonResponse.error || 'Failed to fetch creator matches');
+        setResults(finalResults);
+      } catch (streamError) {
+        // Nothing shown yet: retry without streaming (e.g. a proxy that buffers or drops SSE)
+        if (rendered) throw streamError;
+        console.warn('Match stream failed, falling back to a single request', streamError);
+        setResults(await requestMatches(assignment, persistedId, 0, options));
       }
     } catch (err: any) {
       console.error(err);
       setError(err.message || 'An error occurred during matching');
     } finally {
       setIsLoading(false);
+      setIsReasoningPending(false);
+      setStageMessage(null);
+    }
+  };
+
+  const handleLoadMore = async () => {
+    if (!results?.pagination?.hasMore || results.pagination.nextOffset === null) return;
+
+    setIsLoadingMore(true);
+    setError(null);
+    try {
+      const nextPage = await requestMatches(results.assignment, assignmentId, results.pagination.nextOffset, matchOptions);
+      setResults({
+        ...results,
+        matches: [...results.matches, ...nextPage.matches],
+        pagination: nextPage.pagination
+      });
+    } catch (err: any) {
+      console.error(err);
+      setError(err.message || 'An error occurred while loading more matches');
+    } finally {
+      setIsLoadingMore(false);
     }
   };
 
@@ -79,12 +149,22 @@ function App() {
 
         {isLoading ? (
           <div className="animate-fade-in" style={{ display: 'flex', flexDirection: 'column', gap: '2rem' }}>
+            {stageMessage && (
+              <div style={{ color: 'var(--text-muted)', fontSize: '0.875rem', textAlign: 'center' }}>{stageMessage}</div>
+            )}
             <div className="glass-card skeleton" style={{ height: '300px' }}></div>
             <div className="glass-card skeleton" style={{ height: '200px' }}></div>
             <div className="glass-card skeleton" style={{ height: '200px' }}></div>
           </div>
         ) : results ? (
-          <ResultsView data={results} onBack={() => setResults(null)} />
+          <ResultsView
+            data={results}
+            assignmentId={assignmentId}
+            onBack={() => setResults(null)}
+            onLoadMore={handleLoadMore}
+            isLoadingMore={isLoadingMore}
+            isReasoningPending={isReasoningPending}
+          />
         ) : (
           <div style={{ maxWidth: '800px', margin: '0 auto' }}>
             <div style={{ marginBottom: '2rem' }}>
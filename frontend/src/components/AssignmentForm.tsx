@@ -1,8 +1,8 @@
 import React, { useState } from 'react';
-import { Assignment } from '../types';
+import { Assignment, MatchOptions } from '../types';
 
 interface Props {
-    onSubmit: (assignment: Assignment) => void;
+    onSubmit: (assignment: Assignment, options: MatchOptions) => void;
     isLoading: boolean;
 }
 
@@ -16,6 +16,19 @@ const AssignmentForm: React.FC<Props> = ({ onSubmit, isLoading }) => {
     });
 
     const [showOptional, setShowOptional] = useState(false);
+    const [options, setOptions] = useState<MatchOptions>({ roster: false, rosterSize: 3 });
+
+    const setExclusionTerms = (field: 'competitorBrands' | 'sensitiveTopics' | 'negativeKeywords', value: string) => {
+        setFormData({
+            ...formData,
+            exclusions: { ...formData.exclusions, [field]: value.split(',').map(s => s.trim()).filter(s => s) }
+        });
+    };
+
+    const setBudget = (field: 'total' | 'currency' | 'deliverables', value: string) => {
+        const budget = { ...formData.budget, [field]: field === 'currency' ? value.toUpperCase() : Number(value) || undefined };
+        setFormData({ ...formData, budget: budget.total ? { ...budget, total: budget.total } : undefined });
+    };
 
     const handleSubmit = (e: React.FormEvent) => {
         e.preventDefault();
@@ -23,7 +36,8 @@ const AssignmentForm: React.FC<Props> = ({ onSubmit, isLoading }) => {
             alert('Please fill in all required fields');
             return;
         }
-        onSubmit(formData);
+        // A budget picks its own affordable set, so it replaces roster mode
+        onSubmit(formData, formData.budget ? { ...options, roster: false } : options);
     };
 
     return (
@@ -69,7 +83,7 @@ const AssignmentForm: React.FC<Props> = ({ onSubmit, isLoading }) => {
                 onClick={() => setShowOptional(!showOptional)}
                 style={{ background: 'none', border: 'none', color: 'var(--accent)', textAlign: 'left', fontWeight: 600, fontSize: '0.875rem' }}
             >
-                {showOptional ? '- Hide Optional Fields' : '+ Show Optional Fields (Targeting, Tone, Values)'}
+                {showOptional ? '- Hide Optional Fields' : '+ Show Optional Fields (Targeting, Tone, Values, Causes, Exclusions)'}
             </button>
 
             {showOptional && (
@@ -107,6 +121,153 @@ const AssignmentForm: React.FC<Props> = ({ onSubmit, isLoading }) => {
                             className="form-input"
                         />
                     </div>
+
+                    <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1rem' }}>
+                        <div>
+                            <label style={{ display: 'block', marginBottom: '0.5rem', color: 'var(--text-muted)', fontSize: '0.875rem' }}>Causes (comma separated)</label>
+                            <input
+                                type="text"
+                                value={formData.causes?.join(', ') || ''}
+                                onChange={(e) => setFormData({ ...formData, causes: e.target.value.split(',').map(s => s.trim()).filter(s => s) })}
+                                placeholder="e.g. Financial literacy, Waste reduction"
+                                className="form-input"
+                            />
+                        </div>
+                        <div>
+                            <label style={{ display: 'block', marginBottom: '0.5rem', color: 'var(--text-muted)', fontSize: '0.875rem' }}>Organization Type</label>
+                            <input
+                                type="text"
+                                value={formData.organizationType || ''}
+                                onChange={(e) => setFormData({ ...formData, organizationType: e.target.value || undefined })}
+                                placeholder="e.g. Educational nonprofit"
+                                className="form-input"
+                            />
+                        </div>
+                    </div>
+
+                    <div>
+                        <label style={{ display: 'block', marginBottom: '0.5rem', color: 'var(--text-muted)', fontSize: '0.875rem' }}>Target Hashtags (comma separated, derived from the topic if empty)</label>
+                        <input
+                            type="text"
+                            value={formData.hashtags?.join(', ') || ''}
+                            onChange={(e) => setFormData({ ...formData, hashtags: e.target.value.split(',').map(s => s.trim()).filter(s => s) })}
+                            placeholder="e.g. #budgeting, #personalfinance"
+                            className="form-input"
+                        />
+                    </div>
+
+                    <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1rem' }}>
+                        <div>
+                            <label style={{ display: 'block', marginBottom: '0.5rem', color: 'var(--text-muted)', fontSize: '0.875rem' }}>Competitor Brands to Avoid (comma separated)</label>
+                            <input
+                                type="text"
+                                value={formData.exclusions?.competitorBrands?.join(', ') || ''}
+                                onChange={(e) => setExclusionTerms('competitorBrands', e.target.value)}
+                                placeholder="e.g. Robinhood, Acorns"
+                                className="form-input"
+                            />
+                        </div>
+                        <div>
+                            <label style={{ display: 'block', marginBottom: '0.5rem', color: 'var(--text-muted)', fontSize: '0.875rem' }}>Sensitive Topics (comma separated)</label>
+                            <input
+                                type="text"
+                                value={formData.exclusions?.sensitiveTopics?.join(', ') || ''}
+                                onChange={(e) => setExclusionTerms('sensitiveTopics', e.target.value)}
+                                placeholder="e.g. Gambling, Crypto"
+                                className="form-input"
+                            />
+                        </div>
+                    </div>
+
+                    <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1rem' }}>
+                        <div>
+                            <label style={{ display: 'block', marginBottom: '0.5rem', color: 'var(--text-muted)', fontSize: '0.875rem' }}>Negative Keywords (comma separated)</label>
+                            <input
+                                type="text"
+                                value={formData.exclusions?.negativeKeywords?.join(', ') || ''}
+                                onChange={(e) => setExclusionTerms('negativeKeywords', e.target.value)}
+                                placeholder="e.g. get rich quick, giveaway"
+                                className="form-input"
+                            />
+                        </div>
+                        <div>
+                            <label style={{ display: 'block', marginBottom: '0.5rem', color: 'var(--text-muted)', fontSize: '0.875rem' }}>When a Creator Conflicts</label>
+                            <select
+                                value={formData.exclusions?.action || 'disqualify'}
+                                onChange={(e) => setFormData({ ...formData, exclusions: { ...formData.exclusions, action: e.target.value as 'disqualify' | 'penalize' } })}
+                                className="form-input"
+                            >
+                                <option value="disqualify">Exclude from results</option>
+                                <option value="penalize">Lower their score</option>
+                            </select>
+                        </div>
+                    </div>
+
+                    <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr 1fr', gap: '1rem' }}>
+                        <div>
+                            <label style={{ display: 'block', marginBottom: '0.5rem', color: 'var(--text-muted)', fontSize: '0.875rem' }}>Total Budget (optional)</label>
+                            <input
+                                type="number"
+                                min={0}
+                                value={formData.budget?.total || ''}
+                                onChange={(e) => setBudget('total', e.target.value)}
+                                placeholder="e.g. 10000"
+                                className="form-input"
+                            />
+                        </div>
+                        <div>
+                            <label style={{ display: 'block', marginBottom: '0.5rem', color: 'var(--text-muted)', fontSize: '0.875rem' }}>Currency</label>
+                            <input
+                                type="text"
+                                maxLength={3}
+                                value={formData.budget?.currency || ''}
+                                onChange={(e) => setBudget('currency', e.target.value)}
+                                placeholder="USD"
+                                className="form-input"
+                                disabled={!formData.budget}
+                            />
+                        </div>
+                        <div>
+                            <label style={{ display: 'block', marginBottom: '0.5rem', color: 'var(--text-muted)', fontSize: '0.875rem' }}>Deliverables Each</label>
+                            <input
+                                type="number"
+                                min={1}
+                                value={formData.budget?.deliverables || ''}
+                                onChange={(e) => setBudget('deliverables', e.target.value)}
+                                placeholder="1"
+                                className="form-input"
+                                disabled={!formData.budget}
+                            />
+                        </div>
+                    </div>
+
+                    <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1rem' }}>
+                        <div>
+                            <label style={{ display: 'block', marginBottom: '0.5rem', color: 'var(--text-muted)', fontSize: '0.875rem' }}>Results</label>
+                            <select
+                                value={options.roster && !formData.budget ? 'roster' : 'ranked'}
+                                onChange={(e) => setOptions({ ...options, roster: e.target.value === 'roster' })}
+                                className="form-input"
+                                disabled={!!formData.budget}
+                            >
+                                <option value="ranked">Best individual matches</option>
+                                <option value="roster">Complementary roster covering the brief</option>
+                            </select>
+                        </div>
+                        {options.roster && !formData.budget && (
+                            <div>
+                                <label style={{ display: 'block', marginBottom: '0.5rem', color: 'var(--text-muted)', fontSize: '0.875rem' }}>Roster Size</label>
+                                <input
+                                    type="number"
+                                    min={1}
+                                    max={25}
+                                    value={options.rosterSize}
+                                    onChange={(e) => setOptions({ ...options, rosterSize: parseInt(e.target.value) || 1 })}
+                                    className="form-input"
+                                />
+                            </div>
+                        )}
+                    </div>
                 </div>
             )}
 
@@ -1,16 +1,44 @@
 import React, { useState } from 'react';
-import { CreatorMatch, Assignment } from '../types';
+import { CreatorMatch, Assignment, FeedbackVerdict } from '../types';
+import { API_BASE } from '../config';
 
 interface Props {
     match: CreatorMatch;
     rank: number;
+    assignment: Assignment;
+    assignmentId?: string;
+    // Reasoning is still streaming in for this page
+    isReasoningPending?: boolean;
 }
 
-const CreatorCard: React.FC<Props> = ({ match, rank }) => {
-    const { creator, matchScore, scoreBreakdown, reasoning } = match;
+const CreatorCard: React.FC<Props> = ({ match, rank, assignment, assignmentId, isReasoningPending = false }) => {
+    const { creator, matchScore, scoreBreakdown, reasoning, reasoningDetails, matchedHashtags, exclusionHits, penalized } = match;
     const [showFraming, setShowFraming] = useState(false);
-    const [framingContent, setFramingContent] = useState<string | null>(null);
+    const [framingContent, setFramingContent] = useState<string | null>(match.framingSuggestion || null);
     const [isFramingLoading, setIsFramingLoading] = useState(false);
+    const [feedbackVerdict, setFeedbackVerdict] = useState<FeedbackVerdict | null>(null);
+    const [feedbackReason, setFeedbackReason] = useState('');
+    const [feedbackError, setFeedbackError] = useState<string | null>(null);
+
+    // Feedback is stored against the persisted assignment; sending again replaces the earlier verdict
+    const sendFeedback = async (verdict: FeedbackVerdict, reason?: string) => {
+        setFeedbackError(null);
+        try {
+            const response = await fetch(`${API_BASE}/assignments/${assignmentId}/matches/${encodeURIComponent(creator.uniqueId)}/feedback`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ verdict, reason: reason || undefined }),
+            });
+
+            if (!response.ok) {
+                throw new Error('Failed to send feedback');
+            }
+
+            setFeedbackVerdict(verdict);
+        } catch (e) {
+            setFeedbackError('Failed to send feedback.');
+        }
+    };
 
     const fetchFraming = async () => {
         if (framingContent) {
@@ -21,10 +49,19 @@ const CreatorCard: React.FC<Props> = ({ match, rank }) => {
         setIsFramingLoading(true);
         setShowFraming(true);
         try {
-            // Note: We need the assignment from the parent to call the framing API
-            // For now, I'll pass a placeholder or just assume we have the data
-            // Actually, I'll just show a placeholder if I don't have the parent assignment here
-            setFramingContent("Loading personalized framing for " + creator.nickname + "...");
+            // The matching service serves and stores framing on the persisted assignment when assignmentId is set
+            const response = await fetch(`${API_BASE}/matches/framing`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ assignment, creator, assignmentId }),
+            });
+
+            if (!response.ok) {
+                throw new Error('Failed to generate framing');
+            }
+
+            const data = await response.json();
+            setFramingContent(data.framing);
         } catch (e) {
             setFramingContent("Failed to load framing suggestions.");
         } finally {
@@ -69,12 +106,35 @@ const CreatorCard: React.FC<Props> = ({ match, rank }) => {
                 </p>
             </div>
 
+            {!reasoning && isReasoningPending && (
+                <div style={{ marginTop: '1.5rem', padding: '1rem', background: 'rgba(240, 82, 61, 0.05)', borderRadius: '0.5rem', borderLeft: '3px solid var(--accent)' }}>
+                    <h4 style={{ fontSize: '0.875rem', color: 'var(--accent)', textTransform: 'uppercase', letterSpacing: '0.05em', marginBottom: '0.5rem' }}>Matching Insights</h4>
+                    <div className="skeleton" style={{ height: '3rem' }}></div>
+                </div>
+            )}
+
             {reasoning && (
                 <div style={{ marginTop: '1.5rem', padding: '1rem', background: 'rgba(240, 82, 61, 0.05)', borderRadius: '0.5rem', borderLeft: '3px solid var(--accent)' }}>
                     <h4 style={{ fontSize: '0.875rem', color: 'var(--accent)', textTransform: 'uppercase', letterSpacing: '0.05em', marginBottom: '0.5rem' }}>Matching Insights</h4>
                     <p style={{ fontSize: '0.925rem', color: 'var(--text-main)', lineHeight: '1.6', fontStyle: 'italic' }}>
                         "{reasoning}"
                     </p>
+                    {reasoningDetails && (reasoningDetails.strengths.length > 0 || reasoningDetails.risks.length > 0) && (
+                        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1rem', marginTop: '0.75rem', fontSize: '0.85rem' }}>
+                            <div>
+                                <div style={{ fontWeight: 600, color: 'var(--success)', marginBottom: '0.25rem' }}>Strengths</div>
+                                <ul style={{ paddingLeft: '1.1rem', margin: 0 }}>
+                                    {reasoningDetails.strengths.map(item => <li key={item}>{item}</li>)}
+                                </ul>
+                            </div>
+                            <div>
+                                <div style={{ fontWeight: 600, color: 'var(--warning)', marginBottom: '0.25rem' }}>Risks</div>
+                                <ul style={{ paddingLeft: '1.1rem', margin: 0 }}>
+                                    {reasoningDetails.risks.map(item => <li key={item}>{item}</li>)}
+                                </ul>
+                            </div>
+                        </div>
+                    )}
                 </div>
             )}
 
@@ -85,7 +145,7 @@ const CreatorCard: React.FC<Props> = ({ match, rank }) => {
                 </div>
                 <div style={{ textAlign: 'center' }}>
                     <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>Niche</div>
-                    <div style={{ fontWeight: 600 }}>{scoreBreakdown.nicheAlignment} <span style={{ fontSize: '0.7rem', fontWeight: 400 }}>match(es)</span></div>
+                    <div style={{ fontWeight: 600 }}>{parseFloat(scoreBreakdown.nicheAlignment.toFixed(2))} <span style={{ fontSize: '0.7rem', fontWeight: 400 }}>match(es)</span></div>
                 </div>
                 <div style={{ textAlign: 'center' }}>
                     <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>Audience</div>
@@ -95,7 +155,105 @@ const CreatorCard: React.FC<Props> = ({ match, rank }) => {
                     <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>Values</div>
                     <div style={{ fontWeight: 600 }}>{scoreBreakdown.valueAlignment} <span style={{ fontSize: '0.7rem', fontWeight: 400 }}>match(es)</span></div>
                 </div>
+                <div style={{ textAlign: 'center' }}>
+                    <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>Engagement</div>
+                    <div style={{ fontWeight: 600 }}>{scoreBreakdown.engagementFit !== undefined ? `${Math.round(scoreBreakdown.engagementFit * 100)}%` : '—'}</div>
+                </div>
+                <div style={{ textAlign: 'center' }}>
+                    <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>Causes</div>
+                    <div style={{ fontWeight: 600 }}>{scoreBreakdown.causeAlignment !== undefined ? `${Math.round(scoreBreakdown.causeAlignment * 100)}%` : '—'}</div>
+                </div>
+                <div style={{ textAlign: 'center' }}>
+                    <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>Hashtags</div>
+                    <div style={{ fontWeight: 600 }}>{scoreBreakdown.hashtagOverlap !== undefined ? `${Math.round(scoreBreakdown.hashtagOverlap * 100)}%` : '—'}</div>
+                </div>
+            </div>
+
+            {matchedHashtags && matchedHashtags.length > 0 && (
+                <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '0.4rem', marginTop: '0.75rem', fontSize: '0.75rem' }}>
+                    <span style={{ color: 'var(--text-muted)' }}>Hashtag overlap:</span>
+                    {matchedHashtags.map(tag => (
+                        <span key={tag} style={{ background: 'rgba(240, 82, 61, 0.08)', color: 'var(--accent)', padding: '0.15rem 0.5rem', borderRadius: '1rem', fontWeight: 600 }}>
+                            {tag}
+                        </span>
+                    ))}
+                </div>
+            )}
+
+            {(penalized || !!scoreBreakdown.exclusionPenalty) && (
+                <p style={{ marginTop: '0.75rem', fontSize: '0.75rem', color: 'var(--warning)', textAlign: 'center' }}>
+                    Brand-safety penalty: -{Math.round((scoreBreakdown.exclusionPenalty || 0) * 100)}%
+                    {exclusionHits && exclusionHits.length > 0 && ` (${exclusionHits.map(hit => hit.reason).join('; ')})`}
+                </p>
+            )}
+
+            {scoreBreakdown.bioSimilarity !== undefined && (
+                <p style={{ marginTop: '0.75rem', fontSize: '0.75rem', color: 'var(--text-muted)', textAlign: 'center' }}>
+                    Semantic fit by field: {[
+                        ['Bio', scoreBreakdown.bioSimilarity],
+                        ['Niches', scoreBreakdown.nicheSimilarity],
+                        ['Values', scoreBreakdown.valueSimilarity]
+                    ].map(([label, value]) => `${label} ${typeof value === 'number' ? `${Math.round(value * 100)}%` : '—'}`).join(' · ')}
+                </p>
+            )}
+
+            {!!scoreBreakdown.diversityPenalty && (
+                <p style={{ marginTop: '0.75rem', fontSize: '0.75rem', color: 'var(--text-muted)', textAlign: 'center' }}>
+                    Diversity penalty: -{Math.round(scoreBreakdown.diversityPenalty * 100)}% (similar to a higher-ranked creator)
+                </p>
+            )}
+
+            <div style={{ marginTop: '1.5rem' }}>
+                <button
+                    onClick={fetchFraming}
+                    disabled={isFramingLoading}
+                    style={{ width: '100%', padding: '0.6rem', background: 'none', border: '1px solid var(--primary)', borderRadius: '0.5rem', color: 'var(--primary)', fontWeight: 600 }}
+                >
+                    {isFramingLoading ? 'Generating Framing...' : showFraming ? 'Hide Framing Suggestions' : 'Show Framing Suggestions'}
+                </button>
+                {showFraming && framingContent && !isFramingLoading && (
+                    <p style={{ marginTop: '0.75rem', fontSize: '0.9rem', color: 'var(--text-main)', lineHeight: '1.6', whiteSpace: 'pre-wrap' }}>
+                        {framingContent}
+                    </p>
+                )}
             </div>
+
+            {assignmentId && (
+                <div style={{ marginTop: '1rem', fontSize: '0.85rem' }}>
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                        <span style={{ color: 'var(--text-muted)' }}>Good fit?</span>
+                        {(['up', 'down'] as FeedbackVerdict[]).map(verdict => (
+                            <button
+                                key={verdict}
+                                onClick={() => sendFeedback(verdict)}
+                                aria-pressed={feedbackVerdict === verdict}
+                                style={{ padding: '0.25rem 0.6rem', background: feedbackVerdict === verdict ? 'var(--primary)' : 'none', border: '1px solid var(--primary)', borderRadius: '0.5rem', color: feedbackVerdict === verdict ? 'white' : 'var(--primary)' }}
+                            >
+                                {verdict === 'up' ? '👍' : '👎'}
+                            </button>
+                        ))}
+                        {feedbackError && <span style={{ color: 'var(--warning)' }}>{feedbackError}</span>}
+                    </div>
+                    {feedbackVerdict === 'down' && (
+                        <div style={{ display: 'flex', gap: '0.5rem', marginTop: '0.5rem' }}>
+                            <input
+                                value={feedbackReason}
+                                onChange={e => setFeedbackReason(e.target.value)}
+                                maxLength={500}
+                                placeholder="What made them a bad fit? (optional)"
+                                style={{ flex: 1 }}
+                            />
+                            <button
+                                onClick={() => sendFeedback('down', feedbackReason.trim())}
+                                disabled={!feedbackReason.trim()}
+                                style={{ padding: '0.25rem 0.6rem', background: 'none', border: '1px solid var(--primary)', borderRadius: '0.5rem', color: 'var(--primary)' }}
+                            >
+                                Send
+                            </button>
+                        </div>
+                    )}
+                </div>
+            )}
         </div>
     );
 };
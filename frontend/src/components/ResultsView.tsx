@@ -4,10 +4,22 @@ import CreatorCard from './CreatorCard';
 
 interface Props {
     data: MatchResponse;
+    assignmentId?: string;
     onBack: () => void;
+    onLoadMore?: () => void;
+    isLoadingMore?: boolean;
+    isReasoningPending?: boolean;
 }
 
-const ResultsView: React.FC<Props> = ({ data, onBack }) => {
+const formatMoney = (amount: number, currency: string) => {
+    try {
+        return amount.toLocaleString(undefined, { style: 'currency', currency, maximumFractionDigits: 0 });
+    } catch {
+        return `${amount.toLocaleString()} ${currency}`;
+    }
+};
+
+const ResultsView: React.FC<Props> = ({ data, assignmentId, onBack, onLoadMore, isLoadingMore = false, isReasoningPending = false }) => {
     return (
         <div className="animate-fade-in" style={{ display: 'flex', flexDirection: 'column', gap: '2rem' }}>
             <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
@@ -18,7 +30,7 @@ const ResultsView: React.FC<Props> = ({ data, onBack }) => {
                     ← Back to Assignment
                 </button>
                 <div style={{ color: 'var(--text-muted)', fontSize: '0.875rem' }}>
-                    Matched at {new Date(data.timestamp).toLocaleTimeString()}
+                    {isReasoningPending ? 'Writing match insights...' : `Matched at ${new Date(data.timestamp).toLocaleTimeString()}`}
                 </div>
             </div>
 
@@ -28,19 +40,105 @@ const ResultsView: React.FC<Props> = ({ data, onBack }) => {
                         <span style={{ fontSize: '1.25rem' }}>⚠️</span>
                         <div>
                             <strong style={{ color: 'var(--warning)', display: 'block' }}>Search Limited (Fallback Mode)</strong>
-                            <span style={{ fontSize: '0.875rem', color: 'var(--text-main)' }}>Our advanced semantic search is currently unavailable. Results are based on direct attribute alignment (niches, values, etc.).</span>
+                            <span style={{ fontSize: '0.875rem', color: 'var(--text-main)' }}>Our advanced semantic search is currently unavailable. Results are based on keyword relevance to your brief and direct attribute alignment (niches, values, etc.).</span>
                         </div>
                     </div>
                 </div>
             )}
 
             <div style={{ display: 'flex', flexDirection: 'column', gap: '1.5rem' }}>
-                <h2 style={{ fontSize: '1.25rem', marginBottom: '0.5rem' }}>Top 3 Creator Recommendations</h2>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline' }}>
+                    <h2 style={{ fontSize: '1.25rem', marginBottom: '0.5rem' }}>
+                        {data.roster ? `Roster of ${data.matches.length} Complementary Creators` : `Top ${data.matches.length} Creator Recommendations`}
+                    </h2>
+                    {data.pagination && (
+                        <span style={{ color: 'var(--text-muted)', fontSize: '0.875rem' }}>
+                            Showing {data.matches.length} of {data.pagination.totalCandidates} candidates
+                        </span>
+                    )}
+                </div>
+                {data.budget && (
+                    <div className="glass-card" style={{ padding: '1rem 1.5rem', borderLeft: '4px solid var(--primary)', fontSize: '0.875rem' }}>
+                        <strong style={{ display: 'block', marginBottom: '0.5rem' }}>
+                            {formatMoney(data.budget.spent, data.budget.currency)} of {formatMoney(data.budget.total, data.budget.currency)} spent
+                            {' '}({formatMoney(data.budget.remaining, data.budget.currency)} left)
+                        </strong>
+                        <ul style={{ margin: 0, paddingLeft: '1.25rem', fontSize: '0.8rem', color: 'var(--text-muted)' }}>
+                            {data.budget.lineItems.map(item => (
+                                <li key={item.creatorId}>
+                                    <span style={{ color: 'var(--text-main)', fontWeight: 600 }}>{item.nickname || item.creatorId}</span>:{' '}
+                                    {item.deliverables} × {item.deliverable} at {formatMoney(item.pricePerDeliverable, data.budget!.currency)} = {formatMoney(item.cost, data.budget!.currency)}
+                                </li>
+                            ))}
+                        </ul>
+                        {data.budget.unpriced.length > 0 && (
+                            <div style={{ marginTop: '0.5rem', color: 'var(--warning)', fontSize: '0.8rem' }}>
+                                {data.budget.unpriced.length} matching creator(s) could not be priced: {data.budget.unpriced.map(entry => `${entry.nickname || entry.creatorId} (${entry.reason})`).join(', ')}
+                            </div>
+                        )}
+                    </div>
+                )}
+                {data.roster && (
+                    <div className="glass-card" style={{ padding: '1rem 1.5rem', borderLeft: '4px solid var(--primary)', fontSize: '0.875rem' }}>
+                        <strong style={{ display: 'block', marginBottom: '0.5rem' }}>
+                            {data.roster.coverage.score === null
+                                ? 'No niches, locales or values to cover; roster picked by relevance'
+                                : `Covers ${Math.round(data.roster.coverage.score * 100)}% of the brief`}
+                        </strong>
+                        <ul style={{ margin: 0, paddingLeft: '1.25rem', fontSize: '0.8rem', color: 'var(--text-muted)' }}>
+                            {data.roster.members.map(member => (
+                                <li key={member.creatorId}>
+                                    <span style={{ color: 'var(--text-main)', fontWeight: 600 }}>{member.nickname || member.creatorId}</span>:{' '}
+                                    {member.contributes.length > 0
+                                        ? member.contributes.map(c => c.credit < 1 ? `${c.name} (partial)` : c.name).join(', ')
+                                        : 'added for relevance'}
+                                </li>
+                            ))}
+                        </ul>
+                        {data.roster.coverage.uncovered.length > 0 && (
+                            <div style={{ marginTop: '0.5rem', color: 'var(--warning)', fontSize: '0.8rem' }}>
+                                Not covered: {data.roster.coverage.uncovered.map(r => r.name).join(', ')}
+                            </div>
+                        )}
+                    </div>
+                )}
                 {data.matches?.map((match, index) => (
-                    <CreatorCard key={match.creator.uniqueId} match={match} rank={index + 1} />
+                    <CreatorCard
+                        key={match.creator.uniqueId}
+                        match={match}
+                        rank={index + 1}
+                        assignment={data.assignment}
+                        assignmentId={assignmentId}
+                        isReasoningPending={isReasoningPending}
+                    />
                 ))}
             </div>
 
+            {data.exclusions && data.exclusions.excluded.length > 0 && (
+                <div className="glass-card" style={{ padding: '1rem 1.5rem', borderLeft: '4px solid var(--warning)' }}>
+                    <strong style={{ display: 'block', marginBottom: '0.5rem', fontSize: '0.875rem' }}>
+                        {data.exclusions.excluded.length} creator(s) excluded for brand safety
+                    </strong>
+                    <ul style={{ margin: 0, paddingLeft: '1.25rem', fontSize: '0.8rem', color: 'var(--text-muted)' }}>
+                        {data.exclusions.excluded.map(entry => (
+                            <li key={entry.creatorId}>
+                                <span style={{ color: 'var(--text-main)', fontWeight: 600 }}>{entry.nickname || entry.creatorId}</span>: {entry.reasons.map(hit => hit.reason).join('; ')}
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+
+            {data.pagination?.hasMore && onLoadMore && (
+                <button
+                    onClick={onLoadMore}
+                    disabled={isLoadingMore}
+                    style={{ alignSelf: 'center', background: 'none', border: '1px solid var(--primary)', color: 'var(--primary)', borderRadius: '0.5rem', padding: '0.75rem 1.5rem', fontWeight: 600 }}
+                >
+                    {isLoadingMore ? 'Loading...' : 'Load More Creators'}
+                </button>
+            )}
+
             {data.matches.length === 0 && (
                 <div className="glass-card" style={{ padding: '4rem', textAlign: 'center', color: 'var(--text-muted)' }}>
                     No creators matched your criteria. Try loosening your niche or value requirements.
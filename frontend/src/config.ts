@@ -0,0 +1,2 @@
+// Gateway base URL shared by all API calls
+export const API_BASE = 'http://localhost:3000/api';
@@ -0,0 +1,88 @@
+import { API_BASE } from './config';
+import { MatchReasoning, MatchResponse } from './types';
+
+export type MatchStage = 'embedding' | 'search' | 'candidates';
+
+export interface MatchStreamHandlers {
+    onStage?: (stage: MatchStage, payload: any) => void;
+    // The ranked page, before any reasoning is attached
+    onRanked?: (data: MatchResponse) => void;
+    // Raw reasoning tokens from the model, useful as a progress signal
+    onToken?: (text: string) => void;
+    onReasoning?: (creatorId: string, reasoning: string, details: MatchReasoning) => void;
+}
+
+// Splits an SSE buffer into complete frames, returning the unparsed remainder
+const takeFrames = (buffer: string): { frames: Array<{ event: string; data: any }>; rest: string } => {
+    const parts = buffer.split('\n\n');
+    const rest = parts.pop() || '';
+    const frames = parts
+        .filter(part => part.trim())
+        .map(part => {
+            let event = 'message';
+            let data = '';
+            part.split('\n').forEach(line => {
+                if (line.startsWith('event:')) event = line.slice(6).trim();
+                else if (line.startsWith('data:')) data += line.slice(5).trim();
+            });
+            return { event, data: data ? JSON.parse(data) : null };
+        });
+    return { frames, rest };
+};
+
+// Runs POST /matches/stream and resolves with the final result; rejects if the stream is unavailable or fails
+export const streamMatches = async (body: object, handlers: MatchStreamHandlers): Promise<MatchResponse> => {
+    const response = await fetch(`${API_BASE}/matches/stream`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream' },
+        body: JSON.stringify(body),
+    });
+
+    if (!response.ok || !response.body) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || 'Failed to fetch creator matches. Please check if services are running.');
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let result: MatchResponse | null = null;
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const { frames, rest } = takeFrames(buffer);
+        buffer = rest;
+
+        for (const { event, data } of frames) {
+            switch (event) {
+                case 'embedding':
+                case 'search':
+                case 'candidates':
+                    handlers.onStage?.(event, data);
+                    break;
+                case 'ranked':
+                    handlers.onRanked?.({ ...data, reasoning: '', timestamp: new Date().toISOString() });
+                    break;
+                case 'token':
+                    handlers.onToken?.(data.text);
+                    break;
+                case 'reasoning':
+                    handlers.onReasoning?.(data.creatorId, data.reasoning, data.reasoningDetails);
+                    break;
+                case 'result':
+                    result = data;
+                    break;
+                case 'error':
+                    throw new Error(data?.message || data?.error || 'Failed to fetch creator matches');
+            }
+        }
+    }
+
+    if (!result) {
+        throw new Error('Match stream ended before results arrived');
+    }
+    return result;
+};
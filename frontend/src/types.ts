@@ -1,3 +1,27 @@
+export interface AssignmentConstraints {
+    minFollowers?: number;
+    maxFollowers?: number;
+    allowedRegions?: string[];
+    blockedRegions?: string[];
+    verifiedOnly?: boolean;
+    requiredNiches?: string[];
+    excludedCreatorIds?: string[];
+}
+
+export interface AssignmentExclusions {
+    competitorBrands?: string[];
+    sensitiveTopics?: string[];
+    negativeKeywords?: string[];
+    action?: 'disqualify' | 'penalize';
+    penalty?: number;
+}
+
+export interface AssignmentBudget {
+    total: number;
+    currency?: string;
+    deliverables?: number;
+}
+
 export interface Assignment {
     topic: string;
     keyTakeaway: string;
@@ -9,6 +33,18 @@ export interface Assignment {
     creatorValues?: string[];
     creatorNiches?: string[];
     toneStyle?: string;
+    causes?: string[];
+    organizationType?: string;
+    hashtags?: string[];
+    constraints?: AssignmentConstraints;
+    exclusions?: AssignmentExclusions;
+    budget?: AssignmentBudget;
+}
+
+// Request options that shape the result rather than the brief
+export interface MatchOptions {
+    roster?: boolean;
+    rosterSize?: number;
 }
 
 export interface Creator {
@@ -18,34 +54,210 @@ export interface Creator {
     followerCount: number;
     region: string;
     avatarUrl: string;
+    topHashtags?: string[];
+    rateCard?: {
+        pricePerDeliverable: number;
+        currency: string;
+        deliverable?: string;
+    };
     analysis: {
         summary: string;
         primaryNiches: string[];
         secondaryNiches: string[];
         apparentValues: string[];
+        identifiedCauses?: string[];
+        socialStances?: string[];
         engagementStyle: {
             tone: string[];
             contentStyle: string;
         };
+        partnershipPotential?: {
+            alignedOrganizationTypes: string[];
+            contentStrengths: string[];
+            considerations: string[];
+        };
     };
 }
 
+export interface MatchReasoning {
+    rationale: string;
+    strengths: string[];
+    risks: string[];
+    source: 'ai' | 'fallback';
+}
+
+export interface ExclusionHit {
+    category: 'competitorBrands' | 'sensitiveTopics' | 'negativeKeywords';
+    term: string;
+    field: 'bio' | 'summary' | 'hashtags' | 'considerations';
+    reason: string;
+}
+
 export interface CreatorMatch {
     creator: Creator;
     matchScore: number;
     reasoning?: string;
+    reasoningDetails?: MatchReasoning;
+    framingSuggestion?: string;
+    matchedNiches?: string[];
+    matchedHashtags?: string[];
+    exclusionHits?: ExclusionHit[];
+    penalized?: boolean;
     scoreBreakdown: {
         semanticSimilarity: number;
         nicheAlignment: number;
         audienceMatch: number;
         valueAlignment: number;
+        engagementFit?: number;
+        causeAlignment?: number;
+        hashtagOverlap?: number;
+        exclusionPenalty?: number;
+        diversityPenalty?: number;
+        bioSimilarity?: number | null;
+        nicheSimilarity?: number | null;
+        valueSimilarity?: number | null;
+    };
+    retrieval?: {
+        fusedScore: number;
+        ranks: { vector: number | null; lexical: number | null };
     };
 }
 
+export type FeedbackVerdict = 'up' | 'down' | 'accepted' | 'rejected';
+
+export interface ScoringWeights {
+    semanticSimilarity: number;
+    nicheAlignment: number;
+    audienceMatch: number;
+    valueAlignment: number;
+    engagementFit: number;
+    causeAlignment: number;
+    hashtagOverlap: number;
+}
+
+export interface MatchScoring {
+    profile: string;
+    prioritizeNiches: boolean;
+    weights: ScoringWeights;
+    custom: boolean;
+}
+
+export interface ConstraintReport {
+    applied: AssignmentConstraints;
+    vectorFilter: boolean;
+    poolSize: number;
+    eligible: number;
+    removed: Record<string, number>;
+}
+
+export interface ExcludedCreator {
+    creatorId: string;
+    nickname: string;
+    reasons: ExclusionHit[];
+}
+
+export interface ExclusionReport {
+    applied: AssignmentExclusions | null;
+    action: 'disqualify' | 'penalize' | null;
+    excluded: ExcludedCreator[];
+    penalized: Array<ExcludedCreator & { penalty: number }>;
+}
+
+export interface MatchPagination {
+    offset: number;
+    limit: number;
+    returned: number;
+    candidatePool: number;
+    totalCandidates: number;
+    hasMore: boolean;
+    nextOffset: number | null;
+}
+
+export interface TargetHashtags {
+    hashtags: string[];
+    source: 'assignment' | 'topic';
+}
+
+export interface RosterRequirement {
+    type: 'niche' | 'locale' | 'value';
+    name: string;
+}
+
+export interface RosterMember {
+    creatorId: string;
+    nickname: string;
+    matchScore: number;
+    gain: number;
+    selectedBy: 'coverage' | 'relevance';
+    contributes: Array<RosterRequirement & { credit: number; added: number }>;
+}
+
+export interface RosterReport {
+    relevanceFloor: number;
+    members: RosterMember[];
+    coverage: {
+        score: number | null;
+        minScore: number;
+        requirements: Array<RosterRequirement & { weight: number; coverage: number; coveredBy: string[] }>;
+        uncovered: RosterRequirement[];
+        partial: Array<RosterRequirement & { coverage: number }>;
+    };
+}
+
+export interface BudgetReport {
+    total: number;
+    currency: string;
+    deliverables: number;
+    spent: number;
+    remaining: number;
+    lineItems: Array<{
+        creatorId: string;
+        nickname: string;
+        matchScore: number;
+        pricePerDeliverable: number;
+        deliverable: string;
+        deliverables: number;
+        cost: number;
+    }>;
+    priced: number;
+    overBudget: number;
+    unpriced: Array<{ creatorId: string; nickname: string; reason: string }>;
+}
+
+export interface RetrievalReport {
+    mode: 'hybrid';
+    k: number;
+    vector: number;
+    lexical: number;
+    fused: number;
+}
+
+export interface MatchExperiment {
+    name: string;
+    variant: string;
+    unit: 'userId' | 'assignmentId';
+}
+
 export interface MatchResponse {
     assignment: Assignment;
     matches: CreatorMatch[];
     reasoning: string;
+    reasoningSource?: 'ai' | 'fallback';
     isFallback: boolean;
+    relevanceSource?: 'vector' | 'lexical' | 'hybrid';
+    retrieval?: RetrievalReport;
+    multiVector?: {
+        fieldWeights: { bio: number; niches: number; values: number };
+        rescored: number;
+    };
+    scoring?: MatchScoring;
+    hashtags?: TargetHashtags;
+    diversity?: number;
+    constraints?: ConstraintReport;
+    exclusions?: ExclusionReport;
+    pagination?: MatchPagination;
+    roster?: RosterReport;
+    budget?: BudgetReport;
+    experiment?: MatchExperiment;
     timestamp: string;
 }
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const { parseRateCards, applyRateCards } = require('../shared/utils/rateCards');
+
+// Merges creator rate cards from a CSV or JSON file into creators.json.
+// Run `npm run seed:creators` afterwards to sync MongoDB.
+async function importRateCards(filePath) {
+  try {
+    const creatorsPath = path.join(__dirname, '../creators.json');
+    const format = path.extname(filePath).toLowerCase() === '.json' ? 'json' : 'csv';
+
+    const [sourceText, creatorsText] = await Promise.all([
+      fs.readFile(filePath, 'utf8'),
+      fs.readFile(creatorsPath, 'utf8')
+    ]);
+    const creators = JSON.parse(creatorsText);
+
+    const report = applyRateCards(creators, parseRateCards(sourceText, format));
+
+    if (report.updated.length > 0) {
+      await fs.writeFile(creatorsPath, `${JSON.stringify(creators, null, 2)}\n`);
+    }
+
+    console.log('\n✅ Rate card import completed!');
+    console.log('==============================');
+    console.log(`Updated creators: ${report.updated.length}`);
+    console.log(`Unknown creators: ${report.unknown.length}`);
+    console.log(`Invalid rows: ${report.invalid.length}`);
+
+    if (report.unknown.length > 0) {
+      console.log(`\n⚠️  Not in creators.json: ${report.unknown.join(', ')}`);
+    }
+    report.invalid.forEach(row => {
+      console.log(`⚠️  Row ${row.lineNumber} (${row.uniqueId || 'no uniqueId'}): ${row.errors.join('; ')}`);
+    });
+
+    process.exit(report.invalid.length > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Rate card import failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Show usage if no file provided
+if (process.argv.length < 3) {
+  console.log('Usage:');
+  console.log('  npm run import:rate-cards <file.csv|file.json>');
+  console.log('');
+  console.log('CSV header: uniqueId,pricePerDeliverable,currency[,deliverable]');
+  process.exit(0);
+}
+
+importRateCards(path.resolve(process.argv[2]));
@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+
+const fs = require('fs').promises;
+const path = require('path');
+require('dotenv').config();
+
+// Add shared modules to path
+const sharedPath = path.join(__dirname, '../shared');
+require('module').globalPaths.push(sharedPath);
+
+const dbInitializer = require('../shared/database/init');
+const MatchFeedback = require('../shared/models/MatchFeedback');
+const logger = require('../shared/utils/logger');
+const { learnWeights, publishProfile } = require('../services/matching-service/utils/weightLearning');
+
+const configDir = path.join(__dirname, '../services/matching-service/config');
+const weightProfilesPath = path.join(configDir, 'weightProfiles.json');
+const learnedProfilesPath = path.join(configDir, 'learnedWeightProfiles.json');
+
+function parseArgs(argv) {
+  const options = { dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--base') options.base = argv[++i];
+    else if (argv[i] === '--min-pairs') options.minPairs = parseInt(argv[++i], 10);
+    else if (argv[i] === '--dry-run') options.dryRun = true;
+  }
+  return options;
+}
+
+// Fits Matcher weights from stored match feedback and publishes them as the next
+// learned-v<N> profile. Restart the matching service to load the new profile.
+async function learnWeightProfile(options) {
+  try {
+    const [weightConfig, learnedConfig] = await Promise.all([
+      fs.readFile(weightProfilesPath, 'utf8').then(JSON.parse),
+      fs.readFile(learnedProfilesPath, 'utf8').then(JSON.parse)
+    ]);
+    const profiles = { ...weightConfig.profiles, ...learnedConfig.profiles };
+    const basedOn = options.base || weightConfig.defaultProfile;
+    const baseProfile = profiles[basedOn];
+
+    if (!baseProfile) {
+      throw new Error(`Unknown base profile "${basedOn}". Available profiles: ${Object.keys(profiles).join(', ')}`);
+    }
+
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/creator-assignment-matcher';
+    logger.info('Connecting to database...');
+    await dbInitializer.initialize(mongoUri);
+
+    const feedback = await MatchFeedback.find({}).lean();
+    await dbInitializer.disconnect();
+
+    const { weights, training } = learnWeights(feedback, baseProfile.weights, {
+      ...(Number.isInteger(options.minPairs) && { minPairs: options.minPairs })
+    });
+
+    console.log('\n✅ Weight learning completed!');
+    console.log('==============================');
+    console.log(`Feedback entries: ${training.feedback}`);
+    console.log(`Assignments: ${training.assignments}`);
+    console.log(`Training pairs: ${training.pairs}`);
+    console.log(`Pairwise accuracy: ${training.accuracy.base} (${basedOn}) → ${training.accuracy.learned} (learned)`);
+    console.log('\nWeights:');
+    Object.entries(weights).forEach(([component, value]) => {
+      console.log(`  ${component}: ${baseProfile.weights[component]} → ${value}`);
+    });
+
+    if (options.dryRun) {
+      console.log('\nDry run, nothing published.');
+      process.exit(0);
+    }
+
+    const { name, config } = publishProfile(learnedConfig, { basedOn, baseProfile, weights, training });
+    await fs.writeFile(learnedProfilesPath, `${JSON.stringify(config, null, 2)}\n`);
+
+    console.log(`\n📦 Published weight profile "${name}"`);
+    console.log('Restart the matching service to load it.');
+    process.exit(0);
+  } catch (error) {
+    if (error.code === 'INSUFFICIENT_FEEDBACK') {
+      console.log(`⚠️  ${error.message}. Nothing published.`);
+      process.exit(0);
+    }
+    logger.error('Weight learning failed:', error);
+    console.error('❌ Weight learning failed:', error.message);
+    process.exit(1);
+  }
+}
+
+if (process.argv.includes('--help')) {
+  console.log('Usage:');
+  console.log('  npm run learn:weights -- [--base <profile>] [--min-pairs <n>] [--dry-run]');
+  console.log('');
+  console.log('Starts from the default profile unless --base names another (including a learned one).');
+  process.exit(0);
+}
+
+learnWeightProfile(parseArgs(process.argv.slice(2)));
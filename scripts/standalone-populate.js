@@ -77,7 +77,10 @@ async function main() {
                     followerCount: creator.followerCount,
                     // Add other useful metadata
                     region: creator.region,
-                    primaryNiches: creator.analysis?.primaryNiches || []
+                    primaryNiches: creator.analysis?.primaryNiches || [],
+                    // Filterable fields used by POST /matches hard constraints
+                    secondaryNiches: creator.analysis?.secondaryNiches || [],
+                    verified: creator.verified || false
                 }
             });
             process.stdout.write('.');
@@ -63,6 +63,20 @@ app.use('/api/assignments', createProxyMiddleware({
   }
 }));
 
+// Reverse matching lives in the matching service; registered before the creator proxy so it wins
+app.use(createProxyMiddleware((pathname) => /^\/api\/creators\/[^/]+\/assignments\/?$/.test(pathname), {
+  target: services.matching,
+  changeOrigin: true,
+  pathRewrite: {
+    '^/api/creators': '/creators'
+  },
+  onProxyReq,
+  onError: (err, req, res) => {
+    console.error('Matching service proxy error:', err);
+    res.status(503).json({ error: 'Matching service unavailable' });
+  }
+}));
+
 app.use('/api/creators', createProxyMiddleware({
   target: services.creator,
   changeOrigin: true,
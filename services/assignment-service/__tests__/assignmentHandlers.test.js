@@ -35,6 +35,12 @@ jest.mock('../../../shared/models/Assignment', () => {
   return jest.fn().mockImplementation(() => mockAssignment);
 });
 
+jest.mock('../../../shared/models/MatchFeedback', () => ({
+  findOneAndUpdate: jest.fn(),
+  find: jest.fn(),
+  aggregate: jest.fn()
+}));
+
 describe('Assignment Handlers', () => {
   beforeEach(() => {
     jest.clearAllMocks();
@@ -129,4 +135,230 @@ describe('Assignment Handlers', () => {
       expect(result.searchTerm).toBe('fashion');
     });
   });
-});
\ No newline at end of file
+
+  describe('updateMatchFraming', () => {
+    const Assignment = require('../../../shared/models/Assignment');
+
+    it('should store framing on the matching creator entry', async () => {
+      const matchResults = [
+        { creatorId: 'creator-a', reasoning: 'A' },
+        { creatorId: 'creator-b', reasoning: 'B' }
+      ];
+      const storedAssignment = {
+        matchResults,
+        save: jest.fn()
+      };
+      storedAssignment.save.mockResolvedValue({
+        toPublicJSON: jest.fn().mockReturnValue({ id: 'mock-id', matchResults })
+      });
+      Assignment.findById = jest.fn().mockResolvedValue(storedAssignment);
+
+      const result = await assignmentHandlers.updateMatchFraming('mock-id', 'creator-b', 'Lead with a story');
+
+      expect(result.success).toBe(true);
+      expect(matchResults[1].framingSuggestion).toBe('Lead with a story');
+      expect(matchResults[0].framingSuggestion).toBeUndefined();
+      expect(storedAssignment.save).toHaveBeenCalled();
+    });
+
+    it('should return 404 when the creator has no match entry', async () => {
+      Assignment.findById = jest.fn().mockResolvedValue({ matchResults: [], save: jest.fn() });
+
+      const result = await assignmentHandlers.updateMatchFraming('mock-id', 'missing', 'Framing');
+
+      expect(result.success).toBe(false);
+      expect(result.statusCode).toBe(404);
+    });
+  });
+
+  describe('listOpenAssignments', () => {
+    const Assignment = require('../../../shared/models/Assignment');
+
+    const mockQuery = (results) => {
+      const query = {};
+      ['select', 'sort', 'limit', 'skip'].forEach(method => {
+        query[method] = jest.fn().mockReturnValue(query);
+      });
+      query.lean = jest.fn().mockResolvedValue(results);
+      return query;
+    };
+
+    it('should list pending and processing assignments with public ids', async () => {
+      const query = mockQuery([{ _id: { toString: () => 'a1' }, __v: 0, topic: 'Budgeting', status: 'pending' }]);
+      Assignment.find = jest.fn().mockReturnValue(query);
+      Assignment.countDocuments = jest.fn().mockResolvedValue(1);
+
+      const result = await assignmentHandlers.listOpenAssignments({ includeEmbedding: true });
+
+      expect(Assignment.find).toHaveBeenCalledWith({ status: { $in: ['pending', 'processing'] } });
+      expect(query.select).toHaveBeenCalledWith('-matchResults +embedding.values');
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual([{ id: 'a1', topic: 'Budgeting', status: 'pending' }]);
+      expect(result.pagination.hasMore).toBe(false);
+    });
+
+    it('should leave cached vectors out unless asked for', async () => {
+      const query = mockQuery([]);
+      Assignment.find = jest.fn().mockReturnValue(query);
+      Assignment.countDocuments = jest.fn().mockResolvedValue(0);
+
+      await assignmentHandlers.listOpenAssignments();
+
+      expect(query.select).toHaveBeenCalledWith('-matchResults');
+    });
+  });
+
+  describe('updateAssignmentEmbedding', () => {
+    const Assignment = require('../../../shared/models/Assignment');
+
+    it('should store the vector and text hash without saving the document', async () => {
+      Assignment.findByIdAndUpdate = jest.fn().mockImplementation((id, update) => Promise.resolve(update.$set));
+
+      const result = await assignmentHandlers.updateAssignmentEmbedding('mock-id', { values: [0.1, 0.2], textHash: 'abc' });
+
+      expect(result.success).toBe(true);
+      expect(result.data).toMatchObject({ id: 'mock-id', textHash: 'abc', dimensions: 2 });
+      const [, update] = Assignment.findByIdAndUpdate.mock.calls[0];
+      expect(update.$set.embedding.values).toEqual([0.1, 0.2]);
+    });
+
+    it('should return 404 for an unknown assignment', async () => {
+      Assignment.findByIdAndUpdate = jest.fn().mockResolvedValue(null);
+
+      const result = await assignmentHandlers.updateAssignmentEmbedding('missing', { values: [0.1], textHash: 'abc' });
+
+      expect(result.success).toBe(false);
+      expect(result.statusCode).toBe(404);
+    });
+  });
+
+  describe('recordMatchFeedback', () => {
+    const Assignment = require('../../../shared/models/Assignment');
+    const MatchFeedback = require('../../../shared/models/MatchFeedback');
+
+    const mockFind = (assignment) => {
+      const query = { select: jest.fn() };
+      query.select.mockReturnValue(query);
+      query.lean = jest.fn().mockResolvedValue(assignment);
+      Assignment.findById = jest.fn().mockReturnValue(query);
+    };
+
+    it('should snapshot the match rank and score breakdown with the verdict', async () => {
+      const scoreBreakdown = { semanticSimilarity: 0.8, nicheAlignment: 1 };
+      mockFind({
+        creatorNiches: ['Finance', 'Career'],
+        matchResults: [
+          { creatorId: 'creator-a', matchScore: 0.9 },
+          { creatorId: 'creator-b', matchScore: 0.7, scoreBreakdown }
+        ]
+      });
+      MatchFeedback.findOneAndUpdate.mockResolvedValue({
+        lastErrorObject: { updatedExisting: false },
+        value: { toPublicJSON: () => ({ id: 'f1', verdict: 'rejected' }) }
+      });
+
+      const result = await assignmentHandlers.recordMatchFeedback('mock-id', 'creator-b', { verdict: 'rejected', reason: 'Off-brand tone', userId: 'u1' });
+
+      expect(result.success).toBe(true);
+      expect(result.created).toBe(true);
+      const [filter, update] = MatchFeedback.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ assignmentId: 'mock-id', creatorId: 'creator-b', userId: 'u1' });
+      expect(update.$set).toMatchObject({ verdict: 'rejected', reason: 'Off-brand tone', rank: 2, matchScore: 0.7, requestedNiches: 2, scoreBreakdown });
+    });
+
+    it('should clear an earlier reason when feedback is given again without one', async () => {
+      mockFind({ matchResults: [{ creatorId: 'creator-a', matchScore: 0.9 }] });
+      MatchFeedback.findOneAndUpdate.mockResolvedValue({
+        lastErrorObject: { updatedExisting: true },
+        value: { toPublicJSON: () => ({ id: 'f1', verdict: 'up' }) }
+      });
+
+      const result = await assignmentHandlers.recordMatchFeedback('mock-id', 'creator-a', { verdict: 'up' });
+
+      expect(result.created).toBe(false);
+      const [filter, update] = MatchFeedback.findOneAndUpdate.mock.calls[0];
+      expect(filter.userId).toBeNull();
+      expect(update.$unset).toEqual({ reason: '', experiment: '' });
+    });
+
+    it('should tag the feedback with the experiment variant the assignment was ranked under', async () => {
+      mockFind({
+        matchResults: [{ creatorId: 'creator-a', matchScore: 0.9 }],
+        experiment: { name: 'diversity-evidence-prompt', variant: 'control', unit: 'assignmentId' }
+      });
+      MatchFeedback.findOneAndUpdate.mockResolvedValue({
+        lastErrorObject: { updatedExisting: false },
+        value: { toPublicJSON: () => ({ id: 'f1', verdict: 'accepted' }) }
+      });
+
+      await assignmentHandlers.recordMatchFeedback('mock-id', 'creator-a', { verdict: 'accepted', reason: 'Great fit' });
+
+      const [, update] = MatchFeedback.findOneAndUpdate.mock.calls[0];
+      expect(update.$set.experiment).toEqual({ name: 'diversity-evidence-prompt', variant: 'control' });
+      expect(update.$unset).toBeUndefined();
+    });
+
+    it('should return 404 when the creator was not recommended', async () => {
+      mockFind({ matchResults: [{ creatorId: 'creator-a' }] });
+
+      const result = await assignmentHandlers.recordMatchFeedback('mock-id', 'missing', { verdict: 'down' });
+
+      expect(result.statusCode).toBe(404);
+      expect(MatchFeedback.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('listMatchFeedback', () => {
+    const MatchFeedback = require('../../../shared/models/MatchFeedback');
+
+    it('should count positive and negative verdicts per creator', async () => {
+      const entry = (creatorId, verdict) => ({ creatorId, verdict, toPublicJSON: () => ({ creatorId, verdict }) });
+      MatchFeedback.find.mockReturnValue({
+        sort: jest.fn().mockResolvedValue([entry('a', 'up'), entry('a', 'rejected'), entry('b', 'accepted')])
+      });
+
+      const result = await assignmentHandlers.listMatchFeedback('mock-id');
+
+      expect(result.count).toBe(3);
+      expect(result.summary).toEqual([
+        { creatorId: 'a', positive: 1, negative: 1 },
+        { creatorId: 'b', positive: 1, negative: 0 }
+      ]);
+    });
+  });
+
+  describe('getExperimentStats', () => {
+    const Assignment = require('../../../shared/models/Assignment');
+    const MatchFeedback = require('../../../shared/models/MatchFeedback');
+
+    it('should count assignments and verdicts per variant', async () => {
+      Assignment.aggregate = jest.fn().mockResolvedValue([{ _id: 'control', count: 4 }]);
+      MatchFeedback.aggregate.mockResolvedValue([
+        { _id: { variant: 'control', verdict: 'up' }, count: 3 },
+        { _id: { variant: 'control', verdict: 'rejected' }, count: 1 }
+      ]);
+
+      const result = await assignmentHandlers.getExperimentStats('diversity-evidence-prompt', ['control', 'diverse-evidence']);
+
+      expect(Assignment.aggregate.mock.calls[0][0][0]).toEqual({ $match: { 'experiment.name': 'diversity-evidence-prompt' } });
+      expect(result.data.variants).toEqual([
+        {
+          variant: 'control',
+          assignments: 4,
+          feedback: { up: 3, down: 0, accepted: 0, rejected: 1 },
+          positiveRate: 0.75,
+          thumbsUpRate: 1,
+          acceptanceRate: 0
+        },
+        {
+          variant: 'diverse-evidence',
+          assignments: 0,
+          feedback: { up: 0, down: 0, accepted: 0, rejected: 0 },
+          positiveRate: null,
+          thumbsUpRate: null,
+          acceptanceRate: null
+        }
+      ]);
+    });
+  });
+});
@@ -1,4 +1,5 @@
 const Assignment = require('../../../shared/models/Assignment');
+const MatchFeedback = require('../../../shared/models/MatchFeedback');
 const logger = require('../../../shared/utils/logger');
 
 /**
@@ -124,9 +125,10 @@ async function getAssignmentHistory(userId, options = {}) {
  * Update assignment with match results
  * @param {string} assignmentId - Assignment ID
  * @param {Array} matchResults - Array of match results
+ * @param {Object} [experiment] - { name, variant, unit } when the results come from an experiment variant
  * @returns {Promise<Object>} Updated assignment
  */
-async function updateAssignmentMatches(assignmentId, matchResults) {
+async function updateAssignmentMatches(assignmentId, matchResults, experiment = null) {
   try {
     if (!matchResults || !Array.isArray(matchResults)) {
       return {
@@ -150,6 +152,8 @@ async function updateAssignmentMatches(assignmentId, matchResults) {
 
     assignment.matchResults = matchResults;
     assignment.status = 'completed';
+    // Results from outside an experiment replace the variant's, so the variant no longer applies
+    assignment.experiment = experiment ? { ...experiment, assignedAt: new Date() } : undefined;
 
     const updatedAssignment = await assignment.save();
     logger.info('Assignment updated with match results', { assignmentId });
@@ -165,6 +169,225 @@ async function updateAssignmentMatches(assignmentId, matchResults) {
   }
 }
 
+/**
+ * Store a framing suggestion on a single creator's match result
+ * @param {string} assignmentId - Assignment ID
+ * @param {string} creatorId - Creator uniqueId of the match result
+ * @param {string} framingSuggestion - Generated framing text
+ * @returns {Promise<Object>} Updated assignment
+ */
+async function updateMatchFraming(assignmentId, creatorId, framingSuggestion) {
+  try {
+    const assignment = await Assignment.findById(assignmentId);
+
+    if (!assignment) {
+      return {
+        success: false,
+        statusCode: 404,
+        error: 'Assignment not found',
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    const matchResult = (assignment.matchResults || []).find(m => m.creatorId === creatorId);
+
+    if (!matchResult) {
+      return {
+        success: false,
+        statusCode: 404,
+        error: 'Match result not found for creator',
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    matchResult.framingSuggestion = framingSuggestion;
+
+    const updatedAssignment = await assignment.save();
+    logger.info('Match framing saved', { assignmentId, creatorId });
+
+    return {
+      success: true,
+      data: updatedAssignment.toPublicJSON(),
+      timestamp: new Date().toISOString()
+    };
+  } catch (error) {
+    logger.error('Failed to save match framing:', error);
+    throw error;
+  }
+}
+
+// Verdicts counted as a good fit when summarizing feedback
+const POSITIVE_VERDICTS = ['up', 'accepted'];
+
+/**
+ * Record feedback on a recommended creator. The match's rank and score breakdown are
+ * snapshotted with the verdict; a user giving feedback again replaces their earlier verdict.
+ * @param {string} assignmentId - Assignment ID
+ * @param {string} creatorId - Creator uniqueId of the match result
+ * @param {Object} feedback - { verdict, reason, userId }
+ * @returns {Promise<Object>} Stored feedback, with created=false when an earlier verdict was replaced
+ */
+async function recordMatchFeedback(assignmentId, creatorId, { verdict, reason, userId }) {
+  try {
+    const assignment = await Assignment.findById(assignmentId)
+      .select('matchResults creatorNiches experiment')
+      .lean();
+
+    if (!assignment) {
+      return {
+        success: false,
+        statusCode: 404,
+        error: 'Assignment not found',
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    const matchResults = assignment.matchResults || [];
+    const index = matchResults.findIndex(m => m.creatorId === creatorId);
+
+    if (index === -1) {
+      return {
+        success: false,
+        statusCode: 404,
+        error: 'Match result not found for creator',
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    const matchResult = matchResults[index];
+    const update = {
+      $set: {
+        verdict,
+        rank: index + 1,
+        matchScore: matchResult.matchScore,
+        requestedNiches: (assignment.creatorNiches || []).length,
+        scoreBreakdown: matchResult.scoreBreakdown || {}
+      }
+    };
+    update.$unset = {};
+    if (reason) {
+      update.$set.reason = reason;
+    } else {
+      update.$unset.reason = '';
+    }
+    if (assignment.experiment && assignment.experiment.name) {
+      update.$set.experiment = { name: assignment.experiment.name, variant: assignment.experiment.variant };
+    } else {
+      update.$unset.experiment = '';
+    }
+    if (Object.keys(update.$unset).length === 0) {
+      delete update.$unset;
+    }
+
+    const result = await MatchFeedback.findOneAndUpdate(
+      { assignmentId, creatorId, userId: userId || null },
+      update,
+      { new: true, upsert: true, runValidators: true, includeResultMetadata: true }
+    );
+    const created = !result.lastErrorObject?.updatedExisting;
+
+    logger.info('Match feedback recorded', { assignmentId, creatorId, verdict, created });
+
+    return {
+      success: true,
+      created,
+      data: result.value.toPublicJSON(),
+      timestamp: new Date().toISOString()
+    };
+  } catch (error) {
+    logger.error('Failed to record match feedback:', error);
+    throw error;
+  }
+}
+
+/**
+ * List the feedback given on an assignment's matches, most recent first
+ * @param {string} assignmentId - Assignment ID
+ * @returns {Promise<Object>} Feedback entries with positive / negative counts per creator
+ */
+async function listMatchFeedback(assignmentId) {
+  try {
+    const feedback = await MatchFeedback.find({ assignmentId }).sort({ updatedAt: -1 });
+
+    const byCreator = {};
+    feedback.forEach(entry => {
+      const counts = byCreator[entry.creatorId] || (byCreator[entry.creatorId] = { creatorId: entry.creatorId, positive: 0, negative: 0 });
+      if (POSITIVE_VERDICTS.includes(entry.verdict)) {
+        counts.positive++;
+      } else {
+        counts.negative++;
+      }
+    });
+
+    return {
+      success: true,
+      data: feedback.map(entry => entry.toPublicJSON()),
+      summary: Object.values(byCreator),
+      count: feedback.length,
+      timestamp: new Date().toISOString()
+    };
+  } catch (error) {
+    logger.error('Failed to list match feedback:', error);
+    throw error;
+  }
+}
+
+/**
+ * Per-variant assignment, feedback and acceptance counts for an experiment.
+ * Feedback carries its variant, so it still counts after the assignment expires.
+ * @param {string} name - Experiment name
+ * @param {Array<string>} [variants] - Variant names to report even when they have no data
+ * @returns {Promise<Object>} { name, variants: [{ variant, assignments, feedback, positiveRate, thumbsUpRate, acceptanceRate }] }
+ */
+async function getExperimentStats(name, variants = []) {
+  try {
+    const [assignmentCounts, feedbackCounts] = await Promise.all([
+      Assignment.aggregate([
+        { $match: { 'experiment.name': name } },
+        { $group: { _id: '$experiment.variant', count: { $sum: 1 } } }
+      ]),
+      MatchFeedback.aggregate([
+        { $match: { 'experiment.name': name } },
+        { $group: { _id: { variant: '$experiment.variant', verdict: '$verdict' }, count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const byVariant = new Map();
+    const entryFor = (variant) => {
+      if (!byVariant.has(variant)) {
+        byVariant.set(variant, { variant, assignments: 0, feedback: { up: 0, down: 0, accepted: 0, rejected: 0 } });
+      }
+      return byVariant.get(variant);
+    };
+
+    variants.forEach(entryFor);
+    assignmentCounts.forEach(({ _id, count }) => { entryFor(_id).assignments = count; });
+    feedbackCounts.forEach(({ _id, count }) => { entryFor(_id.variant).feedback[_id.verdict] = count; });
+
+    const rate = (hits, misses) => (hits + misses > 0 ? parseFloat((hits / (hits + misses)).toFixed(4)) : null);
+
+    return {
+      success: true,
+      data: {
+        name,
+        variants: [...byVariant.values()].map(entry => {
+          const { up, down, accepted, rejected } = entry.feedback;
+          return {
+            ...entry,
+            positiveRate: rate(up + accepted, down + rejected),
+            thumbsUpRate: rate(up, down),
+            acceptanceRate: rate(accepted, rejected)
+          };
+        })
+      },
+      timestamp: new Date().toISOString()
+    };
+  } catch (error) {
+    logger.error('Failed to get experiment stats:', error);
+    throw error;
+  }
+}
+
 /**
  * Update assignment status
  * @param {string} assignmentId - Assignment ID
@@ -305,6 +528,88 @@ async function listAssignments(options = {}) {
   }
 }
 
+// Assignments that can still take on creators
+const OPEN_STATUSES = ['pending', 'processing'];
+
+/**
+ * List open (pending or processing) assignments, newest first
+ * @param {Object} options - Pagination options, plus includeEmbedding to load cached vectors
+ * @returns {Promise<Object>} List of open assignments without match results
+ */
+async function listOpenAssignments(options = {}) {
+  try {
+    const { limit = 50, skip = 0, includeEmbedding = false } = options;
+    const query = { status: { $in: OPEN_STATUSES } };
+
+    const assignments = await Assignment.find(query)
+      .select(includeEmbedding ? '-matchResults +embedding.values' : '-matchResults')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip(parseInt(skip))
+      .lean();
+
+    const totalCount = await Assignment.countDocuments(query);
+
+    return {
+      success: true,
+      data: assignments.map(({ _id, __v, ...assignment }) => ({ ...assignment, id: _id.toString() })),
+      pagination: {
+        count: assignments.length,
+        total: totalCount,
+        limit: parseInt(limit),
+        skip: parseInt(skip),
+        hasMore: (parseInt(skip) + assignments.length) < totalCount
+      },
+      timestamp: new Date().toISOString()
+    };
+  } catch (error) {
+    logger.error('Failed to list open assignments:', error);
+    throw error;
+  }
+}
+
+/**
+ * Cache an assignment's embedding
+ * @param {string} assignmentId - Assignment ID
+ * @param {Object} embedding - { values, textHash } where textHash identifies the embedded text
+ * @returns {Promise<Object>} Stored embedding metadata
+ */
+async function updateAssignmentEmbedding(assignmentId, { values, textHash }) {
+  try {
+    // A targeted update so caching never runs the save hooks or touches match results
+    const assignment = await Assignment.findByIdAndUpdate(
+      assignmentId,
+      { $set: { embedding: { values, textHash, updatedAt: new Date() } } },
+      { new: true }
+    );
+
+    if (!assignment) {
+      return {
+        success: false,
+        statusCode: 404,
+        error: 'Assignment not found',
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    logger.info('Assignment embedding cached', { assignmentId, dimensions: values.length });
+
+    return {
+      success: true,
+      data: {
+        id: assignmentId,
+        textHash,
+        dimensions: values.length,
+        updatedAt: assignment.embedding.updatedAt
+      },
+      timestamp: new Date().toISOString()
+    };
+  } catch (error) {
+    logger.error('Failed to cache assignment embedding:', error);
+    throw error;
+  }
+}
+
 /**
  * Delete assignment by ID
  * @param {string} assignmentId - Assignment ID
@@ -342,9 +647,15 @@ module.exports = {
   getAssignmentById,
   getAssignmentHistory,
   updateAssignmentMatches,
+  updateMatchFraming,
+  recordMatchFeedback,
+  listMatchFeedback,
+  getExperimentStats,
   updateAssignmentStatus,
   searchAssignments,
   getAssignmentStats,
   listAssignments,
+  listOpenAssignments,
+  updateAssignmentEmbedding,
   deleteAssignment
 };
@@ -194,10 +194,10 @@ function validateMatchResults(req, res, next) {
     });
   }
 
-  if (matchResults.length > 10) {
+  if (matchResults.length > 25) {
     return res.status(400).json({
       success: false,
-      error: 'matchResults cannot contain more than 10 items',
+      error: 'matchResults cannot contain more than 25 items',
       code: 'TOO_MANY_MATCH_RESULTS',
       timestamp: new Date().toISOString()
     });
@@ -234,6 +234,15 @@ function validateMatchResults(req, res, next) {
       });
     }
 
+    if (match.reasoningDetails !== undefined && (typeof match.reasoningDetails !== 'object' || match.reasoningDetails === null || Array.isArray(match.reasoningDetails))) {
+      return res.status(400).json({
+        success: false,
+        error: `matchResults[${i}].reasoningDetails must be an object if provided`,
+        code: 'INVALID_MATCH_REASONING',
+        timestamp: new Date().toISOString()
+      });
+    }
+
     if (match.framingSuggestion && typeof match.framingSuggestion !== 'string') {
       return res.status(400).json({
         success: false,
@@ -244,6 +253,152 @@ function validateMatchResults(req, res, next) {
     }
   }
 
+  const { experiment } = req.body;
+  if (experiment !== undefined && experiment !== null &&
+    (typeof experiment !== 'object' || !isExperimentName(experiment.name) || !isExperimentName(experiment.variant) ||
+      !['userId', 'assignmentId'].includes(experiment.unit))) {
+    return res.status(400).json({
+      success: false,
+      error: 'experiment must have a name, a variant and a unit of userId or assignmentId',
+      code: 'INVALID_EXPERIMENT',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  next();
+}
+
+function isExperimentName(value) {
+  return typeof value === 'string' && /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/.test(value);
+}
+
+/**
+ * Experiment stats parameters validation
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+function validateExperimentStats(req, res, next) {
+  const variants = req.query.variants ? String(req.query.variants).split(',').filter(Boolean) : [];
+
+  if (!isExperimentName(req.params.name) || !variants.every(isExperimentName) || variants.length > 20) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid experiment name or variants. Names are letters, digits, dashes and underscores (at most 20 variants)',
+      code: 'INVALID_EXPERIMENT',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  req.query.variants = variants;
+  next();
+}
+
+/**
+ * Framing suggestion validation for match framing updates
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+function validateFramingSuggestion(req, res, next) {
+  const { framingSuggestion } = req.body;
+
+  if (!framingSuggestion || typeof framingSuggestion !== 'string' || framingSuggestion.trim().length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'framingSuggestion is required and must be a non-empty string',
+      code: 'INVALID_FRAMING_SUGGESTION',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (framingSuggestion.length > 2000) {
+    return res.status(400).json({
+      success: false,
+      error: 'framingSuggestion must be less than 2000 characters',
+      code: 'INVALID_FRAMING_SUGGESTION',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  next();
+}
+
+/**
+ * Match feedback validation
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+function validateMatchFeedback(req, res, next) {
+  const { verdict, reason, userId } = req.body;
+  const validVerdicts = ['up', 'down', 'accepted', 'rejected'];
+
+  if (!validVerdicts.includes(verdict)) {
+    return res.status(400).json({
+      success: false,
+      error: `verdict is required and must be one of: ${validVerdicts.join(', ')}`,
+      code: 'INVALID_FEEDBACK',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > 500)) {
+    return res.status(400).json({
+      success: false,
+      error: 'reason must be a string of at most 500 characters',
+      code: 'INVALID_FEEDBACK',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (userId !== undefined && userId !== null && (typeof userId !== 'string' || userId.length > 100)) {
+    return res.status(400).json({
+      success: false,
+      error: 'userId must be a string of at most 100 characters',
+      code: 'INVALID_FEEDBACK',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (typeof reason === 'string') {
+    req.body.reason = reason.trim();
+  }
+
+  next();
+}
+
+// Largest embedding accepted for caching (covers the 1536 and 3072 dimension models)
+const MAX_EMBEDDING_DIMENSIONS = 4096;
+
+/**
+ * Embedding validation for assignment embedding caching
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+function validateEmbedding(req, res, next) {
+  const { values, textHash } = req.body;
+
+  if (!Array.isArray(values) || values.length === 0 || values.length > MAX_EMBEDDING_DIMENSIONS ||
+    !values.every(value => typeof value === 'number' && Number.isFinite(value))) {
+    return res.status(400).json({
+      success: false,
+      error: `values must be a non-empty array of at most ${MAX_EMBEDDING_DIMENSIONS} finite numbers`,
+      code: 'INVALID_EMBEDDING',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (!textHash || typeof textHash !== 'string' || textHash.length > 128) {
+    return res.status(400).json({
+      success: false,
+      error: 'textHash is required and must be a string of at most 128 characters',
+      code: 'INVALID_EMBEDDING',
+      timestamp: new Date().toISOString()
+    });
+  }
+
   next();
 }
 
@@ -338,6 +493,10 @@ module.exports = {
   validateObjectId,
   validateSearchQuery,
   validateMatchResults,
+  validateFramingSuggestion,
+  validateMatchFeedback,
+  validateExperimentStats,
+  validateEmbedding,
   validateStatus,
   sanitizeRequest,
   validateRateLimit
@@ -21,6 +21,10 @@ const {
   validateObjectId,
   validateSearchQuery,
   validateMatchResults,
+  validateFramingSuggestion,
+  validateMatchFeedback,
+  validateExperimentStats,
+  validateEmbedding,
   validateStatus,
   sanitizeRequest,
   validateRateLimit
@@ -86,6 +90,26 @@ app.post('/assignments',
   })
 );
 
+// List open (pending or processing) assignments; ?include=embedding adds cached vectors
+app.get('/assignments/open',
+  validatePagination,
+  asyncHandler(async (req, res) => {
+    const options = {
+      limit: req.query.limit,
+      skip: req.query.skip,
+      includeEmbedding: req.query.include === 'embedding'
+    };
+
+    const result = await assignmentHandlers.listOpenAssignments(options);
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json(result);
+    }
+
+    res.json(result);
+  })
+);
+
 // Get assignment by ID
 app.get('/assignments/:id', 
   validateObjectId('id'),
@@ -129,7 +153,27 @@ app.patch('/assignments/:id/matches',
   asyncHandler(async (req, res) => {
     const result = await assignmentHandlers.updateAssignmentMatches(
       req.params.id, 
-      req.body.matchResults
+      req.body.matchResults,
+      req.body.experiment
+    );
+    
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json(result);
+    }
+    
+    res.json(result);
+  })
+);
+
+// Store framing suggestion on a creator's match result
+app.patch('/assignments/:id/matches/:creatorId/framing',
+  validateObjectId('id'),
+  validateFramingSuggestion,
+  asyncHandler(async (req, res) => {
+    const result = await assignmentHandlers.updateMatchFraming(
+      req.params.id,
+      req.params.creatorId,
+      req.body.framingSuggestion
     );
     
     if (!result.success) {
@@ -140,6 +184,57 @@ app.patch('/assignments/:id/matches',
   })
 );
 
+// Record feedback on a recommended creator (thumbs up/down or accepted/rejected)
+app.post('/assignments/:id/matches/:creatorId/feedback',
+  validateObjectId('id'),
+  validateMatchFeedback,
+  asyncHandler(async (req, res) => {
+    const result = await assignmentHandlers.recordMatchFeedback(req.params.id, req.params.creatorId, {
+      verdict: req.body.verdict,
+      reason: req.body.reason,
+      userId: req.body.userId
+    });
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json(result);
+    }
+
+    res.status(result.created ? 201 : 200).json(result);
+  })
+);
+
+// List feedback given on an assignment's matches
+app.get('/assignments/:id/feedback',
+  validateObjectId('id'),
+  asyncHandler(async (req, res) => {
+    const result = await assignmentHandlers.listMatchFeedback(req.params.id);
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json(result);
+    }
+
+    res.json(result);
+  })
+);
+
+// Cache the assignment's embedding for reverse matching
+app.put('/assignments/:id/embedding',
+  validateObjectId('id'),
+  validateEmbedding,
+  asyncHandler(async (req, res) => {
+    const result = await assignmentHandlers.updateAssignmentEmbedding(req.params.id, {
+      values: req.body.values,
+      textHash: req.body.textHash
+    });
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json(result);
+    }
+
+    res.json(result);
+  })
+);
+
 // Update assignment status
 app.patch('/assignments/:id/status', 
   validateObjectId('id'),
@@ -224,6 +319,20 @@ app.delete('/assignments/:id',
   })
 );
 
+// Per-variant assignment and feedback counts for an experiment
+app.get('/experiments/:name/stats',
+  validateExperimentStats,
+  asyncHandler(async (req, res) => {
+    const result = await assignmentHandlers.getExperimentStats(req.params.name, req.query.variants);
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json(result);
+    }
+
+    res.json(result);
+  })
+);
+
 // Error handling middleware
 app.use(errorHandler);
 
@@ -9,6 +9,7 @@ jest.mock('../../../shared/services/serviceManager', () => ({
   generateEmbedding: jest.fn(),
   generateEmbeddings: jest.fn(),
   queryVectors: jest.fn(),
+  fetchVectors: jest.fn(),
   upsertVectors: jest.fn()
 }));
 
@@ -30,7 +31,9 @@ describe('Creator Handlers', () => {
 
     // Setup routes
     app.get('/creators', creatorHandlers.getCreators);
+    app.get('/creators/niches', creatorHandlers.listNiches);
     app.get('/creators/:id', creatorHandlers.getCreatorById);
+    app.get('/creators/:id/similar', creatorHandlers.getSimilarCreators);
     app.post('/creators/ingest', creatorHandlers.ingestCreators);
     app.post('/creators/embeddings', creatorHandlers.generateEmbeddings);
     app.post('/creators/search', creatorHandlers.searchCreators);
@@ -103,6 +106,15 @@ describe('Creator Handlers', () => {
       expect(response.body.creators[0].analysis.primaryNiches).toContain('Tech');
     });
 
+    it('should match niche aliases and child niches through the taxonomy', async () => {
+      const response = await request(app)
+        .get('/creators?niche=Money')
+        .expect(200);
+
+      expect(response.body.creators).toHaveLength(1);
+      expect(response.body.creators[0].uniqueId).toBe('test2');
+    });
+
     it('should return 503 when services not initialized', async () => {
       serviceManager.isInitialized.mockReturnValue(false);
 
@@ -112,6 +124,36 @@ describe('Creator Handlers', () => {
     });
   });
 
+  describe('GET /creators/niches', () => {
+    it('should list canonical niches with their hierarchy', async () => {
+      const response = await request(app)
+        .get('/creators/niches')
+        .expect(200);
+
+      const finance = response.body.niches.find(n => n.name === 'Finance');
+      expect(finance.parent).toBeNull();
+      expect(finance.children).toContain('Personal Finance');
+      expect(finance.aliases).toContain('Money');
+    });
+
+    it('should autocomplete by name prefix before alias prefix', async () => {
+      const response = await request(app)
+        .get('/creators/niches?q=fin&limit=5')
+        .expect(200);
+
+      const names = response.body.niches.map(n => n.name);
+      expect(names[0]).toBe('Finance');
+      expect(names).toContain('Personal Finance');
+      expect(response.body.count).toBeLessThanOrEqual(5);
+    });
+
+    it('should return 400 for an invalid limit', async () => {
+      await request(app)
+        .get('/creators/niches?limit=0')
+        .expect(400);
+    });
+  });
+
   describe('GET /creators/:id', () => {
     const mockCreatorData = [
       {
@@ -244,5 +286,160 @@ describe('Creator Handlers', () => {
       expect(serviceManager.generateEmbeddings).toHaveBeenCalled();
       expect(serviceManager.upsertVectors).toHaveBeenCalled();
     });
+
+    it('should store bio, niche and value vectors in their own namespaces', async () => {
+      serviceManager.generateEmbeddings.mockImplementation(texts => Promise.resolve(texts.map(() => [0.1, 0.2, 0.3])));
+      serviceManager.upsertVectors.mockResolvedValue({ upsertedCount: 1 });
+
+      const response = await request(app)
+        .post('/creators/embeddings/refresh')
+        .send({ batchSize: 1 })
+        .expect(200);
+
+      expect(response.body.summary.fields).toEqual(['bio', 'niches', 'values']);
+      expect(serviceManager.generateEmbeddings.mock.calls.map(([texts]) => texts[0])).toEqual([
+        'Test bio 1 Niches: Tech, Gaming Values: Innovation',
+        'Test bio 1',
+        'Tech, Gaming',
+        'Innovation'
+      ]);
+      const namespaces = serviceManager.upsertVectors.mock.calls.map(([, options]) => options && options.namespace);
+      expect(namespaces).toEqual([undefined, 'bio', 'niches', 'values']);
+      expect(serviceManager.upsertVectors.mock.calls[1][0][0]).toMatchObject({ id: 'test1', metadata: { primaryNiches: ['Tech'] } });
+    });
+
+    it('should report field vector failures per creator and field without failing the batch', async () => {
+      serviceManager.generateEmbeddings.mockImplementation(texts => Promise.resolve(texts.map(() => [0.1, 0.2, 0.3])));
+      serviceManager.upsertVectors.mockImplementation((vectors, options) => (
+        options && options.namespace === 'niches'
+          ? Promise.reject(new Error('Namespace unavailable'))
+          : Promise.resolve({ upsertedCount: vectors.length })
+      ));
+
+      const response = await request(app)
+        .post('/creators/embeddings/refresh')
+        .send({ batchSize: 1 })
+        .expect(200);
+
+      expect(response.body.summary).toMatchObject({ processed: 1, errors: 0, fieldErrors: 1 });
+      expect(response.body.results[0].fieldErrors).toEqual([
+        { creatorId: 'test1', field: 'niches', error: 'Namespace unavailable' }
+      ]);
+      // The values namespace is still written after the niches failure
+      const namespaces = serviceManager.upsertVectors.mock.calls.map(([, options]) => options && options.namespace);
+      expect(namespaces).toEqual([undefined, 'bio', 'niches', 'values']);
+    });
+  });
+
+  describe('GET /creators/:id/similar', () => {
+    const mockCreatorData = {
+      test1: {
+        uniqueId: 'test1',
+        nickname: 'Test Creator 1',
+        bio: 'Test bio 1',
+        region: 'US',
+        followerCount: 50000,
+        analysis: { primaryNiches: ['Tech'], secondaryNiches: ['Gaming'], apparentValues: ['Honesty', 'Curiosity'] }
+      },
+      test2: {
+        uniqueId: 'test2',
+        nickname: 'Test Creator 2',
+        bio: 'Test bio 2',
+        region: 'UK',
+        followerCount: 900000,
+        analysis: { primaryNiches: ['Finance'], secondaryNiches: [], apparentValues: ['Discipline'] }
+      },
+      test3: {
+        uniqueId: 'test3',
+        nickname: 'Test Creator 3',
+        bio: 'Test bio 3',
+        region: 'US',
+        followerCount: 80000,
+        analysis: { primaryNiches: ['Technology'], secondaryNiches: [], apparentValues: ['curiosity'] }
+      }
+    };
+    const neighbours = {
+      matches: [
+        { id: 'test1', score: 1 },
+        { id: 'test3', score: 0.92 },
+        { id: 'test2', score: 0.7 }
+      ]
+    };
+
+    beforeEach(() => {
+      // Move past the creator data cooldown so this block's fixtures are loaded
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now + 60 * 60 * 1000);
+      fs.readFile.mockResolvedValue(JSON.stringify(mockCreatorData));
+      serviceManager.queryVectors.mockResolvedValue(neighbours);
+    });
+
+    afterEach(() => {
+      Date.now.mockRestore();
+    });
+
+    it('should use the stored vector and explain shared niches and values', async () => {
+      serviceManager.fetchVectors.mockResolvedValue({ records: { test1: { id: 'test1', values: [0.1, 0.2] } } });
+
+      const response = await request(app)
+        .get('/creators/test1/similar')
+        .expect(200);
+
+      expect(response.body.vectorSource).toBe('stored');
+      expect(serviceManager.generateEmbedding).not.toHaveBeenCalled();
+      expect(serviceManager.queryVectors).toHaveBeenCalledWith([0.1, 0.2], 21, null);
+
+      expect(response.body.results.map(r => r.creator.uniqueId)).toEqual(['test3', 'test2']);
+      expect(response.body.results[0].sharedNiches).toEqual(['Technology']);
+      expect(response.body.results[0].sharedValues).toEqual(['Curiosity']);
+      expect(response.body.results[0].explanation).toMatch(/Technology/);
+    });
+
+    it('should re-embed creators without a stored vector', async () => {
+      serviceManager.fetchVectors.mockResolvedValue({ records: {} });
+      serviceManager.generateEmbedding.mockResolvedValue([0.3, 0.4]);
+
+      const response = await request(app)
+        .get('/creators/test1/similar')
+        .expect(200);
+
+      expect(response.body.vectorSource).toBe('embedded');
+      expect(serviceManager.generateEmbedding).toHaveBeenCalledWith(expect.stringContaining('Test bio 1'));
+    });
+
+    it('should push filters down and re-apply them to the results', async () => {
+      serviceManager.fetchVectors.mockResolvedValue({ records: { test1: { id: 'test1', values: [0.1, 0.2] } } });
+
+      const response = await request(app)
+        .get('/creators/test1/similar?region=us&maxFollowers=100000&limit=5')
+        .expect(200);
+
+      expect(serviceManager.queryVectors).toHaveBeenCalledWith([0.1, 0.2], 11, {
+        $and: [{ region: { $eq: 'US' } }, { followerCount: { $lte: 100000 } }]
+      });
+      expect(response.body.results.map(r => r.creator.uniqueId)).toEqual(['test3']);
+    });
+
+    it('should re-check niche filters case-insensitively', async () => {
+      // Past the cooldown again so the modified fixtures are loaded
+      Date.now.mockReturnValue(Date.now() + 60 * 60 * 1000);
+      fs.readFile.mockResolvedValue(JSON.stringify({
+        ...mockCreatorData,
+        test2: { ...mockCreatorData.test2, analysis: { ...mockCreatorData.test2.analysis, primaryNiches: ['personal finance'] } }
+      }));
+      serviceManager.fetchVectors.mockResolvedValue({ records: { test1: { id: 'test1', values: [0.1, 0.2] } } });
+
+      const response = await request(app)
+        .get('/creators/test1/similar?niche=Personal%20Finance')
+        .expect(200);
+
+      expect(response.body.results.map(r => r.creator.uniqueId)).toEqual(['test2']);
+    });
+
+    it('should return 404 for unknown creators and 400 for invalid filters', async () => {
+      await request(app).get('/creators/nobody/similar').expect(404);
+      await request(app).get('/creators/test1/similar?limit=0').expect(400);
+      await request(app).get('/creators/test1/similar?minFollowers=10&maxFollowers=5').expect(400);
+    });
   });
-});
\ No newline at end of file
+});
@@ -2,6 +2,8 @@ const fs = require('fs').promises;
 const path = require('path');
 const serviceManager = require('../../../shared/services/serviceManager');
 const logger = require('../../../shared/utils/logger');
+const { expandNiches, searchNiches, resolveNiche, nicheCredit } = require('../../../shared/utils/nicheTaxonomy');
+const { EMBEDDING_FIELDS, creatorFieldTexts } = require('../../../shared/utils/embeddingFields');
 
 class CreatorHandlers {
   constructor() {
@@ -22,6 +24,28 @@ class CreatorHandlers {
     return true;
   }
 
+  // Combine bio, niches, and values for comprehensive embedding
+  buildEmbeddingText(creator) {
+    const nicheText = [...creator.analysis.primaryNiches, ...(creator.analysis.secondaryNiches || [])].join(', ');
+    const valueText = (creator.analysis.apparentValues || []).join(', ');
+    return `${creator.bio} Niches: ${nicheText} Values: ${valueText}`;
+  }
+
+  // Pinecone metadata stored with every creator vector, combined or per field
+  buildVectorMetadata(creator) {
+    return {
+      nickname: creator.nickname,
+      bio: creator.bio,
+      followerCount: creator.followerCount,
+      region: creator.region,
+      primaryNiches: creator.analysis.primaryNiches,
+      secondaryNiches: creator.analysis.secondaryNiches || [],
+      apparentValues: creator.analysis.apparentValues || [],
+      verified: creator.verified || false,
+      lastUpdated: new Date().toISOString()
+    };
+  }
+
   // Load creator data from JSON file
   async loadCreatorData() {
     try {
@@ -69,9 +93,11 @@ class CreatorHandlers {
       }
 
       if (niche) {
+        // Aliases and child niches of the requested niche also match
+        const accepted = expandNiches([niche]);
         filteredCreators = filteredCreators.filter(creator => 
-          creator.analysis.primaryNiches.includes(niche) ||
-          (creator.analysis.secondaryNiches && creator.analysis.secondaryNiches.includes(niche))
+          creator.analysis.primaryNiches.some(n => accepted.includes(n)) ||
+          (creator.analysis.secondaryNiches && creator.analysis.secondaryNiches.some(n => accepted.includes(n)))
         );
       }
 
@@ -93,6 +119,34 @@ class CreatorHandlers {
     }
   }
 
+  // List canonical niches, or autocomplete them with ?q=
+  async listNiches(req, res) {
+    try {
+      const { q, limit } = req.query;
+      let parsedLimit;
+
+      if (limit !== undefined) {
+        parsedLimit = parseInt(limit);
+        if (isNaN(parsedLimit) || parsedLimit < 1 || parsedLimit > 100) {
+          return res.status(400).json({ 
+            error: 'limit must be an integer between 1 and 100' 
+          });
+        }
+      }
+
+      const niches = searchNiches({ query: q, limit: parsedLimit });
+
+      res.json({
+        query: q || null,
+        niches,
+        count: niches.length
+      });
+    } catch (error) {
+      logger.error('Error listing niches', { error: error.message });
+      res.status(500).json({ error: 'Failed to list niches' });
+    }
+  }
+
   // Get creator by ID
   async getCreatorById(req, res) {
     try {
@@ -114,6 +168,180 @@ class CreatorHandlers {
     }
   }
 
+  // Find replacement candidates: nearest neighbours of a creator's vector
+  async getSimilarCreators(req, res) {
+    try {
+      if (!this.checkServicesInitialized(req, res)) return;
+
+      const { id } = req.params;
+      const filters = this.parseSimilarFilters(req.query);
+      if (filters.error) {
+        return res.status(400).json({ error: filters.error });
+      }
+
+      const creators = await this.loadCreatorData();
+      const creator = creators.find(c => c.uniqueId === id);
+
+      if (!creator) {
+        return res.status(404).json({ error: 'Creator not found' });
+      }
+
+      // Prefer the stored vector; re-embed when the creator was never indexed
+      let vector = null;
+      let vectorSource = 'stored';
+      try {
+        const fetched = await serviceManager.fetchVectors([id]);
+        vector = fetched?.records?.[id]?.values || null;
+      } catch (error) {
+        logger.warn('Failed to fetch stored creator vector, re-embedding', { creatorId: id, error: error.message });
+      }
+      if (!vector || vector.length === 0) {
+        vector = await serviceManager.generateEmbedding(this.buildEmbeddingText(creator));
+        vectorSource = 'embedded';
+      }
+
+      // Over-fetch: the creator itself is usually the closest match, and the in-process re-check
+      // below can drop neighbours whose vector metadata is stale. Fewer than `limit` results can
+      // still come back when more than that are dropped.
+      const results = await serviceManager.queryVectors(vector, filters.limit * 2 + 1, this.buildSimilarVectorFilter(filters));
+
+      const similar = (results.matches || [])
+        .filter(match => match.id !== id)
+        .map(match => ({ match, candidate: creators.find(c => c.uniqueId === match.id) }))
+        // Filters are re-applied in-process in case vector metadata is stale
+        .filter(({ candidate }) => candidate && this.matchesSimilarFilters(candidate, filters))
+        .slice(0, filters.limit)
+        .map(({ match, candidate }) => ({
+          score: match.score,
+          creator: candidate,
+          ...this.explainSimilarity(creator, candidate)
+        }));
+
+      res.json({
+        creatorId: id,
+        vectorSource,
+        filters: {
+          region: filters.region,
+          minFollowers: filters.minFollowers,
+          maxFollowers: filters.maxFollowers,
+          niche: filters.niche
+        },
+        results: similar,
+        count: similar.length
+      });
+    } catch (error) {
+      logger.error('Error finding similar creators', { error: error.message });
+
+      if (error.message.includes('Circuit breaker')) {
+        return res.status(503).json({ 
+          error: 'Service temporarily unavailable',
+          message: 'External service is experiencing issues, please try again later'
+        });
+      }
+
+      res.status(500).json({ error: 'Failed to find similar creators' });
+    }
+  }
+
+  // Validate ?limit=&region=&minFollowers=&maxFollowers=&niche= for similar-creator search
+  parseSimilarFilters(query) {
+    const filters = { limit: 10, region: null, minFollowers: null, maxFollowers: null, niche: null };
+
+    if (query.limit !== undefined) {
+      filters.limit = parseInt(query.limit);
+      if (isNaN(filters.limit) || filters.limit < 1 || filters.limit > 50) {
+        return { error: 'limit must be an integer between 1 and 50' };
+      }
+    }
+
+    for (const key of ['minFollowers', 'maxFollowers']) {
+      if (query[key] !== undefined) {
+        filters[key] = parseInt(query[key]);
+        if (isNaN(filters[key]) || filters[key] < 0) {
+          return { error: `${key} must be a non-negative integer` };
+        }
+      }
+    }
+
+    if (filters.minFollowers !== null && filters.maxFollowers !== null && filters.minFollowers > filters.maxFollowers) {
+      return { error: 'minFollowers must not exceed maxFollowers' };
+    }
+
+    if (query.region) filters.region = query.region.toUpperCase();
+    if (query.niche) filters.niche = query.niche;
+
+    return filters;
+  }
+
+  // Pinecone metadata filter matching the fields written by refreshEmbeddings
+  buildSimilarVectorFilter(filters) {
+    const clauses = [];
+
+    if (filters.region) {
+      clauses.push({ region: { $eq: filters.region } });
+    }
+    if (filters.minFollowers !== null || filters.maxFollowers !== null) {
+      const range = {};
+      if (filters.minFollowers !== null) range.$gte = filters.minFollowers;
+      if (filters.maxFollowers !== null) range.$lte = filters.maxFollowers;
+      clauses.push({ followerCount: range });
+    }
+    if (filters.niche) {
+      const accepted = expandNiches([filters.niche]);
+      clauses.push({ $or: [{ primaryNiches: { $in: accepted } }, { secondaryNiches: { $in: accepted } }] });
+    }
+
+    if (clauses.length === 0) return null;
+    return clauses.length === 1 ? clauses[0] : { $and: clauses };
+  }
+
+  matchesSimilarFilters(creator, filters) {
+    const followers = creator.followerCount || 0;
+
+    if (filters.region && (creator.region || '').toUpperCase() !== filters.region) return false;
+    if (filters.minFollowers !== null && followers < filters.minFollowers) return false;
+    if (filters.maxFollowers !== null && followers > filters.maxFollowers) return false;
+    if (filters.niche) {
+      const accepted = expandNiches([filters.niche]).map(n => n.toLowerCase());
+      const niches = [...(creator.analysis.primaryNiches || []), ...(creator.analysis.secondaryNiches || [])];
+      if (!niches.some(n => accepted.includes(n.toLowerCase()))) return false;
+    }
+    return true;
+  }
+
+  // Shared niches (same canonical niche), related niches (taxonomy neighbours) and shared values
+  explainSimilarity(source, candidate) {
+    const sourceNiches = [...(source.analysis.primaryNiches || []), ...(source.analysis.secondaryNiches || [])];
+    const candidateNiches = [...(candidate.analysis.primaryNiches || []), ...(candidate.analysis.secondaryNiches || [])];
+
+    const sharedNiches = [];
+    const relatedNiches = [];
+    sourceNiches.forEach(niche => {
+      const best = Math.max(0, ...candidateNiches.map(other => nicheCredit(niche, other)));
+      const name = resolveNiche(niche) || niche;
+      if (best >= 1) {
+        if (!sharedNiches.includes(name)) sharedNiches.push(name);
+      } else if (best > 0 && !relatedNiches.includes(name)) {
+        relatedNiches.push(name);
+      }
+    });
+
+    const candidateValues = new Set((candidate.analysis.apparentValues || []).map(v => v.toLowerCase()));
+    const sharedValues = (source.analysis.apparentValues || []).filter(v => candidateValues.has(v.toLowerCase()));
+
+    const parts = [];
+    if (sharedNiches.length > 0) parts.push(`Shares ${sharedNiches.join(', ')}`);
+    if (relatedNiches.length > 0) parts.push(`close to ${relatedNiches.join(', ')}`);
+    if (sharedValues.length > 0) parts.push(`values ${sharedValues.join(', ')}`);
+
+    return {
+      sharedNiches,
+      relatedNiches,
+      sharedValues,
+      explanation: parts.length > 0 ? `${parts.join('; ')}.` : 'Similar content and audience, no niches or values in common.'
+    };
+  }
+
   // Ingest creators from JSON source
   async ingestCreators(req, res) {
     try {
@@ -240,6 +468,7 @@ class CreatorHandlers {
       
       let processedCount = 0;
       let errorCount = 0;
+      let fieldErrorCount = 0;
       const results = [];
 
       // Process creators in batches
@@ -248,12 +477,7 @@ class CreatorHandlers {
         
         try {
           // Prepare texts for embedding generation
-          const texts = batch.map(creator => {
-            // Combine bio, niches, and values for comprehensive embedding
-            const nicheText = [...creator.analysis.primaryNiches, ...(creator.analysis.secondaryNiches || [])].join(', ');
-            const valueText = (creator.analysis.apparentValues || []).join(', ');
-            return `${creator.bio} Niches: ${nicheText} Values: ${valueText}`;
-          });
+          const texts = batch.map(creator => this.buildEmbeddingText(creator));
 
           // Generate embeddings
           const embeddings = await serviceManager.generateEmbeddings(texts);
@@ -262,27 +486,48 @@ class CreatorHandlers {
           const vectors = batch.map((creator, index) => ({
             id: creator.uniqueId,
             values: embeddings[index],
-            metadata: {
-              nickname: creator.nickname,
-              bio: creator.bio,
-              followerCount: creator.followerCount,
-              region: creator.region,
-              primaryNiches: creator.analysis.primaryNiches,
-              secondaryNiches: creator.analysis.secondaryNiches || [],
-              apparentValues: creator.analysis.apparentValues || [],
-              verified: creator.verified || false,
-              lastUpdated: new Date().toISOString()
-            }
+            metadata: this.buildVectorMetadata(creator)
           }));
 
           // Store in Pinecone
           await serviceManager.upsertVectors(vectors);
+
+          // Field vectors go to one namespace per field under the same ids, with the same
+          // metadata so constraint filters work there too. The combined vectors are already
+          // stored, so a failing field is reported on its own instead of failing the batch.
+          const fieldErrors = [];
+          for (const field of EMBEDDING_FIELDS) {
+            const withText = batch
+              .map(creator => ({ creator, text: creatorFieldTexts(creator)[field] }))
+              .filter(entry => entry.text);
+            if (withText.length === 0) continue;
+
+            try {
+              const fieldEmbeddings = await serviceManager.generateEmbeddings(withText.map(entry => entry.text));
+              await serviceManager.upsertVectors(withText.map((entry, index) => ({
+                id: entry.creator.uniqueId,
+                values: fieldEmbeddings[index],
+                metadata: this.buildVectorMetadata(entry.creator)
+              })), { namespace: field });
+            } catch (fieldError) {
+              logger.warn('Error storing field vectors', {
+                batch: Math.floor(i / batchSize) + 1,
+                field,
+                error: fieldError.message
+              });
+              withText.forEach(entry => {
+                fieldErrors.push({ creatorId: entry.creator.uniqueId, field, error: fieldError.message });
+              });
+            }
+          }
           
           processedCount += batch.length;
+          fieldErrorCount += fieldErrors.length;
           results.push({
             batch: Math.floor(i / batchSize) + 1,
             processed: batch.length,
-            creatorIds: batch.map(c => c.uniqueId)
+            creatorIds: batch.map(c => c.uniqueId),
+            ...(fieldErrors.length > 0 && { fieldErrors })
           });
 
           // Add delay between batches to respect rate limits
@@ -305,7 +550,9 @@ class CreatorHandlers {
           totalCreators: creators.length,
           processed: processedCount,
           errors: errorCount,
+          fieldErrors: fieldErrorCount,
           batchSize,
+          fields: EMBEDDING_FIELDS,
           timestamp: new Date().toISOString()
         },
         results
@@ -324,6 +571,8 @@ const creatorHandlers = new CreatorHandlers();
 module.exports = {
   getCreators: creatorHandlers.getCreators.bind(creatorHandlers),
   getCreatorById: creatorHandlers.getCreatorById.bind(creatorHandlers),
+  getSimilarCreators: creatorHandlers.getSimilarCreators.bind(creatorHandlers),
+  listNiches: creatorHandlers.listNiches.bind(creatorHandlers),
   ingestCreators: creatorHandlers.ingestCreators.bind(creatorHandlers),
   generateEmbeddings: creatorHandlers.generateEmbeddings.bind(creatorHandlers),
   searchCreators: creatorHandlers.searchCreators.bind(creatorHandlers),
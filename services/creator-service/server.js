@@ -79,7 +79,9 @@ app.get('/health/metrics', async (req, res) => {
 
 // Creator routes with external service integration
 app.get('/creators', creatorHandlers.getCreators);
+app.get('/creators/niches', creatorHandlers.listNiches);
 app.get('/creators/:id', creatorHandlers.getCreatorById);
+app.get('/creators/:id/similar', creatorHandlers.getSimilarCreators);
 app.post('/creators/ingest', creatorHandlers.ingestCreators);
 app.post('/creators/embeddings', creatorHandlers.generateEmbeddings);
 app.post('/creators/search', creatorHandlers.searchCreators);
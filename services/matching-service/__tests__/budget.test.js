@@ -0,0 +1,87 @@
+const { normalizeBudget, selectWithinBudget } = require('../utils/budget');
+
+describe('Budget Selection', () => {
+    const createMatch = (id, matchScore, rateCard) => ({ creator: { uniqueId: id, nickname: id, rateCard }, matchScore });
+    const usd = (price) => ({ pricePerDeliverable: price, currency: 'USD', deliverable: 'video' });
+
+    test('budgets default currency and deliverables and reject non-positive totals', () => {
+        expect(normalizeBudget(undefined)).toBeNull();
+        expect(normalizeBudget({ total: 5000 })).toEqual({ total: 5000, currency: 'USD', deliverables: 1 });
+        expect(normalizeBudget({ total: '5000', currency: 'eur', deliverables: 2 })).toEqual({ total: 5000, currency: 'EUR', deliverables: 2 });
+        expect(() => normalizeBudget({ total: 0 })).toThrow('Invalid budget');
+    });
+
+    test('the best-scoring affordable combination beats greedy picks by score', () => {
+        const ranked = [
+            createMatch('star', 0.9, usd(8000)),
+            createMatch('solid-a', 0.7, usd(4000)),
+            createMatch('solid-b', 0.65, usd(4000)),
+            createMatch('budget', 0.3, usd(1000))
+        ];
+
+        const { matches, report } = selectWithinBudget(ranked, { total: 10000, currency: 'USD', deliverables: 1 }, { size: 3 });
+
+        // star + budget = 1.2 < solid-a + solid-b + budget = 1.65
+        expect(matches.map(m => m.creator.uniqueId)).toEqual(['solid-a', 'solid-b', 'budget']);
+        expect(report.spent).toBe(9000);
+        expect(report.remaining).toBe(1000);
+        expect(report.lineItems[0]).toMatchObject({ creatorId: 'solid-a', pricePerDeliverable: 4000, deliverables: 1, cost: 4000 });
+    });
+
+    test('deliverables multiply the cost and the size caps the selection', () => {
+        const ranked = [createMatch('a', 0.8, usd(1000)), createMatch('b', 0.7, usd(1000)), createMatch('c', 0.6, usd(1000))];
+
+        const { matches, report } = selectWithinBudget(ranked, { total: 5000, currency: 'USD', deliverables: 2 }, { size: 3 });
+
+        expect(matches.map(m => m.creator.uniqueId)).toEqual(['a', 'b']);
+        expect(report.spent).toBe(4000);
+        expect(selectWithinBudget(ranked, { total: 10000, currency: 'USD', deliverables: 1 }, { size: 1 }).matches).toHaveLength(1);
+    });
+
+    test('penalized creators only take slots and budget the clean creators leave', () => {
+        const penalized = createMatch('penalized', 0.7, usd(3000));
+        penalized.penalized = true;
+        penalized.scoreBreakdown = { exclusionPenalty: 0.15 };
+        const clean = createMatch('clean', 0.5, usd(3000));
+        const budget = { total: 5000, currency: 'USD', deliverables: 1 };
+
+        expect(selectWithinBudget([clean, penalized], budget, { size: 1 }).matches.map(m => m.creator.uniqueId)).toEqual(['clean']);
+        // Budget for one creator only
+        expect(selectWithinBudget([clean, penalized], budget, { size: 2 }).matches.map(m => m.creator.uniqueId)).toEqual(['clean']);
+
+        const cheap = createMatch('cheap', 0.4, usd(2000));
+        cheap.penalized = true;
+        cheap.scoreBreakdown = { exclusionPenalty: 0.15 };
+        const { matches, report } = selectWithinBudget([clean, penalized, cheap], budget, { size: 2 });
+        expect(matches.map(m => m.creator.uniqueId)).toEqual(['clean', 'cheap']);
+        expect(report.spent).toBe(5000);
+    });
+
+    test('creators without a rate card or in another currency are reported as unpriced', () => {
+        const ranked = [
+            createMatch('unpriced', 0.9),
+            createMatch('euro', 0.85, { pricePerDeliverable: 100, currency: 'EUR' }),
+            createMatch('pricey', 0.8, usd(20000)),
+            createMatch('fits', 0.5, usd(500))
+        ];
+
+        const { matches, report } = selectWithinBudget(ranked, { total: 1000, currency: 'USD', deliverables: 1 }, { size: 3 });
+
+        expect(matches.map(m => m.creator.uniqueId)).toEqual(['fits']);
+        expect(report.unpriced).toEqual([
+            { creatorId: 'unpriced', nickname: 'unpriced', reason: 'No rate card' },
+            { creatorId: 'euro', nickname: 'euro', reason: 'Priced in EUR, budget is in USD' }
+        ]);
+        expect(report.priced).toBe(2);
+        expect(report.overBudget).toBe(1);
+    });
+
+    test('the selection never overspends', () => {
+        const ranked = Array.from({ length: 12 }, (_, i) => createMatch(`c${i}`, 0.5 + i / 40, usd(333.33 + i * 71.17)));
+
+        const { report } = selectWithinBudget(ranked, { total: 1999.99, currency: 'USD', deliverables: 1 }, { size: 10 });
+
+        expect(report.spent).toBeLessThanOrEqual(1999.99);
+        expect(report.lineItems.length).toBeGreaterThan(0);
+    });
+});
@@ -0,0 +1,38 @@
+const matcher = require('../utils/matcher');
+
+describe('Cause Alignment', () => {
+    const creator = {
+        uniqueId: 'mindsovermoney',
+        analysis: {
+            primaryNiches: ['Personal Finance'],
+            identifiedCauses: ['Financial education', 'Consumer awareness'],
+            socialStances: ['Advocates for financial literacy access'],
+            partnershipPotential: {
+                alignedOrganizationTypes: ['Educational nonprofits', 'Community organizations']
+            }
+        }
+    };
+
+    test('assignments without causes or organization type score 0', () => {
+        expect(matcher.calculateCauseAlignment({ topic: 'Investing' }, creator)).toBe(0);
+    });
+
+    test('identified causes earn full credit and stances partial credit', () => {
+        expect(matcher.calculateCauseAlignment({ causes: ['financial education'] }, creator)).toBe(1);
+        expect(matcher.calculateCauseAlignment({ causes: ['Financial literacy'] }, creator)).toBe(0.75);
+        expect(matcher.calculateCauseAlignment({ causes: ['Ocean cleanup'] }, creator)).toBe(0);
+    });
+
+    test('organization type is matched against aligned organization types', () => {
+        expect(matcher.calculateCauseAlignment({ organizationType: 'Nonprofit' }, creator)).toBe(1);
+        expect(matcher.calculateCauseAlignment({ causes: ['Ocean cleanup'], organizationType: 'Nonprofit' }, creator)).toBe(0.3);
+    });
+
+    test('causeAlignment is reported in the score breakdown', () => {
+        const weights = { semanticSimilarity: 0, nicheAlignment: 0, audienceMatch: 0, valueAlignment: 0, engagementFit: 0, causeAlignment: 1 };
+        const match = matcher.calculateMatch({ causes: ['Consumer awareness'] }, creator, 0, weights);
+
+        expect(match.scoreBreakdown.causeAlignment).toBe(1);
+        expect(match.matchScore).toBe(1);
+    });
+});
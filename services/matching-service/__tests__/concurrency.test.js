@@ -0,0 +1,23 @@
+const { mapWithConcurrency } = require('../utils/concurrency');
+
+describe('mapWithConcurrency', () => {
+    test('keeps input order and never exceeds the limit', async () => {
+        let inFlight = 0;
+        let peak = 0;
+
+        const results = await mapWithConcurrency([30, 5, 20, 1, 10], 2, async (delay, index) => {
+            inFlight++;
+            peak = Math.max(peak, inFlight);
+            await new Promise(resolve => setTimeout(resolve, delay));
+            inFlight--;
+            return index;
+        });
+
+        expect(results).toEqual([0, 1, 2, 3, 4]);
+        expect(peak).toBe(2);
+    });
+
+    test('handles empty input', async () => {
+        await expect(mapWithConcurrency([], 3, async () => 1)).resolves.toEqual([]);
+    });
+});
@@ -0,0 +1,114 @@
+const fc = require('fast-check');
+const { diversify } = require('../utils/diversity');
+const matcher = require('../utils/matcher');
+
+describe('Diversity Reranking (MMR)', () => {
+    const createMatch = (id, matchScore, niches, region = 'US') => ({
+        creator: {
+            uniqueId: id,
+            region,
+            analysis: { primaryNiches: niches, secondaryNiches: [] }
+        },
+        matchScore,
+        scoreBreakdown: {}
+    });
+
+    test('diversity 0 keeps the relevance order', () => {
+        const matches = [
+            createMatch('a', 0.9, ['Finance']),
+            createMatch('b', 0.8, ['Finance']),
+            createMatch('c', 0.7, ['Gaming'], 'UK')
+        ];
+
+        const reranked = diversify(matches, { diversity: 0 });
+
+        expect(reranked.map(m => m.creator.uniqueId)).toEqual(['a', 'b', 'c']);
+        reranked.forEach(m => expect(m.scoreBreakdown.diversityPenalty).toBe(0));
+    });
+
+    test('relevance follows score gaps and not the number of candidates', () => {
+        // A near-clone close in score still beats a distinct creator far below it
+        const top = [
+            createMatch('a', 0.91, ['Finance']),
+            createMatch('b', 0.9, ['Finance']),
+            createMatch('c', 0.4, ['Gaming'], 'UK')
+        ];
+        const padding = Array.from({ length: 30 }, (_, i) => createMatch(`pad${i}`, 0.4, [`Niche${i}`], `R${i}`));
+
+        const small = diversify(top.map(m => ({ ...m, scoreBreakdown: {} })), { diversity: 0.3 });
+        const large = diversify([...top, ...padding].map(m => ({ ...m, scoreBreakdown: {} })), { diversity: 0.3 });
+
+        expect(small.map(m => m.creator.uniqueId)).toEqual(['a', 'b', 'c']);
+        expect(large.slice(0, 2).map(m => m.creator.uniqueId)).toEqual(['a', 'b']);
+    });
+
+    test('penalized creators stay below clean ones whatever the diversity or weight profile', () => {
+        const penalized = createMatch('penalized', 0.7, ['Finance']);
+        penalized.penalized = true;
+        penalized.scoreBreakdown = { nicheAlignment: 1, semanticSimilarity: 0.9, exclusionPenalty: 0.15 };
+        const clean = createMatch('clean', 0.5, ['Finance']);
+        clean.scoreBreakdown = { nicheAlignment: 1, semanticSimilarity: 0.6 };
+        const otherClean = createMatch('other', 0.4, ['Finance']);
+        otherClean.scoreBreakdown = { nicheAlignment: 1, semanticSimilarity: 0.5 };
+
+        [true, false].forEach(prioritizeNiches => {
+            const ranked = matcher.rankMatches([penalized, clean, otherClean], { prioritizeNiches });
+            expect(ranked.map(m => m.creator.uniqueId)).toEqual(['clean', 'other', 'penalized']);
+
+            // Identical niches and region make every pick a near-clone, yet the clean creators still come first
+            [0.05, 0.9].forEach(diversity => {
+                const reranked = diversify(ranked, { diversity });
+                expect(reranked.map(m => m.creator.uniqueId)).toEqual(['clean', 'other', 'penalized']);
+            });
+        });
+    });
+
+    test('near-clones are pushed down in favour of different creators', () => {
+        const matches = [
+            createMatch('a', 0.9, ['Finance']),
+            createMatch('b', 0.88, ['Finance']),
+            createMatch('c', 0.8, ['Gaming'], 'UK')
+        ];
+
+        const reranked = diversify(matches, { diversity: 0.5 });
+
+        expect(reranked.map(m => m.creator.uniqueId)).toEqual(['a', 'c', 'b']);
+        expect(reranked[0].scoreBreakdown.diversityPenalty).toBe(0);
+        expect(reranked[2].scoreBreakdown.diversityPenalty).toBeGreaterThan(0);
+    });
+
+    test('embedding similarity is used when vectors are available', () => {
+        const matches = [
+            createMatch('a', 0.9, ['Finance']),
+            createMatch('b', 0.85, ['Career'], 'UK'),
+            createMatch('c', 0.84, ['Law'], 'CA')
+        ];
+        const vectors = { a: [1, 0], b: [1, 0], c: [0, 1] };
+
+        const reranked = diversify(matches, { diversity: 0.5, vectors });
+
+        expect(reranked.map(m => m.creator.uniqueId)).toEqual(['a', 'c', 'b']);
+    });
+
+    test('Property: reranking is a permutation with bounded penalties', () => {
+        fc.assert(
+            fc.property(
+                fc.array(fc.record({
+                    score: fc.float({ min: 0, max: 1, noNaN: true }),
+                    niche: fc.constantFrom('Finance', 'Gaming', 'Career')
+                }), { maxLength: 12 }),
+                fc.float({ min: 0, max: 1, noNaN: true }),
+                (specs, diversity) => {
+                    const matches = specs.map((spec, i) => createMatch(`c${i}`, spec.score, [spec.niche]));
+                    const reranked = diversify(matches, { diversity, selectCount: 5 });
+
+                    expect(reranked.map(m => m.creator.uniqueId).sort()).toEqual(matches.map(m => m.creator.uniqueId).sort());
+                    reranked.forEach(m => {
+                        expect(m.scoreBreakdown.diversityPenalty).toBeGreaterThanOrEqual(0);
+                        expect(m.scoreBreakdown.diversityPenalty).toBeLessThanOrEqual(diversity + 0.0001);
+                    });
+                }
+            )
+        );
+    });
+});
@@ -0,0 +1,68 @@
+const fc = require('fast-check');
+const { buildEngagementStats, calculateEngagementFit } = require('../utils/engagement');
+const matcher = require('../utils/matcher');
+
+describe('Engagement Fit', () => {
+    const createCreator = (id, heartCount, videoCount, followerCount, followingCount) => ({
+        uniqueId: id,
+        heartCount,
+        videoCount,
+        followerCount,
+        followingCount,
+        analysis: { primaryNiches: [], secondaryNiches: [], apparentValues: [] }
+    });
+
+    const population = [
+        createCreator('low', 100000, 50, 100000, 5000),
+        createCreator('mid', 5000000, 400, 500000, 800),
+        createCreator('high', 20000000, 900, 600000, 100)
+    ];
+
+    test('creators are ranked against the population', () => {
+        const stats = buildEngagementStats(population);
+        const [low, mid, high] = population.map(c => calculateEngagementFit(c, stats));
+
+        expect(low).toBeLessThan(mid);
+        expect(mid).toBeLessThan(high);
+    });
+
+    test('missing stats or metrics score 0 instead of failing', () => {
+        const stats = buildEngagementStats(population);
+
+        expect(calculateEngagementFit(population[0], null)).toBe(0);
+        expect(calculateEngagementFit({ uniqueId: 'empty' }, stats)).toBe(0);
+    });
+
+    test('engagement fit is always between 0 and 1', () => {
+        const creatorArbitrary = fc.record({
+            uniqueId: fc.string(),
+            heartCount: fc.integer({ min: 0, max: 100000000 }),
+            videoCount: fc.integer({ min: 0, max: 5000 }),
+            followerCount: fc.integer({ min: 0, max: 10000000 }),
+            followingCount: fc.integer({ min: 0, max: 10000 })
+        });
+
+        fc.assert(
+            fc.property(fc.array(creatorArbitrary, { minLength: 1, maxLength: 20 }), (creators) => {
+                const stats = buildEngagementStats(creators);
+                creators.forEach(creator => {
+                    const fit = calculateEngagementFit(creator, stats);
+                    expect(fit).toBeGreaterThanOrEqual(0);
+                    expect(fit).toBeLessThanOrEqual(1);
+                });
+            })
+        );
+    });
+
+    test('calculateMatch reports engagementFit and weights it into the score', () => {
+        const stats = buildEngagementStats(population);
+        const assignment = { topic: 'Investing' };
+        const weights = { semanticSimilarity: 0, nicheAlignment: 0, audienceMatch: 0, valueAlignment: 0, engagementFit: 1 };
+
+        const high = matcher.calculateMatch(assignment, population[2], 0, weights, stats);
+        const low = matcher.calculateMatch(assignment, population[0], 0, weights, stats);
+
+        expect(high.scoreBreakdown.engagementFit).toBeGreaterThan(low.scoreBreakdown.engagementFit);
+        expect(high.matchScore).toBeCloseTo(high.scoreBreakdown.engagementFit, 4);
+    });
+});
@@ -0,0 +1,63 @@
+const { rankingMetrics, evaluateGoldenSet, diffRuns } = require('../utils/evaluation');
+const allCreators = require('../../../creators.json');
+
+describe('Offline Evaluation', () => {
+    const creators = {};
+    ['mindsovermoney', 'marketdecoded', 'careercompass', 'laughingledger'].forEach(id => { creators[id] = allCreators[id]; });
+
+    const goldenSet = {
+        name: 'test',
+        k: 2,
+        cases: [{
+            id: 'investing',
+            assignment: { topic: 'First index fund', keyTakeaway: 'Invest early', additionalContext: 'Brokerage launch', creatorNiches: ['Investing'] },
+            expected: ['marketdecoded'],
+            acceptable: ['mindsovermoney'],
+            semanticScores: { laughingledger: 0.9, careercompass: 0.8, marketdecoded: 0.1, mindsovermoney: 0 }
+        }]
+    };
+
+    test('metrics grade expected creators above acceptable ones', () => {
+        const grades = { a: 2, b: 1 };
+
+        expect(rankingMetrics(['a', 'b', 'c'], grades, 2)).toEqual({ precisionAtK: 1, recallAtK: 1, ndcgAtK: 1, mrr: 1 });
+
+        const swapped = rankingMetrics(['b', 'a', 'c'], grades, 2);
+        expect(swapped.precisionAtK).toBe(1);
+        expect(swapped.ndcgAtK).toBeLessThan(1);
+
+        expect(rankingMetrics(['c', 'x', 'a'], grades, 2)).toMatchObject({ precisionAtK: 0, recallAtK: 0, ndcgAtK: 0, mrr: 0.3333 });
+    });
+
+    test('each profile ranks the cases with the recorded semantic scores', () => {
+        const run = evaluateGoldenSet(goldenSet, creators, { profiles: ['balanced', 'semantic-only'] });
+
+        expect(run.k).toBe(2);
+        // Recorded scores favour the off-topic creators, which only the semantic-only profile follows
+        expect(run.profiles['semantic-only'].cases[0].top).toEqual(['laughingledger', 'careercompass']);
+        expect(run.profiles['semantic-only'].cases[0].missing).toEqual(['marketdecoded']);
+        expect(run.profiles.balanced.cases[0].top[0]).toBe('marketdecoded');
+        expect(run.profiles.balanced.metrics.mrr).toBe(1);
+    });
+
+    test('golden sets naming creators outside the pool are rejected', () => {
+        const stale = { cases: [{ ...goldenSet.cases[0], expected: ['retired-creator'] }] };
+
+        expect(() => evaluateGoldenSet(stale, creators)).toThrow(expect.objectContaining({ code: 'INVALID_GOLDEN_SET' }));
+    });
+
+    test('diffs flag profiles and cases whose metrics dropped beyond the tolerance', () => {
+        const baseline = evaluateGoldenSet(goldenSet, creators, { profiles: ['balanced'] });
+        const worse = JSON.parse(JSON.stringify(baseline));
+        worse.profiles.balanced.metrics.ndcgAtK -= 0.2;
+        worse.profiles.balanced.cases[0].metrics.ndcgAtK -= 0.2;
+
+        const diff = diffRuns(baseline, worse, { tolerance: 0.01 });
+        expect(diff.regressed).toBe(true);
+        expect(diff.profiles.balanced.metrics.ndcgAtK.delta).toBeCloseTo(-0.2);
+        expect(diff.profiles.balanced.caseRegressions).toEqual([expect.objectContaining({ caseId: 'investing', metric: 'ndcgAtK' })]);
+
+        expect(diffRuns(baseline, worse, { tolerance: 0.5 }).regressed).toBe(false);
+        expect(diffRuns(baseline, baseline).regressed).toBe(false);
+    });
+});
@@ -0,0 +1,38 @@
+const { normalizeExclusions, penalizeMatches, isPenalized } = require('../utils/exclusions');
+const matcher = require('../utils/matcher');
+
+describe('Brand-Safety Penalties', () => {
+    const exclusions = normalizeExclusions({ competitorBrands: ['Acme'], action: 'penalize', penalty: 0.3 });
+    const createMatch = (id, matchScore, bio = 'Money tips', nicheAlignment = 1) => ({
+        creator: { uniqueId: id, bio, analysis: {} },
+        matchScore,
+        scoreBreakdown: { nicheAlignment, semanticSimilarity: matchScore }
+    });
+
+    test('penalized creators are ordered by score among themselves, not by penalty size', () => {
+        // The weak creator's penalty is capped at its score, so it is smaller than the strong creator's
+        const strong = createMatch('strong', 0.9, 'Sponsored by Acme');
+        const weak = createMatch('weak', 0.2, 'Acme fan');
+        const clean = createMatch('clean', 0.3);
+
+        penalizeMatches([strong, weak, clean], exclusions);
+        expect(weak.scoreBreakdown.exclusionPenalty).toBeLessThan(strong.scoreBreakdown.exclusionPenalty);
+
+        [true, false].forEach(prioritizeNiches => {
+            const ranked = matcher.rankMatches([weak, clean, strong], { prioritizeNiches });
+            expect(ranked.map(m => m.creator.uniqueId)).toEqual(['clean', 'strong', 'weak']);
+        });
+    });
+
+    test('a penalized creator at matchScore 0 is still flagged and ranked after clean ones', () => {
+        const zero = createMatch('zero', 0, 'Acme all day');
+        const clean = createMatch('clean', 0, 'Money tips', 0);
+
+        penalizeMatches([zero, clean], exclusions);
+
+        expect(zero.scoreBreakdown.exclusionPenalty).toBe(0);
+        expect(isPenalized(zero)).toBe(true);
+        expect(isPenalized(clean)).toBe(false);
+        expect(matcher.rankMatches([zero, clean]).map(m => m.creator.uniqueId)).toEqual(['clean', 'zero']);
+    });
+});
@@ -0,0 +1,54 @@
+const { normalizeExperiments, assignVariant, enroll } = require('../utils/experiments');
+
+describe('Experiments', () => {
+    const known = { profiles: ['balanced', 'semantic-only'], promptVersions: ['v1', 'v2'] };
+    const experiment = {
+        name: 'prompt-test',
+        active: true,
+        unit: 'assignmentId',
+        variants: [
+            { name: 'control', weight: 1, reasoningPrompt: 'v1' },
+            { name: 'treatment', weight: 1, diversity: 0.3, reasoningPrompt: 'v2' }
+        ]
+    };
+
+    test('the same unit always lands in the same variant', () => {
+        const first = enroll(experiment, { assignmentId: 'a-123' });
+        const again = enroll(experiment, { assignmentId: 'a-123' });
+
+        expect(first.experiment).toEqual({ name: 'prompt-test', variant: again.variant.name, unit: 'assignmentId' });
+        expect(first.variant).toBe(again.variant);
+    });
+
+    test('traffic splits in proportion to the variant weights', () => {
+        const weighted = { ...experiment, variants: [{ ...experiment.variants[0], weight: 3 }, experiment.variants[1]] };
+        const counts = { control: 0, treatment: 0 };
+        for (let i = 0; i < 2000; i++) {
+            counts[assignVariant(weighted, `assignment-${i}`).name]++;
+        }
+
+        expect(counts.control / 2000).toBeGreaterThan(0.7);
+        expect(counts.control / 2000).toBeLessThan(0.8);
+    });
+
+    test('requests that choose their own ranking options are not enrolled', () => {
+        expect(enroll(experiment, { assignmentId: 'a-1', weightProfile: 'balanced' })).toBeNull();
+        expect(enroll(experiment, { assignmentId: 'a-1', diversity: 0 })).toBeNull();
+        expect(enroll(experiment, { assignmentId: 'a-1', assignment: { budget: { total: 1000 } } })).toBeNull();
+        expect(enroll(experiment, {})).toBeNull();
+        expect(enroll(null, { assignmentId: 'a-1' })).toBeNull();
+        expect(enroll(experiment, { assignmentId: 'a-1', roster: false })).not.toBeNull();
+    });
+
+    test('invalid configs are rejected', () => {
+        const config = variants => ({ experiments: { 'prompt-test': { ...experiment, variants } } });
+
+        expect(normalizeExperiments(config(experiment.variants), known).active.name).toBe('prompt-test');
+        expect(() => normalizeExperiments(config([experiment.variants[0]]), known)).toThrow('at least two variants');
+        expect(() => normalizeExperiments(config([experiment.variants[0], { ...experiment.variants[1], reasoningPrompt: 'v9' }]), known))
+            .toThrow(expect.objectContaining({ code: 'INVALID_EXPERIMENTS' }));
+        expect(() => normalizeExperiments({
+            experiments: { one: experiment, two: experiment }
+        }, known)).toThrow('Only one experiment can be active');
+    });
+});
@@ -0,0 +1,47 @@
+const { explainMatch } = require('../utils/explain');
+const matcher = require('../utils/matcher');
+
+describe('Match Explanation', () => {
+    const scoring = matcher.resolveWeights({ weightProfile: 'balanced' });
+    const assignment = { topic: 'Investing', creatorNiches: ['Finance'] };
+    const createCreator = (id, niches) => ({ uniqueId: id, nickname: id, analysis: { primaryNiches: niches } });
+
+    const competitors = [
+        matcher.calculateMatch(assignment, createCreator('a', ['Finance']), 0.9, scoring.weights),
+        matcher.calculateMatch(assignment, createCreator('b', ['Finance']), 0.8, scoring.weights),
+        matcher.calculateMatch(assignment, createCreator('c', ['Law']), 0.85, scoring.weights)
+    ];
+
+    test('a creator already in the top N has no gaps', () => {
+        const match = matcher.calculateMatch(assignment, createCreator('target', ['Finance']), 0.95, scoring.weights);
+        const explanation = explainMatch({ match, competitors, scoring, topN: 2, requestedNiches: 1 });
+
+        expect(explanation.rank).toBe(1);
+        expect(explanation.inTopN).toBe(true);
+        expect(explanation.gaps).toEqual([]);
+    });
+
+    test('the required value of a reachable component is enough on its own', () => {
+        const match = matcher.calculateMatch(assignment, createCreator('target', ['Finance']), 0.2, scoring.weights);
+        const explanation = explainMatch({ match, competitors, scoring, topN: 2, requestedNiches: 1 });
+
+        expect(explanation.inTopN).toBe(false);
+        expect(explanation.cutoff.creatorId).toBe('b');
+
+        const gap = explanation.gaps.find(g => g.component === 'semanticSimilarity');
+        expect(gap.reachable).toBe(true);
+
+        const improved = { ...match, scoreBreakdown: { ...match.scoreBreakdown, semanticSimilarity: gap.required } };
+        const rerun = explainMatch({ match: improved, competitors, scoring, topN: 2, requestedNiches: 1 });
+        expect(rerun.rank).toBeLessThanOrEqual(2);
+    });
+
+    test('components without weight are never reachable', () => {
+        const semanticOnly = matcher.resolveWeights({ weightProfile: 'semantic-only' });
+        const match = matcher.calculateMatch(assignment, createCreator('target', ['Law']), 0.1, semanticOnly.weights);
+        const others = competitors.map(c => matcher.calculateMatch(assignment, c.creator, (c.scoreBreakdown.semanticSimilarity * 2) - 1, semanticOnly.weights));
+        const explanation = explainMatch({ match, competitors: others, scoring: semanticOnly, topN: 1, requestedNiches: 1 });
+
+        expect(explanation.gaps.filter(g => g.reachable).map(g => g.component)).toEqual(['semanticSimilarity']);
+    });
+});
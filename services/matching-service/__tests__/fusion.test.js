@@ -0,0 +1,29 @@
+const { normalizeRetrieval, reciprocalRankFusion } = require('../utils/fusion');
+
+describe('Reciprocal Rank Fusion', () => {
+    test('creators found by both searches outrank the top of a single list', () => {
+        const fused = reciprocalRankFusion({
+            vector: [{ id: 'semantic' }, { id: 'both' }, { id: 'other' }],
+            lexical: [{ id: 'exact' }, { id: 'both' }]
+        });
+
+        expect(fused.map(entry => entry.id)).toEqual(['both', 'exact', 'semantic', 'other']);
+        expect(fused[0]).toMatchObject({ ranks: { vector: 2, lexical: 2 }, relevance: 1 });
+        expect(fused[1].ranks).toEqual({ vector: null, lexical: 1 });
+        expect(fused[0].fusedScore).toBeCloseTo(2 / 62, 6);
+    });
+
+    test('only ranks matter, so a larger k flattens the gap between them', () => {
+        const lists = { vector: [{ id: 'a' }, { id: 'b' }] };
+
+        const sharp = reciprocalRankFusion(lists, { k: 1 });
+        const flat = reciprocalRankFusion(lists, { k: 60 });
+        expect(sharp[1].relevance).toBeLessThan(flat[1].relevance);
+    });
+
+    test('retrieval defaults to vector and rejects unknown modes', () => {
+        expect(normalizeRetrieval(undefined)).toBe('vector');
+        expect(normalizeRetrieval('hybrid')).toBe('hybrid');
+        expect(() => normalizeRetrieval('keyword')).toThrow(expect.objectContaining({ code: 'INVALID_RETRIEVAL' }));
+    });
+});
@@ -0,0 +1,35 @@
+const { tokenize, buildLexicalIndex, searchLexical, lexicalScores } = require('../utils/lexical');
+const allCreators = require('../../../creators.json');
+
+describe('Lexical Index', () => {
+    const creator = (uniqueId, bio, analysis = {}) => ({ uniqueId, bio, analysis });
+
+    test('tokens are lowercased, unhashed and stripped of stopwords and plurals', () => {
+        expect(tokenize('Budgets for the #PersonalFinance crowd')).toEqual(['budget', 'personalfinance', 'crowd']);
+        expect(tokenize(null)).toEqual([]);
+    });
+
+    test('rarer shared terms outrank common ones and unrelated creators are left out', () => {
+        const index = buildLexicalIndex([
+            creator('saver', 'Money tips and budgeting', { primaryNiches: ['Budgeting'] }),
+            creator('investor', 'Money tips for index funds', { audienceInterests: ['Index funds'] }),
+            creator('chef', 'Weeknight dinners')
+        ]);
+
+        const results = searchLexical(index, 'Explain index funds to beginners with money tips');
+        expect(results.map(result => result.id)).toEqual(['investor', 'saver']);
+
+        const scores = lexicalScores(index, 'Explain index funds to beginners with money tips');
+        expect(scores.get('investor')).toBe(1);
+        expect(scores.get('saver')).toBeGreaterThan(0);
+        expect(scores.get('saver')).toBeLessThan(1);
+        expect(scores.has('chef')).toBe(false);
+    });
+
+    test('the creator pool ranks on-topic creators first for a brief', () => {
+        const index = buildLexicalIndex(Object.values(allCreators));
+        const [top] = searchLexical(index, 'Legal explainers on voting rights and civic engagement', { limit: 1 });
+
+        expect(top.id).toBe('civicbriefs');
+    });
+});
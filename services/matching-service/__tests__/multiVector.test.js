@@ -0,0 +1,46 @@
+const { normalizeFieldWeights, resolveFieldWeights, combineFieldSimilarities, rescoreCandidates, fieldBreakdown } = require('../utils/multiVector');
+
+describe('Multi-Vector Similarity', () => {
+    const weights = { bio: 0.5, niches: 0.3, values: 0.2 };
+
+    test('field weights are normalized and validated', () => {
+        expect(normalizeFieldWeights({ bio: 2, niches: 2 })).toEqual({ bio: 0.5, niches: 0.5, values: 0 });
+        // Off by default: only a request's fieldWeights turn field-by-field scoring on
+        expect(resolveFieldWeights(undefined)).toBeNull();
+        expect(resolveFieldWeights({ bio: 1 })).toEqual({ bio: 1, niches: 0, values: 0 });
+        expect(() => normalizeFieldWeights({ tone: 1 })).toThrow('Unknown fields: tone');
+        expect(() => normalizeFieldWeights({ bio: 0 })).toThrow(expect.objectContaining({ code: 'INVALID_FIELD_WEIGHTS' }));
+    });
+
+    test('fields missing on either side drop out of the weighted mean', () => {
+        const combined = combineFieldSimilarities(
+            { bio: [1, 0], niches: [0, 1] },
+            { bio: [1, 0], niches: [1, 0], values: [1, 1] },
+            weights
+        );
+
+        expect(combined.fields).toEqual({ bio: 1, niches: 0, values: null });
+        expect(combined.similarity).toBeCloseTo(0.5 / 0.8, 6);
+        expect(combineFieldSimilarities({ bio: [1, 0] }, {}, weights)).toBeNull();
+    });
+
+    test('candidates are rescored and re-sorted, keeping the combined score', () => {
+        const candidates = [{ id: 'a', score: 0.9 }, { id: 'b', score: 0.5 }, { id: 'c', score: 0.4 }];
+        const { candidates: rescored, rescored: count } = rescoreCandidates(
+            candidates,
+            { bio: [1, 0] },
+            { a: { bio: [0, 1] }, b: { bio: [1, 0] } },
+            weights
+        );
+
+        expect(count).toBe(2);
+        expect(rescored.map(match => match.id)).toEqual(['b', 'c', 'a']);
+        expect(rescored[0]).toMatchObject({ score: 1, combinedScore: 0.5 });
+        expect(rescored[1]).toEqual({ id: 'c', score: 0.4 });
+        expect(candidates[0].score).toBe(0.9);
+    });
+
+    test('the breakdown normalizes cosines like semantic similarity', () => {
+        expect(fieldBreakdown({ bio: 1, niches: 0, values: null })).toEqual({ bioSimilarity: 1, nicheSimilarity: 0.5, valueSimilarity: null });
+    });
+});
@@ -0,0 +1,61 @@
+const { parseReasoning, extractCompletedCreators, attachReasoning } = require('../utils/reasoning');
+const matcher = require('../utils/matcher');
+
+describe('Streamed reasoning extraction', () => {
+    const completion = JSON.stringify({
+        summary: 'Both fit.',
+        creators: [
+            { creatorId: 'a', rationale: 'Explains {braces} and "quotes" well', strengths: ['Clear'], risks: [] },
+            { creatorId: 'b', rationale: 'Strong finance audience', strengths: [], risks: ['Small reach'] }
+        ]
+    });
+
+    test('returns only the creator entries that are complete so far', () => {
+        const cutInsideSecond = completion.indexOf('Strong finance');
+
+        expect(extractCompletedCreators(completion.slice(0, 20))).toEqual([]);
+        expect(extractCompletedCreators(completion.slice(0, cutInsideSecond)).map(e => e.creatorId)).toEqual(['a']);
+        expect(extractCompletedCreators(completion).map(e => e.creatorId)).toEqual(['a', 'b']);
+    });
+
+    test('agrees with the final parse once the stream is complete', () => {
+        expect(extractCompletedCreators(completion)).toEqual(parseReasoning(completion).creators);
+    });
+
+    test('skips entries that fail validation', () => {
+        const partial = '{"creators": [{"creatorId": "a"}, {"creatorId": "b", "rationale": "Fine"}';
+
+        expect(extractCompletedCreators(partial).map(e => e.creatorId)).toEqual(['b']);
+    });
+});
+
+describe('Reasoning validation and fallback', () => {
+    test('extra strengths and risks are dropped instead of rejecting the payload', () => {
+        const points = ['One', 'Two', 'Three', 'Four', 'Five', 'Six'];
+        const parsed = parseReasoning(JSON.stringify({ creators: [{ creatorId: 'a', rationale: 'Fits', strengths: points, risks: points }] }));
+
+        expect(parsed.creators[0].strengths).toEqual(points.slice(0, 5));
+        expect(parsed.creators[0].risks).toHaveLength(5);
+    });
+
+    test('the rule-based fallback names matched niches and describes audience fit', () => {
+        const creator = {
+            uniqueId: 'saver',
+            region: 'US',
+            analysis: { primaryNiches: ['Budgeting'], secondaryNiches: [], apparentValues: [] }
+        };
+        // Budgeting counts towards Personal Finance through the taxonomy; Gaming is not covered
+        const match = matcher.calculateMatch(
+            { creatorNiches: ['Personal Finance', 'Gaming'], targetAudience: { locale: 'US' } },
+            creator,
+            0.5
+        );
+
+        const [{ reasoningDetails }] = attachReasoning([match], null).matches;
+
+        expect(reasoningDetails.source).toBe('fallback');
+        expect(reasoningDetails.strengths).toContain('Covers requested niche(s): Personal Finance');
+        expect(reasoningDetails.rationale).toMatch(/Personal Finance niche\(s\) and \d+% audience fit/);
+        expect(reasoningDetails.rationale).not.toMatch(/locale\.$|\d\.\d+ matching/);
+    });
+});
@@ -0,0 +1,84 @@
+const { hashAssignmentText, hasFreshEmbedding, rankAssignments } = require('../utils/reverseMatch');
+const matcher = require('../utils/matcher');
+
+describe('Reverse Matching', () => {
+    const scoring = matcher.resolveWeights({ weightProfile: 'balanced' });
+    const creator = {
+        uniqueId: 'civicbriefs',
+        nickname: 'Sam P.',
+        bio: 'Law explained. Partnered with Acorns.',
+        analysis: { primaryNiches: ['Law'] }
+    };
+    const createAssignment = (id, fields = {}) => ({ id, topic: id, keyTakeaway: 'Takeaway', additionalContext: 'Context', ...fields });
+
+    test('an embedding is only fresh for the text it was built from', () => {
+        const textHash = hashAssignmentText('Budgeting Save more Context');
+        const assignment = { embedding: { values: [0.1, 0.2], textHash } };
+
+        expect(hasFreshEmbedding(assignment, textHash)).toBe(true);
+        expect(hasFreshEmbedding(assignment, hashAssignmentText('Budgeting Save more Edited'))).toBe(false);
+        expect(hasFreshEmbedding({}, textHash)).toBe(false);
+    });
+
+    test('assignments are ordered by score with semantics from cached embeddings', () => {
+        const { ranked } = rankAssignments({
+            creator,
+            assignments: [
+                createAssignment('far', { embedding: { values: [0, 1] } }),
+                createAssignment('close', { embedding: { values: [1, 0] } }),
+                createAssignment('unembedded')
+            ],
+            creatorVector: [1, 0],
+            scoring
+        });
+
+        expect(ranked.map(entry => entry.assignmentId)).toEqual(['close', 'far', 'unembedded']);
+        expect(ranked[2].semanticSource).toBe('none');
+    });
+
+    test('assignments without an embedding rank after embedded ones whatever their score', () => {
+        const { ranked } = rankAssignments({
+            creator,
+            assignments: [
+                createAssignment('unembedded', { creatorNiches: ['Law'] }),
+                createAssignment('far', { embedding: { values: [-1, 0] } })
+            ],
+            creatorVector: [1, 0],
+            scoring
+        });
+
+        expect(ranked[0].matchScore).toBeLessThan(ranked[1].matchScore);
+        expect(ranked.map(entry => entry.assignmentId)).toEqual(['far', 'unembedded']);
+    });
+
+    test('disqualifying exclusions block the creator while penalize mode only lowers the score', () => {
+        const exclusions = { competitorBrands: ['Acorns'] };
+        const { ranked, ineligible } = rankAssignments({
+            creator,
+            assignments: [
+                createAssignment('strict', { exclusions: { ...exclusions, action: 'disqualify' } }),
+                createAssignment('lenient', { exclusions: { ...exclusions, action: 'penalize', penalty: 0.1 } })
+            ],
+            creatorVector: null,
+            scoring
+        });
+
+        expect(ineligible.map(entry => entry.assignmentId)).toEqual(['strict']);
+        expect(ineligible[0].blockers[0]).toMatchObject({ type: 'exclusion', name: 'competitorBrands' });
+        expect(ranked[0].assignmentId).toBe('lenient');
+        expect(ranked[0].scoreBreakdown.exclusionPenalty).toBe(0.1);
+        expect(ranked[0].exclusionHits).toHaveLength(1);
+    });
+
+    test('assignments whose stored rules no longer validate are reported, not scored', () => {
+        const { ranked, ineligible } = rankAssignments({
+            creator,
+            assignments: [createAssignment('broken', { constraints: { minFollowers: 10, maxFollowers: 5 } })],
+            creatorVector: null,
+            scoring
+        });
+
+        expect(ranked).toEqual([]);
+        expect(ineligible[0].blockers[0]).toMatchObject({ type: 'invalid', name: 'INVALID_CONSTRAINTS' });
+    });
+});
@@ -0,0 +1,95 @@
+const { normalizeRoster, buildRequirements, selectRoster } = require('../utils/roster');
+const matcher = require('../utils/matcher');
+
+describe('Roster Selection', () => {
+    const weights = matcher.resolveWeights({ weightProfile: 'balanced' }).weights;
+    const createMatch = (id, matchScore, { niches = [], region, values = [] } = {}) => ({
+        creator: { uniqueId: id, nickname: id, region, analysis: { primaryNiches: niches, apparentValues: values } },
+        matchScore
+    });
+
+    test('roster options default the relevance floor and reject values outside 0-1', () => {
+        expect(normalizeRoster(undefined)).toBeNull();
+        expect(normalizeRoster(true)).toEqual({ relevanceFloor: 0.75 });
+        expect(normalizeRoster({ relevanceFloor: 0.5 })).toEqual({ relevanceFloor: 0.5 });
+        expect(() => normalizeRoster({ relevanceFloor: 2 })).toThrow('relevanceFloor');
+        expect(() => normalizeRoster('yes')).toThrow();
+    });
+
+    test('each category shares its scoring weight across its requirements', () => {
+        const requirements = buildRequirements({
+            creatorNiches: ['Finance', 'Law'],
+            targetAudience: { locale: 'us' },
+            constraints: { allowedRegions: ['US', 'GB'] },
+            creatorValues: ['Transparency']
+        }, weights);
+
+        expect(requirements.map(r => `${r.type}:${r.name}`)).toEqual(['niche:Finance', 'niche:Law', 'locale:US', 'locale:GB', 'value:Transparency']);
+        expect(requirements[0].weight).toBeCloseTo(weights.nicheAlignment / 2);
+        expect(requirements[2].weight).toBeCloseTo(weights.audienceMatch / 2);
+        expect(requirements[4].weight).toBeCloseTo(weights.valueAlignment);
+    });
+
+    test('greedy picks cover regions before repeating one, then fill by relevance', () => {
+        const requirements = buildRequirements({ targetAudience: { locale: 'US' }, constraints: { allowedRegions: ['GB'] } }, weights);
+        const ranked = [
+            createMatch('us-1', 0.9, { region: 'US' }),
+            createMatch('us-2', 0.88, { region: 'US' }),
+            createMatch('gb-1', 0.8, { region: 'GB' }),
+            createMatch('us-3', 0.79, { region: 'US' })
+        ];
+
+        const { members, coverage } = selectRoster(ranked, requirements, { size: 3, relevanceFloor: 0.5 });
+
+        expect(members.map(m => m.creatorId)).toEqual(['us-1', 'gb-1', 'us-2']);
+        expect(members.map(m => m.selectedBy)).toEqual(['coverage', 'coverage', 'relevance']);
+        expect(coverage.score).toBe(1);
+        expect(coverage.requirements.find(r => r.name === 'GB').coveredBy).toEqual(['gb-1']);
+    });
+
+    test('the floor is taken from the best score, not the first ranked match', () => {
+        const requirements = buildRequirements({ creatorNiches: ['Finance'] }, weights);
+        // Niche-first ranking can put a lower score on top
+        const ranked = [
+            createMatch('finance', 0.5, { niches: ['Finance'] }),
+            createMatch('generalist', 0.9),
+            createMatch('weak', 0.6)
+        ];
+
+        const { members, coverage } = selectRoster(ranked, requirements, { size: 3, relevanceFloor: 0.75 });
+
+        expect(coverage.minScore).toBe(0.675);
+        expect(members.map(m => m.creatorId)).toEqual(['generalist']);
+    });
+
+    test('penalized creators are only picked once no clean creator is left', () => {
+        const requirements = buildRequirements({ creatorNiches: ['Finance', 'Law'] }, weights);
+        const penalized = createMatch('penalized', 0.8, { niches: ['Finance', 'Law'] });
+        penalized.penalized = true;
+        penalized.scoreBreakdown = { exclusionPenalty: 0.15 };
+        const ranked = [
+            createMatch('finance', 0.9, { niches: ['Finance'] }),
+            createMatch('plain', 0.85),
+            penalized
+        ];
+
+        const { members } = selectRoster(ranked, requirements, { size: 3, relevanceFloor: 0.5 });
+
+        expect(members.map(m => m.creatorId)).toEqual(['finance', 'plain', 'penalized']);
+        expect(members[2].selectedBy).toBe('coverage');
+    });
+
+    test('creators below the relevance floor are never picked', () => {
+        const requirements = buildRequirements({ creatorNiches: ['Finance', 'Law'] }, weights);
+        const ranked = [
+            createMatch('finance', 1, { niches: ['Finance'] }),
+            createMatch('law', 0.5, { niches: ['Law'] })
+        ];
+
+        const { members, coverage } = selectRoster(ranked, requirements, { size: 2, relevanceFloor: 0.75 });
+
+        expect(members.map(m => m.creatorId)).toEqual(['finance']);
+        expect(coverage.minScore).toBe(0.75);
+        expect(coverage.uncovered).toEqual([{ type: 'niche', name: 'Law' }]);
+    });
+});
@@ -7,6 +7,7 @@ const path = require('path');
 jest.mock('../../../shared/services/serviceManager', () => ({
     initialize: jest.fn().mockResolvedValue(true),
     generateEmbedding: jest.fn().mockResolvedValue(Array(1536).fill(0)),
+    generateEmbeddings: jest.fn().mockImplementation(texts => Promise.resolve(texts.map(() => Array(1536).fill(0)))),
     queryVectors: jest.fn().mockResolvedValue({
         matches: [
             { id: 'mindsovermoney', score: 0.9 },
@@ -16,6 +17,12 @@ jest.mock('../../../shared/services/serviceManager', () => ({
         ]
     }),
     generateCompletion: jest.fn().mockResolvedValue('Mocked AI reasoning/framing content.'),
+    streamCompletion: jest.fn().mockImplementation(async (prompt, options, onToken) => {
+        const text = 'Mocked streamed reasoning.';
+        text.split(' ').forEach(token => onToken(`${token} `));
+        return text;
+    }),
+    fetchVectors: jest.fn().mockResolvedValue({ records: {} }),
     getServiceHealth: jest.fn().mockResolvedValue({}),
     getOverallHealth: jest.fn().mockResolvedValue({ status: 'healthy' })
 }));
@@ -26,10 +33,10 @@ jest.mock('fs', () => ({
         readFile: jest.fn().mockImplementation((filePath) => {
             if (filePath.includes('creators.json')) {
                 return Promise.resolve(JSON.stringify({
-                    mindsovermoney: { uniqueId: 'mindsovermoney', nickname: 'Alex R.', analysis: { primaryNiches: ['Money'], summary: 'Summary' } },
-                    marketdecoded: { uniqueId: 'marketdecoded', nickname: 'Taylor K.', analysis: { primaryNiches: ['Finance'], summary: 'Summary' } },
-                    careercompass: { uniqueId: 'careercompass', nickname: 'Riley S.', analysis: { primaryNiches: ['Career'], summary: 'Summary' } },
-                    civicbriefs: { uniqueId: 'civicbriefs', nickname: 'Sam P.', analysis: { primaryNiches: ['Law'], summary: 'Summary' } }
+                    mindsovermoney: { uniqueId: 'mindsovermoney', nickname: 'Alex R.', topHashtags: ['#Budgeting', '#fyp'], rateCard: { pricePerDeliverable: 5000, currency: 'USD' }, analysis: { primaryNiches: ['Money'], summary: 'Summary' } },
+                    marketdecoded: { uniqueId: 'marketdecoded', nickname: 'Taylor K.', rateCard: { pricePerDeliverable: 2000, currency: 'USD' }, analysis: { primaryNiches: ['Finance'], summary: 'Summary' } },
+                    careercompass: { uniqueId: 'careercompass', nickname: 'Riley S.', rateCard: { pricePerDeliverable: 2500, currency: 'USD' }, analysis: { primaryNiches: ['Career'], summary: 'Summary', partnershipPotential: { considerations: ['Frequently covers sports betting promotions'] } } },
+                    civicbriefs: { uniqueId: 'civicbriefs', nickname: 'Sam P.', bio: 'Law explained. Partnered with Acorns.', analysis: { primaryNiches: ['Law'], summary: 'Summary' } }
                 }));
             }
             return Promise.reject(new Error('File not found'));
@@ -67,6 +74,503 @@ describe('Matching Service API Tests', () => {
         expect(scores[1]).toBeGreaterThanOrEqual(scores[2]);
     });
 
+    test('POST /matches echoes the default weight profile', async () => {
+        const response = await request(app)
+            .post('/matches')
+            .send({ assignment: mockAssignment })
+            .expect(200);
+
+        expect(response.body.data.scoring.profile).toBe('balanced');
+        expect(response.body.data.scoring.weights).toEqual({
+            semanticSimilarity: 0.55,
+            nicheAlignment: 0.2,
+            audienceMatch: 0.05,
+            valueAlignment: 0.05,
+            engagementFit: 0.05,
+            causeAlignment: 0.05,
+            hashtagOverlap: 0.05
+        });
+    });
+
+    test('POST /matches falls back to lexical relevance when vector search fails', async () => {
+        serviceManager.generateEmbedding.mockRejectedValueOnce(new Error('Throttled'));
+
+        const response = await request(app)
+            .post('/matches')
+            .send({ assignment: { topic: 'Tenant law explained', keyTakeaway: 'Know your lease', additionalContext: 'Renters' } })
+            .expect(200);
+
+        const { data } = response.body;
+        expect(data.isFallback).toBe(true);
+        expect(data.relevanceSource).toBe('lexical');
+        expect(data.matches[0].creator.uniqueId).toBe('civicbriefs');
+        // The best lexical match reports 1 and creators sharing no term with the brief 0
+        expect(data.matches[0].scoreBreakdown.semanticSimilarity).toBe(1);
+        expect(data.matches[1].scoreBreakdown.semanticSimilarity).toBe(0);
+    });
+
+    test('POST /matches in hybrid mode fuses exact-term hits with vector candidates', async () => {
+        const response = await request(app)
+            .post('/matches')
+            .send({ assignment: { topic: 'Acorns round-ups', keyTakeaway: 'Save spare change', additionalContext: 'App launch' }, retrieval: 'hybrid' })
+            .expect(200);
+
+        const { data } = response.body;
+        expect(data.relevanceSource).toBe('hybrid');
+        expect(data.retrieval).toMatchObject({ mode: 'hybrid', k: 60, vector: 4 });
+        // Fourth by vector similarity, but the only creator mentioning the brand
+        const civic = data.matches.find(match => match.creator.uniqueId === 'civicbriefs');
+        expect(civic.retrieval.ranks).toEqual({ vector: 4, lexical: 1 });
+        expect(data.matches[0].creator.uniqueId).toBe('civicbriefs');
+        // The fused relevance is reported as is, 1 for the best fused candidate
+        expect(civic.scoreBreakdown.semanticSimilarity).toBe(1);
+    });
+
+    test('POST /matches rejects an unknown retrieval mode', async () => {
+        const response = await request(app)
+            .post('/matches')
+            .send({ assignment: mockAssignment, retrieval: 'keyword' })
+            .expect(400);
+
+        expect(response.body.error).toBe('Invalid retrieval');
+    });
+
+    test('POST /matches scores candidates field by field where field vectors exist', async () => {
+        const fieldVectors = {
+            bio: { marketdecoded: [1, 0, 0] },
+            niches: { marketdecoded: [0, 1, 0], mindsovermoney: [0, 1, 0] },
+            values: { marketdecoded: [1, 0, 0] }
+        };
+        serviceManager.generateEmbedding.mockResolvedValueOnce([1, 0, 0]);
+        serviceManager.generateEmbeddings.mockResolvedValueOnce([[0, 1, 0], [0, 0, 1]]);
+        serviceManager.fetchVectors.mockImplementation((ids, { namespace }) => {
+            const records = {};
+            Object.entries(fieldVectors[namespace] || {}).forEach(([id, values]) => { records[id] = { id, values }; });
+            return Promise.resolve({ records });
+        });
+
+        try {
+            const response = await request(app)
+                .post('/matches')
+                .send({
+                    assignment: { ...mockAssignment, creatorNiches: ['Finance'], creatorValues: ['Trust'] },
+                    fieldWeights: { bio: 0.5, niches: 0.3, values: 0.2 },
+                    limit: 4
+                })
+                .expect(200);
+
+            const { data } = response.body;
+            expect(serviceManager.generateEmbeddings).toHaveBeenLastCalledWith(['Finance', 'Trust']);
+            expect(data.multiVector).toEqual({ fieldWeights: { bio: 0.5, niches: 0.3, values: 0.2 }, rescored: 2 });
+
+            const byId = Object.fromEntries(data.matches.map(match => [match.creator.uniqueId, match.scoreBreakdown]));
+            expect(byId.marketdecoded).toMatchObject({ bioSimilarity: 1, nicheSimilarity: 1, valueSimilarity: 0.5, semanticSimilarity: 0.9 });
+            // Only the niche vector is stored, so it alone decides the semantic score
+            expect(byId.mindsovermoney).toMatchObject({ bioSimilarity: null, nicheSimilarity: 1, semanticSimilarity: 1 });
+            expect(byId.careercompass.bioSimilarity).toBeUndefined();
+        } finally {
+            serviceManager.fetchVectors.mockReset();
+            serviceManager.fetchVectors.mockResolvedValue({ records: {} });
+        }
+    });
+
+    test('POST /matches only scores field by field when asked to', async () => {
+        serviceManager.generateEmbeddings.mockClear();
+        serviceManager.fetchVectors.mockClear();
+
+        const response = await request(app)
+            .post('/matches')
+            .send({ assignment: { ...mockAssignment, creatorNiches: ['Finance'], creatorValues: ['Trust'] } })
+            .expect(200);
+
+        expect(response.body.data.multiVector).toBeUndefined();
+        expect(serviceManager.generateEmbeddings).not.toHaveBeenCalled();
+        expect(serviceManager.fetchVectors).not.toHaveBeenCalled();
+    });
+
+    test('POST /matches rejects invalid field weights', async () => {
+        const response = await request(app)
+            .post('/matches')
+            .send({ assignment: mockAssignment, fieldWeights: { bio: -1 } })
+            .expect(400);
+
+        expect(response.body.error).toBe('Invalid field weights');
+    });
+
+    test('POST /matches normalizes explicit weights over a named profile', async () => {
+        const response = await request(app)
+            .post('/matches')
+            .send({
+                assignment: mockAssignment,
+                weightProfile: 'semantic-only',
+                weights: { semanticSimilarity: 3, nicheAlignment: 1 }
+            })
+            .expect(200);
+
+        const { scoring } = response.body.data;
+        expect(scoring.profile).toBe('semantic-only');
+        expect(scoring.custom).toBe(true);
+        expect(scoring.weights.semanticSimilarity).toBeCloseTo(0.75, 4);
+        expect(scoring.weights.nicheAlignment).toBeCloseTo(0.25, 4);
+    });
+
+    test('POST /matches rejects unknown profiles and invalid weights', async () => {
+        await request(app)
+            .post('/matches')
+            .send({ assignment: mockAssignment, weightProfile: 'does-not-exist' })
+            .expect(400);
+
+        const response = await request(app)
+            .post('/matches')
+            .send({ assignment: mockAssignment, weights: { semanticSimilarity: -1 } })
+            .expect(400);
+
+        expect(response.body.error).toBe('Invalid scoring weights');
+    });
+
+    test('POST /matches applies hard constraints and reports removals', async () => {
+        const response = await request(app)
+            .post('/matches')
+            .send({
+                assignment: {
+                    ...mockAssignment,
+                    constraints: {
+                        excludedCreatorIds: ['mindsovermoney'],
+                        requiredNiches: ['Finance', 'Career', 'Money']
+                    }
+                }
+            })
+            .expect(200);
+
+        const { matches, constraints } = response.body.data;
+        expect(matches.map(m => m.creator.uniqueId)).toEqual(
+            expect.arrayContaining(['marketdecoded', 'careercompass'])
+        );
+        expect(matches.map(m => m.creator.uniqueId)).not.toContain('mindsovermoney');
+        expect(matches.map(m => m.creator.uniqueId)).not.toContain('civicbriefs');
+        expect(constraints.removed).toEqual({ excludedCreatorIds: 1, requiredNiches: 1 });
+        expect(constraints.eligible).toBe(2);
+
+        // Required niches are expanded through the taxonomy before being pushed down
+        const [, , filter] = serviceManager.queryVectors.mock.calls.at(-1);
+        const accepted = filter.$or[0].primaryNiches.$in;
+        expect(filter.$or[1].secondaryNiches.$in).toEqual(accepted);
+        expect(accepted).toEqual(expect.arrayContaining(['Finance', 'Career', 'Money', 'Personal Finance', 'Recruiting']));
+    });
+
+    test('POST /matches gives partial niche credit through the taxonomy', async () => {
+        const response = await request(app)
+            .post('/matches')
+            .send({
+                assignment: { ...mockAssignment, creatorNiches: ['Personal Finance'] },
+                weightProfile: 'niche-first',
+                limit: 4
+            })
+            .expect(200);
+
+        const byId = Object.fromEntries(response.body.data.matches.map(m => [m.creator.uniqueId, m]));
+        // "Money" is an alias of Finance, the parent of Personal Finance
+        expect(byId.mindsovermoney.scoreBreakdown.nicheAlignment).toBe(0.5);
+        expect(byId.marketdecoded.scoreBreakdown.nicheAlignment).toBe(0.5);
+        expect(byId.careercompass.scoreBreakdown.nicheAlignment).toBe(0);
+    });
+
+    test('POST /matches surfaces matched hashtags against assignment or topic hashtags', async () => {
+        const explicit = await request(app)
+            .post('/matches')
+            .send({ assignment: { ...mockAssignment, hashtags: ['#budgeting', 'FYP'] }, limit: 4 })
+            .expect(200);
+
+        // Generic reach tags like #fyp never count as overlap
+        expect(explicit.body.data.hashtags).toEqual({ hashtags: ['budgeting'], source: 'assignment' });
+        const byId = Object.fromEntries(explicit.body.data.matches.map(m => [m.creator.uniqueId, m]));
+        expect(byId.mindsovermoney.matchedHashtags).toEqual(['#budgeting']);
+        expect(byId.mindsovermoney.scoreBreakdown.hashtagOverlap).toBe(1);
+        expect(byId.marketdecoded.matchedHashtags).toEqual([]);
+
+        const derived = await request(app)
+            .post('/matches')
+            .send({ assignment: { ...mockAssignment, topic: 'Budgeting basics' } })
+            .expect(200);
+
+        expect(derived.body.data.hashtags.source).toBe('topic');
+        expect(derived.body.data.hashtags.hashtags).toEqual(expect.arrayContaining(['budgeting', 'basics', 'budgetingbasics']));
+    });
+
+    test('POST /matches rejects invalid constraints', async () => {
+        const response = await request(app)
+            .post('/matches')
+            .send({
+                assignment: { ...mockAssignment, constraints: { minFollowers: 5000, maxFollowers: 100 } }
+            })
+            .expect(400);
+
+        expect(response.body.error).toBe('Invalid constraints');
+    });
+
+    test('POST /matches disqualifies creators that conflict with exclusions and explains why', async () => {
+        const response = await request(app)
+            .post('/matches')
+            .send({
+                assignment: {
+                    ...mockAssignment,
+                    exclusions: { competitorBrands: ['Acorns'], sensitiveTopics: ['betting'] }
+                }
+            })
+            .expect(200);
+
+        const { matches, exclusions } = response.body.data;
+        const ids = matches.map(m => m.creator.uniqueId);
+        expect(ids).not.toContain('civicbriefs');
+        expect(ids).not.toContain('careercompass');
+
+        expect(exclusions.action).toBe('disqualify');
+        const byId = Object.fromEntries(exclusions.excluded.map(entry => [entry.creatorId, entry.reasons]));
+        expect(byId.civicbriefs[0]).toMatchObject({ category: 'competitorBrands', term: 'Acorns', field: 'bio' });
+        expect(byId.careercompass[0]).toMatchObject({ category: 'sensitiveTopics', term: 'betting', field: 'considerations' });
+        expect(byId.careercompass[0].reason).toMatch(/betting/);
+    });
+
+    test('POST /matches penalizes conflicting creators instead of removing them', async () => {
+        const response = await request(app)
+            .post('/matches')
+            .send({
+                assignment: {
+                    ...mockAssignment,
+                    exclusions: { negativeKeywords: ['budgeting'], action: 'penalize', penalty: 0.5 }
+                },
+                limit: 4
+            })
+            .expect(200);
+
+        const { matches, exclusions } = response.body.data;
+        const penalized = matches.find(m => m.creator.uniqueId === 'mindsovermoney');
+        expect(penalized.scoreBreakdown.exclusionPenalty).toBeGreaterThan(0);
+        expect(penalized.reasoningDetails.risks.some(risk => risk.includes('budgeting'))).toBe(true);
+        expect(exclusions.excluded).toHaveLength(0);
+        expect(exclusions.penalized.map(entry => entry.creatorId)).toEqual(['mindsovermoney']);
+
+        expect(matches[matches.length - 1].creator.uniqueId).toBe('mindsovermoney');
+    });
+
+    test('POST /matches rejects invalid exclusions', async () => {
+        const response = await request(app)
+            .post('/matches')
+            .send({ assignment: { ...mockAssignment, exclusions: { action: 'ignore' } } })
+            .expect(400);
+
+        expect(response.body.error).toBe('Invalid exclusions');
+        expect(response.body.details[0].field).toBe('action');
+    });
+
+    test('POST /matches/explain ranks a creator and shows what it would take to reach the top N', async () => {
+        const response = await request(app)
+            .post('/matches/explain')
+            .send({ assignment: mockAssignment, creatorId: 'civicbriefs', topN: 2 })
+            .expect(200);
+
+        const { data } = response.body;
+        expect(data.eligible).toBe(true);
+        expect(data.rank).toBe(4);
+        expect(data.totalCandidates).toBe(4);
+        expect(data.inTopN).toBe(false);
+        expect(data.cutoff).toMatchObject({ rank: 2, creatorId: 'marketdecoded' });
+        expect(data.comparison[0].component).toBe('semanticSimilarity');
+        expect(data.match.scoreBreakdown).toBeDefined();
+
+        const semanticGap = data.gaps.find(gap => gap.component === 'semanticSimilarity');
+        expect(semanticGap.reachable).toBe(true);
+        expect(semanticGap.change).toBeGreaterThan(0);
+        expect(data.gaps.find(gap => gap.component === 'nicheAlignment').reachable).toBe(false);
+    });
+
+    test('POST /matches/explain reports the constraint that removes a creator', async () => {
+        const response = await request(app)
+            .post('/matches/explain')
+            .send({
+                assignment: { ...mockAssignment, constraints: { excludedCreatorIds: ['mindsovermoney'] } },
+                creatorId: 'mindsovermoney'
+            })
+            .expect(200);
+
+        expect(response.body.data.eligible).toBe(false);
+        expect(response.body.data.blockers).toEqual([
+            expect.objectContaining({ type: 'constraint', name: 'excludedCreatorIds' })
+        ]);
+    });
+
+    test('POST /matches/explain retrieves the same candidate pool as POST /matches', async () => {
+        serviceManager.generateEmbedding.mockResolvedValueOnce(Array(1536).fill(1));
+        serviceManager.queryVectors.mockResolvedValueOnce({
+            matches: [
+                { id: 'mindsovermoney', score: 0.9 },
+                { id: 'marketdecoded', score: 0.85 },
+                { id: 'careercompass', score: 0.8 }
+            ]
+        });
+        serviceManager.fetchVectors.mockResolvedValueOnce({ records: { civicbriefs: { values: Array(1536).fill(1) } } });
+
+        const response = await request(app)
+            .post('/matches/explain')
+            .send({ assignment: mockAssignment, creatorId: 'civicbriefs', candidatePool: 3 })
+            .expect(200);
+
+        expect(serviceManager.queryVectors.mock.calls.at(-1)[1]).toBe(3);
+        expect(serviceManager.fetchVectors).toHaveBeenLastCalledWith(['civicbriefs']);
+
+        const { data } = response.body;
+        expect(data.eligible).toBe(false);
+        expect(data.blockers).toEqual([
+            expect.objectContaining({ type: 'retrieval', name: 'notRetrieved' })
+        ]);
+        expect(data.blockers[0].reason).toContain('3 vector search candidates');
+        // Scored against its stored vector and ranked among the retrieved creators only
+        expect(data.match.scoreBreakdown.semanticSimilarity).toBe(1);
+        expect(data.totalCandidates).toBe(4);
+    });
+
+    test('POST /matches/explain rejects roster and budget selection', async () => {
+        const roster = await request(app)
+            .post('/matches/explain')
+            .send({ assignment: mockAssignment, creatorId: 'civicbriefs', roster: { relevanceFloor: 0 } })
+            .expect(400);
+        expect(roster.body.error).toBe('Invalid roster');
+
+        const budget = await request(app)
+            .post('/matches/explain')
+            .send({ assignment: { ...mockAssignment, budget: { total: 5000 } }, creatorId: 'civicbriefs' })
+            .expect(400);
+        expect(budget.body.error).toBe('Invalid budget');
+    });
+
+    test('POST /matches/explain validates the creator and topN', async () => {
+        await request(app).post('/matches/explain').send({ assignment: mockAssignment }).expect(400);
+        await request(app).post('/matches/explain').send({ assignment: mockAssignment, creatorId: 'civicbriefs', topN: 0 }).expect(400);
+
+        const response = await request(app)
+            .post('/matches/explain')
+            .send({ assignment: mockAssignment, creatorId: 'nobody' })
+            .expect(404);
+
+        expect(response.body.error).toBe('Creator not found');
+    });
+
+    test('POST /matches pages through ranked candidates', async () => {
+        const firstPage = await request(app)
+            .post('/matches')
+            .send({ assignment: mockAssignment, limit: 2, candidatePool: 20 })
+            .expect(200);
+
+        expect(serviceManager.queryVectors.mock.calls.at(-1)[1]).toBe(20);
+        expect(firstPage.body.data.matches).toHaveLength(2);
+        expect(firstPage.body.data.pagination).toEqual(expect.objectContaining({
+            offset: 0,
+            limit: 2,
+            returned: 2,
+            totalCandidates: 4,
+            hasMore: true,
+            nextOffset: 2
+        }));
+
+        const secondPage = await request(app)
+            .post('/matches')
+            .send({ assignment: mockAssignment, limit: 2, offset: 2 })
+            .expect(200);
+
+        expect(secondPage.body.data.pagination.hasMore).toBe(false);
+        const firstIds = firstPage.body.data.matches.map(m => m.creator.uniqueId);
+        secondPage.body.data.matches.forEach(m => {
+            expect(firstIds).not.toContain(m.creator.uniqueId);
+        });
+    });
+
+    test('POST /matches rejects out of range paging parameters', async () => {
+        await request(app)
+            .post('/matches')
+            .send({ assignment: mockAssignment, limit: 26 })
+            .expect(400);
+
+        await request(app)
+            .post('/matches')
+            .send({ assignment: mockAssignment, offset: -1 })
+            .expect(400);
+    });
+
+    test('POST /matches applies diversity reranking and exposes the penalty', async () => {
+        const response = await request(app)
+            .post('/matches')
+            .send({ assignment: mockAssignment, diversity: 0.3 })
+            .expect(200);
+
+        expect(serviceManager.queryVectors.mock.calls.at(-1)[3]).toEqual({ includeValues: true });
+        expect(response.body.data.diversity).toBe(0.3);
+        response.body.data.matches.forEach(m => {
+            expect(m.scoreBreakdown.diversityPenalty).toBeGreaterThanOrEqual(0);
+        });
+
+        await request(app)
+            .post('/matches')
+            .send({ assignment: mockAssignment, diversity: 2 })
+            .expect(400);
+    });
+
+    test('POST /matches attaches structured per-creator reasoning from the model', async () => {
+        serviceManager.generateCompletion.mockResolvedValueOnce('```json\n' + JSON.stringify({
+            summary: 'Finance creators lead.',
+            creators: [
+                { creatorId: 'mindsovermoney', rationale: 'Explains money psychology.', strengths: ['Clear explainers'], risks: ['Niche audience'] },
+                { creatorId: 'unknown-creator', rationale: 'Ignored.' }
+            ]
+        }) + '\n```');
+
+        const response = await request(app)
+            .post('/matches')
+            .send({ assignment: mockAssignment })
+            .expect(200);
+
+        const { matches, reasoning, reasoningSource } = response.body.data;
+        expect(reasoning).toBe('Finance creators lead.');
+        expect(reasoningSource).toBe('ai');
+
+        const alex = matches.find(m => m.creator.uniqueId === 'mindsovermoney');
+        expect(alex.reasoning).toBe('Explains money psychology.');
+        expect(alex.reasoningDetails).toEqual({
+            rationale: 'Explains money psychology.',
+            strengths: ['Clear explainers'],
+            risks: ['Niche audience'],
+            source: 'ai'
+        });
+
+        matches.filter(m => m.creator.uniqueId !== 'mindsovermoney').forEach(m => {
+            expect(m.reasoningDetails.source).toBe('fallback');
+            expect(m.reasoning).toMatch(/^Match based on/);
+        });
+    });
+
+    test('POST /matches falls back to rule-based reasoning when the model output is not JSON', async () => {
+        const response = await request(app)
+            .post('/matches')
+            .send({ assignment: mockAssignment })
+            .expect(200);
+
+        expect(response.body.data.reasoningSource).toBe('fallback');
+        response.body.data.matches.forEach(m => {
+            expect(m.reasoningDetails.source).toBe('fallback');
+            expect(m.reasoning).toBeDefined();
+        });
+    });
+
+    test('GET /matches/profiles lists configured profiles', async () => {
+        const response = await request(app)
+            .get('/matches/profiles')
+            .expect(200);
+
+        expect(response.body.defaultProfile).toBe('balanced');
+        expect(response.body.profiles.map(p => p.name)).toEqual(
+            expect.arrayContaining(['balanced', 'niche-first', 'audience-first', 'semantic-only'])
+        );
+    });
+
     test('POST /matches/framing returns content framing', async () => {
         const response = await request(app)
             .post('/matches/framing')
@@ -78,4 +582,447 @@ describe('Matching Service API Tests', () => {
 
         expect(response.body.framing).toBeDefined();
     });
+
+    describe('framing persistence', () => {
+        const originalFetch = global.fetch;
+        const assignmentId = '507f1f77bcf86cd799439011';
+        const creator = { uniqueId: 'mindsovermoney', nickname: 'Alex R.', bio: 'Bio' };
+
+        const jsonResponse = (body) => ({ ok: true, status: 200, json: () => Promise.resolve(body) });
+
+        beforeEach(() => {
+            process.env.ASSIGNMENT_SERVICE_URL = 'http://assignment-service:3001';
+        });
+
+        afterEach(() => {
+            delete process.env.ASSIGNMENT_SERVICE_URL;
+            global.fetch = originalFetch;
+        });
+
+        test('POST /matches/framing returns the cached framing without regenerating', async () => {
+            global.fetch = jest.fn().mockResolvedValue(jsonResponse({
+                success: true,
+                data: { matchResults: [{ creatorId: 'mindsovermoney', framingSuggestion: 'Stored framing' }] }
+            }));
+            serviceManager.generateCompletion.mockClear();
+
+            const response = await request(app)
+                .post('/matches/framing')
+                .send({ assignment: mockAssignment, creator, assignmentId })
+                .expect(200);
+
+            expect(response.body.framing).toBe('Stored framing');
+            expect(response.body.cached).toBe(true);
+            expect(serviceManager.generateCompletion).not.toHaveBeenCalled();
+        });
+
+        test('POST /matches/framing generates and persists framing on a cache miss', async () => {
+            global.fetch = jest.fn()
+                .mockResolvedValueOnce(jsonResponse({ success: true, data: { matchResults: [{ creatorId: 'mindsovermoney' }] } }))
+                .mockResolvedValueOnce(jsonResponse({ success: true }));
+
+            const response = await request(app)
+                .post('/matches/framing')
+                .send({ assignment: mockAssignment, creator, assignmentId })
+                .expect(200);
+
+            expect(response.body.cached).toBe(false);
+            expect(response.body.persisted).toBe(true);
+
+            const [url, options] = global.fetch.mock.calls[1];
+            expect(url).toBe(`http://assignment-service:3001/assignments/${assignmentId}/matches/mindsovermoney/framing`);
+            expect(options.method).toBe('PATCH');
+            expect(JSON.parse(options.body).framingSuggestion).toBe(response.body.framing);
+        });
+    });
+
+    describe('batch matching', () => {
+        const originalFetch = global.fetch;
+        const jsonResponse = (body, status = 200) => ({ ok: status < 400, status, json: () => Promise.resolve(body) });
+
+        afterEach(() => {
+            delete process.env.ASSIGNMENT_SERVICE_URL;
+            global.fetch = originalFetch;
+        });
+
+        test('POST /matches/batch embeds once and returns per-assignment results and errors', async () => {
+            serviceManager.generateEmbeddings.mockClear();
+            serviceManager.queryVectors.mockClear();
+
+            const response = await request(app)
+                .post('/matches/batch')
+                .send({
+                    assignments: [
+                        mockAssignment,
+                        { ...mockAssignment, topic: 'Careers', constraints: { minFollowers: 5000, maxFollowers: 100 } },
+                        { ...mockAssignment, topic: 'Budgeting' }
+                    ],
+                    limit: 2
+                })
+                .expect(200);
+
+            const { results, summary } = response.body.data;
+            expect(summary).toEqual({ total: 3, succeeded: 2, failed: 1, persisted: 0 });
+            expect(results.map(r => r.index)).toEqual([0, 1, 2]);
+            expect(results[0].data.matches).toHaveLength(2);
+            expect(results[1]).toMatchObject({ success: false, status: 400, error: 'Invalid constraints' });
+            expect(results[2].data.assignment.topic).toBe('Budgeting');
+
+            expect(serviceManager.generateEmbeddings).toHaveBeenCalledTimes(1);
+            expect(serviceManager.generateEmbeddings.mock.calls[0][0]).toHaveLength(2);
+            expect(serviceManager.queryVectors).toHaveBeenCalledTimes(2);
+        });
+
+        test('POST /matches/batch embeds field texts in the same single call', async () => {
+            serviceManager.generateEmbedding.mockClear();
+            serviceManager.generateEmbeddings.mockClear();
+
+            const response = await request(app)
+                .post('/matches/batch')
+                .send({
+                    assignments: [
+                        { ...mockAssignment, creatorNiches: ['Finance'], creatorValues: ['Trust'] },
+                        { ...mockAssignment, topic: 'Tenancy', creatorNiches: ['Law'] }
+                    ],
+                    fieldWeights: { bio: 0.5, niches: 0.3, values: 0.2 }
+                })
+                .expect(200);
+
+            const { results } = response.body.data;
+            expect(results.every(result => result.success && result.data.multiVector)).toBe(true);
+            expect(serviceManager.generateEmbedding).not.toHaveBeenCalled();
+            expect(serviceManager.generateEmbeddings).toHaveBeenCalledTimes(1);
+            const texts = serviceManager.generateEmbeddings.mock.calls[0][0];
+            expect(texts).toHaveLength(5);
+            expect(texts.slice(1, 3)).toEqual(['Finance', 'Trust']);
+            expect(texts[4]).toBe('Law');
+        });
+
+        test('POST /matches/batch loads assignment ids and persists each result', async () => {
+            process.env.ASSIGNMENT_SERVICE_URL = 'http://assignment-service:3001';
+            global.fetch = jest.fn().mockImplementation((url, options = {}) => {
+                if (url.endsWith('/assignments/missing')) {
+                    return Promise.resolve(jsonResponse({ success: false, error: 'Assignment not found' }, 404));
+                }
+                if (options.method === 'GET') {
+                    return Promise.resolve(jsonResponse({ success: true, data: { ...mockAssignment, id: 'a1', matchResults: [] } }));
+                }
+                return Promise.resolve(jsonResponse({ success: true }));
+            });
+
+            const response = await request(app)
+                .post('/matches/batch')
+                .send({ assignments: ['a1', 'missing'] })
+                .expect(200);
+
+            const [found, missing] = response.body.data.results;
+            expect(found).toMatchObject({ assignmentId: 'a1', success: true, persisted: true });
+            expect(found.data.assignment.matchResults).toBeUndefined();
+            expect(missing).toMatchObject({ assignmentId: 'missing', success: false, status: 404, error: 'Assignment not found' });
+
+            const patch = global.fetch.mock.calls.find(([, options]) => options.method === 'PATCH');
+            expect(patch[0]).toBe('http://assignment-service:3001/assignments/a1/matches');
+            expect(JSON.parse(patch[1].body).matchResults).toHaveLength(3);
+        });
+
+        test('POST /matches/batch falls back per assignment when batch embedding fails', async () => {
+            serviceManager.generateEmbeddings.mockRejectedValueOnce(new Error('Throttled'));
+
+            const response = await request(app)
+                .post('/matches/batch')
+                .send({ assignments: [mockAssignment] })
+                .expect(200);
+
+            expect(response.body.data.results[0].data.isFallback).toBe(true);
+        });
+
+        test('POST /matches/batch rejects empty or oversized batches', async () => {
+            await request(app).post('/matches/batch').send({ assignments: [] }).expect(400);
+
+            const response = await request(app)
+                .post('/matches/batch')
+                .send({ assignments: Array(51).fill(mockAssignment) })
+                .expect(400);
+
+            expect(response.body.error).toBe('Invalid batch');
+        });
+    });
+
+    describe('streaming', () => {
+        // Collects the raw SSE body and splits it into { event, data } frames
+        const readEvents = (req) => req
+            .buffer(true)
+            .parse((res, callback) => {
+                let body = '';
+                res.on('data', chunk => { body += chunk; });
+                res.on('end', () => callback(null, body));
+            })
+            .then(response => ({
+                response,
+                events: response.body.trim().split('\n\n').map(frame => {
+                    const [eventLine, dataLine] = frame.split('\n');
+                    return { event: eventLine.replace('event: ', ''), data: JSON.parse(dataLine.replace('data: ', '')) };
+                })
+            }));
+
+        test('POST /matches/stream emits stages, ranked matches before reasoning, then the result', async () => {
+            const completion = JSON.stringify({
+                summary: 'Streamed summary',
+                creators: [{ creatorId: 'mindsovermoney', rationale: 'Streamed rationale', strengths: ['Budgeting'], risks: [] }]
+            });
+            serviceManager.streamCompletion.mockImplementationOnce(async (prompt, options, onToken) => {
+                for (let i = 0; i < completion.length; i += 20) onToken(completion.slice(i, i + 20));
+                return completion;
+            });
+
+            const { response, events } = await readEvents(request(app).post('/matches/stream').send({ assignment: mockAssignment }));
+
+            expect(response.headers['content-type']).toMatch(/text\/event-stream/);
+            const names = events.map(e => e.event);
+            expect(names.slice(0, 4)).toEqual(['embedding', 'search', 'candidates', 'ranked']);
+            expect(names.indexOf('token')).toBeGreaterThan(names.indexOf('ranked'));
+            expect(names[names.length - 1]).toBe('result');
+
+            const ranked = events.find(e => e.event === 'ranked').data;
+            expect(ranked.matches).toHaveLength(3);
+            expect(ranked.matches[0].reasoningDetails).toBeUndefined();
+
+            const reasoning = events.filter(e => e.event === 'reasoning');
+            expect(reasoning).toHaveLength(1);
+            expect(reasoning[0].data).toMatchObject({ creatorId: 'mindsovermoney', reasoning: 'Streamed rationale' });
+            expect(names.indexOf('reasoning')).toBeLessThan(names.indexOf('result'));
+
+            const result = events[events.length - 1].data;
+            expect(result.reasoning).toBe('Streamed summary');
+            expect(result.reasoningSource).toBe('ai');
+        });
+
+        test('POST /matches/stream rejects invalid requests before opening the stream', async () => {
+            const response = await request(app)
+                .post('/matches/stream')
+                .send({ assignment: { ...mockAssignment, constraints: { minFollowers: 5000, maxFollowers: 100 } } })
+                .expect(400);
+
+            expect(response.body.error).toBe('Invalid constraints');
+        });
+    });
+
+    describe('roster mode', () => {
+        test('POST /matches with roster picks complementary creators over the individually best', async () => {
+            const response = await request(app)
+                .post('/matches')
+                .send({ assignment: { ...mockAssignment, creatorNiches: ['Finance', 'Law'] }, roster: { relevanceFloor: 0 }, limit: 2 })
+                .expect(200);
+
+            const { data } = response.body;
+            expect(data.matches.map(m => m.creator.uniqueId)).toEqual(['mindsovermoney', 'civicbriefs']);
+            expect(data.roster.members[1].contributes).toEqual([{ type: 'niche', name: 'Law', credit: 1, added: 1 }]);
+            expect(data.roster.coverage.score).toBe(1);
+            expect(data.roster.coverage.uncovered).toEqual([]);
+            expect(data.pagination.hasMore).toBe(false);
+        });
+
+        test('POST /matches with roster reports requirements nobody covers', async () => {
+            const response = await request(app)
+                .post('/matches')
+                .send({ assignment: { ...mockAssignment, creatorNiches: ['Finance', 'Gardening'] }, roster: true })
+                .expect(200);
+
+            expect(response.body.data.roster.coverage.uncovered).toEqual([{ type: 'niche', name: 'Gardening' }]);
+            expect(response.body.data.roster.coverage.score).toBe(0.5);
+        });
+
+        test('POST /matches rejects roster combined with diversity', async () => {
+            const response = await request(app)
+                .post('/matches')
+                .send({ assignment: mockAssignment, roster: true, diversity: 0.5 })
+                .expect(400);
+
+            expect(response.body.error).toBe('Invalid roster');
+        });
+    });
+
+    describe('budget selection', () => {
+        test('POST /matches with a budget returns the best affordable combination and its spend', async () => {
+            const response = await request(app)
+                .post('/matches')
+                .send({ assignment: { ...mockAssignment, budget: { total: 5000, currency: 'USD' } } })
+                .expect(200);
+
+            const { data } = response.body;
+            expect(data.matches.map(m => m.creator.uniqueId)).toEqual(['marketdecoded', 'careercompass']);
+            expect(data.budget).toMatchObject({ total: 5000, currency: 'USD', deliverables: 1, spent: 4500, remaining: 500, priced: 3 });
+            expect(data.budget.lineItems.map(item => item.cost)).toEqual([2000, 2500]);
+            expect(data.budget.unpriced).toEqual([{ creatorId: 'civicbriefs', nickname: 'Sam P.', reason: 'No rate card' }]);
+            expect(data.pagination.hasMore).toBe(false);
+        });
+
+        test('POST /matches explains an empty selection when nothing fits the budget', async () => {
+            const response = await request(app)
+                .post('/matches')
+                .send({ assignment: { ...mockAssignment, budget: { total: 1000, deliverables: 2 } } })
+                .expect(200);
+
+            expect(response.body.data.matches).toEqual([]);
+            expect(response.body.data.budget.overBudget).toBe(3);
+            expect(response.body.data.reasoning).toBe('No priced creator fits within the budget.');
+        });
+
+        test('POST /matches rejects an invalid budget', async () => {
+            const response = await request(app)
+                .post('/matches')
+                .send({ assignment: { ...mockAssignment, budget: { total: -10 } } })
+                .expect(400);
+
+            expect(response.body.error).toBe('Invalid budget');
+            expect(response.body.details[0].field).toBe('total');
+        });
+    });
+
+    describe('reverse matching', () => {
+        const originalFetch = global.fetch;
+        const { hashAssignmentText } = require('../utils/reverseMatch');
+        const jsonResponse = (body, status = 200) => ({ ok: status < 400, status, json: () => Promise.resolve(body) });
+        const textHash = (assignment) => hashAssignmentText(`${assignment.topic} ${assignment.keyTakeaway} ${assignment.additionalContext}`);
+
+        const budgeting = { id: 'a1', status: 'pending', topic: 'Budgeting', keyTakeaway: 'Save more', additionalContext: 'Context', creatorNiches: ['Money'] };
+        const legal = { id: 'a2', status: 'processing', topic: 'Tenant rights', keyTakeaway: 'Know the law', additionalContext: 'Context' };
+        const largeOnly = { id: 'a3', status: 'pending', topic: 'Launch', keyTakeaway: 'Reach', additionalContext: 'Context', constraints: { minFollowers: 1000000 } };
+
+        const mockAssignmentService = (assignments) => {
+            global.fetch = jest.fn().mockImplementation((url, options = {}) => {
+                if (options.method === 'GET') {
+                    // A fresh copy per response, as over HTTP, so embeddings filled in place do not leak between tests
+                    return Promise.resolve(jsonResponse({ success: true, data: structuredClone(assignments), pagination: { hasMore: false } }));
+                }
+                return Promise.resolve(jsonResponse({ success: true }));
+            });
+        };
+
+        beforeEach(() => {
+            process.env.ASSIGNMENT_SERVICE_URL = 'http://assignment-service:3001';
+            serviceManager.generateEmbeddings.mockClear();
+        });
+
+        afterEach(() => {
+            delete process.env.ASSIGNMENT_SERVICE_URL;
+            global.fetch = originalFetch;
+        });
+
+        test('GET /creators/:id/assignments ranks open assignments and embeds stale ones without writing them back', async () => {
+            serviceManager.fetchVectors.mockResolvedValueOnce({ records: { mindsovermoney: { id: 'mindsovermoney', values: [1, 0, 0] } } });
+            serviceManager.generateEmbeddings.mockResolvedValueOnce([[0, 1, 0], [1, 0, 0]]);
+            mockAssignmentService([
+                { ...budgeting, embedding: { values: [1, 0, 0], textHash: textHash(budgeting) } },
+                legal,
+                largeOnly
+            ]);
+
+            const response = await request(app)
+                .get('/creators/mindsovermoney/assignments')
+                .expect(200);
+
+            const { data } = response.body;
+            expect(data.vectorSource).toBe('stored');
+            expect(data.isFallback).toBe(false);
+            expect(data.assignments.map(a => a.assignmentId)).toEqual(['a1', 'a2']);
+            expect(data.assignments[0].scoreBreakdown.semanticSimilarity).toBe(1);
+            expect(data.assignments[1].scoreBreakdown.semanticSimilarity).toBe(0.5);
+            expect(data.ineligible).toHaveLength(1);
+            expect(data.ineligible[0]).toMatchObject({ assignmentId: 'a3', blockers: [{ type: 'constraint', name: 'followerRange' }] });
+            expect(data.embeddings).toEqual({ cached: 1, generated: 2, persisted: 0 });
+
+            // Only stale assignments are embedded, in a single call
+            expect(serviceManager.generateEmbeddings).toHaveBeenCalledTimes(1);
+            expect(serviceManager.generateEmbeddings.mock.calls[0][0]).toHaveLength(2);
+
+            const [listUrl] = global.fetch.mock.calls[0];
+            expect(listUrl).toContain('/assignments/open?include=embedding');
+            expect(global.fetch.mock.calls.filter(([, options]) => options.method !== 'GET')).toHaveLength(0);
+        });
+
+        test('GET /creators/:id/assignments ranks assignments it could not embed after embedded ones', async () => {
+            serviceManager.fetchVectors.mockResolvedValueOnce({ records: { mindsovermoney: { id: 'mindsovermoney', values: [1, 0, 0] } } });
+            serviceManager.generateEmbeddings.mockRejectedValueOnce(new Error('Embedding service down'));
+            mockAssignmentService([
+                budgeting,
+                { ...legal, embedding: { values: [-1, 0, 0], textHash: textHash(legal) } }
+            ]);
+
+            const response = await request(app)
+                .get('/creators/mindsovermoney/assignments')
+                .expect(200);
+
+            const { data } = response.body;
+            expect(data.assignments.map(a => [a.assignmentId, a.semanticSource])).toEqual([['a2', 'embedding'], ['a1', 'none']]);
+            expect(data.embeddings).toEqual({ cached: 1, generated: 0, persisted: 0 });
+        });
+
+        test('POST /matches/assignment-embeddings/refresh caches embeddings for stale open assignments', async () => {
+            mockAssignmentService([
+                { ...budgeting, embedding: { values: [1, 0, 0], textHash: textHash(budgeting) } },
+                legal,
+                largeOnly
+            ]);
+            serviceManager.generateEmbeddings.mockResolvedValueOnce([[0, 1, 0], [1, 0, 0]]);
+
+            const response = await request(app)
+                .post('/matches/assignment-embeddings/refresh')
+                .expect(200);
+
+            expect(response.body.data).toEqual({ totalOpen: 3, embeddings: { cached: 1, generated: 2, persisted: 2 } });
+            const puts = global.fetch.mock.calls.filter(([, options]) => options.method === 'PUT');
+            expect(puts.map(([url]) => url)).toEqual([
+                'http://assignment-service:3001/assignments/a2/embedding',
+                'http://assignment-service:3001/assignments/a3/embedding'
+            ]);
+            expect(JSON.parse(puts[0][1].body)).toEqual({ values: [0, 1, 0], textHash: textHash(legal) });
+
+            delete process.env.ASSIGNMENT_SERVICE_URL;
+            const unconfigured = await request(app).post('/matches/assignment-embeddings/refresh').expect(503);
+            expect(unconfigured.body.error).toBe('Assignment service is not configured');
+        });
+
+        test('GET /creators/:id/assignments scores without semantics when the creator is not indexed', async () => {
+            mockAssignmentService([budgeting, legal]);
+
+            const response = await request(app)
+                .get('/creators/mindsovermoney/assignments?limit=1')
+                .expect(200);
+
+            const { data } = response.body;
+            expect(data.vectorSource).toBe('none');
+            expect(data.isFallback).toBe(true);
+            expect(data.assignments).toHaveLength(1);
+            expect(data.assignments[0]).toMatchObject({ assignmentId: 'a1', semanticSource: 'none' });
+            expect(data.eligible).toBe(2);
+            expect(serviceManager.generateEmbeddings).not.toHaveBeenCalled();
+        });
+
+        test('GET /creators/:id/assignments validates the creator and limit', async () => {
+            mockAssignmentService([]);
+
+            await request(app).get('/creators/unknown/assignments').expect(404);
+            const invalid = await request(app).get('/creators/mindsovermoney/assignments?limit=0').expect(400);
+            expect(invalid.body.error).toBe('Invalid limit');
+
+            delete process.env.ASSIGNMENT_SERVICE_URL;
+            const unconfigured = await request(app).get('/creators/mindsovermoney/assignments').expect(503);
+            expect(unconfigured.body.error).toBe('Assignment service is not configured');
+        });
+    });
+
+    describe('experiments', () => {
+        test('GET /matches/experiments lists the configured experiments', async () => {
+            const res = await request(app).get('/matches/experiments').expect(200);
+
+            expect(res.body.active).toBeNull();
+            expect(res.body.experiments[0]).toMatchObject({ name: 'diversity-evidence-prompt', unit: 'assignmentId' });
+        });
+
+        test('GET /matches/experiments/:name rejects unknown experiments', async () => {
+            const res = await request(app).get('/matches/experiments/missing').expect(404);
+            expect(res.body.error).toBe('Experiment not found');
+        });
+    });
 });
@@ -0,0 +1,70 @@
+const { featurize, buildPairs, learnWeights, publishProfile } = require('../utils/weightLearning');
+const weightConfig = require('../config/weightProfiles.json');
+
+describe('Weight Learning', () => {
+    const balanced = weightConfig.profiles.balanced;
+    const feedbackEntry = (assignmentId, creatorId, verdict, scoreBreakdown, fields = {}) => ({
+        assignmentId, creatorId, verdict, requestedNiches: 1, scoreBreakdown, ...fields
+    });
+
+    test('niche alignment is scaled by the number of requested niches', () => {
+        const features = featurize({ requestedNiches: 4, scoreBreakdown: { semanticSimilarity: 0.6, nicheAlignment: 2 } });
+
+        expect(features[0]).toBe(0.6);
+        expect(features[1]).toBe(0.5);
+        expect(features.slice(2)).toEqual([0, 0, 0, 0, 0]);
+    });
+
+    test('pairs only compare good and bad fits on the same assignment', () => {
+        const pairs = buildPairs([
+            feedbackEntry('a1', 'good', 'accepted', { semanticSimilarity: 0.7 }),
+            feedbackEntry('a1', 'bad', 'down', { semanticSimilarity: 0.9 }),
+            feedbackEntry('a1', 'good', 'rejected', { semanticSimilarity: 0.7 }),
+            feedbackEntry('a2', 'other', 'down', { semanticSimilarity: 0.1 })
+        ]);
+
+        expect(pairs).toHaveLength(1);
+        expect(pairs[0]).toMatchObject({ assignmentId: 'a1', preferred: 'good', rejected: 'bad' });
+        expect(pairs[0].diff[0]).toBeCloseTo(-0.2);
+    });
+
+    test('weights shift towards the component that separates accepted from rejected creators', () => {
+        // Reviewers keep accepting engaged creators over closer semantic matches
+        const feedback = [];
+        for (let i = 0; i < 30; i++) {
+            feedback.push(feedbackEntry(`a${i}`, 'engaged', 'accepted', { semanticSimilarity: 0.6, engagementFit: 0.9 }));
+            feedback.push(feedbackEntry(`a${i}`, 'similar', 'rejected', { semanticSimilarity: 0.7, engagementFit: 0.1 }));
+        }
+
+        const { weights, training } = learnWeights(feedback, balanced.weights);
+
+        expect(weights.engagementFit).toBeGreaterThan(balanced.weights.engagementFit);
+        expect(weights.semanticSimilarity).toBeLessThan(balanced.weights.semanticSimilarity);
+        expect(Object.values(weights).every(value => value >= 0)).toBe(true);
+        expect(Object.values(weights).reduce((sum, value) => sum + value, 0)).toBeCloseTo(1, 3);
+        expect(training).toMatchObject({ feedback: 60, assignments: 30, pairs: 30 });
+        expect(training.accuracy.learned).toBeGreaterThan(training.accuracy.base);
+    });
+
+    test('too little feedback is refused instead of published', () => {
+        const feedback = [
+            feedbackEntry('a1', 'good', 'up', { semanticSimilarity: 0.9 }),
+            feedbackEntry('a1', 'bad', 'down', { semanticSimilarity: 0.2 })
+        ];
+
+        expect(() => learnWeights(feedback, balanced.weights)).toThrow(expect.objectContaining({ code: 'INSUFFICIENT_FEEDBACK' }));
+        expect(learnWeights(feedback, balanced.weights, { minPairs: 1 }).training.pairs).toBe(1);
+    });
+
+    test('each published profile gets the next version and becomes the latest', () => {
+        const training = { pairs: 40 };
+        const first = publishProfile({ latest: null, profiles: {} }, { basedOn: 'balanced', baseProfile: balanced, weights: balanced.weights, training });
+        const second = publishProfile(first.config, { basedOn: first.name, baseProfile: first.config.profiles[first.name], weights: balanced.weights, training });
+
+        expect(first.name).toBe('learned-v1');
+        expect(second.name).toBe('learned-v2');
+        expect(second.config.latest).toBe('learned-v2');
+        expect(Object.keys(second.config.profiles)).toEqual(['learned-v1', 'learned-v2']);
+        expect(second.config.profiles['learned-v2']).toMatchObject({ version: 2, basedOn: 'learned-v1', prioritizeNiches: true });
+    });
+});
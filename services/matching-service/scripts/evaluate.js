@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+
+const fs = require('fs').promises;
+const path = require('path');
+require('dotenv').config();
+
+const { evaluateGoldenSet, diffRuns, METRICS } = require('../utils/evaluation');
+const { buildAssignmentText } = require('../utils/assignmentText');
+
+const DEFAULT_GOLDEN_SET = path.join(__dirname, '../evaluation/goldenSet.json');
+const CREATORS_PATH = path.join(__dirname, '../../../creators.json');
+const METRIC_LABELS = { precisionAtK: 'P@k', recallAtK: 'R@k', ndcgAtK: 'NDCG@k', mrr: 'MRR' };
+
+function parseArgs(argv) {
+  const options = { positional: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--profiles') options.profiles = argv[++i].split(',').map(name => name.trim()).filter(Boolean);
+    else if (argv[i] === '--k') options.k = parseInt(argv[++i], 10);
+    else if (argv[i] === '--out') options.out = argv[++i];
+    else if (argv[i] === '--compare') options.compare = argv[++i];
+    else if (argv[i] === '--tolerance') options.tolerance = parseFloat(argv[++i]);
+    else options.positional.push(argv[i]);
+  }
+  return options;
+}
+
+async function readJson(filePath) {
+  return JSON.parse(await fs.readFile(path.resolve(filePath), 'utf8'));
+}
+
+function pad(value, width) {
+  return String(value).padEnd(width);
+}
+
+function printRun(run) {
+  console.log(`\nGolden set: ${run.goldenSet || 'unnamed'} (k = ${run.k})`);
+  console.log(pad('Profile', 20) + METRICS.map(metric => pad(METRIC_LABELS[metric], 10)).join(''));
+  Object.entries(run.profiles).forEach(([name, profile]) => {
+    console.log(pad(name, 20) + METRICS.map(metric => pad(profile.metrics[metric].toFixed(4), 10)).join(''));
+  });
+}
+
+function formatDelta(delta) {
+  if (delta === 0) return '=';
+  return `${delta > 0 ? '+' : ''}${delta.toFixed(4)}`;
+}
+
+function printDiff(diff) {
+  if (diff.k.baseline !== diff.k.candidate) {
+    console.log(`\n⚠️  Runs use different cutoffs (k = ${diff.k.baseline} vs ${diff.k.candidate}); @k metrics are not comparable`);
+  }
+
+  console.log(`\n${pad('Profile', 20)}${METRICS.map(metric => pad(METRIC_LABELS[metric], 18)).join('')}`);
+  Object.entries(diff.profiles).forEach(([name, profile]) => {
+    const cells = METRICS.map(metric => {
+      const { candidate, delta } = profile.metrics[metric];
+      return pad(`${candidate.toFixed(4)} (${formatDelta(delta)})`, 18);
+    });
+    console.log(`${pad(name, 20)}${cells.join('')}${profile.regressed ? '  ⬇ regressed' : ''}`);
+  });
+
+  Object.entries(diff.profiles).forEach(([name, profile]) => {
+    profile.caseRegressions.forEach(entry => {
+      console.log(`⚠️  ${name} / ${entry.caseId}: ${METRIC_LABELS[entry.metric]} ${entry.baseline} → ${entry.candidate}`);
+    });
+  });
+
+  if (diff.added.length > 0) console.log(`New profiles: ${diff.added.join(', ')}`);
+  if (diff.removed.length > 0) console.log(`Missing profiles: ${diff.removed.join(', ')}`);
+  console.log(diff.regressed ? '\n❌ Ranking quality regressed' : '\n✅ No regressions');
+}
+
+// Scores every golden set case under each weight profile; --compare diffs against an earlier run
+async function evaluate(options) {
+  const goldenSetPath = options.positional[0] || DEFAULT_GOLDEN_SET;
+  const [goldenSet, creators] = await Promise.all([readJson(goldenSetPath), readJson(CREATORS_PATH)]);
+
+  const run = evaluateGoldenSet(goldenSet, creators, { profiles: options.profiles, k: options.k });
+  printRun(run);
+
+  if (options.out) {
+    await fs.writeFile(path.resolve(options.out), `${JSON.stringify(run, null, 2)}\n`);
+    console.log(`\n📄 Run saved to ${options.out}`);
+  }
+
+  if (options.compare) {
+    const diff = diffRuns(await readJson(options.compare), run, { tolerance: options.tolerance });
+    printDiff(diff);
+    return diff.regressed ? 1 : 0;
+  }
+  return 0;
+}
+
+async function diff(options) {
+  const [baselinePath, candidatePath] = options.positional;
+  if (!baselinePath || !candidatePath) {
+    throw new Error('diff needs a baseline and a candidate run file');
+  }
+
+  const result = diffRuns(await readJson(baselinePath), await readJson(candidatePath), { tolerance: options.tolerance });
+  printDiff(result);
+  return result.regressed ? 1 : 0;
+}
+
+// Stores each case's cosine scores from the live vector index as its semanticScores
+async function record(options) {
+  const serviceManager = require('../../../shared/services/serviceManager');
+  const goldenSetPath = options.positional[0] || DEFAULT_GOLDEN_SET;
+  const [goldenSet, creators] = await Promise.all([readJson(goldenSetPath), readJson(CREATORS_PATH)]);
+
+  await serviceManager.initialize();
+  const embeddings = await serviceManager.generateEmbeddings(goldenSet.cases.map(testCase => buildAssignmentText(testCase.assignment)));
+
+  for (let i = 0; i < goldenSet.cases.length; i++) {
+    const results = await serviceManager.queryVectors(embeddings[i], Object.keys(creators).length);
+    goldenSet.cases[i].semanticScores = {};
+    (results.matches || []).forEach(match => {
+      goldenSet.cases[i].semanticScores[match.id] = parseFloat(match.score.toFixed(4));
+    });
+    console.log(`${goldenSet.cases[i].id}: ${Object.keys(goldenSet.cases[i].semanticScores).length} scores`);
+  }
+
+  await fs.writeFile(path.resolve(goldenSetPath), `${JSON.stringify(goldenSet, null, 2)}\n`);
+  console.log(`\n✅ Semantic scores recorded in ${goldenSetPath}`);
+  return 0;
+}
+
+const COMMANDS = { run: evaluate, diff, record };
+
+if (process.argv.includes('--help')) {
+  console.log('Usage:');
+  console.log('  npm run evaluate -- [goldenSet.json] [--profiles a,b] [--k 5] [--out run.json] [--compare baseline.json] [--tolerance 0.01]');
+  console.log('  npm run evaluate -- diff <baseline.json> <candidate.json> [--tolerance 0.01]');
+  console.log('  npm run evaluate -- record [goldenSet.json]');
+  console.log('');
+  console.log('Exits with 1 when a compared run regressed.');
+  process.exit(0);
+}
+
+const args = process.argv.slice(2);
+const command = COMMANDS[args[0]] ? args.shift() : 'run';
+
+COMMANDS[command](parseArgs(args))
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('❌ Evaluation failed:', error.message);
+    process.exit(1);
+  });
@@ -10,7 +10,7 @@ const PORT = process.env.PORT || 3003;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '1mb' })); // Batch requests carry up to 50 assignments
 
 // Initialize services on startup
 let servicesInitialized = false;
@@ -58,7 +58,7 @@ app.get('/health', async (req, res) => {
 app.get('/health/metrics', async (req, res) => {
   try {
     const metrics = {};
-    const services = ['pinecone', 'openai'];
+    const services = [serviceManager.vectorProvider || 'pinecone', 'openai'];
 
     for (const service of services) {
       const serviceMetrics = healthMonitor.getServiceMetrics(service);
@@ -99,8 +99,122 @@ app.get('/matches', async (req, res) => {
 const fs = require('fs').promises;
 const path = require('path');
 const matcher = require('./utils/matcher');
+const { normalizeConstraints, buildVectorFilter, applyConstraints, findFailedConstraints } = require('./utils/constraints');
+const { diversify, cosineSimilarity } = require('./utils/diversity');
+const { normalizeRoster, buildRequirements, selectRoster } = require('./utils/roster');
+const { normalizeBudget, selectWithinBudget } = require('./utils/budget');
+const { buildEngagementStats } = require('./utils/engagement');
+const { buildLexicalIndex, searchLexical, lexicalScores } = require('./utils/lexical');
+const { RRF_K, normalizeRetrieval, reciprocalRankFusion } = require('./utils/fusion');
+const { resolveFieldWeights, rescoreCandidates, fieldBreakdown } = require('./utils/multiVector');
+const { EMBEDDING_FIELDS, assignmentFieldTexts } = require('../../shared/utils/embeddingFields');
+const { normalizeExclusions, findExclusionHits, applyExclusions, penalizeMatches } = require('./utils/exclusions');
+const { explainMatch } = require('./utils/explain');
+const { PROMPT_VERSIONS, DEFAULT_PROMPT_VERSION, buildReasoningPrompt, parseReasoning, extractCompletedCreators, attachReasoning } = require('./utils/reasoning');
+const assignmentClient = require('./utils/assignmentClient');
+const { mapWithConcurrency } = require('./utils/concurrency');
+const { hashAssignmentText, hasFreshEmbedding, rankAssignments } = require('./utils/reverseMatch');
+const { buildAssignmentText } = require('./utils/assignmentText');
+const { normalizeExperiments, enroll } = require('./utils/experiments');
+
+// A broken experiment config should stop the service at startup, not misroute live traffic
+const experimentConfig = normalizeExperiments(require('./config/experiments.json'), {
+  profiles: Object.keys(matcher.profiles),
+  promptVersions: Object.keys(PROMPT_VERSIONS)
+});
+
+// List available scoring weight profiles
+app.get('/matches/profiles', (req, res) => {
+  res.json({
+    defaultProfile: matcher.defaultProfile,
+    profiles: matcher.listProfiles()
+  });
+});
+
+// Configured experiments and which one is running
+app.get('/matches/experiments', (req, res) => {
+  res.json({
+    active: experimentConfig.active ? experimentConfig.active.name : null,
+    experiments: Object.entries(experimentConfig.experiments).map(([name, experiment]) => ({ name, ...experiment }))
+  });
+});
+
+// Per-variant feedback and acceptance stats for one experiment
+app.get('/matches/experiments/:name', async (req, res) => {
+  const experiment = experimentConfig.experiments[req.params.name];
+  if (!experiment) {
+    return res.status(404).json({ error: 'Experiment not found' });
+  }
+  if (!assignmentClient.isConfigured()) {
+    return res.status(503).json({ error: 'Assignment service is not configured' });
+  }
+
+  try {
+    const variantNames = experiment.variants.map(variant => variant.name);
+    const stats = await assignmentClient.getExperimentStats(req.params.name, variantNames);
+    const statsByVariant = new Map(stats.variants.map(entry => [entry.variant, entry]));
+
+    res.json({
+      success: true,
+      data: {
+        name: req.params.name,
+        ...experiment,
+        variants: experiment.variants.map(variant => ({ ...variant, stats: statsByVariant.get(variant.name) || null }))
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Failed to load experiment stats', { experiment: req.params.name, error: error.message });
+    res.status(502).json({ error: 'Failed to load experiment stats' });
+  }
+});
+
+// Result paging defaults and limits for POST /matches
+const DEFAULT_LIMIT = 3;
+const MAX_LIMIT = 25;
+const DEFAULT_CANDIDATE_POOL = 15;
+const MAX_CANDIDATE_POOL = 100;
+
+// Validate limit/offset/candidatePool, returning { error } or the parsed values
+function resolvePagination({ limit, offset, candidatePool }) {
+  const parsed = {
+    limit: limit === undefined ? DEFAULT_LIMIT : parseInt(limit),
+    offset: offset === undefined ? 0 : parseInt(offset),
+    candidatePool: candidatePool === undefined ? DEFAULT_CANDIDATE_POOL : parseInt(candidatePool)
+  };
+
+  if (isNaN(parsed.limit) || parsed.limit < 1 || parsed.limit > MAX_LIMIT) {
+    return { error: `Invalid limit parameter. Must be between 1 and ${MAX_LIMIT}` };
+  }
+  if (isNaN(parsed.offset) || parsed.offset < 0) {
+    return { error: 'Invalid offset parameter. Must be 0 or greater' };
+  }
+  if (isNaN(parsed.candidatePool) || parsed.candidatePool < 1 || parsed.candidatePool > MAX_CANDIDATE_POOL) {
+    return { error: `Invalid candidatePool parameter. Must be between 1 and ${MAX_CANDIDATE_POOL}` };
+  }
+
+  // Always retrieve enough vectors to fill the requested page
+  parsed.candidatePool = Math.min(MAX_CANDIDATE_POOL, Math.max(parsed.candidatePool, parsed.offset + parsed.limit));
+  return parsed;
+}
+
+// Paging metadata returned alongside each page of matches
+function buildPagination(page, returned, totalCandidates) {
+  const nextOffset = page.offset + returned;
+  return {
+    offset: page.offset,
+    limit: page.limit,
+    returned,
+    candidatePool: page.candidatePool,
+    totalCandidates,
+    hasMore: nextOffset < totalCandidates,
+    nextOffset: nextOffset < totalCandidates ? nextOffset : null
+  };
+}
 
 let creatorCache = null;
+let engagementStats = null;
+let lexicalIndex = null;
 let lastCacheUpdate = 0;
 const CACHE_TTL = 300000; // 5 minutes
 
@@ -114,148 +228,712 @@ async function loadCreators() {
   const creatorsPath = path.join(__dirname, '..', '..', 'creators.json');
   const rawData = await fs.readFile(creatorsPath, 'utf8');
   creatorCache = JSON.parse(rawData);
+  // Engagement is scored relative to the whole pool, so refresh the stats with the cache
+  engagementStats = buildEngagementStats(Object.values(creatorCache));
+  // The fallback relevance index covers the same pool
+  lexicalIndex = buildLexicalIndex(Object.values(creatorCache));
   lastCacheUpdate = now;
 
   logger.info('Creator cache updated', { count: Object.keys(creatorCache).length });
   return creatorCache;
 }
 
-// Create match endpoint
-app.post('/matches', async (req, res) => {
+// Builds a 400 error carrying the response body for the request that failed validation
+function badRequest(body) {
+  const error = new Error(body.error);
+  error.status = 400;
+  error.body = body;
+  return error;
+}
+
+// Assignment field texts that need their own vectors; the brief's embedding doubles as the bio vector
+function fieldTextsToEmbed(assignment, assignmentText) {
+  const texts = assignmentFieldTexts(assignment, assignmentText);
+  return EMBEDDING_FIELDS
+    .filter(field => field !== 'bio' && texts[field])
+    .map(field => ({ field, text: texts[field] }));
+}
+
+/**
+ * Cosine similarity between a query embedding and one creator's stored vector
+ * @param {string} creatorId - Creator whose vector to fetch
+ * @param {Array<number>} embedding - Query embedding
+ * @returns {Promise<number|null>} The similarity, or null when the creator has no vector or the lookup fails
+ */
+async function fetchStoredSimilarity(creatorId, embedding) {
   try {
-    if (!servicesInitialized) {
-      return res.status(503).json({
-        error: 'External services not initialized'
-      });
-    }
+    const stored = await serviceManager.fetchVectors([creatorId]);
+    return cosineSimilarity(embedding, stored?.records?.[creatorId]?.values);
+  } catch (error) {
+    logger.warn('Creator vector lookup failed', { creatorId, error: error.message });
+    return null;
+  }
+}
 
-    const { assignment, assignmentId } = req.body;
+/**
+ * Rescores vector search matches with per-field similarities from the field namespaces
+ * @param {Array<Object>} matches - Vector search matches
+ * @param {Object} params - { assignment, assignmentText, assignmentEmbedding, fieldWeights }, and
+ *   `fieldEmbeddings` (field name to vector) when the caller already embedded the field texts
+ * @returns {Promise<Object>} { matches, rescored }; on failure the matches come back unchanged
+ */
+async function scoreFieldSimilarities(matches, { assignment, assignmentText, assignmentEmbedding, fieldWeights, fieldEmbeddings }) {
+  if (matches.length === 0) return { matches, rescored: 0 };
 
-    if (!assignment) {
-      return res.status(400).json({
-        error: 'assignment is required'
-      });
+  try {
+    const assignmentVectors = { bio: assignmentEmbedding };
+    if (fieldEmbeddings) {
+      Object.assign(assignmentVectors, fieldEmbeddings);
+    } else {
+      const toEmbed = fieldTextsToEmbed(assignment, assignmentText);
+      const embedded = toEmbed.length > 0 ? await serviceManager.generateEmbeddings(toEmbed.map(({ text }) => text)) : [];
+      toEmbed.forEach(({ field }, i) => { assignmentVectors[field] = embedded[i]; });
     }
 
-    const assignmentText = `${assignment.topic} ${assignment.keyTakeaway} ${assignment.additionalContext}`;
-    let candidates = [];
-    let isFallback = false;
+    const ids = matches.map(match => match.id);
+    const fields = Object.keys(assignmentVectors);
+    const fetched = await Promise.all(fields.map(field => serviceManager.fetchVectors(ids, { namespace: field })));
+    const vectorsById = {};
+    fields.forEach((field, i) => {
+      Object.entries(fetched[i]?.records || {}).forEach(([id, record]) => {
+        if (!record || !record.values || record.values.length === 0) return;
+        vectorsById[id] = { ...vectorsById[id], [field]: record.values };
+      });
+    });
+
+    const result = rescoreCandidates(matches, assignmentVectors, vectorsById, fieldWeights);
+    return { matches: result.candidates, rescored: result.rescored };
+  } catch (error) {
+    logger.warn('Field similarity scoring failed, using combined similarity', { error: error.message });
+    return { matches, rescored: 0 };
+  }
+}
+
+// Maps a [0, 1] relevance (lexical or fused) onto the [-1, 1] cosine range calculateMatch normalizes
+// from, so the breakdown reports it unchanged: 0 for no relevance, 1 for the best candidate
+function relevanceAsCosine(relevance) {
+  return (2 * relevance) - 1;
+}
+
+// Adds the per-field similarities behind a multi-vector semantic score to the breakdown
+function withFieldBreakdown(scored, match) {
+  if (match && match.fieldSimilarities) {
+    Object.assign(scored.scoreBreakdown, fieldBreakdown(match.fieldSimilarities));
+  }
+  return scored;
+}
+
+/**
+ * Validates the per-request options shared by single and batch matching
+ * @param {Object} body - Request body (assignment, paging, diversity, weights, and userId / assignmentId for experiments)
+ * @returns {Object} Resolved options for runMatch
+ * @throws {Error} With status 400 and the response body on invalid input
+ */
+function resolveMatchOptions(body) {
+  const { assignment, assignmentId, weightProfile, weights } = body;
+
+  if (!assignment) {
+    throw badRequest({ error: 'assignment is required' });
+  }
+
+  const page = resolvePagination(body);
+  if (page.error) {
+    throw badRequest({ error: 'Invalid pagination', message: page.error });
+  }
+
+  // Enrolled requests take profile, diversity and reasoning prompt from their variant
+  const enrollment = enroll(experimentConfig.active, body);
+  const variant = enrollment ? enrollment.variant : null;
+
+  const diversity = variant ? (variant.diversity || 0) : body.diversity === undefined ? 0 : Number(body.diversity);
+  if (!Number.isFinite(diversity) || diversity < 0 || diversity > 1) {
+    throw badRequest({
+      error: 'Invalid diversity',
+      message: 'diversity must be a number between 0 (pure relevance) and 1'
+    });
+  }
 
+  let roster;
+  try {
+    roster = normalizeRoster(body.roster);
+  } catch (rosterError) {
+    throw badRequest({ error: 'Invalid roster', message: rosterError.message });
+  }
+  // A roster is one set chosen for coverage, so it cannot be paged or reranked for diversity
+  if (roster && (page.offset > 0 || diversity > 0)) {
+    throw badRequest({ error: 'Invalid roster', message: 'roster cannot be combined with offset or diversity' });
+  }
+
+  let retrieval;
+  try {
+    retrieval = normalizeRetrieval(body.retrieval);
+  } catch (retrievalError) {
+    throw badRequest({ error: 'Invalid retrieval', message: retrievalError.message });
+  }
+
+  let fieldWeights;
+  try {
+    fieldWeights = resolveFieldWeights(body.fieldWeights);
+  } catch (fieldWeightError) {
+    throw badRequest({ error: 'Invalid field weights', message: fieldWeightError.message });
+  }
+
+  let budget;
+  try {
+    budget = normalizeBudget(assignment.budget);
+  } catch (budgetError) {
+    throw badRequest({ error: 'Invalid budget', details: budgetError.details });
+  }
+  // Budget selection picks one affordable combination; it does not page and has no room for other rerankers
+  if (budget && (roster || page.offset > 0 || diversity > 0)) {
+    throw badRequest({ error: 'Invalid budget', message: 'budget cannot be combined with roster, offset or diversity' });
+  }
+
+  let scoring;
+  try {
+    scoring = matcher.resolveWeights(variant ? { weightProfile: variant.weightProfile } : { weightProfile, weights });
+  } catch (weightError) {
+    throw badRequest({ error: 'Invalid scoring weights', message: weightError.message });
+  }
+
+  let constraints;
+  try {
+    constraints = normalizeConstraints(assignment.constraints);
+  } catch (constraintError) {
+    throw badRequest({ error: 'Invalid constraints', details: constraintError.details });
+  }
+
+  let exclusions;
+  try {
+    exclusions = normalizeExclusions(assignment.exclusions);
+  } catch (exclusionError) {
+    throw badRequest({ error: 'Invalid exclusions', details: exclusionError.details });
+  }
+
+  return {
+    assignment,
+    assignmentId,
+    page,
+    diversity,
+    retrieval,
+    fieldWeights,
+    scoring,
+    constraints,
+    vectorFilter: buildVectorFilter(constraints),
+    exclusions,
+    roster,
+    budget,
+    experiment: enrollment ? enrollment.experiment : null,
+    reasoningPrompt: (variant && variant.reasoningPrompt) || DEFAULT_PROMPT_VERSION
+  };
+}
+
+/**
+ * Retrieves, scores, ranks and explains creators for one assignment
+ * @param {Object} options - Output of resolveMatchOptions
+ * @param {Object} [context] - `embedding` when the caller already embedded the assignment
+ *   (with `fieldEmbeddings` for its niche and value texts when scoring field by field)
+ *   (`null` means embedding failed and the match runs in fallback mode), and `onEvent(event, payload)`
+ *   to receive stage events; reasoning is streamed token by token when onEvent is set
+ * @returns {Promise<Object>} { data, empty } where empty is true when no creator could be scored
+ */
+async function runMatch(options, context = {}) {
+  const { assignment, page, diversity, retrieval, fieldWeights, scoring, constraints, vectorFilter, exclusions, roster, budget, experiment, reasoningPrompt } = options;
+  const emit = context.onEvent || (() => {});
+  const assignmentText = buildAssignmentText(assignment);
+  let candidates = [];
+  let isFallback = false;
+  let multiVectorReport = null;
+
+  const searchVectors = async () => {
     try {
-      // 1. Generate embedding for the assignment
-      const assignmentEmbedding = await serviceManager.generateEmbedding(assignmentText);
+      // 1. Generate embedding for the assignment (unless the batch already did)
+      const assignmentEmbedding = 'embedding' in context
+        ? context.embedding
+        : await serviceManager.generateEmbedding(assignmentText);
+      if (!assignmentEmbedding) {
+        throw new Error('No embedding available for assignment');
+      }
+      emit('embedding', { dimensions: assignmentEmbedding.length });
 
-      // 2. Search for similar creators
-      const searchResults = await serviceManager.queryVectors(assignmentEmbedding, 15);
+      // 2. Search for similar creators, pushing hard constraints down as metadata filters
+      // Vector values are only needed for diversity reranking
+      const searchResults = await serviceManager.queryVectors(assignmentEmbedding, page.candidatePool, vectorFilter, {
+        includeValues: diversity > 0
+      });
       candidates = searchResults.matches || [];
+
+      // Compare field by field (brief to bio, niches, values) where field vectors exist
+      if (fieldWeights) {
+        const fieldScores = await scoreFieldSimilarities(candidates, {
+          assignment,
+          assignmentText,
+          assignmentEmbedding,
+          fieldWeights,
+          fieldEmbeddings: context.fieldEmbeddings
+        });
+        candidates = fieldScores.matches;
+        multiVectorReport = { fieldWeights, rescored: fieldScores.rescored };
+      }
     } catch (error) {
       logger.warn('Vector search failed, falling back to rule-based matching', { error: error.message });
       isFallback = true;
     }
+  };
 
-    // 3. Enrich and score
-    const creators = await loadCreators();
-    let scoredMatches = [];
+  // The creator cache and its lexical index load while the vector query is in flight
+  const [creators] = await Promise.all([loadCreators(), searchVectors()]);
 
-    logger.debug('Matching candidates', { isFallback, candidatesCount: candidates.length });
+  // 3. Enrich, constrain and score
+  let scoredMatches = [];
 
-    if (isFallback) {
-      // Rule-based fallback: use all creators with 0 semantic similarity
-      scoredMatches = Object.values(creators).map(creator => {
-        return matcher.calculateMatch(assignment, creator, 0);
-      });
-    } else {
-      scoredMatches = candidates.map(match => {
-        const creator = creators[match.id];
-        if (!creator) return null;
-        return matcher.calculateMatch(assignment, creator, match.score);
-      }).filter(m => m !== null);
-    }
+  // Removal counts are taken over the whole creator pool so they stay meaningful
+  // when Pinecone has already filtered the vector candidates
+  const { kept: constrainedCreators, removed } = applyConstraints(Object.values(creators), constraints);
+  const { kept: eligibleCreators, excluded } = applyExclusions(constrainedCreators, exclusions);
+  const eligibleIds = new Set(eligibleCreators.map(creator => creator.uniqueId));
+  const constraintReport = {
+    applied: constraints,
+    vectorFilter: !isFallback && vectorFilter !== null,
+    poolSize: Object.keys(creators).length,
+    eligible: eligibleCreators.length,
+    removed
+  };
 
-    logger.debug('Scored matches', { count: scoredMatches.length });
+  // Hybrid mode fuses the vector candidates with a lexical search over the same eligible pool
+  let fused = null;
+  let retrievalReport = null;
+  if (retrieval === 'hybrid' && !isFallback) {
+    const vectorRanking = candidates.filter(match => creators[match.id] && eligibleIds.has(match.id));
+    const lexicalRanking = searchLexical(lexicalIndex, assignmentText)
+      .filter(result => eligibleIds.has(result.id))
+      .slice(0, page.candidatePool);
+    fused = reciprocalRankFusion({ vector: vectorRanking, lexical: lexicalRanking });
+    const vectorById = new Map(vectorRanking.map(match => [match.id, match]));
+    fused.forEach(entry => { entry.vectorMatch = vectorById.get(entry.id); });
+    retrievalReport = { mode: retrieval, k: RRF_K, vector: vectorRanking.length, lexical: lexicalRanking.length, fused: fused.length };
+  }
+  emit('search', { isFallback, retrieval, retrieved: fused ? fused.length : candidates.length });
 
-    if (scoredMatches.length === 0) {
-      return res.json({
+  logger.debug('Matching candidates', { isFallback, retrieval, candidatesCount: candidates.length, eligible: eligibleCreators.length });
+
+  if (isFallback) {
+    // Fallback: score all eligible creators with BM25 relevance to the brief in place of semantic similarity
+    const lexical = lexicalScores(lexicalIndex, assignmentText);
+    scoredMatches = eligibleCreators.map(creator => {
+      return matcher.calculateMatch(assignment, creator, relevanceAsCosine(lexical.get(creator.uniqueId) || 0), scoring.weights, engagementStats);
+    });
+  } else if (fused) {
+    // The fused score, scaled by the best one, stands in for semantic similarity
+    scoredMatches = fused.map(entry => {
+      const match = matcher.calculateMatch(assignment, creators[entry.id], relevanceAsCosine(entry.relevance), scoring.weights, engagementStats);
+      match.retrieval = { fusedScore: entry.fusedScore, ranks: entry.ranks };
+      return withFieldBreakdown(match, entry.vectorMatch);
+    });
+  } else {
+    scoredMatches = candidates.map(match => {
+      const creator = creators[match.id];
+      if (!creator || !eligibleIds.has(creator.uniqueId)) return null;
+      return withFieldBreakdown(matcher.calculateMatch(assignment, creator, match.score, scoring.weights, engagementStats), match);
+    }).filter(m => m !== null);
+  }
+
+  // Penalize mode keeps conflicting creators but lowers their score before ranking
+  const penalized = penalizeMatches(scoredMatches, exclusions);
+  const exclusionReport = {
+    applied: exclusions,
+    action: exclusions ? exclusions.action : null,
+    excluded,
+    penalized
+  };
+
+  logger.debug('Scored matches', { count: scoredMatches.length, excluded: excluded.length, penalized: penalized.length });
+  emit('candidates', { count: scoredMatches.length, eligible: eligibleCreators.length, excluded: excluded.length });
+  const hashtags = matcher.resolveTargetHashtags(assignment);
+
+  if (scoredMatches.length === 0) {
+    return {
+      empty: true,
+      data: {
         assignment,
         matches: [],
         reasoning: "No suitable creators found for this assignment.",
         isFallback,
+        relevanceSource: isFallback ? 'lexical' : retrieval,
+        ...(retrievalReport && { retrieval: retrievalReport }),
+        ...(multiVectorReport && { multiVector: multiVectorReport }),
+        scoring,
+        hashtags,
+        constraints: constraintReport,
+        exclusions: exclusionReport,
+        pagination: buildPagination(page, 0, 0),
+        ...(experiment && { experiment })
+      }
+    };
+  }
+
+  // 4. Rank all candidates, then pick a roster or an affordable set, or optionally diversify, and cut the page
+  let orderedMatches = matcher.rankMatches(scoredMatches, scoring);
+  let rosterReport = null;
+  let budgetReport = null;
+  if (roster) {
+    const selection = selectRoster(orderedMatches, buildRequirements(assignment, scoring.weights), {
+      size: page.limit,
+      relevanceFloor: roster.relevanceFloor
+    });
+    orderedMatches = selection.matches;
+    rosterReport = { relevanceFloor: roster.relevanceFloor, members: selection.members, coverage: selection.coverage };
+  } else if (budget) {
+    const selection = selectWithinBudget(orderedMatches, budget, { size: page.limit });
+    orderedMatches = selection.matches;
+    budgetReport = selection.report;
+  } else if (diversity > 0) {
+    const vectors = {};
+    candidates.forEach(match => {
+      if (match.values && match.values.length > 0) vectors[match.id] = match.values;
+    });
+    orderedMatches = diversify(orderedMatches, {
+      diversity,
+      selectCount: page.offset + page.limit,
+      vectors
+    });
+  }
+  const rankedMatches = orderedMatches.slice(page.offset, page.offset + page.limit);
+  const pagination = buildPagination(page, rankedMatches.length, scoredMatches.length);
+  if (rosterReport || budgetReport) {
+    // A roster or budgeted selection is the whole answer; there is no next page of it
+    pagination.hasMore = false;
+    pagination.nextOffset = null;
+  }
+  const reportData = {
+    assignment,
+    isFallback,
+    relevanceSource: isFallback ? 'lexical' : retrieval,
+    scoring,
+    hashtags,
+    diversity,
+    constraints: constraintReport,
+    exclusions: exclusionReport,
+    pagination
+  };
+  if (rosterReport) reportData.roster = rosterReport;
+  if (budgetReport) reportData.budget = budgetReport;
+  if (retrievalReport) reportData.retrieval = retrievalReport;
+  if (multiVectorReport) reportData.multiVector = multiVectorReport;
+  if (experiment) reportData.experiment = experiment;
+  emit('ranked', { ...reportData, matches: rankedMatches });
+
+  // 5. Generate structured per-creator reasoning using AI for the visible page only
+  let completion = null;
+  if (rankedMatches.length > 0) {
+    const prompt = buildReasoningPrompt(assignmentText, rankedMatches, isFallback, reasoningPrompt);
+    const completionOptions = {
+      maxTokens: Math.max(300, 150 * rankedMatches.length),
+      temperature: 0.3
+    };
+
+    try {
+      if (context.onEvent) {
+        // Forward tokens and announce each creator's reasoning as soon as its JSON entry is complete
+        const pageIds = new Set(rankedMatches.map(m => m.creator.uniqueId));
+        const announced = new Set();
+        let received = '';
+
+        completion = await serviceManager.streamCompletion(prompt, completionOptions, (token) => {
+          received += token;
+          emit('token', { text: token });
+
+          extractCompletedCreators(received).forEach(entry => {
+            if (announced.has(entry.creatorId) || !pageIds.has(entry.creatorId)) return;
+            announced.add(entry.creatorId);
+            emit('reasoning', {
+              creatorId: entry.creatorId,
+              reasoning: entry.rationale,
+              reasoningDetails: { rationale: entry.rationale, strengths: entry.strengths, risks: entry.risks, source: 'ai' }
+            });
+          });
+        });
+      } else {
+        completion = await serviceManager.generateCompletion(prompt, completionOptions);
+      }
+    } catch (aiError) {
+      logger.error('AI Reasoning generation failed', { error: aiError.message });
+    }
+  }
+
+  const reasoningResult = attachReasoning(rankedMatches, parseReasoning(completion));
+  let reasoning = reasoningResult.summary;
+  if (rankedMatches.length === 0) {
+    reasoning = budgetReport
+      ? 'No priced creator fits within the budget.'
+      : 'No further creators match this assignment.';
+  }
+
+  return {
+    empty: false,
+    data: {
+      ...reportData,
+      matches: reasoningResult.matches,
+      reasoning,
+      reasoningSource: reasoningResult.parsed ? 'ai' : 'fallback'
+    }
+  };
+}
+
+/**
+ * Persists the first page of matches to the assignment service
+ * @param {string} assignmentId - Assignment ID
+ * @param {Object} options - Output of resolveMatchOptions
+ * @param {Array} matches - Matches with reasoning attached
+ * @returns {Promise<boolean>} Whether anything was persisted; failures are logged, not thrown
+ */
+async function persistMatches(assignmentId, options, matches) {
+  // First page only, later pages are browsing
+  if (!assignmentId || options.page.offset !== 0 || matches.length === 0 || !assignmentClient.isConfigured()) {
+    return false;
+  }
+
+  try {
+    logger.info('Persisting match results', { assignmentId });
+
+    // Map matches to fit the Assignment schema/validator requirements
+    const persistedMatches = matches.map(m => ({
+      creator: m.creator,
+      creatorId: m.creator.uniqueId || m.creator.id,
+      matchScore: m.matchScore,
+      reasoning: m.reasoning,
+      reasoningDetails: m.reasoningDetails,
+      matchedHashtags: m.matchedHashtags,
+      scoreBreakdown: m.scoreBreakdown
+    }));
+
+    // The variant is stored with the results so feedback on them counts towards it
+    await assignmentClient.saveMatchResults(assignmentId, persistedMatches, options.experiment);
+
+    logger.info('Match results persisted successfully');
+    return true;
+  } catch (persistError) {
+    logger.error('Failed to persist match results', { error: persistError.message });
+    // Don't fail the request if persistence fails
+    return false;
+  }
+}
+
+// Create match endpoint
+app.post('/matches', async (req, res) => {
+  try {
+    if (!servicesInitialized) {
+      return res.status(503).json({
+        error: 'External services not initialized'
+      });
+    }
+
+    let options;
+    try {
+      options = resolveMatchOptions(req.body);
+    } catch (validationError) {
+      if (validationError.status === 400) {
+        return res.status(400).json(validationError.body);
+      }
+      throw validationError;
+    }
+
+    const { data, empty } = await runMatch(options);
+
+    if (empty) {
+      return res.json({
+        ...data,
         timestamp: new Date().toISOString()
       });
     }
 
-    // 4. Rank and pick top 3
-    const rankedMatches = matcher.rankMatches(scoredMatches).slice(0, 3);
+    // 6. Persist results if assignmentId is provided
+    await persistMatches(options.assignmentId, options, data.matches);
 
-    // 5. Generate match reasoning using AI for the top matches
-    const creatorsInfo = rankedMatches.map(m => `- ${m.creator.nickname}: ${m.creator.analysis.summary}`).join('\n');
-    const reasoningPrompt = `
-      Assignment: ${assignmentText}
-      
-      Top Creators:
-      ${creatorsInfo}
-      
-      For each creator, provide a brief match reasoning (1-3 sentences) explaining why they are suitable for this assignment.
-      Ensure the reasoning reflects the mapping between the assignment goals and the creator's specific style/audience.
-      ${isFallback ? 'Note: Results are currently based on attribute matching only due to maintenance.' : ''}
-    `;
+    res.json({
+      success: true,
+      data,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error creating match', { error: error.message });
+
+    if (error.message.includes('Circuit breaker')) {
+      return res.status(503).json({
+        error: 'Service temporarily unavailable',
+        message: 'External service is experiencing issues, please try again later'
+      });
+    }
+
+    res.status(500).json({ error: 'Failed to create match' });
+  }
+});
+
+// Explain endpoint: where one creator ranks for an assignment and what keeps it out of the top N
+app.post('/matches/explain', async (req, res) => {
+  try {
+    if (!servicesInitialized) {
+      return res.status(503).json({
+        error: 'External services not initialized'
+      });
+    }
+
+    const { creatorId } = req.body;
+    if (!creatorId || typeof creatorId !== 'string') {
+      return res.status(400).json({
+        error: 'creatorId is required'
+      });
+    }
+
+    const topN = req.body.topN === undefined ? DEFAULT_LIMIT : Number(req.body.topN);
+    if (!Number.isInteger(topN) || topN < 1 || topN > MAX_LIMIT) {
+      return res.status(400).json({
+        error: 'Invalid topN',
+        message: `topN must be an integer between 1 and ${MAX_LIMIT}`
+      });
+    }
 
-    let reasoning;
+    let options;
     try {
-      reasoning = await serviceManager.generateCompletion(reasoningPrompt, {
-        maxTokens: 300,
-        temperature: 0.7
+      options = resolveMatchOptions(req.body);
+    } catch (validationError) {
+      if (validationError.status === 400) {
+        return res.status(400).json(validationError.body);
+      }
+      throw validationError;
+    }
+    const { assignment, page, retrieval, fieldWeights, scoring, constraints, vectorFilter, exclusions, roster, budget } = options;
+    // Roster and budget selection pick a set rather than a ranking, so there is no rank to explain
+    if (roster) {
+      return res.status(400).json({
+        error: 'Invalid roster',
+        message: 'roster is not supported by /matches/explain'
+      });
+    }
+    if (budget) {
+      return res.status(400).json({
+        error: 'Invalid budget',
+        message: 'budget is not supported by /matches/explain'
       });
-    } catch (aiError) {
-      logger.error('AI Reasoning generation failed', { error: aiError.message });
-      reasoning = "AI reasoning generation currently unavailable. Please review creators based on their profile alignment.";
     }
 
-    // 6. Persist results if assignmentId is provided
-    if (assignmentId && process.env.ASSIGNMENT_SERVICE_URL) {
-      try {
-        const persistUrl = `${process.env.ASSIGNMENT_SERVICE_URL}/assignments/${assignmentId}/matches`;
-        logger.info('Persisting match results', { assignmentId, persistUrl });
-
-        // Map matches to fit the Assignment schema/validator requirements
-        const persistedMatches = rankedMatches.map(m => ({
-          creator: m.creator,
-          creatorId: m.creator.uniqueId || m.creator.id,
-          matchScore: m.matchScore,
-          reasoning: `Match based on ${m.scoreBreakdown.nicheAlignment} matching niche(s) and ${m.scoreBreakdown.audienceMatch ? 'valid' : 'invalid'} locale.`,
-          scoreBreakdown: m.scoreBreakdown
-        }));
-
-        const response = await fetch(persistUrl, {
-          method: 'PATCH',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ matchResults: persistedMatches })
-        });
+    const creators = await loadCreators();
+    const target = creators[creatorId];
+    if (!target) {
+      return res.status(404).json({
+        error: 'Creator not found'
+      });
+    }
 
-        if (!response.ok) {
-          const errorData = await response.json().catch(() => ({}));
-          throw new Error(`Assignment service returned ${response.status}: ${JSON.stringify(errorData)}`);
-        }
+    const { kept: constrainedCreators } = applyConstraints(Object.values(creators), constraints);
+    const { kept: eligibleCreators } = applyExclusions(constrainedCreators, exclusions);
+    // The creator is ranked as if it were eligible, whatever blocks it
+    const rankableIds = new Set([...eligibleCreators.map(creator => creator.uniqueId), creatorId]);
 
-        logger.info('Match results persisted successfully');
-      } catch (persistError) {
-        logger.error('Failed to persist match results', { error: persistError.message });
-        // Don't fail the request if persistence fails
+    // Retrieval uses the same candidate pool and metadata filter as POST /matches
+    const assignmentText = buildAssignmentText(assignment);
+    let semanticById = null;
+    let vectorMatchById = new Map();
+    let retrievedIds = new Set();
+    try {
+      const assignmentEmbedding = await serviceManager.generateEmbedding(assignmentText);
+      const searchResults = await serviceManager.queryVectors(assignmentEmbedding, page.candidatePool, vectorFilter);
+      let vectorMatches = searchResults.matches || [];
+      retrievedIds = new Set(vectorMatches.map(match => match.id));
+      // A creator outside the candidates is scored against its stored vector so its breakdown stays complete
+      if (!retrievedIds.has(creatorId)) {
+        const storedScore = await fetchStoredSimilarity(creatorId, assignmentEmbedding);
+        if (storedScore !== null) vectorMatches = [...vectorMatches, { id: creatorId, score: storedScore }];
+      }
+      if (fieldWeights) {
+        vectorMatches = (await scoreFieldSimilarities(vectorMatches, { assignment, assignmentText, assignmentEmbedding, fieldWeights })).matches;
       }
+      semanticById = new Map(vectorMatches.map(match => [match.id, match.score]));
+      vectorMatchById = new Map(vectorMatches.map(match => [match.id, match]));
+    } catch (error) {
+      logger.warn('Vector search failed, explaining with rule-based scores', { error: error.message });
+    }
+    const isFallback = semanticById === null;
+    // Relevance is lexical in fallback mode and fused in hybrid mode, as it is for POST /matches
+    let relevanceById;
+    let ranksById = null;
+    let isRetrieved = (id) => retrievedIds.has(id);
+    if (isFallback) {
+      const lexical = lexicalScores(lexicalIndex, assignmentText);
+      relevanceById = new Map(Object.keys(creators).map(id => [id, relevanceAsCosine(lexical.get(id) || 0)]));
+      isRetrieved = () => true;
+    } else if (retrieval === 'hybrid') {
+      const vectorRanking = [...retrievedIds].filter(id => rankableIds.has(id)).map(id => ({ id }));
+      const lexicalRanking = searchLexical(lexicalIndex, assignmentText)
+        .filter(result => rankableIds.has(result.id))
+        .slice(0, page.candidatePool);
+      const fused = reciprocalRankFusion({ vector: vectorRanking, lexical: lexicalRanking });
+      relevanceById = new Map(fused.map(entry => [entry.id, relevanceAsCosine(entry.relevance)]));
+      ranksById = new Map(fused.map(entry => [entry.id, { fusedScore: entry.fusedScore, ranks: entry.ranks }]));
+      isRetrieved = (id) => relevanceById.has(id);
+    } else {
+      relevanceById = semanticById;
     }
+    // A creator that was not retrieved falls back to its stored vector similarity
+    const semanticFor = (creator) => relevanceById.get(creator.uniqueId) ?? (semanticById?.get(creator.uniqueId) || 0);
+
+    // What removes the creator before scoring
+    const blockers = findFailedConstraints(target, constraints).map(name => ({
+      type: 'constraint',
+      name,
+      reason: `Fails the ${name} constraint`
+    }));
+    const exclusionHits = exclusions ? findExclusionHits(target, exclusions) : [];
+    if (exclusions && exclusions.action === 'disqualify') {
+      exclusionHits.forEach(hit => blockers.push({ type: 'exclusion', name: hit.category, reason: hit.reason }));
+    }
+    // Failed constraints are pushed into the vector filter, so they already explain a missing vector result
+    if (!isRetrieved(creatorId) && !blockers.some(blocker => blocker.type === 'constraint')) {
+      const searched = retrieval === 'hybrid' ? 'vector or lexical search' : 'vector search';
+      blockers.push(semanticById.has(creatorId)
+        ? { type: 'retrieval', name: 'notRetrieved', reason: `Creator was not among the ${page.candidatePool} ${searched} candidates` }
+        : { type: 'retrieval', name: 'notIndexed', reason: `Creator has no stored vector and was not returned by ${searched}` });
+    }
+
+    // Score the creator and every other retrieved eligible candidate the same way POST /matches does
+    const competitors = eligibleCreators
+      .filter(creator => creator.uniqueId !== creatorId && isRetrieved(creator.uniqueId))
+      .map(creator => withFieldBreakdown(
+        matcher.calculateMatch(assignment, creator, semanticFor(creator), scoring.weights, engagementStats),
+        vectorMatchById.get(creator.uniqueId)
+      ));
+    const match = withFieldBreakdown(
+      matcher.calculateMatch(assignment, target, semanticFor(target), scoring.weights, engagementStats),
+      vectorMatchById.get(creatorId)
+    );
+    if (ranksById && ranksById.has(creatorId)) match.retrieval = ranksById.get(creatorId);
+    penalizeMatches([...competitors, match], exclusions);
+
+    const explanation = explainMatch({
+      match,
+      competitors,
+      scoring,
+      topN,
+      requestedNiches: assignment.creatorNiches?.length || 0
+    });
 
     res.json({
       success: true,
       data: {
-        assignment,
-        matches: rankedMatches,
-        reasoning,
+        creatorId,
+        topN,
+        eligible: blockers.length === 0,
+        blockers,
+        match,
+        exclusionHits,
+        ...explanation,
+        scoring,
         isFallback
       },
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    logger.error('Error creating match', { error: error.message });
+    logger.error('Error explaining match', { error: error.message });
 
     if (error.message.includes('Circuit breaker')) {
       return res.status(503).json({
@@ -264,7 +942,384 @@ app.post('/matches', async (req, res) => {
       });
     }
 
-    res.status(500).json({ error: 'Failed to create match' });
+    res.status(500).json({ error: 'Failed to explain match' });
+  }
+});
+
+// Streaming match endpoint: the same pipeline as POST /matches, reported as Server-Sent Events.
+// Events: embedding, search, candidates, ranked (page without reasoning), token, reasoning (one
+// creator), result (final payload, same shape as POST /matches data), error; the stream then ends.
+app.post('/matches/stream', async (req, res) => {
+  if (!servicesInitialized) {
+    return res.status(503).json({
+      error: 'External services not initialized'
+    });
+  }
+
+  // Validation errors are still plain JSON responses, before the stream is opened
+  let options;
+  try {
+    options = resolveMatchOptions(req.body);
+  } catch (validationError) {
+    if (validationError.status === 400) {
+      return res.status(400).json(validationError.body);
+    }
+    logger.error('Error creating match stream', { error: validationError.message });
+    return res.status(500).json({ error: 'Failed to create match' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  let clientGone = false;
+  res.on('close', () => {
+    clientGone = true;
+  });
+
+  const send = (event, payload) => {
+    if (clientGone) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+  };
+
+  try {
+    const { data, empty } = await runMatch(options, { onEvent: send });
+
+    if (!empty) {
+      await persistMatches(options.assignmentId, options, data.matches);
+    }
+
+    send('result', { ...data, timestamp: new Date().toISOString() });
+  } catch (error) {
+    logger.error('Error streaming match', { error: error.message });
+
+    send('error', error.message.includes('Circuit breaker')
+      ? { error: 'Service temporarily unavailable', message: 'External service is experiencing issues, please try again later' }
+      : { error: 'Failed to create match' });
+  } finally {
+    res.end();
+  }
+});
+
+// Batch matching limits for POST /matches/batch
+const MAX_BATCH_SIZE = 50;
+const BATCH_CONCURRENCY = parseInt(process.env.MATCH_BATCH_CONCURRENCY || 4);
+
+/**
+ * Turns one batch entry into resolved match options
+ * @param {string|Object} entry - Assignment id, or an assignment (persisted against `entry.id` when present)
+ * @param {Object} shared - Batch-level options (weights, paging, diversity)
+ * @returns {Promise<Object>} { assignmentId, options }
+ * @throws {Error} With status and body describing why the entry cannot be matched
+ */
+async function resolveBatchEntry(entry, shared) {
+  if (typeof entry === 'string') {
+    if (!assignmentClient.isConfigured()) {
+      throw badRequest({ error: 'Assignment service is not configured', message: 'Pass the assignment itself instead of its id' });
+    }
+
+    let assignment;
+    try {
+      // Previous match results are not part of the brief
+      const { matchResults, ...stored } = await assignmentClient.getAssignment(entry);
+      assignment = stored;
+    } catch (fetchError) {
+      const error = new Error(fetchError.message);
+      error.status = fetchError.status === 404 ? 404 : 502;
+      error.body = {
+        error: fetchError.status === 404 ? 'Assignment not found' : 'Failed to load assignment',
+        message: fetchError.message
+      };
+      throw error;
+    }
+
+    return { assignmentId: entry, options: resolveMatchOptions({ ...shared, assignment, assignmentId: entry }) };
+  }
+
+  if (!entry || typeof entry !== 'object') {
+    throw badRequest({ error: 'Each batch entry must be an assignment or an assignment id' });
+  }
+
+  const assignmentId = entry.id || entry.assignmentId;
+  return { assignmentId, options: resolveMatchOptions({ ...shared, assignment: entry, assignmentId }) };
+}
+
+// Batch match endpoint: many assignments, one embedding call, bounded vector query concurrency
+app.post('/matches/batch', async (req, res) => {
+  try {
+    if (!servicesInitialized) {
+      return res.status(503).json({
+        error: 'External services not initialized'
+      });
+    }
+
+    const { assignments, ...shared } = req.body;
+
+    if (!Array.isArray(assignments) || assignments.length === 0 || assignments.length > MAX_BATCH_SIZE) {
+      return res.status(400).json({
+        error: 'Invalid batch',
+        message: `assignments must be an array of 1-${MAX_BATCH_SIZE} assignments or assignment ids`
+      });
+    }
+
+    // 1. Resolve every entry; failures become per-entry errors instead of failing the batch
+    const entries = await mapWithConcurrency(assignments, BATCH_CONCURRENCY, async (entry, index) => {
+      try {
+        return { index, ...(await resolveBatchEntry(entry, shared)) };
+      } catch (error) {
+        if (!error.status) throw error;
+        return { index, assignmentId: typeof entry === 'string' ? entry : entry?.id, failure: { status: error.status, ...error.body } };
+      }
+    });
+    const runnable = entries.filter(entry => !entry.failure);
+
+    // 2. Embed every assignment in a single call, together with the niche and value texts of entries
+    // scored field by field; on failure each entry falls back to rule-based matching
+    const texts = [];
+    const planned = runnable.map(entry => {
+      const assignmentText = buildAssignmentText(entry.options.assignment);
+      const fields = entry.options.fieldWeights ? fieldTextsToEmbed(entry.options.assignment, assignmentText) : [];
+      const offset = texts.length;
+      texts.push(assignmentText, ...fields.map(({ text }) => text));
+      return { entry, offset, fields };
+    });
+    let embeddings = [];
+    if (texts.length > 0) {
+      try {
+        embeddings = await serviceManager.generateEmbeddings(texts);
+      } catch (embeddingError) {
+        logger.warn('Batch embedding failed, falling back to rule-based matching', { error: embeddingError.message });
+      }
+    }
+    const contextByIndex = new Map(planned.map(({ entry, offset, fields }) => {
+      const context = { embedding: embeddings[offset] || null };
+      if (entry.options.fieldWeights) {
+        context.fieldEmbeddings = Object.fromEntries(fields.map(({ field }, i) => [field, embeddings[offset + 1 + i]]));
+      }
+      return [entry.index, context];
+    }));
+
+    // Warm the creator cache once so concurrent matches share it
+    await loadCreators();
+
+    // 3. Match and persist each assignment with bounded concurrency
+    const results = await mapWithConcurrency(entries, BATCH_CONCURRENCY, async (entry) => {
+      const base = { index: entry.index, assignmentId: entry.assignmentId || null };
+      if (entry.failure) {
+        return { ...base, success: false, ...entry.failure };
+      }
+
+      try {
+        const { data } = await runMatch(entry.options, contextByIndex.get(entry.index));
+        const persisted = await persistMatches(entry.assignmentId, entry.options, data.matches);
+        return { ...base, success: true, persisted, data };
+      } catch (error) {
+        logger.error('Batch entry failed', { index: entry.index, error: error.message });
+        return { ...base, success: false, status: 500, error: 'Failed to create match', message: error.message };
+      }
+    });
+
+    const succeeded = results.filter(result => result.success).length;
+    logger.info('Batch matching completed', { total: results.length, succeeded });
+
+    res.json({
+      success: true,
+      data: {
+        results,
+        summary: {
+          total: results.length,
+          succeeded,
+          failed: results.length - succeeded,
+          persisted: results.filter(result => result.persisted).length
+        }
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error creating batch matches', { error: error.message });
+    res.status(500).json({ error: 'Failed to create batch matches' });
+  }
+});
+
+// Reverse matching page size for GET /creators/:id/assignments
+const DEFAULT_ASSIGNMENT_LIMIT = 10;
+const MAX_ASSIGNMENT_LIMIT = 50;
+
+/**
+ * Makes sure every assignment carries an embedding of its current text.
+ * Missing or stale embeddings are generated in one call.
+ * @param {Array<Object>} assignments - Open assignments; `embedding` is filled in place
+ * @param {Object} [options] - `persist` caches the generated embeddings on the Assignment documents
+ * @returns {Promise<Object>} { cached, generated, persisted } counts
+ */
+async function ensureAssignmentEmbeddings(assignments, { persist = false } = {}) {
+  const stale = [];
+  assignments.forEach(assignment => {
+    const textHash = hashAssignmentText(buildAssignmentText(assignment));
+    if (!hasFreshEmbedding(assignment, textHash)) stale.push({ assignment, textHash });
+  });
+
+  const report = { cached: assignments.length - stale.length, generated: 0, persisted: 0 };
+  if (stale.length === 0) return report;
+
+  let vectors;
+  try {
+    vectors = await serviceManager.generateEmbeddings(stale.map(({ assignment }) => buildAssignmentText(assignment)));
+  } catch (embeddingError) {
+    logger.warn('Assignment embedding failed, scoring stale assignments without semantics', { error: embeddingError.message });
+    return report;
+  }
+
+  await mapWithConcurrency(stale, BATCH_CONCURRENCY, async ({ assignment, textHash }, i) => {
+    if (!vectors[i]) return;
+    assignment.embedding = { values: vectors[i], textHash };
+    report.generated++;
+    if (!persist) return;
+
+    try {
+      await assignmentClient.saveEmbedding(assignment.id, vectors[i], textHash);
+      report.persisted++;
+    } catch (persistError) {
+      // The next refresh retries the cache
+      logger.warn('Failed to cache assignment embedding', { assignmentId: assignment.id, error: persistError.message });
+    }
+  });
+
+  return report;
+}
+
+// Reverse matching endpoint: rank open assignments for one creator
+app.get('/creators/:id/assignments', async (req, res) => {
+  try {
+    if (!servicesInitialized) {
+      return res.status(503).json({
+        error: 'External services not initialized'
+      });
+    }
+
+    if (!assignmentClient.isConfigured()) {
+      return res.status(503).json({
+        error: 'Assignment service is not configured'
+      });
+    }
+
+    const limit = req.query.limit === undefined ? DEFAULT_ASSIGNMENT_LIMIT : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_ASSIGNMENT_LIMIT) {
+      return res.status(400).json({
+        error: 'Invalid limit',
+        message: `limit must be an integer between 1 and ${MAX_ASSIGNMENT_LIMIT}`
+      });
+    }
+
+    let scoring;
+    try {
+      scoring = matcher.resolveWeights({ weightProfile: req.query.weightProfile });
+    } catch (weightError) {
+      return res.status(400).json({ error: 'Invalid scoring weights', message: weightError.message });
+    }
+
+    const creatorId = req.params.id;
+    const creators = await loadCreators();
+    const creator = creators[creatorId];
+    if (!creator) {
+      return res.status(404).json({
+        error: 'Creator not found'
+      });
+    }
+
+    let assignments;
+    try {
+      assignments = await assignmentClient.listOpenAssignments();
+    } catch (fetchError) {
+      logger.error('Failed to load open assignments', { error: fetchError.message });
+      return res.status(502).json({
+        error: 'Failed to load assignments',
+        message: fetchError.message
+      });
+    }
+
+    // The creator's vector as indexed; without it assignments are scored on rule-based components only
+    let creatorVector = null;
+    try {
+      const stored = await serviceManager.fetchVectors([creatorId]);
+      const values = stored?.records?.[creatorId]?.values;
+      if (values && values.length > 0) creatorVector = values;
+    } catch (error) {
+      logger.warn('Creator vector lookup failed, ranking assignments without semantics', { creatorId, error: error.message });
+    }
+
+    // Stale embeddings are generated for this request only; POST /matches/assignment-embeddings/refresh caches them
+    const embeddings = creatorVector
+      ? await ensureAssignmentEmbeddings(assignments)
+      : { cached: 0, generated: 0, persisted: 0 };
+    const { ranked, ineligible } = rankAssignments({ creator, assignments, creatorVector, scoring, engagementStats });
+
+    logger.info('Reverse match completed', { creatorId, open: assignments.length, eligible: ranked.length });
+
+    res.json({
+      success: true,
+      data: {
+        creatorId,
+        vectorSource: creatorVector ? 'stored' : 'none',
+        isFallback: creatorVector === null,
+        scoring,
+        assignments: ranked.slice(0, limit),
+        ineligible,
+        totalOpen: assignments.length,
+        eligible: ranked.length,
+        embeddings
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error ranking assignments for creator', { error: error.message });
+    res.status(500).json({ error: 'Failed to rank assignments' });
+  }
+});
+
+// Cache embeddings for open assignments whose text changed, for reverse matching to reuse
+app.post('/matches/assignment-embeddings/refresh', async (req, res) => {
+  try {
+    if (!servicesInitialized) {
+      return res.status(503).json({
+        error: 'External services not initialized'
+      });
+    }
+
+    if (!assignmentClient.isConfigured()) {
+      return res.status(503).json({
+        error: 'Assignment service is not configured'
+      });
+    }
+
+    let assignments;
+    try {
+      assignments = await assignmentClient.listOpenAssignments();
+    } catch (fetchError) {
+      logger.error('Failed to load open assignments', { error: fetchError.message });
+      return res.status(502).json({
+        error: 'Failed to load assignments',
+        message: fetchError.message
+      });
+    }
+
+    const embeddings = await ensureAssignmentEmbeddings(assignments, { persist: true });
+    logger.info('Assignment embeddings refreshed', { open: assignments.length, ...embeddings });
+
+    res.json({
+      success: true,
+      data: {
+        totalOpen: assignments.length,
+        embeddings
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error refreshing assignment embeddings', { error: error.message });
+    res.status(500).json({ error: 'Failed to refresh assignment embeddings' });
   }
 });
 
@@ -277,7 +1332,7 @@ app.post('/matches/framing', async (req, res) => {
       });
     }
 
-    const { assignment, creator } = req.body;
+    const { assignment, creator, assignmentId } = req.body;
 
     if (!assignment || !creator) {
       return res.status(400).json({
@@ -285,6 +1340,30 @@ app.post('/matches/framing', async (req, res) => {
       });
     }
 
+    // Framing is cached on the assignment's match entry when the assignment was persisted
+    const creatorId = creator.uniqueId;
+    const canCache = !!(assignmentId && creatorId && assignmentClient.isConfigured());
+
+    if (canCache) {
+      try {
+        const storedAssignment = await assignmentClient.getAssignment(assignmentId);
+        const matchEntry = (storedAssignment?.matchResults || []).find(m => m.creatorId === creatorId);
+
+        if (matchEntry?.framingSuggestion) {
+          logger.debug('Serving cached framing', { assignmentId, creatorId });
+          return res.json({
+            assignment,
+            creator,
+            framing: matchEntry.framingSuggestion,
+            cached: true,
+            timestamp: new Date().toISOString()
+          });
+        }
+      } catch (lookupError) {
+        logger.warn('Framing cache lookup failed, generating fresh framing', { assignmentId, error: lookupError.message });
+      }
+    }
+
     const framingPrompt = `
       Create personalized content framing for this creator and assignment:
       
@@ -304,10 +1383,23 @@ app.post('/matches/framing', async (req, res) => {
       temperature: 0.7
     });
 
+    let persisted = false;
+    if (canCache) {
+      try {
+        await assignmentClient.saveFraming(assignmentId, creatorId, framing);
+        persisted = true;
+      } catch (persistError) {
+        logger.error('Failed to persist framing', { assignmentId, creatorId, error: persistError.message });
+        // Don't fail the request if persistence fails
+      }
+    }
+
     res.json({
       assignment,
       creator,
       framing,
+      cached: false,
+      persisted,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
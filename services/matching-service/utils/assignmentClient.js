@@ -0,0 +1,117 @@
+/**
+ * Minimal HTTP client for the assignment service.
+ * All calls throw on non-2xx responses; callers decide whether persistence
+ * failures should fail the request.
+ */
+
+function isConfigured() {
+  return !!process.env.ASSIGNMENT_SERVICE_URL;
+}
+
+async function request(method, pathname, body) {
+  const url = `${process.env.ASSIGNMENT_SERVICE_URL}${pathname}`;
+  const response = await fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    const error = new Error(`Assignment service returned ${response.status}: ${JSON.stringify(errorData)}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return response.json();
+}
+
+/**
+ * Fetch a persisted assignment
+ * @param {string} assignmentId - Assignment ID
+ * @returns {Promise<Object>} Assignment public JSON
+ */
+async function getAssignment(assignmentId) {
+  const result = await request('GET', `/assignments/${assignmentId}`);
+  return result.data;
+}
+
+/**
+ * Replace an assignment's match results
+ * @param {string} assignmentId - Assignment ID
+ * @param {Array} matchResults - Match results in the Assignment schema shape
+ * @param {Object} [experiment] - { name, variant, unit } when the request was enrolled in an experiment
+ * @returns {Promise<Object>} Assignment service response
+ */
+async function saveMatchResults(assignmentId, matchResults, experiment = null) {
+  return request('PATCH', `/assignments/${assignmentId}/matches`, {
+    matchResults,
+    ...(experiment && { experiment })
+  });
+}
+
+/**
+ * Store a framing suggestion on one creator's match entry
+ * @param {string} assignmentId - Assignment ID
+ * @param {string} creatorId - Creator uniqueId of the match entry
+ * @param {string} framingSuggestion - Generated framing
+ * @returns {Promise<Object>} Assignment service response
+ */
+async function saveFraming(assignmentId, creatorId, framingSuggestion) {
+  return request('PATCH', `/assignments/${assignmentId}/matches/${encodeURIComponent(creatorId)}/framing`, { framingSuggestion });
+}
+
+// Page size when walking the open assignment list (the assignment service caps limit at 100)
+const OPEN_PAGE_SIZE = 100;
+
+/**
+ * Fetch every open (pending or processing) assignment, with cached embeddings
+ * @returns {Promise<Array>} Assignment public JSON, newest first
+ */
+async function listOpenAssignments() {
+  const assignments = [];
+  let skip = 0;
+  let hasMore = true;
+
+  while (hasMore) {
+    const result = await request('GET', `/assignments/open?include=embedding&limit=${OPEN_PAGE_SIZE}&skip=${skip}`);
+    assignments.push(...result.data);
+    skip += result.data.length;
+    hasMore = result.pagination.hasMore && result.data.length > 0;
+  }
+
+  return assignments;
+}
+
+/**
+ * Cache an assignment's embedding on the Assignment document
+ * @param {string} assignmentId - Assignment ID
+ * @param {Array<number>} values - Embedding vector
+ * @param {string} textHash - Hash of the text that was embedded
+ * @returns {Promise<Object>} Assignment service response
+ */
+async function saveEmbedding(assignmentId, values, textHash) {
+  return request('PUT', `/assignments/${assignmentId}/embedding`, { values, textHash });
+}
+
+/**
+ * Per-variant assignment and feedback counts for an experiment
+ * @param {string} name - Experiment name
+ * @param {Array<string>} variants - Variant names, reported even when they have no data yet
+ * @returns {Promise<Object>} { name, variants: [...] }
+ */
+async function getExperimentStats(name, variants) {
+  const query = new URLSearchParams({ variants: variants.join(',') });
+  const result = await request('GET', `/experiments/${encodeURIComponent(name)}/stats?${query}`);
+  return result.data;
+}
+
+module.exports = {
+  isConfigured,
+  getAssignment,
+  listOpenAssignments,
+  saveMatchResults,
+  saveFraming,
+  saveEmbedding,
+  getExperimentStats
+};
@@ -0,0 +1,13 @@
+/**
+ * The text an assignment is embedded from, shared by live matching, reverse matching
+ * and recording semantic scores for the evaluation golden set
+ * @param {Object} assignment - The assignment details
+ * @returns {string}
+ */
+function buildAssignmentText(assignment) {
+  return `${assignment.topic} ${assignment.keyTakeaway} ${assignment.additionalContext}`;
+}
+
+module.exports = {
+  buildAssignmentText
+};
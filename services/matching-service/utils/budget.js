@@ -0,0 +1,186 @@
+const { assignmentBudgetSchema } = require('../../../shared/validation/schemas');
+const { isPenalized } = require('./exclusions');
+
+/**
+ * Budget-aware selection.
+ * Each priced creator costs pricePerDeliverable × the assignment's deliverables. The selection is
+ * the set of at most `size` creators whose combined matchScore is highest without the total cost
+ * exceeding the budget. It is solved as a 0/1 knapsack with a cardinality limit. Creators without a
+ * rate card, or priced in another currency, cannot be costed and are reported instead of selected.
+ * Penalized creators (brand-safety penalize mode) only get the slots and budget the clean
+ * creators leave over, so they never displace a clean creator that fits.
+ */
+
+// Budget resolution for the knapsack; costs are rounded up to 1/BUDGET_STEPS of the budget,
+// so a selection never overspends and at worst misses a combination within that margin
+const BUDGET_STEPS = 2000;
+
+function round2(value) {
+  return parseFloat(value.toFixed(2));
+}
+
+/**
+ * Validates and normalizes the budget from the assignment
+ * @param {Object} rawBudget - assignment.budget
+ * @returns {Object|null} { total, currency, deliverables }, or null when no budget is set
+ * @throws {Error} With code INVALID_BUDGET and Joi details
+ */
+function normalizeBudget(rawBudget) {
+  if (rawBudget === undefined || rawBudget === null) {
+    return null;
+  }
+
+  const { error, value } = assignmentBudgetSchema.validate(rawBudget, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+
+  if (error) {
+    const budgetError = new Error('Invalid budget');
+    budgetError.code = 'INVALID_BUDGET';
+    budgetError.details = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+    throw budgetError;
+  }
+
+  return value;
+}
+
+// Why a creator cannot be costed against this budget, or null when it can
+function unpricedReason(creator, budget) {
+  const rateCard = creator.rateCard;
+  if (!rateCard || typeof rateCard.pricePerDeliverable !== 'number') {
+    return 'No rate card';
+  }
+  if ((rateCard.currency || '').toUpperCase() !== budget.currency) {
+    return `Priced in ${rateCard.currency || 'an unknown currency'}, budget is in ${budget.currency}`;
+  }
+  return null;
+}
+
+/**
+ * 0/1 knapsack with a cardinality limit over discretized cost
+ * @param {Array<number>} candidates - Indices into priced to choose from
+ * @param {Array<Object>} priced - { match, cost }
+ * @param {Array<number>} units - Cost of each priced entry in budget units
+ * @param {number} capacity - Budget units available
+ * @param {number} size - Maximum number of creators to choose
+ * @returns {Array<number>} Chosen indices into priced
+ */
+function pickBestSubset(candidates, priced, units, capacity, size) {
+  const limit = Math.min(size, candidates.length);
+  if (limit <= 0) return [];
+
+  // best[k][c] is the highest total score using k creators and c budget units
+  const best = Array.from({ length: limit + 1 }, () => new Float64Array(capacity + 1).fill(-Infinity));
+  best[0].fill(0);
+  // taken[j] records, per (k, c), whether candidate j was added on the way to that state
+  const taken = candidates.map(() => new Uint8Array((limit + 1) * (capacity + 1)));
+
+  candidates.forEach((index, j) => {
+    const weight = units[index];
+    if (weight > capacity) return;
+    for (let k = limit; k >= 1; k--) {
+      for (let c = capacity; c >= weight; c--) {
+        const candidate = best[k - 1][c - weight] + priced[index].match.matchScore;
+        if (candidate > best[k][c] + 1e-12) {
+          best[k][c] = candidate;
+          taken[j][k * (capacity + 1) + c] = 1;
+        }
+      }
+    }
+  });
+
+  // Best final state; ties prefer fewer creators, then less spend
+  let bestK = 0;
+  let bestC = 0;
+  for (let k = 0; k <= limit; k++) {
+    for (let c = 0; c <= capacity; c++) {
+      if (best[k][c] > best[bestK][bestC] + 1e-12) {
+        bestK = k;
+        bestC = c;
+      }
+    }
+  }
+
+  const chosen = [];
+  let k = bestK;
+  let c = bestC;
+  for (let j = candidates.length - 1; j >= 0 && k > 0; j--) {
+    if (taken[j][k * (capacity + 1) + c]) {
+      chosen.push(candidates[j]);
+      c -= units[candidates[j]];
+      k--;
+    }
+  }
+
+  return chosen;
+}
+
+/**
+ * Picks the best-scoring combination of creators that fits the budget
+ * @param {Array<Object>} rankedMatches - Matches in relevance order
+ * @param {Object} budget - Output of normalizeBudget
+ * @param {Object} options
+ * @param {number} options.size - Maximum number of creators to select
+ * @returns {Object} { matches, report } with matches in relevance order and the spend breakdown
+ */
+function selectWithinBudget(rankedMatches, budget, { size }) {
+  const unpriced = [];
+  const priced = [];
+
+  rankedMatches.forEach(match => {
+    const reason = unpricedReason(match.creator, budget);
+    if (reason) {
+      unpriced.push({ creatorId: match.creator.uniqueId, nickname: match.creator.nickname, reason });
+      return;
+    }
+    const cost = match.creator.rateCard.pricePerDeliverable * budget.deliverables;
+    priced.push({ match, cost });
+  });
+
+  // Clean creators are chosen first; penalized ones compete for what is left
+  const unit = budget.total / BUDGET_STEPS;
+  const units = priced.map(({ cost }) => Math.ceil(cost / unit - 1e-9));
+  const indices = priced.map((_, i) => i);
+  const penalizedAt = i => isPenalized(priced[i].match);
+
+  const clean = pickBestSubset(indices.filter(i => !penalizedAt(i)), priced, units, BUDGET_STEPS, size);
+  const cleanUnits = clean.reduce((sum, i) => sum + units[i], 0);
+  const penalized = pickBestSubset(indices.filter(penalizedAt), priced, units, BUDGET_STEPS - cleanUnits, size - clean.length);
+  const chosen = new Set([...clean, ...penalized]);
+
+  const selected = priced.filter((_, i) => chosen.has(i));
+  const spent = selected.reduce((sum, { cost }) => sum + cost, 0);
+
+  return {
+    matches: selected.map(({ match }) => match),
+    report: {
+      total: budget.total,
+      currency: budget.currency,
+      deliverables: budget.deliverables,
+      spent: round2(spent),
+      remaining: round2(budget.total - spent),
+      lineItems: selected.map(({ match, cost }) => ({
+        creatorId: match.creator.uniqueId,
+        nickname: match.creator.nickname,
+        matchScore: match.matchScore,
+        pricePerDeliverable: match.creator.rateCard.pricePerDeliverable,
+        deliverable: match.creator.rateCard.deliverable || 'video',
+        deliverables: budget.deliverables,
+        cost: round2(cost)
+      })),
+      priced: priced.length,
+      overBudget: priced.filter(({ cost }) => cost > budget.total).length,
+      unpriced
+    }
+  };
+}
+
+module.exports = {
+  normalizeBudget,
+  selectWithinBudget
+};
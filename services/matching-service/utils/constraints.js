@@ -0,0 +1,170 @@
+const { assignmentConstraintsSchema } = require('../../../shared/validation/schemas');
+const { expandNiches } = require('../../../shared/utils/nicheTaxonomy');
+
+/**
+ * Hard constraint filters for match requests.
+ * Constraints are pushed down to Pinecone as metadata filters where the
+ * metadata allows it and always re-applied in-process, so fallback mode and
+ * stale vector metadata produce the same result set.
+ */
+
+// Evaluation order; a creator is attributed to the first constraint it fails
+const CONSTRAINT_CHECKS = [
+  {
+    name: 'excludedCreatorIds',
+    applies: (c) => c.excludedCreatorIds && c.excludedCreatorIds.length > 0,
+    passes: (creator, c) => !c.excludedCreatorIds.includes(creator.uniqueId)
+  },
+  {
+    name: 'verifiedOnly',
+    applies: (c) => c.verifiedOnly === true,
+    passes: (creator) => creator.verified === true
+  },
+  {
+    name: 'followerRange',
+    applies: (c) => c.minFollowers !== undefined || c.maxFollowers !== undefined,
+    passes: (creator, c) => {
+      const followers = creator.followerCount || 0;
+      if (c.minFollowers !== undefined && followers < c.minFollowers) return false;
+      if (c.maxFollowers !== undefined && followers > c.maxFollowers) return false;
+      return true;
+    }
+  },
+  {
+    name: 'allowedRegions',
+    applies: (c) => c.allowedRegions && c.allowedRegions.length > 0,
+    passes: (creator, c) => c.allowedRegions.includes((creator.region || '').toUpperCase())
+  },
+  {
+    name: 'blockedRegions',
+    applies: (c) => c.blockedRegions && c.blockedRegions.length > 0,
+    passes: (creator, c) => !c.blockedRegions.includes((creator.region || '').toUpperCase())
+  },
+  {
+    name: 'requiredNiches',
+    applies: (c) => c.requiredNiches && c.requiredNiches.length > 0,
+    passes: (creator, c) => {
+      // Aliases and child niches of a required niche satisfy it
+      const accepted = expandNiches(c.requiredNiches).map(n => n.toLowerCase());
+      return [
+        ...(creator.analysis?.primaryNiches || []),
+        ...(creator.analysis?.secondaryNiches || [])
+      ].some(niche => accepted.includes(niche.toLowerCase()));
+    }
+  }
+];
+
+/**
+ * Validates and normalizes raw constraints from the request payload
+ * @param {Object} rawConstraints - assignment.constraints
+ * @returns {Object} Normalized constraints (empty object when none given)
+ * @throws {Error} With code INVALID_CONSTRAINTS and Joi details
+ */
+function normalizeConstraints(rawConstraints) {
+  if (rawConstraints === undefined || rawConstraints === null) {
+    return {};
+  }
+
+  const { error, value } = assignmentConstraintsSchema.validate(rawConstraints, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+
+  if (error) {
+    const constraintError = new Error('Invalid constraints');
+    constraintError.code = 'INVALID_CONSTRAINTS';
+    constraintError.details = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+    throw constraintError;
+  }
+
+  return value;
+}
+
+/**
+ * Builds a Pinecone metadata filter from normalized constraints.
+ * excludedCreatorIds is not expressible (vector ids are not metadata) and is
+ * only applied in-process.
+ * @param {Object} constraints - Normalized constraints
+ * @returns {Object|null} Pinecone filter or null when nothing can be pushed down
+ */
+function buildVectorFilter(constraints) {
+  const clauses = [];
+
+  if (constraints.verifiedOnly === true) {
+    clauses.push({ verified: { $eq: true } });
+  }
+
+  if (constraints.minFollowers !== undefined || constraints.maxFollowers !== undefined) {
+    const range = {};
+    if (constraints.minFollowers !== undefined) range.$gte = constraints.minFollowers;
+    if (constraints.maxFollowers !== undefined) range.$lte = constraints.maxFollowers;
+    clauses.push({ followerCount: range });
+  }
+
+  if (constraints.allowedRegions && constraints.allowedRegions.length > 0) {
+    clauses.push({ region: { $in: constraints.allowedRegions } });
+  }
+
+  if (constraints.blockedRegions && constraints.blockedRegions.length > 0) {
+    clauses.push({ region: { $nin: constraints.blockedRegions } });
+  }
+
+  if (constraints.requiredNiches && constraints.requiredNiches.length > 0) {
+    const accepted = expandNiches(constraints.requiredNiches);
+    clauses.push({
+      $or: [
+        { primaryNiches: { $in: accepted } },
+        { secondaryNiches: { $in: accepted } }
+      ]
+    });
+  }
+
+  if (clauses.length === 0) return null;
+  return clauses.length === 1 ? clauses[0] : { $and: clauses };
+}
+
+/**
+ * Applies constraints to a list of creators
+ * @param {Array<Object>} creators - Creator profiles
+ * @param {Object} constraints - Normalized constraints
+ * @returns {Object} { kept, removed } where removed counts creators per constraint
+ */
+function applyConstraints(creators, constraints) {
+  const activeChecks = CONSTRAINT_CHECKS.filter(check => check.applies(constraints));
+  const removed = {};
+  activeChecks.forEach(check => { removed[check.name] = 0; });
+
+  const kept = creators.filter(creator => {
+    const failed = activeChecks.find(check => !check.passes(creator, constraints));
+    if (failed) {
+      removed[failed.name]++;
+      return false;
+    }
+    return true;
+  });
+
+  return { kept, removed };
+}
+
+/**
+ * Lists every active constraint a single creator fails
+ * @param {Object} creator - Creator profile
+ * @param {Object} constraints - Normalized constraints
+ * @returns {Array<string>} Constraint names in evaluation order
+ */
+function findFailedConstraints(creator, constraints) {
+  return CONSTRAINT_CHECKS
+    .filter(check => check.applies(constraints) && !check.passes(creator, constraints))
+    .map(check => check.name);
+}
+
+module.exports = {
+  normalizeConstraints,
+  buildVectorFilter,
+  applyConstraints,
+  findFailedConstraints
+};
@@ -0,0 +1,131 @@
+const { isPenalized } = require('./exclusions');
+
+/**
+ * Diversity-aware reranking using maximal marginal relevance (MMR).
+ * Each step picks the candidate maximizing
+ *   (1 - diversity) * relevance - diversity * maxSimilarityToSelected
+ * so diversity = 0 keeps the pure relevance order. Relevance is matchScore scaled min-max over
+ * the candidates, so real score gaps count and the trade-off does not depend on how many
+ * candidates there are. Penalized creators
+ * (brand-safety penalize mode) are only picked once no clean creator is left, as in rankMatches.
+ */
+
+// Blend of embedding and attribute similarity when both creators have vectors
+const EMBEDDING_WEIGHT = 0.5;
+// Attribute similarity split between niche overlap and shared region
+const NICHE_WEIGHT = 0.7;
+const REGION_WEIGHT = 0.3;
+
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length || a.length === 0) return null;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) return null;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+function nicheSet(creator) {
+  return new Set([
+    ...(creator.analysis?.primaryNiches || []),
+    ...(creator.analysis?.secondaryNiches || [])
+  ].map(n => n.toLowerCase()));
+}
+
+function jaccard(setA, setB) {
+  if (setA.size === 0 && setB.size === 0) return 0;
+  let intersection = 0;
+  setA.forEach(item => {
+    if (setB.has(item)) intersection++;
+  });
+  return intersection / (setA.size + setB.size - intersection);
+}
+
+/**
+ * Similarity between two creators in [0, 1]
+ * @param {Object} a - { creator, niches, vector }
+ * @param {Object} b - { creator, niches, vector }
+ * @returns {number}
+ */
+function creatorSimilarity(a, b) {
+  const sameRegion = a.creator.region && b.creator.region &&
+    a.creator.region.toLowerCase() === b.creator.region.toLowerCase() ? 1 : 0;
+  const attributeSimilarity = (jaccard(a.niches, b.niches) * NICHE_WEIGHT) + (sameRegion * REGION_WEIGHT);
+
+  const cosine = cosineSimilarity(a.vector, b.vector);
+  if (cosine === null) return attributeSimilarity;
+
+  return (Math.max(0, cosine) * EMBEDDING_WEIGHT) + (attributeSimilarity * (1 - EMBEDDING_WEIGHT));
+}
+
+/**
+ * Reranks relevance-ordered matches with MMR
+ * @param {Array} rankedMatches - Matches sorted by relevance (best first)
+ * @param {Object} options
+ * @param {number} options.diversity - 0 (pure relevance) to 1 (pure novelty)
+ * @param {number} [options.selectCount] - How many positions to rerank; the rest keep relevance order
+ * @param {Object} [options.vectors] - Map of creator uniqueId to embedding values
+ * @returns {Array} Reranked matches with scoreBreakdown.diversityPenalty set
+ */
+function diversify(rankedMatches, { diversity, selectCount = rankedMatches.length, vectors = {} }) {
+  const scores = rankedMatches.map(match => match.matchScore);
+  const minScore = Math.min(...scores);
+  const scoreRange = Math.max(...scores) - minScore;
+  const items = rankedMatches.map(match => ({
+    match,
+    // Equal scores leave nothing to scale, so every candidate is fully relevant
+    relevance: scoreRange > 0 ? (match.matchScore - minScore) / scoreRange : 1,
+    creator: match.creator,
+    niches: nicheSet(match.creator),
+    vector: vectors[match.creator.uniqueId],
+    penalized: isPenalized(match)
+  }));
+
+  const selected = [];
+  const remaining = [...items];
+  const maxSimilarity = new Map(items.map(item => [item, 0]));
+
+  while (selected.length < selectCount && remaining.length > 0) {
+    let bestIndex = 0;
+    let bestScore = -Infinity;
+    const cleanLeft = remaining.some(item => !item.penalized);
+
+    remaining.forEach((item, index) => {
+      if (cleanLeft && item.penalized) return;
+      const mmrScore = ((1 - diversity) * item.relevance) - (diversity * maxSimilarity.get(item));
+      if (mmrScore > bestScore) {
+        bestScore = mmrScore;
+        bestIndex = index;
+      }
+    });
+
+    const [chosen] = remaining.splice(bestIndex, 1);
+    chosen.match.scoreBreakdown.diversityPenalty = parseFloat((diversity * maxSimilarity.get(chosen)).toFixed(4));
+    selected.push(chosen);
+
+    remaining.forEach(item => {
+      const similarity = creatorSimilarity(item, chosen);
+      if (similarity > maxSimilarity.get(item)) {
+        maxSimilarity.set(item, similarity);
+      }
+    });
+  }
+
+  remaining.forEach(item => {
+    item.match.scoreBreakdown.diversityPenalty = parseFloat((diversity * maxSimilarity.get(item)).toFixed(4));
+  });
+
+  return [...selected, ...remaining].map(item => item.match);
+}
+
+module.exports = {
+  cosineSimilarity,
+  diversify
+};
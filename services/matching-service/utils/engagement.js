@@ -0,0 +1,93 @@
+/**
+ * Engagement fit: how strongly a creator's audience engages, relative to the
+ * rest of the creator population. Each raw metric is turned into a percentile
+ * rank within the population so a handful of very large accounts cannot
+ * compress everyone else towards 0.
+ */
+
+// Feature weights; features a creator has no data for are left out and the rest re-normalized
+const FEATURES = [
+  {
+    name: 'engagementRate',
+    weight: 0.4,
+    value: (c) => (c.followerCount > 0 && c.heartCount !== undefined ? c.heartCount / c.followerCount : null)
+  },
+  {
+    name: 'likesPerVideo',
+    weight: 0.3,
+    value: (c) => (c.videoCount > 0 && c.heartCount !== undefined ? c.heartCount / c.videoCount : null)
+  },
+  {
+    name: 'audienceRatio',
+    weight: 0.2,
+    value: (c) => (c.followerCount !== undefined && c.followingCount !== undefined
+      ? c.followerCount / Math.max(c.followingCount, 1)
+      : null)
+  },
+  {
+    name: 'postingVolume',
+    weight: 0.1,
+    value: (c) => (c.videoCount !== undefined ? c.videoCount : null)
+  }
+];
+
+function isUsable(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Precomputes sorted feature distributions for a creator population
+ * @param {Array<Object>} creators - Every creator in the pool
+ * @returns {Object} Map of feature name to ascending values
+ */
+function buildEngagementStats(creators) {
+  const stats = {};
+  FEATURES.forEach(feature => {
+    stats[feature.name] = creators
+      .map(creator => feature.value(creator))
+      .filter(isUsable)
+      .sort((a, b) => a - b);
+  });
+  return stats;
+}
+
+// Mid-rank percentile so ties share the same score
+function percentile(sortedValues, value) {
+  let below = 0;
+  let equal = 0;
+  for (const v of sortedValues) {
+    if (v < value) below++;
+    else if (v === value) equal++;
+    else break;
+  }
+  return (below + (equal / 2)) / sortedValues.length;
+}
+
+/**
+ * Engagement fit of one creator against precomputed population stats
+ * @param {Object} creator - Creator profile
+ * @param {Object|null} stats - Output of buildEngagementStats
+ * @returns {number} Score in [0, 1]; 0 when there is nothing to compare
+ */
+function calculateEngagementFit(creator, stats) {
+  if (!stats) return 0;
+
+  let total = 0;
+  let weightSum = 0;
+
+  FEATURES.forEach(feature => {
+    const value = feature.value(creator);
+    const population = stats[feature.name];
+    if (!isUsable(value) || !population || population.length === 0) return;
+
+    total += percentile(population, value) * feature.weight;
+    weightSum += feature.weight;
+  });
+
+  return weightSum > 0 ? parseFloat((total / weightSum).toFixed(4)) : 0;
+}
+
+module.exports = {
+  buildEngagementStats,
+  calculateEngagementFit
+};
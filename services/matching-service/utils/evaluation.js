@@ -0,0 +1,232 @@
+const matcher = require('./matcher');
+const { normalizeConstraints, applyConstraints } = require('./constraints');
+const { normalizeExclusions, applyExclusions, penalizeMatches } = require('./exclusions');
+const { buildEngagementStats } = require('./engagement');
+
+/**
+ * Offline ranking evaluation against a golden set.
+ * Each case is an assignment with the creators a reviewer expects at the top (`expected`,
+ * relevance 2) and those that would also be fine (`acceptable`, relevance 1). Cases run through
+ * the same constraints, exclusions, scoring and ranking as POST /matches. Semantic similarity
+ * comes from the cosine scores recorded in the case; creators without one get the golden
+ * set's stub score. Rankings are measured with precision@k, recall@k, NDCG@k and MRR.
+ */
+
+const DEFAULT_K = 5;
+const METRICS = ['precisionAtK', 'recallAtK', 'ndcgAtK', 'mrr'];
+const GRADES = { expected: 2, acceptable: 1 };
+
+function round4(value) {
+  return parseFloat(value.toFixed(4));
+}
+
+function goldenSetError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_GOLDEN_SET';
+  return error;
+}
+
+/**
+ * Checks a golden set against the creator pool it will be ranked over
+ * @param {Object} goldenSet - { name, k?, defaultSemanticScore?, cases: [{ id, assignment, expected, acceptable?, semanticScores? }] }
+ * @param {Object} creators - Creators keyed by uniqueId
+ * @throws {Error} With code INVALID_GOLDEN_SET naming the first problem found
+ */
+function validateGoldenSet(goldenSet, creators) {
+  if (!goldenSet || !Array.isArray(goldenSet.cases) || goldenSet.cases.length === 0) {
+    throw goldenSetError('Golden set must have a non-empty cases array');
+  }
+
+  const seen = new Set();
+  goldenSet.cases.forEach((testCase, index) => {
+    const label = testCase.id || `cases[${index}]`;
+    if (!testCase.id || seen.has(testCase.id)) {
+      throw goldenSetError(`${label}: every case needs a unique id`);
+    }
+    seen.add(testCase.id);
+
+    if (!testCase.assignment || !testCase.assignment.topic) {
+      throw goldenSetError(`${label}: assignment with a topic is required`);
+    }
+    if (!Array.isArray(testCase.expected) || testCase.expected.length === 0) {
+      throw goldenSetError(`${label}: expected must list at least one creator`);
+    }
+
+    const unknown = [...testCase.expected, ...(testCase.acceptable || [])].filter(id => !creators[id]);
+    if (unknown.length > 0) {
+      throw goldenSetError(`${label}: unknown creators ${unknown.join(', ')}`);
+    }
+  });
+}
+
+/**
+ * Ranks the creator pool for one case the way POST /matches would
+ * @param {Object} testCase - Golden set case
+ * @param {Object} creators - Creators keyed by uniqueId
+ * @param {Object} scoring - Resolved weights
+ * @param {Object} options - { defaultSemanticScore, engagementStats }
+ * @returns {Array<string>} Creator ids in rank order
+ */
+function rankCase(testCase, creators, scoring, { defaultSemanticScore = 0, engagementStats = null } = {}) {
+  const { assignment } = testCase;
+  const constraints = normalizeConstraints(assignment.constraints);
+  const exclusions = normalizeExclusions(assignment.exclusions);
+  const semanticScores = testCase.semanticScores || {};
+
+  const { kept } = applyConstraints(Object.values(creators), constraints);
+  const { kept: eligible } = applyExclusions(kept, exclusions);
+
+  const scored = eligible.map(creator => {
+    const semanticScore = typeof semanticScores[creator.uniqueId] === 'number' ? semanticScores[creator.uniqueId] : defaultSemanticScore;
+    return matcher.calculateMatch(assignment, creator, semanticScore, scoring.weights, engagementStats);
+  });
+  penalizeMatches(scored, exclusions);
+
+  return matcher.rankMatches(scored, scoring).map(match => match.creator.uniqueId);
+}
+
+/**
+ * Ranking quality of one ranked list
+ * @param {Array<string>} ranked - Creator ids in rank order
+ * @param {Object} grades - Relevance grade per creator id (2 expected, 1 acceptable)
+ * @param {number} k - Cutoff
+ * @returns {Object} { precisionAtK, recallAtK, ndcgAtK, mrr }
+ */
+function rankingMetrics(ranked, grades, k) {
+  const gradeOf = id => grades[id] || 0;
+  const relevantCount = Object.values(grades).filter(grade => grade > 0).length;
+  const top = ranked.slice(0, k);
+  const hits = top.filter(id => gradeOf(id) > 0).length;
+
+  const dcg = top.reduce((sum, id, i) => sum + (2 ** gradeOf(id) - 1) / Math.log2(i + 2), 0);
+  const ideal = Object.values(grades).sort((a, b) => b - a).slice(0, k);
+  const idcg = ideal.reduce((sum, grade, i) => sum + (2 ** grade - 1) / Math.log2(i + 2), 0);
+
+  const firstRelevant = ranked.findIndex(id => gradeOf(id) > 0);
+
+  return {
+    precisionAtK: round4(hits / k),
+    recallAtK: relevantCount > 0 ? round4(hits / relevantCount) : 0,
+    ndcgAtK: idcg > 0 ? round4(dcg / idcg) : 0,
+    mrr: firstRelevant === -1 ? 0 : round4(1 / (firstRelevant + 1))
+  };
+}
+
+function caseGrades(testCase) {
+  const grades = {};
+  (testCase.acceptable || []).forEach(id => { grades[id] = GRADES.acceptable; });
+  testCase.expected.forEach(id => { grades[id] = GRADES.expected; });
+  return grades;
+}
+
+function meanMetrics(cases) {
+  const means = {};
+  METRICS.forEach(metric => {
+    means[metric] = round4(cases.reduce((sum, entry) => sum + entry.metrics[metric], 0) / cases.length);
+  });
+  return means;
+}
+
+/**
+ * Runs every golden set case under each weight profile
+ * @param {Object} goldenSet - Validated golden set
+ * @param {Object} creators - Creators keyed by uniqueId
+ * @param {Object} [options] - { profiles: names (default all), k, now }
+ * @returns {Object} A run: { goldenSet, k, createdAt, profiles: { [name]: { weights, metrics, cases } } }
+ */
+function evaluateGoldenSet(goldenSet, creators, options = {}) {
+  validateGoldenSet(goldenSet, creators);
+
+  const k = options.k || goldenSet.k || DEFAULT_K;
+  const profileNames = options.profiles || matcher.listProfiles().map(profile => profile.name);
+  const engagementStats = buildEngagementStats(Object.values(creators));
+  const defaultSemanticScore = goldenSet.defaultSemanticScore || 0;
+
+  const profiles = {};
+  profileNames.forEach(name => {
+    const scoring = matcher.resolveWeights({ weightProfile: name });
+    const cases = goldenSet.cases.map(testCase => {
+      const ranked = rankCase(testCase, creators, scoring, { defaultSemanticScore, engagementStats });
+      const grades = caseGrades(testCase);
+      return {
+        id: testCase.id,
+        top: ranked.slice(0, k),
+        missing: testCase.expected.filter(id => !ranked.slice(0, k).includes(id)),
+        metrics: rankingMetrics(ranked, grades, k)
+      };
+    });
+
+    profiles[name] = { weights: scoring.weights, metrics: meanMetrics(cases), cases };
+  });
+
+  return {
+    goldenSet: goldenSet.name || null,
+    k,
+    createdAt: (options.now || new Date()).toISOString(),
+    profiles
+  };
+}
+
+/**
+ * Compares two runs profile by profile
+ * @param {Object} baseline - Run before the change
+ * @param {Object} candidate - Run after the change
+ * @param {Object} [options] - { tolerance } drops up to this size are not regressions
+ * @returns {Object} { profiles, regressed, added, removed } where each compared profile has
+ *   per-metric { baseline, candidate, delta } and the case-level regressions
+ */
+function diffRuns(baseline, candidate, { tolerance = 0 } = {}) {
+  const baseNames = Object.keys(baseline.profiles);
+  const candidateNames = Object.keys(candidate.profiles);
+  const profiles = {};
+
+  baseNames.filter(name => candidate.profiles[name]).forEach(name => {
+    const before = baseline.profiles[name];
+    const after = candidate.profiles[name];
+
+    const metrics = {};
+    METRICS.forEach(metric => {
+      metrics[metric] = {
+        baseline: before.metrics[metric],
+        candidate: after.metrics[metric],
+        delta: round4(after.metrics[metric] - before.metrics[metric])
+      };
+    });
+
+    const beforeCases = new Map(before.cases.map(entry => [entry.id, entry]));
+    const caseRegressions = [];
+    after.cases.forEach(entry => {
+      const previous = beforeCases.get(entry.id);
+      if (!previous) return;
+      METRICS.forEach(metric => {
+        const delta = round4(entry.metrics[metric] - previous.metrics[metric]);
+        if (delta < -tolerance) {
+          caseRegressions.push({ caseId: entry.id, metric, baseline: previous.metrics[metric], candidate: entry.metrics[metric], delta });
+        }
+      });
+    });
+
+    profiles[name] = {
+      metrics,
+      regressed: METRICS.some(metric => metrics[metric].delta < -tolerance),
+      caseRegressions
+    };
+  });
+
+  return {
+    k: { baseline: baseline.k, candidate: candidate.k },
+    profiles,
+    regressed: Object.values(profiles).some(profile => profile.regressed),
+    added: candidateNames.filter(name => !baseline.profiles[name]),
+    removed: baseNames.filter(name => !candidate.profiles[name])
+  };
+}
+
+module.exports = {
+  METRICS,
+  validateGoldenSet,
+  rankCase,
+  rankingMetrics,
+  evaluateGoldenSet,
+  diffRuns
+};
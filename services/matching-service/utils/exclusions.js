@@ -0,0 +1,191 @@
+const { assignmentExclusionsSchema } = require('../../../shared/validation/schemas');
+
+/**
+ * Brand-safety exclusions for match requests.
+ * Competitor brands, sensitive topics and negative keywords are searched for in
+ * the creator's bio, summary, hashtags and partnership considerations. Depending
+ * on `action` a hit either removes the creator or lowers its match score.
+ */
+
+const CATEGORIES = [
+  { name: 'competitorBrands', label: 'competitor brand' },
+  { name: 'sensitiveTopics', label: 'sensitive topic' },
+  { name: 'negativeKeywords', label: 'negative keyword' }
+];
+
+const FIELDS = [
+  { name: 'bio', label: 'Bio', text: (creator) => [creator.bio] },
+  { name: 'summary', label: 'Summary', text: (creator) => [creator.analysis?.summary] },
+  { name: 'considerations', label: 'Partnership considerations', text: (creator) => creator.analysis?.partnershipPotential?.considerations || [] }
+];
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function normalizeTag(value) {
+  return value.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function creatorHashtags(creator) {
+  return [
+    ...(creator.topHashtags || []),
+    ...(creator.analysis?.topHashtags || []),
+    ...(creator.sourceHashtags || [])
+  ];
+}
+
+/**
+ * Validates and normalizes raw exclusions from the request payload
+ * @param {Object} rawExclusions - assignment.exclusions
+ * @returns {Object|null} Normalized exclusions, or null when none are given
+ * @throws {Error} With code INVALID_EXCLUSIONS and Joi details
+ */
+function normalizeExclusions(rawExclusions) {
+  if (rawExclusions === undefined || rawExclusions === null) {
+    return null;
+  }
+
+  const { error, value } = assignmentExclusionsSchema.validate(rawExclusions, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+
+  if (error) {
+    const exclusionError = new Error('Invalid exclusions');
+    exclusionError.code = 'INVALID_EXCLUSIONS';
+    exclusionError.details = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+    throw exclusionError;
+  }
+
+  const hasTerms = CATEGORIES.some(category => (value[category.name] || []).length > 0);
+  return hasTerms ? value : null;
+}
+
+/**
+ * Finds every exclusion term a creator's profile conflicts with
+ * @param {Object} creator - Creator profile
+ * @param {Object} exclusions - Normalized exclusions
+ * @returns {Array<Object>} { category, term, field, reason } per hit
+ */
+function findExclusionHits(creator, exclusions) {
+  const hits = [];
+  const hashtags = creatorHashtags(creator);
+
+  CATEGORIES.forEach(category => {
+    (exclusions[category.name] || []).forEach(term => {
+      // Whole words/phrases in text, so "bet" does not hit "better"
+      const pattern = new RegExp(`(^|[^a-z0-9])${escapeRegExp(term.toLowerCase())}($|[^a-z0-9])`, 'i');
+
+      FIELDS.forEach(field => {
+        if (field.text(creator).some(text => text && pattern.test(text))) {
+          hits.push({
+            category: category.name,
+            term,
+            field: field.name,
+            reason: `${field.label} mentions ${category.label} "${term}"`
+          });
+        }
+      });
+
+      // Hashtags have no word boundaries, so match the squashed term inside the tag
+      const squashed = normalizeTag(term);
+      const tag = squashed && hashtags.find(t => normalizeTag(t).includes(squashed));
+      if (tag) {
+        hits.push({
+          category: category.name,
+          term,
+          field: 'hashtags',
+          reason: `Hashtag ${tag.startsWith('#') ? tag : `#${tag}`} matches ${category.label} "${term}"`
+        });
+      }
+    });
+  });
+
+  return hits;
+}
+
+/**
+ * Removes creators that conflict with the exclusions when action is "disqualify"
+ * @param {Array<Object>} creators - Creator profiles
+ * @param {Object|null} exclusions - Normalized exclusions
+ * @returns {Object} { kept, excluded } where excluded lists each removed creator with its reasons
+ */
+function applyExclusions(creators, exclusions) {
+  if (!exclusions || exclusions.action !== 'disqualify') {
+    return { kept: creators, excluded: [] };
+  }
+
+  const excluded = [];
+  const kept = creators.filter(creator => {
+    const hits = findExclusionHits(creator, exclusions);
+    if (hits.length === 0) return true;
+
+    excluded.push({
+      creatorId: creator.uniqueId,
+      nickname: creator.nickname,
+      reasons: hits
+    });
+    return false;
+  });
+
+  return { kept, excluded };
+}
+
+/**
+ * Lowers the score of matches that conflict with the exclusions when action is "penalize".
+ * Each distinct term hit costs `penalty`, capped so the score never drops below 0. Penalized
+ * matches are flagged with `penalized: true`, since a capped penalty can be 0.
+ * @param {Array<Object>} matches - Scored matches
+ * @param {Object|null} exclusions - Normalized exclusions
+ * @returns {Array<Object>} { creatorId, nickname, penalty, reasons } for each penalized match
+ */
+function penalizeMatches(matches, exclusions) {
+  if (!exclusions || exclusions.action !== 'penalize') {
+    return [];
+  }
+
+  const penalized = [];
+  matches.forEach(match => {
+    const hits = findExclusionHits(match.creator, exclusions);
+    if (hits.length === 0) return;
+
+    const distinctTerms = new Set(hits.map(hit => `${hit.category}:${hit.term.toLowerCase()}`)).size;
+    const penalty = Math.min(match.matchScore, exclusions.penalty * distinctTerms);
+
+    match.matchScore = parseFloat((match.matchScore - penalty).toFixed(4));
+    match.scoreBreakdown.exclusionPenalty = parseFloat(penalty.toFixed(4));
+    match.exclusionHits = hits;
+    match.penalized = true;
+
+    penalized.push({
+      creatorId: match.creator.uniqueId,
+      nickname: match.creator.nickname,
+      penalty: match.scoreBreakdown.exclusionPenalty,
+      reasons: hits
+    });
+  });
+
+  return penalized;
+}
+
+/**
+ * Whether penalize mode flagged the match; penalized matches rank after every clean one
+ * @param {Object} match - Scored match
+ * @returns {boolean}
+ */
+function isPenalized(match) {
+  return match.penalized === true;
+}
+
+module.exports = {
+  normalizeExclusions,
+  findExclusionHits,
+  applyExclusions,
+  penalizeMatches,
+  isPenalized
+};
@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+
+/**
+ * A/B experiments over ranking strategies.
+ * An experiment splits traffic between variants, each a weight profile, a diversity setting and a
+ * reasoning prompt version. A request is placed by hashing the experiment name with its unit
+ * (`userId` or `assignmentId`) into [0, 1), so the same user or assignment always sees the same
+ * variant. Requests that choose their own profile, weights, field weights, diversity or retrieval
+ * mode, or that ask for a roster or a budgeted selection, are left out: their ranking is not the
+ * variant's, so they would skew its stats.
+ */
+
+const UNITS = ['userId', 'assignmentId'];
+// Request options a variant decides; setting any of them opts the request out
+const VARIANT_OPTIONS = ['weightProfile', 'weights', 'diversity', 'roster', 'retrieval', 'fieldWeights'];
+const NAME_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+
+function experimentError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_EXPERIMENTS';
+  return error;
+}
+
+/**
+ * Validates the experiment config
+ * @param {Object} config - Contents of config/experiments.json
+ * @param {Object} known - { profiles, promptVersions } names a variant may use
+ * @returns {Object} { experiments, active } where active is the single running experiment or null
+ * @throws {Error} With code INVALID_EXPERIMENTS naming the first problem found
+ */
+function normalizeExperiments(config, { profiles, promptVersions }) {
+  const experiments = (config && config.experiments) || {};
+
+  Object.entries(experiments).forEach(([name, experiment]) => {
+    if (!NAME_PATTERN.test(name)) {
+      throw experimentError(`Experiment name "${name}" must be lowercase letters, digits and dashes`);
+    }
+    if (!UNITS.includes(experiment.unit)) {
+      throw experimentError(`${name}: unit must be one of ${UNITS.join(', ')}`);
+    }
+    if (!Array.isArray(experiment.variants) || experiment.variants.length < 2) {
+      throw experimentError(`${name}: at least two variants are required`);
+    }
+
+    const seen = new Set();
+    experiment.variants.forEach(variant => {
+      if (!variant.name || seen.has(variant.name)) {
+        throw experimentError(`${name}: every variant needs a unique name`);
+      }
+      seen.add(variant.name);
+
+      if (typeof variant.weight !== 'number' || !(variant.weight > 0)) {
+        throw experimentError(`${name}/${variant.name}: weight must be a positive number`);
+      }
+      if (variant.weightProfile !== undefined && !profiles.includes(variant.weightProfile)) {
+        throw experimentError(`${name}/${variant.name}: unknown weight profile "${variant.weightProfile}"`);
+      }
+      if (variant.diversity !== undefined && !(variant.diversity >= 0 && variant.diversity <= 1)) {
+        throw experimentError(`${name}/${variant.name}: diversity must be between 0 and 1`);
+      }
+      if (variant.reasoningPrompt !== undefined && !promptVersions.includes(variant.reasoningPrompt)) {
+        throw experimentError(`${name}/${variant.name}: unknown reasoning prompt "${variant.reasoningPrompt}"`);
+      }
+    });
+  });
+
+  const active = Object.entries(experiments).filter(([, experiment]) => experiment.active);
+  if (active.length > 1) {
+    throw experimentError(`Only one experiment can be active at a time, found ${active.map(([name]) => name).join(', ')}`);
+  }
+
+  return {
+    experiments,
+    active: active.length === 1 ? { name: active[0][0], ...active[0][1] } : null
+  };
+}
+
+/**
+ * Maps an experiment unit to a stable point in [0, 1)
+ * @param {string} experimentName - Salts the hash so experiments split traffic independently
+ * @param {string} unitValue - The userId or assignmentId
+ * @returns {number}
+ */
+function hashToUnitInterval(experimentName, unitValue) {
+  const digest = crypto.createHash('sha256').update(`${experimentName}:${unitValue}`).digest();
+  return digest.readUInt32BE(0) / 2 ** 32;
+}
+
+/**
+ * Picks the variant for a unit, in proportion to the variant weights
+ * @param {Object} experiment - Experiment with name and variants
+ * @param {string} unitValue - The userId or assignmentId
+ * @returns {Object} The variant
+ */
+function assignVariant(experiment, unitValue) {
+  const total = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+  const point = hashToUnitInterval(experiment.name, unitValue) * total;
+
+  let cumulative = 0;
+  for (const variant of experiment.variants) {
+    cumulative += variant.weight;
+    if (point < cumulative) return variant;
+  }
+  return experiment.variants[experiment.variants.length - 1];
+}
+
+/**
+ * Enrolls a match request in the active experiment
+ * @param {Object|null} experiment - The active experiment
+ * @param {Object} body - Match request body
+ * @returns {Object|null} { experiment: { name, variant, unit }, variant }, or null when the request is not enrolled
+ */
+function enroll(experiment, body) {
+  if (!experiment) return null;
+  if (VARIANT_OPTIONS.some(option => body[option] !== undefined && body[option] !== null && body[option] !== false)) return null;
+  if (body.assignment && body.assignment.budget) return null;
+
+  const unitValue = experiment.unit === 'userId'
+    ? body.userId || (body.assignment && body.assignment.userId)
+    : body.assignmentId;
+  if (!unitValue || typeof unitValue !== 'string') return null;
+
+  const variant = assignVariant(experiment, unitValue);
+  return {
+    experiment: { name: experiment.name, variant: variant.name, unit: experiment.unit },
+    variant
+  };
+}
+
+module.exports = {
+  normalizeExperiments,
+  hashToUnitInterval,
+  assignVariant,
+  enroll
+};
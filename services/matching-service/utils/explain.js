@@ -0,0 +1,128 @@
+const matcher = require('./matcher');
+
+/**
+ * "Why / why not" analysis for one creator against an assignment.
+ * The creator is ranked against every other eligible candidate. Its score is compared
+ * with the creator holding the last top-N spot. Each component is then moved on its
+ * own to find the smallest value that would earn a top-N rank.
+ */
+
+const COMPONENTS = ['semanticSimilarity', 'nicheAlignment', 'audienceMatch', 'valueAlignment', 'engagementFit', 'causeAlignment', 'hashtagOverlap'];
+
+// Bisection steps per component; 20 halvings resolve well below the 4 decimals scores are reported with
+const SEARCH_STEPS = 20;
+
+function round4(value) {
+  return parseFloat(value.toFixed(4));
+}
+
+// nicheAlignment counts requested niches; every other component is already in [0, 1]
+function componentScale(component, maxNiches) {
+  return component === 'nicheAlignment' ? maxNiches : 1;
+}
+
+// Re-scores a match with one component replaced, keeping any brand-safety penalty it carries
+function withComponent(match, component, value, weights, maxNiches) {
+  const scoreBreakdown = { ...match.scoreBreakdown, [component]: value };
+  const { matchScore } = matcher.combineScores(scoreBreakdown, weights, maxNiches);
+  const penalty = scoreBreakdown.exclusionPenalty || 0;
+
+  return { ...match, matchScore: round4(Math.max(0, matchScore - penalty)), scoreBreakdown };
+}
+
+function rankAmong(match, competitors, scoring) {
+  const ranked = matcher.rankMatches([...competitors, match], scoring);
+  return ranked.indexOf(match) + 1;
+}
+
+/**
+ * Weighted contribution gap per component between the creator and the cutoff creator
+ * @returns {Array<Object>} { component, weight, creator, cutoff, weightedGap }, largest gap first
+ */
+function compareWithCutoff(match, cutoff, weights, maxNiches) {
+  return COMPONENTS
+    .map(component => {
+      const weight = weights[component] || 0;
+      const scale = componentScale(component, maxNiches);
+      const creatorValue = match.scoreBreakdown[component] || 0;
+      const cutoffValue = cutoff.scoreBreakdown[component] || 0;
+
+      return {
+        component,
+        weight,
+        creator: creatorValue,
+        cutoff: cutoffValue,
+        weightedGap: round4(weight * (cutoffValue - creatorValue) / scale)
+      };
+    })
+    .sort((a, b) => b.weightedGap - a.weightedGap);
+}
+
+/**
+ * Smallest value of each component, moved alone, that earns a top-N rank
+ * @returns {Array<Object>} { component, weight, current, required, change, reachable }
+ */
+function analyzeGaps(match, competitors, { scoring, topN, maxNiches, requestedNiches }) {
+  return COMPONENTS.map(component => {
+    const weight = scoring.weights[component] || 0;
+    const current = match.scoreBreakdown[component] || 0;
+    const max = componentScale(component, maxNiches);
+    const unreachable = { component, weight, current, required: null, change: null, reachable: false };
+
+    // Without requested niches there is nothing for niche alignment to match
+    if (weight === 0 || (component === 'nicheAlignment' && requestedNiches === 0)) return unreachable;
+
+    const reaches = (value) => rankAmong(withComponent(match, component, value, scoring.weights, maxNiches), competitors, scoring) <= topN;
+    if (!reaches(max)) return unreachable;
+
+    let low = current;
+    let high = max;
+    for (let step = 0; step < SEARCH_STEPS; step++) {
+      const mid = (low + high) / 2;
+      if (reaches(mid)) high = mid;
+      else low = mid;
+    }
+
+    // Round up so the reported value is sufficient on its own
+    const required = Math.min(max, Math.ceil(high * 10000) / 10000);
+    return { component, weight, current, required, change: round4(required - current), reachable: true };
+  });
+}
+
+/**
+ * Explains where a creator lands for an assignment and what keeps it out of the top N
+ * @param {Object} params
+ * @param {Object} params.match - The creator's calculateMatch result
+ * @param {Array<Object>} params.competitors - Scored matches for every other eligible candidate
+ * @param {Object} params.scoring - Resolved weights and ranking mode
+ * @param {number} params.topN - Size of the shortlist the creator should reach
+ * @param {number} params.requestedNiches - Number of niches the assignment asks for
+ * @returns {Object} { rank, totalCandidates, inTopN, cutoff, comparison, gaps }
+ */
+function explainMatch({ match, competitors, scoring, topN, requestedNiches }) {
+  const maxNiches = requestedNiches || 1;
+  const rank = rankAmong(match, competitors, scoring);
+  const inTopN = rank <= topN;
+
+  // The creator the target has to overtake: whoever holds the last top-N spot without it
+  const ranked = matcher.rankMatches([...competitors], scoring);
+  const cutoffMatch = ranked.length >= topN ? ranked[topN - 1] : null;
+
+  return {
+    rank,
+    totalCandidates: competitors.length + 1,
+    inTopN,
+    cutoff: cutoffMatch && {
+      rank: topN,
+      creatorId: cutoffMatch.creator.uniqueId,
+      nickname: cutoffMatch.creator.nickname,
+      matchScore: cutoffMatch.matchScore
+    },
+    comparison: cutoffMatch ? compareWithCutoff(match, cutoffMatch, scoring.weights, maxNiches) : [],
+    gaps: inTopN ? [] : analyzeGaps(match, competitors, { scoring, topN, maxNiches, requestedNiches })
+  };
+}
+
+module.exports = {
+  explainMatch
+};
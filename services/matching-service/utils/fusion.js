@@ -0,0 +1,66 @@
+/**
+ * Hybrid retrieval: fuses the vector and lexical candidate lists with reciprocal rank fusion.
+ * RRF only looks at ranks, so cosine similarities and BM25 scores never have to be put on a
+ * common scale. A creator found by both searches collects a share from each list, which is
+ * what lets exact-term hits (brand names, hashtags) surface next to close semantic matches.
+ */
+
+const RETRIEVAL_MODES = ['vector', 'hybrid'];
+// Damping constant from the original RRF paper; larger values flatten the gap between top ranks
+const RRF_K = 60;
+
+/**
+ * Resolves the per-request retrieval mode
+ * @param {*} value - Request `retrieval` field
+ * @returns {string} One of RETRIEVAL_MODES
+ * @throws {Error} With code INVALID_RETRIEVAL for anything else
+ */
+function normalizeRetrieval(value) {
+  if (value === undefined || value === null) return 'vector';
+  if (!RETRIEVAL_MODES.includes(value)) {
+    const error = new Error(`retrieval must be one of ${RETRIEVAL_MODES.join(', ')}`);
+    error.code = 'INVALID_RETRIEVAL';
+    throw error;
+  }
+  return value;
+}
+
+/**
+ * Fuses ranked candidate lists
+ * @param {Object} lists - Source name to results ([{ id }], best first)
+ * @param {Object} [options] - { k } RRF damping constant
+ * @returns {Array<Object>} [{ id, fusedScore, relevance, ranks }] best first, where relevance is the
+ *   fused score divided by the best one and ranks holds each source's 1-based rank or null
+ */
+function reciprocalRankFusion(lists, { k = RRF_K } = {}) {
+  const sources = Object.keys(lists);
+  const fused = new Map();
+
+  sources.forEach(source => {
+    lists[source].forEach((result, index) => {
+      if (!fused.has(result.id)) {
+        fused.set(result.id, { id: result.id, fusedScore: 0, ranks: Object.fromEntries(sources.map(name => [name, null])) });
+      }
+      const entry = fused.get(result.id);
+      // A source listing the same id twice only counts its best rank
+      if (entry.ranks[source] !== null) return;
+      entry.ranks[source] = index + 1;
+      entry.fusedScore += 1 / (k + index + 1);
+    });
+  });
+
+  const results = [...fused.values()].sort((a, b) => b.fusedScore - a.fusedScore || a.id.localeCompare(b.id));
+  const best = results.length > 0 ? results[0].fusedScore : 0;
+  return results.map(entry => ({
+    ...entry,
+    fusedScore: parseFloat(entry.fusedScore.toFixed(6)),
+    relevance: parseFloat((entry.fusedScore / best).toFixed(4))
+  }));
+}
+
+module.exports = {
+  RETRIEVAL_MODES,
+  RRF_K,
+  normalizeRetrieval,
+  reciprocalRankFusion
+};
@@ -0,0 +1,122 @@
+/**
+ * In-process lexical index over the creator cache.
+ * Used as the relevance signal when vector search is unavailable: creators are scored with
+ * Okapi BM25 against the assignment text over their bio, summary, niches, audience interests
+ * and hashtags. Scores are divided by the best score for the query, so they land in [0, 1].
+ * calculateMatch expects a cosine in [-1, 1], so callers pass `2 * score - 1`: no shared term
+ * then reports a semanticSimilarity of 0 and the best match 1.
+ */
+
+const K1 = 1.2;
+const B = 0.75;
+
+// Words too common in briefs and bios to say anything about fit
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have', 'how', 'in',
+  'into', 'is', 'it', 'its', 'of', 'on', 'or', 'our', 'so', 'that', 'the', 'their', 'them', 'they',
+  'this', 'to', 'was', 'we', 'what', 'when', 'who', 'why', 'will', 'with', 'you', 'your'
+]);
+
+/**
+ * Splits text into lowercase terms without stopwords; hashtags lose their `#` and
+ * plural `s` endings are dropped so "budgets" matches "budget"
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function tokenize(text) {
+  if (!text) return [];
+  return String(text)
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(term => term.length > 1 && !STOPWORDS.has(term))
+    .map(term => (term.length > 3 && term.endsWith('s') && !term.endsWith('ss') ? term.slice(0, -1) : term));
+}
+
+// The creator fields the index covers
+function creatorText(creator) {
+  const analysis = creator.analysis || {};
+  return [
+    creator.bio,
+    analysis.summary,
+    ...(analysis.primaryNiches || []),
+    ...(analysis.secondaryNiches || []),
+    ...(analysis.audienceInterests || []),
+    ...(creator.topHashtags || analysis.topHashtags || [])
+  ].filter(Boolean).join(' ');
+}
+
+/**
+ * Builds the BM25 index for a creator pool
+ * @param {Array<Object>} creators - Every creator in the pool
+ * @returns {Object} { documents: Map of uniqueId to { termFrequencies, length }, documentFrequencies, averageLength }
+ */
+function buildLexicalIndex(creators) {
+  const documents = new Map();
+  const documentFrequencies = new Map();
+  let totalLength = 0;
+
+  creators.forEach(creator => {
+    const terms = tokenize(creatorText(creator));
+    const termFrequencies = new Map();
+    terms.forEach(term => termFrequencies.set(term, (termFrequencies.get(term) || 0) + 1));
+    termFrequencies.forEach((_, term) => documentFrequencies.set(term, (documentFrequencies.get(term) || 0) + 1));
+
+    documents.set(creator.uniqueId, { termFrequencies, length: terms.length });
+    totalLength += terms.length;
+  });
+
+  return {
+    documents,
+    documentFrequencies,
+    averageLength: documents.size > 0 ? totalLength / documents.size : 0
+  };
+}
+
+/**
+ * Ranks the indexed creators against a query
+ * @param {Object} index - Output of buildLexicalIndex
+ * @param {string} query - Assignment text
+ * @param {Object} [options] - { limit } keeps only the best results
+ * @returns {Array<Object>} [{ id, score }] with raw BM25 scores, best first; creators sharing no term are left out
+ */
+function searchLexical(index, query, { limit } = {}) {
+  const queryTerms = [...new Set(tokenize(query))];
+  const documentCount = index.documents.size;
+  const results = [];
+
+  index.documents.forEach((document, id) => {
+    let score = 0;
+    queryTerms.forEach(term => {
+      const frequency = document.termFrequencies.get(term);
+      if (!frequency) return;
+
+      const documentFrequency = index.documentFrequencies.get(term);
+      const idf = Math.log(1 + (documentCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+      const lengthNorm = 1 - B + B * (document.length / (index.averageLength || 1));
+      score += idf * (frequency * (K1 + 1)) / (frequency + K1 * lengthNorm);
+    });
+    if (score > 0) results.push({ id, score });
+  });
+
+  results.sort((a, b) => b.score - a.score || a.id.localeCompare(b.id));
+  return limit ? results.slice(0, limit) : results;
+}
+
+/**
+ * BM25 scores scaled by the best one, for use in place of semantic similarity
+ * @param {Object} index - Output of buildLexicalIndex
+ * @param {string} query - Assignment text
+ * @returns {Map<string, number>} Creator id to a score in (0, 1]; missing creators share no term with the query
+ */
+function lexicalScores(index, query) {
+  const results = searchLexical(index, query);
+  const best = results.length > 0 ? results[0].score : 0;
+  return new Map(results.map(result => [result.id, parseFloat((result.score / best).toFixed(4))]));
+}
+
+module.exports = {
+  tokenize,
+  buildLexicalIndex,
+  searchLexical,
+  lexicalScores
+};
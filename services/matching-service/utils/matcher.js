@@ -1,76 +1,258 @@
 const logger = require('../../../shared/utils/logger');
+const { nicheCredit } = require('../../../shared/utils/nicheTaxonomy');
+const { calculateEngagementFit } = require('./engagement');
+const { isPenalized } = require('./exclusions');
+const weightConfig = require('../config/weightProfiles.json');
+// Versioned profiles published by the weight learning job (scripts/learn-weights.js)
+const learnedConfig = require('../config/learnedWeightProfiles.json');
+
+const WEIGHT_COMPONENTS = ['semanticSimilarity', 'nicheAlignment', 'audienceMatch', 'valueAlignment', 'engagementFit', 'causeAlignment', 'hashtagOverlap'];
+
+// Causes and organization types are free-text phrases, compared on content words
+const PHRASE_STOPWORDS = new Set(['a', 'an', 'and', 'the', 'of', 'for', 'to', 'in', 'on', 'with', 'by', 'at', 'or', 'advocates', 'advocate', 'support']);
+// Split of causeAlignment when an assignment gives both causes and an organization type
+const CAUSE_WEIGHT = 0.7;
+const ORGANIZATION_WEIGHT = 0.3;
+// Social stances are weaker evidence of a cause than an identified cause
+const STANCE_CREDIT = 0.75;
+
+function phraseTokens(phrase) {
+    return (phrase || '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(word => word && !PHRASE_STOPWORDS.has(word))
+        .map(word => (word.length > 3 && word.endsWith('s') ? word.slice(0, -1) : word));
+}
+
+// Reach-bait tags that say nothing about the content
+const GENERIC_HASHTAGS = new Set(['fyp', 'foryou', 'foryoupage', 'viral', 'trending', 'daily', 'tips', 'storytime', 'beginner', 'learnontiktok', 'tiktok']);
+// Words too common in topics to be useful as derived hashtags
+const TOPIC_STOPWORDS = new Set(['the', 'and', 'for', 'with', 'your', 'you', 'are', 'how', 'why', 'what', 'when', 'from', 'into', 'more', 'less', 'than', 'that', 'this', 'about']);
+// Overlap is full once this many target hashtags match, so long derived lists aren't penalized
+const HASHTAG_SATURATION = 3;
+// A target contained in a longer creator hashtag ("finance" in "personalfinance")
+const PARTIAL_HASHTAG_CREDIT = 0.5;
+const MIN_PARTIAL_HASHTAG_LENGTH = 4;
+
+function normalizeHashtag(tag) {
+    return (tag || '').toString().trim().replace(/^#+/, '').toLowerCase().replace(/[^a-z0-9_]/g, '');
+}
+
+// Share of the requested phrase's content words found in the candidate phrase
+function phraseCoverage(requested, candidate) {
+    const wanted = phraseTokens(requested);
+    if (wanted.length === 0) return 0;
+    const offered = new Set(phraseTokens(candidate));
+    return wanted.filter(word => offered.has(word)).length / wanted.length;
+}
 
 class Matcher {
     constructor() {
-        this.weights = {
-            semanticSimilarity: 0.7,    // Reduced from 0.9
-            nicheAlignment: 0.2,        // Increased from 0.05
-            audienceMatch: 0.05,        // Slightly increased
-            valueAlignment: 0.05        // Slightly increased
+        this.profiles = { ...weightConfig.profiles, ...learnedConfig.profiles };
+        this.latestLearnedProfile = learnedConfig.latest || null;
+        this.defaultProfile = weightConfig.defaultProfile;
+        this.weights = { ...this.profiles[this.defaultProfile].weights };
+    }
+
+    /**
+     * Lists the configured weight profiles
+     * @returns {Array<Object>} - Profile name, description and weights; learned profiles add their version and training summary
+     */
+    listProfiles() {
+        return Object.entries(this.profiles).map(([name, profile]) => ({
+            name,
+            description: profile.description,
+            prioritizeNiches: profile.prioritizeNiches,
+            weights: profile.weights,
+            isDefault: name === this.defaultProfile,
+            ...(profile.version && {
+                version: profile.version,
+                basedOn: profile.basedOn,
+                trainedAt: profile.trainedAt,
+                training: profile.training,
+                isLatest: name === this.latestLearnedProfile
+            })
+        }));
+    }
+
+    /**
+     * Resolves the scoring weights for a request. Explicit weights override the
+     * named profile (or the default profile) and the result is normalized to sum to 1.
+     * @param {Object} options - { weightProfile, weights }
+     * @returns {Object} - { profile, prioritizeNiches, weights, custom }
+     * @throws {Error} - With code INVALID_WEIGHTS when the profile or weights are invalid
+     */
+    resolveWeights({ weightProfile, weights } = {}) {
+        const profileName = weightProfile || this.defaultProfile;
+        const profile = this.profiles[profileName];
+
+        if (!profile) {
+            throw this.weightError(`Unknown weight profile "${profileName}". Available profiles: ${Object.keys(this.profiles).join(', ')}`);
+        }
+
+        const resolved = { ...profile.weights };
+
+        if (weights !== undefined && weights !== null) {
+            if (typeof weights !== 'object' || Array.isArray(weights)) {
+                throw this.weightError('weights must be an object keyed by score component');
+            }
+
+            for (const [component, value] of Object.entries(weights)) {
+                if (!WEIGHT_COMPONENTS.includes(component)) {
+                    throw this.weightError(`Unknown weight component "${component}". Valid components: ${WEIGHT_COMPONENTS.join(', ')}`);
+                }
+                if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+                    throw this.weightError(`Weight for "${component}" must be a non-negative number`);
+                }
+                resolved[component] = value;
+            }
+        }
+
+        const total = WEIGHT_COMPONENTS.reduce((sum, component) => sum + resolved[component], 0);
+        if (total <= 0) {
+            throw this.weightError('At least one weight must be greater than 0');
+        }
+
+        const normalized = {};
+        WEIGHT_COMPONENTS.forEach(component => {
+            normalized[component] = parseFloat((resolved[component] / total).toFixed(4));
+        });
+
+        return {
+            profile: profileName,
+            prioritizeNiches: profile.prioritizeNiches,
+            weights: normalized,
+            custom: !!weights && Object.keys(weights).length > 0
         };
     }
 
+    weightError(message) {
+        const error = new Error(message);
+        error.code = 'INVALID_WEIGHTS';
+        return error;
+    }
+
     /**
      * Calculates the combined match score for a creator and an assignment
      * @param {Object} assignment - The assignment details
      * @param {Object} creator - The creator profile
      * @param {number} semanticScore - The score from vector similarity search
+     * @param {Object} [weights] - Component weights, defaults to the default profile
+     * @param {Object} [engagementStats] - Population stats from buildEngagementStats; engagementFit is 0 without them
      * @returns {Object} - Match result with score breakdown
      */
-    calculateMatch(assignment, creator, semanticScore) {
+    calculateMatch(assignment, creator, semanticScore, weights = this.weights, engagementStats = null) {
         // Calculate base scores
         const nicheScore = this.calculateNicheAlignment(assignment, creator);
         const audienceScore = this.calculateAudienceMatch(assignment, creator);
         const valueScore = this.calculateValueAlignment(assignment, creator);
+        const engagementScore = calculateEngagementFit(creator, engagementStats);
+        const causeScore = this.calculateCauseAlignment(assignment, creator);
+        const hashtagResult = this.calculateHashtagOverlap(assignment, creator);
 
         // Normalize semantic score from [-1, 1] to [0, 1]
         const normalizedSemanticScore = (semanticScore + 1) / 2;
 
+        const { matchScore, nicheBoost } = this.combineScores({
+            semanticSimilarity: normalizedSemanticScore,
+            nicheAlignment: nicheScore,
+            audienceMatch: audienceScore,
+            valueAlignment: valueScore,
+            engagementFit: engagementScore,
+            causeAlignment: causeScore,
+            hashtagOverlap: hashtagResult.score
+        }, weights, assignment.creatorNiches?.length || 1);
+
+        return {
+            creator,
+            matchScore,
+            matchedNiches: this.findMatchedNiches(assignment, creator),
+            matchedHashtags: hashtagResult.matched,
+            scoreBreakdown: {
+                semanticSimilarity: parseFloat(normalizedSemanticScore.toFixed(4)),
+                nicheAlignment: nicheScore,
+                audienceMatch: audienceScore,
+                valueAlignment: valueScore,
+                engagementFit: engagementScore,
+                causeAlignment: causeScore,
+                hashtagOverlap: hashtagResult.score,
+                nicheBoost: parseFloat(nicheBoost.toFixed(4))
+            }
+        };
+    }
+
+    /**
+     * Combines component scores into the final match score
+     * @param {Object} components - Component scores as in scoreBreakdown (semantic already in [0, 1], niches as a count)
+     * @param {Object} weights - Normalized component weights
+     * @param {number} maxNiches - Number of requested niches (1 when none were requested)
+     * @returns {Object} { matchScore, nicheBoost }
+     */
+    combineScores(components, weights, maxNiches) {
         // Calculate a niche boost factor (exponential scaling for more niche matches)
-        const maxNiches = assignment.creatorNiches?.length || 1;
-        const nicheMatchRatio = nicheScore / maxNiches;
-        const nicheBoost = Math.pow(nicheMatchRatio, 0.5); // Square root for diminishing returns
+        const nicheMatchRatio = components.nicheAlignment / maxNiches;
+        // Profiles that ignore niches (weight 0) get no boost either
+        const nicheBoost = weights.nicheAlignment > 0 ? Math.pow(nicheMatchRatio, 0.5) : 0; // Square root for diminishing returns
 
         // Calculate base weighted score
         const baseScore = (
-            (normalizedSemanticScore * this.weights.semanticSimilarity) +
-            (nicheMatchRatio * this.weights.nicheAlignment) +
-            (audienceScore * this.weights.audienceMatch) +
-            (valueScore * this.weights.valueAlignment)
+            (components.semanticSimilarity * weights.semanticSimilarity) +
+            (nicheMatchRatio * weights.nicheAlignment) +
+            (components.audienceMatch * weights.audienceMatch) +
+            (components.valueAlignment * weights.valueAlignment) +
+            (components.engagementFit * (weights.engagementFit || 0)) +
+            (components.causeAlignment * (weights.causeAlignment || 0)) +
+            (components.hashtagOverlap * (weights.hashtagOverlap || 0))
         );
 
         // Apply niche boost - this gives significant weight to niche matches
         const totalScore = baseScore * (1 + nicheBoost);
 
         return {
-            creator,
             matchScore: parseFloat(Math.min(1, totalScore).toFixed(4)), // Cap at 1.0
-            scoreBreakdown: {
-                semanticSimilarity: parseFloat(normalizedSemanticScore.toFixed(4)),
-                nicheAlignment: nicheScore,
-                audienceMatch: audienceScore,
-                valueAlignment: valueScore,
-                nicheBoost: parseFloat(nicheBoost.toFixed(4))
-            }
+            nicheBoost
         };
     }
 
+    /**
+     * Sums the best taxonomy credit each requested niche earns against the
+     * creator's niches: 1 per exact (or alias) match, partial credit for
+     * parent/child and sibling niches
+     * @param {Object} assignment - The assignment details
+     * @param {Object} creator - The creator profile
+     * @returns {number} - Between 0 and the number of requested niches
+     */
     calculateNicheAlignment(assignment, creator) {
         if (!assignment.creatorNiches || assignment.creatorNiches.length === 0) return 0; // Return 0 if no niches requested
 
         const creatorNiches = [
             ...(creator.analysis.primaryNiches || []),
             ...(creator.analysis.secondaryNiches || [])
-        ].map(n => n.toLowerCase());
+        ];
 
-        const matches = assignment.creatorNiches.filter(niche =>
-            creatorNiches.includes(niche.toLowerCase())
-        );
+        const total = assignment.creatorNiches.reduce((sum, niche) =>
+            sum + creatorNiches.reduce((best, creatorNiche) => Math.max(best, nicheCredit(niche, creatorNiche)), 0)
+        , 0);
 
-        return matches.length; // Return integer count
+        return parseFloat(total.toFixed(4));
     }
 
 
+    /**
+     * Requested niches the creator covers, fully or through a related taxonomy niche
+     * @returns {Array<string>} Niche names as the assignment requested them
+     */
+    findMatchedNiches(assignment, creator) {
+        const creatorNiches = [
+            ...(creator.analysis?.primaryNiches || []),
+            ...(creator.analysis?.secondaryNiches || [])
+        ];
+
+        return (assignment.creatorNiches || []).filter(niche =>
+            creatorNiches.some(creatorNiche => nicheCredit(niche, creatorNiche) > 0)
+        );
+    }
+
     calculateAudienceMatch(assignment, creator) {
         if (!assignment.targetAudience) return 0; // No target audience specified
 
@@ -139,6 +321,117 @@ class Matcher {
         return matches.length / assignment.creatorValues.length;
     }
 
+    /**
+     * Mission alignment between the assignment's causes / organization type and
+     * the creator's identified causes, social stances and aligned organization types
+     * @param {Object} assignment - The assignment details
+     * @param {Object} creator - The creator profile
+     * @returns {number} - Score in [0, 1]; 0 when the assignment names no causes or organization type
+     */
+    calculateCauseAlignment(assignment, creator) {
+        const causes = assignment.causes || [];
+        const organizationType = assignment.organizationType;
+        if (causes.length === 0 && !organizationType) return 0;
+
+        const analysis = creator.analysis || {};
+        let causeScore = 0;
+        if (causes.length > 0) {
+            const total = causes.reduce((sum, cause) => {
+                const fromCauses = Math.max(0, ...(analysis.identifiedCauses || []).map(c => phraseCoverage(cause, c)));
+                const fromStances = Math.max(0, ...(analysis.socialStances || []).map(s => phraseCoverage(cause, s))) * STANCE_CREDIT;
+                return sum + Math.max(fromCauses, fromStances);
+            }, 0);
+            causeScore = total / causes.length;
+        }
+
+        let organizationScore = 0;
+        if (organizationType) {
+            const alignedTypes = analysis.partnershipPotential?.alignedOrganizationTypes || [];
+            organizationScore = Math.max(0, ...alignedTypes.map(type => phraseCoverage(organizationType, type)));
+        }
+
+        let score;
+        if (causes.length > 0 && organizationType) {
+            score = (causeScore * CAUSE_WEIGHT) + (organizationScore * ORGANIZATION_WEIGHT);
+        } else {
+            score = causes.length > 0 ? causeScore : organizationScore;
+        }
+
+        return parseFloat(score.toFixed(4));
+    }
+
+    /**
+     * Target hashtags for an assignment: its own `hashtags` when given,
+     * otherwise derived from the topic (single words plus adjacent word pairs).
+     * Generic reach tags are dropped either way
+     * @param {Object} assignment - The assignment details
+     * @returns {Object} - { hashtags: normalized tags without '#', source: 'assignment' | 'topic' }
+     */
+    resolveTargetHashtags(assignment) {
+        const explicit = (assignment.hashtags || [])
+            .map(normalizeHashtag)
+            .filter(tag => tag && !GENERIC_HASHTAGS.has(tag));
+        if (explicit.length > 0) {
+            return { hashtags: [...new Set(explicit)], source: 'assignment' };
+        }
+
+        const words = (assignment.topic || '')
+            .toLowerCase()
+            .split(/[^a-z0-9]+/)
+            .filter(word => word.length >= 3 && !TOPIC_STOPWORDS.has(word));
+        const derived = [...words];
+        for (let i = 0; i < words.length - 1; i++) {
+            derived.push(words[i] + words[i + 1]);
+        }
+
+        return {
+            hashtags: [...new Set(derived)].filter(tag => !GENERIC_HASHTAGS.has(tag)),
+            source: 'topic'
+        };
+    }
+
+    /**
+     * Overlap between the assignment's target hashtags and the creator's
+     * top and source hashtags, ignoring case, '#' and generic reach tags
+     * @param {Object} assignment - The assignment details
+     * @param {Object} creator - The creator profile
+     * @returns {Object} - { score in [0, 1], matched: creator hashtags that matched, with '#' }
+     */
+    calculateHashtagOverlap(assignment, creator) {
+        const { hashtags: targets } = this.resolveTargetHashtags(assignment);
+        if (targets.length === 0) return { score: 0, matched: [] };
+
+        const creatorTags = [...new Set([
+            ...(creator.topHashtags || []),
+            ...(creator.analysis?.topHashtags || []),
+            ...(creator.sourceHashtags || [])
+        ].map(normalizeHashtag))].filter(tag => tag && !GENERIC_HASHTAGS.has(tag));
+        if (creatorTags.length === 0) return { score: 0, matched: [] };
+
+        let credit = 0;
+        const matched = new Set();
+
+        targets.forEach(target => {
+            if (creatorTags.includes(target)) {
+                credit += 1;
+                matched.add(target);
+                return;
+            }
+            if (target.length >= MIN_PARTIAL_HASHTAG_LENGTH) {
+                const partial = creatorTags.find(tag => tag.includes(target));
+                if (partial) {
+                    credit += PARTIAL_HASHTAG_CREDIT;
+                    matched.add(partial);
+                }
+            }
+        });
+
+        return {
+            score: parseFloat(Math.min(1, credit / Math.min(targets.length, HASHTAG_SATURATION)).toFixed(4)),
+            matched: [...matched].map(tag => `#${tag}`)
+        };
+    }
+
     /**
      * Tie-breaker logic using engagement metrics and content style
      */
@@ -154,8 +447,28 @@ class Matcher {
         return (matchB.creator.followerCount || 0) - (matchA.creator.followerCount || 0);
     }
 
-    rankMatches(matches) {
+    /**
+     * Sorts matches best first
+     * @param {Array} matches - Scored matches
+     * @param {Object} [options] - { prioritizeNiches } from the resolved weight profile
+     * @returns {Array} - The same array, sorted
+     */
+    rankMatches(matches, { prioritizeNiches = true } = {}) {
         return matches.sort((a, b) => {
+            // Brand-safety penalties demote a creator below every clean match, whatever the profile;
+            // within each group the usual order applies
+            const tierGap = Number(isPenalized(a)) - Number(isPenalized(b));
+            if (tierGap !== 0) {
+                return tierGap;
+            }
+
+            if (!prioritizeNiches) {
+                if (Math.abs(b.matchScore - a.matchScore) > 0.001) {
+                    return b.matchScore - a.matchScore;
+                }
+                return this.breakTie(a, b);
+            }
+
             // First priority: Number of niche matches
             if (b.scoreBreakdown.nicheAlignment !== a.scoreBreakdown.nicheAlignment) {
                 return b.scoreBreakdown.nicheAlignment - a.scoreBreakdown.nicheAlignment;
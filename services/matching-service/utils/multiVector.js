@@ -0,0 +1,131 @@
+const { EMBEDDING_FIELDS } = require('../../../shared/utils/embeddingFields');
+const { cosineSimilarity } = require('./diversity');
+const multiVectorConfig = require('../config/multiVector.json');
+
+/**
+ * Multi-vector semantic similarity.
+ * Candidates come back from the combined creator vectors; each is then compared field by field
+ * (brief to bio, niches to niches, values to values) and the per-field cosines are averaged with
+ * the field weights. Fields missing on either side are left out and the remaining weights
+ * re-normalized, so an assignment without requested values is judged on bio and niches alone.
+ * Creators without any field vector keep their combined similarity.
+ */
+
+const BREAKDOWN_KEYS = { bio: 'bioSimilarity', niches: 'nicheSimilarity', values: 'valueSimilarity' };
+
+function fieldWeightError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_FIELD_WEIGHTS';
+  return error;
+}
+
+/**
+ * Normalizes field weights to sum to 1
+ * @param {Object} weights - Field name to non-negative weight; missing fields count as 0
+ * @returns {Object} Weights for every field in EMBEDDING_FIELDS
+ * @throws {Error} With code INVALID_FIELD_WEIGHTS
+ */
+function normalizeFieldWeights(weights) {
+  if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+    throw fieldWeightError(`fieldWeights must be an object with ${EMBEDDING_FIELDS.join(', ')}`);
+  }
+
+  const unknown = Object.keys(weights).filter(field => !EMBEDDING_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw fieldWeightError(`Unknown fields: ${unknown.join(', ')}`);
+  }
+
+  const values = EMBEDDING_FIELDS.map(field => (weights[field] === undefined ? 0 : weights[field]));
+  if (values.some(value => typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+    throw fieldWeightError('Field weights must be non-negative numbers');
+  }
+
+  const total = values.reduce((sum, value) => sum + value, 0);
+  if (total === 0) {
+    throw fieldWeightError('At least one field weight must be positive');
+  }
+
+  const normalized = {};
+  EMBEDDING_FIELDS.forEach((field, i) => { normalized[field] = parseFloat((values[i] / total).toFixed(4)); });
+  return normalized;
+}
+
+/**
+ * Resolves the field weights for a request
+ * @param {Object} [requested] - Request `fieldWeights`; turns multi-vector scoring on even when the config has it off
+ * @returns {Object|null} Normalized weights, or null when multi-vector scoring is off
+ */
+function resolveFieldWeights(requested) {
+  if (requested !== undefined && requested !== null) return normalizeFieldWeights(requested);
+  return multiVectorConfig.enabled ? normalizeFieldWeights(multiVectorConfig.fieldWeights) : null;
+}
+
+/**
+ * Weighted mean of the fields both sides have vectors for
+ * @param {Object} assignmentVectors - Field name to assignment embedding
+ * @param {Object} creatorVectors - Field name to creator embedding
+ * @param {Object} fieldWeights - Normalized field weights
+ * @returns {Object|null} { similarity, fields } with per-field cosines (null when missing), or null when no field can be compared
+ */
+function combineFieldSimilarities(assignmentVectors, creatorVectors, fieldWeights) {
+  const fields = {};
+  let weighted = 0;
+  let totalWeight = 0;
+
+  EMBEDDING_FIELDS.forEach(field => {
+    const similarity = cosineSimilarity(assignmentVectors[field], creatorVectors[field]);
+    fields[field] = similarity;
+    if (similarity !== null && fieldWeights[field] > 0) {
+      weighted += similarity * fieldWeights[field];
+      totalWeight += fieldWeights[field];
+    }
+  });
+
+  if (totalWeight === 0) return null;
+  return { similarity: weighted / totalWeight, fields };
+}
+
+/**
+ * Replaces each candidate's combined similarity with its multi-vector similarity
+ * @param {Array<Object>} candidates - Vector search matches ({ id, score })
+ * @param {Object} assignmentVectors - Field name to assignment embedding
+ * @param {Object} vectorsById - Creator id to { field: embedding }
+ * @param {Object} fieldWeights - Normalized field weights
+ * @returns {Object} { candidates, rescored } with new match objects re-sorted by score; rescored
+ *   ones carry `combinedScore` and per-field `fieldSimilarities`
+ */
+function rescoreCandidates(candidates, assignmentVectors, vectorsById, fieldWeights) {
+  let rescored = 0;
+  const results = candidates.map(match => {
+    const combined = combineFieldSimilarities(assignmentVectors, vectorsById[match.id] || {}, fieldWeights);
+    if (!combined) return { ...match };
+
+    rescored++;
+    return { ...match, score: combined.similarity, combinedScore: match.score, fieldSimilarities: combined.fields };
+  });
+
+  results.sort((a, b) => b.score - a.score);
+  return { candidates: results, rescored };
+}
+
+/**
+ * Per-field similarities for scoreBreakdown, normalized to [0, 1] like semanticSimilarity
+ * @param {Object} fieldSimilarities - Field name to cosine, or null
+ * @returns {Object} { bioSimilarity, nicheSimilarity, valueSimilarity }
+ */
+function fieldBreakdown(fieldSimilarities) {
+  const breakdown = {};
+  EMBEDDING_FIELDS.forEach(field => {
+    const similarity = fieldSimilarities[field];
+    breakdown[BREAKDOWN_KEYS[field]] = similarity === null ? null : parseFloat(((similarity + 1) / 2).toFixed(4));
+  });
+  return breakdown;
+}
+
+module.exports = {
+  normalizeFieldWeights,
+  resolveFieldWeights,
+  combineFieldSimilarities,
+  rescoreCandidates,
+  fieldBreakdown
+};
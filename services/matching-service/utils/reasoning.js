@@ -0,0 +1,231 @@
+const { matchReasoningSchema } = require('../../../shared/validation/schemas');
+const logger = require('../../../shared/utils/logger');
+
+/**
+ * Structured per-creator match reasoning.
+ * The model is asked for JSON keyed by creator id; anything it leaves out or
+ * gets wrong falls back to a rule-based explanation built from the score breakdown.
+ */
+
+const FALLBACK_SUMMARY = 'AI reasoning generation currently unavailable. Please review creators based on their profile alignment.';
+
+// Instructions per reasoning prompt version; every version asks for the same JSON shape
+const PROMPT_VERSIONS = {
+  v1: `For each creator, explain why they are or are not suitable for this assignment.
+      Ensure the reasoning reflects the mapping between the assignment goals and the creator's specific style/audience.`,
+  v2: `For each creator, give a one-sentence verdict on their fit, then back it with evidence.
+      Every strength and risk must point to something stated in the creator's description and name the assignment goal it affects.`
+};
+const DEFAULT_PROMPT_VERSION = 'v1';
+
+/**
+ * Builds the reasoning prompt for a page of ranked matches
+ * @param {string} assignmentText - Combined assignment description
+ * @param {Array} matches - Ranked matches for the visible page
+ * @param {boolean} isFallback - Whether matching ran without vector search
+ * @param {string} [version] - Prompt version, one of PROMPT_VERSIONS
+ * @returns {string}
+ */
+function buildReasoningPrompt(assignmentText, matches, isFallback, version = DEFAULT_PROMPT_VERSION) {
+  const creatorsInfo = matches.map(m => `- id: ${m.creator.uniqueId} | ${m.creator.nickname}: ${m.creator.analysis.summary}`).join('\n');
+  const instructions = PROMPT_VERSIONS[version] || PROMPT_VERSIONS[DEFAULT_PROMPT_VERSION];
+
+  return `
+      Assignment: ${assignmentText}
+
+      Top Creators:
+      ${creatorsInfo}
+
+      ${instructions}
+      ${isFallback ? 'Note: Semantic search is unavailable, so results are based on keyword relevance and attribute matching.' : ''}
+
+      Respond with JSON only, no prose before or after, in exactly this shape:
+      {
+        "summary": "One or two sentences comparing the creators",
+        "creators": [
+          {
+            "creatorId": "<id from the list above>",
+            "rationale": "1-3 sentence match reasoning",
+            "strengths": ["up to 3 short strengths"],
+            "risks": ["up to 3 short risks or considerations"]
+          }
+        ]
+      }
+    `;
+}
+
+/**
+ * Extracts and validates the JSON reasoning payload from a completion
+ * @param {string} completion - Raw model output
+ * @returns {Object|null} Validated payload or null when it cannot be used
+ */
+function parseReasoning(completion) {
+  if (typeof completion !== 'string') return null;
+
+  // Models sometimes wrap JSON in code fences or add a preamble
+  const start = completion.indexOf('{');
+  const end = completion.lastIndexOf('}');
+  if (start === -1 || end <= start) return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(completion.slice(start, end + 1));
+  } catch (error) {
+    logger.warn('AI reasoning was not valid JSON', { error: error.message });
+    return null;
+  }
+
+  const { error, value } = matchReasoningSchema.validate(payload, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+
+  if (error) {
+    logger.warn('AI reasoning failed validation', { error: error.message });
+    return null;
+  }
+
+  return value;
+}
+
+/**
+ * Pulls the creator entries that are already complete out of a partially streamed completion,
+ * so reasoning can be shown per creator before the model finishes
+ * @param {string} partial - Completion text received so far
+ * @returns {Array<Object>} Validated creator entries, in the order the model wrote them
+ */
+function extractCompletedCreators(partial) {
+  if (typeof partial !== 'string') return [];
+
+  const key = partial.indexOf('"creators"');
+  const arrayStart = key === -1 ? -1 : partial.indexOf('[', key);
+  if (arrayStart === -1) return [];
+
+  const entries = [];
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let objectStart = -1;
+
+  for (let i = arrayStart + 1; i < partial.length; i++) {
+    const char = partial[i];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      if (depth === 0) objectStart = i;
+      depth++;
+    } else if (char === '}') {
+      depth--;
+      if (depth === 0 && objectStart !== -1) {
+        try {
+          const { error, value } = matchReasoningSchema.validate(
+            { creators: [JSON.parse(partial.slice(objectStart, i + 1))] },
+            { stripUnknown: true, convert: true }
+          );
+          if (!error) entries.push(value.creators[0]);
+        } catch (parseError) {
+          // Malformed entries are left to the final parse and the rule-based fallback
+        }
+        objectStart = -1;
+      }
+    } else if (char === ']' && depth === 0) {
+      break;
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Rule-based explanation used when the model gives nothing usable for a creator
+ * @param {Object} match - Scored match
+ * @returns {Object} { rationale, strengths, risks, source }
+ */
+function buildFallbackReasoning(match) {
+  const { scoreBreakdown } = match;
+  const strengths = [];
+  const risks = [];
+
+  // nicheAlignment is a weighted credit (related niches count partly), so name the niches instead
+  const matchedNiches = match.matchedNiches || [];
+  if (matchedNiches.length > 0) {
+    strengths.push(`Covers requested niche(s): ${matchedNiches.join(', ')}`);
+  } else {
+    risks.push('No requested niches matched');
+  }
+  if (scoreBreakdown.audienceMatch > 0) {
+    strengths.push('Audience alignment with the target locale, demographic or tone');
+  }
+  if (scoreBreakdown.valueAlignment > 0) {
+    strengths.push(`${Math.round(scoreBreakdown.valueAlignment * 100)}% of requested values shared`);
+  }
+  if (match.matchedHashtags && match.matchedHashtags.length > 0) {
+    strengths.push(`Already posts under ${match.matchedHashtags.slice(0, 3).join(', ')}`);
+  }
+  if (scoreBreakdown.causeAlignment >= 0.5) {
+    strengths.push('Publicly supports the causes this assignment is about');
+  }
+  if (scoreBreakdown.engagementFit >= 0.75) {
+    strengths.push('Audience engagement above most creators in the pool');
+  } else if (scoreBreakdown.engagementFit > 0 && scoreBreakdown.engagementFit < 0.25) {
+    risks.push('Audience engagement below most creators in the pool');
+  }
+  if (match.exclusionHits && match.exclusionHits.length > 0) {
+    risks.push(...match.exclusionHits.slice(0, 2).map(hit => hit.reason));
+  }
+
+  return {
+    rationale: `Match based on ${matchedNiches.length > 0 ? `the ${matchedNiches.join(', ')} niche(s)` : 'no requested niches'} ` +
+      `and ${Math.round((scoreBreakdown.audienceMatch || 0) * 100)}% audience fit (locale, demographic and tone).`,
+    strengths,
+    risks,
+    source: 'fallback'
+  };
+}
+
+/**
+ * Attaches per-creator reasoning to each match
+ * @param {Array} matches - Ranked matches for the visible page
+ * @param {Object|null} parsed - Output of parseReasoning
+ * @returns {Object} { matches, summary, parsed } where parsed is false when nothing came from the model
+ */
+function attachReasoning(matches, parsed) {
+  const byCreator = new Map((parsed?.creators || []).map(entry => [entry.creatorId, entry]));
+
+  const withReasoning = matches.map(match => {
+    const entry = byCreator.get(match.creator.uniqueId);
+    const details = entry
+      ? { rationale: entry.rationale, strengths: entry.strengths, risks: entry.risks, source: 'ai' }
+      : buildFallbackReasoning(match);
+
+    return {
+      ...match,
+      reasoning: details.rationale,
+      reasoningDetails: details
+    };
+  });
+
+  return {
+    matches: withReasoning,
+    summary: parsed?.summary || FALLBACK_SUMMARY,
+    parsed: !!parsed && withReasoning.some(m => m.reasoningDetails.source === 'ai')
+  };
+}
+
+module.exports = {
+  PROMPT_VERSIONS,
+  DEFAULT_PROMPT_VERSION,
+  buildReasoningPrompt,
+  parseReasoning,
+  extractCompletedCreators,
+  attachReasoning
+};
@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const matcher = require('./matcher');
+const { normalizeConstraints, findFailedConstraints } = require('./constraints');
+const { normalizeExclusions, findExclusionHits, penalizeMatches } = require('./exclusions');
+const { cosineSimilarity } = require('./diversity');
+
+/**
+ * Reverse matching: one creator scored against many assignments.
+ * Every assignment is scored with the same Matcher components as a forward match.
+ * Semantic similarity is the cosine between the creator's indexed vector and the
+ * assignment's cached embedding. Assignments without an embedding are ranked after
+ * every embedded one, since their semantic component is only a neutral placeholder.
+ * An assignment whose constraints or disqualifying exclusions rule the creator out
+ * is reported as ineligible, not ranked.
+ */
+
+/**
+ * Identifies the text an assignment embedding was built from
+ * @param {string} text - Assignment text as embedded
+ * @returns {string} SHA-256 hex digest
+ */
+function hashAssignmentText(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Whether the assignment carries a cached embedding of its current text
+ * @param {Object} assignment - Assignment with an optional `embedding` { values, textHash }
+ * @param {string} textHash - Hash of the assignment's current text
+ * @returns {boolean}
+ */
+function hasFreshEmbedding(assignment, textHash) {
+  const embedding = assignment.embedding;
+  return !!(embedding && embedding.textHash === textHash && Array.isArray(embedding.values) && embedding.values.length > 0);
+}
+
+// Constraint and disqualify-mode exclusion reasons that keep the creator off this assignment
+function findBlockers(creator, constraints, exclusions) {
+  const blockers = findFailedConstraints(creator, constraints).map(name => ({
+    type: 'constraint',
+    name,
+    reason: `Fails the ${name} constraint`
+  }));
+
+  if (exclusions && exclusions.action === 'disqualify') {
+    findExclusionHits(creator, exclusions).forEach(hit => {
+      blockers.push({ type: 'exclusion', name: hit.category, reason: hit.reason });
+    });
+  }
+
+  return blockers;
+}
+
+// Persisted assignments were validated on the way in; anything that no longer validates is skipped
+function normalizeStoredRules(assignment) {
+  try {
+    return {
+      constraints: normalizeConstraints(assignment.constraints),
+      exclusions: normalizeExclusions(assignment.exclusions)
+    };
+  } catch (error) {
+    return { error };
+  }
+}
+
+/**
+ * Scores and ranks assignments for one creator
+ * @param {Object} params
+ * @param {Object} params.creator - Creator profile
+ * @param {Array<Object>} params.assignments - Assignments, with `embedding.values` where available
+ * @param {Array<number>|null} params.creatorVector - The creator's indexed vector; null scores without semantics
+ * @param {Object} params.scoring - Resolved weights
+ * @param {Object} [params.engagementStats] - Population stats from buildEngagementStats
+ * @returns {Object} { ranked, ineligible }, each with embedded assignments first, then by matchScore
+ *   (newest assignment first on ties)
+ */
+function rankAssignments({ creator, assignments, creatorVector, scoring, engagementStats = null }) {
+  const ranked = [];
+  const ineligible = [];
+
+  assignments.forEach(assignment => {
+    const rules = normalizeStoredRules(assignment);
+    if (rules.error) {
+      ineligible.push({
+        assignmentId: assignment.id,
+        topic: assignment.topic,
+        status: assignment.status,
+        blockers: [{ type: 'invalid', name: rules.error.code, reason: rules.error.message }]
+      });
+      return;
+    }
+
+    const similarity = creatorVector ? cosineSimilarity(creatorVector, assignment.embedding?.values) : null;
+    const match = matcher.calculateMatch(assignment, creator, similarity === null ? 0 : similarity, scoring.weights, engagementStats);
+    penalizeMatches([match], rules.exclusions);
+
+    const entry = {
+      assignmentId: assignment.id,
+      topic: assignment.topic,
+      status: assignment.status,
+      createdAt: assignment.createdAt,
+      matchScore: match.matchScore,
+      scoreBreakdown: match.scoreBreakdown,
+      matchedHashtags: match.matchedHashtags,
+      semanticSource: similarity === null ? 'none' : 'embedding'
+    };
+    if (match.exclusionHits) entry.exclusionHits = match.exclusionHits;
+
+    const blockers = findBlockers(creator, rules.constraints, rules.exclusions);
+    if (blockers.length > 0) {
+      ineligible.push({ ...entry, blockers });
+    } else {
+      ranked.push(entry);
+    }
+  });
+
+  // Niche counts are relative to each assignment's own niche list, so within a group assignments are ordered by score alone
+  const byScore = (a, b) => (a.semanticSource === 'none') - (b.semanticSource === 'none') ||
+    (b.matchScore || 0) - (a.matchScore || 0) ||
+    new Date(b.createdAt || 0) - new Date(a.createdAt || 0);
+
+  return { ranked: ranked.sort(byScore), ineligible: ineligible.sort(byScore) };
+}
+
+module.exports = {
+  hashAssignmentText,
+  hasFreshEmbedding,
+  rankAssignments
+};
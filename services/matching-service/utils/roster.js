@@ -0,0 +1,202 @@
+const { nicheCredit } = require('../../../shared/utils/nicheTaxonomy');
+const { isPenalized } = require('./exclusions');
+
+/**
+ * Complementary roster selection.
+ * Instead of the N individually best creators, the roster is chosen by greedy weighted set cover
+ * over what the brief asks for: requested niches, target locales and creator values.
+ * Each pick is the creator that adds the most uncovered requirement weight. Only creators
+ * scoring within the relevance floor of the best match are considered. Once nothing is left
+ * to cover, the remaining slots go to the most relevant creators. Penalized creators (brand-safety
+ * penalize mode) are only picked once no clean creator is left in the pool.
+ */
+
+const DEFAULT_RELEVANCE_FLOOR = 0.75;
+
+// Requirement categories and the scoring weight that prices them
+const REQUIREMENT_TYPES = [
+  { type: 'niche', weight: 'nicheAlignment' },
+  { type: 'locale', weight: 'audienceMatch' },
+  { type: 'value', weight: 'valueAlignment' }
+];
+
+function round4(value) {
+  return parseFloat(value.toFixed(4));
+}
+
+function rosterError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_ROSTER';
+  return error;
+}
+
+/**
+ * Validates the roster option from the request payload
+ * @param {boolean|Object} rawRoster - `true` or { relevanceFloor }
+ * @returns {Object|null} { relevanceFloor }, or null when roster mode is off
+ * @throws {Error} With code INVALID_ROSTER
+ */
+function normalizeRoster(rawRoster) {
+  if (rawRoster === undefined || rawRoster === null || rawRoster === false) {
+    return null;
+  }
+  if (rawRoster === true) {
+    return { relevanceFloor: DEFAULT_RELEVANCE_FLOOR };
+  }
+  if (typeof rawRoster !== 'object' || Array.isArray(rawRoster)) {
+    throw rosterError('roster must be true or an object with an optional relevanceFloor');
+  }
+
+  const relevanceFloor = rawRoster.relevanceFloor === undefined ? DEFAULT_RELEVANCE_FLOOR : Number(rawRoster.relevanceFloor);
+  if (!Number.isFinite(relevanceFloor) || relevanceFloor < 0 || relevanceFloor > 1) {
+    throw rosterError('relevanceFloor must be a number between 0 and 1 (share of the best match score)');
+  }
+
+  return { relevanceFloor };
+}
+
+function unique(items, normalize) {
+  const seen = new Map();
+  items.filter(Boolean).forEach(item => {
+    const key = normalize(item);
+    if (!seen.has(key)) seen.set(key, item);
+  });
+  return [...seen.values()];
+}
+
+/**
+ * Lists what the brief asks a roster to cover.
+ * Locales are the target audience locale plus any allowed regions, so a multi-market brief
+ * wants each market represented. Each category shares its scoring weight across its requirements.
+ * @param {Object} assignment - The assignment details
+ * @param {Object} weights - Resolved scoring weights
+ * @returns {Array<Object>} { type, name, weight }
+ */
+function buildRequirements(assignment, weights) {
+  const names = {
+    niche: unique(assignment.creatorNiches || [], niche => niche.toLowerCase()),
+    locale: unique([assignment.targetAudience?.locale, ...(assignment.constraints?.allowedRegions || [])], locale => locale.toUpperCase())
+      .map(locale => locale.toUpperCase()),
+    value: unique(assignment.creatorValues || [], value => value.toLowerCase())
+  };
+
+  // A profile that ignores all three categories still gets a roster, with the categories weighted equally
+  const priced = REQUIREMENT_TYPES.some(({ weight }) => (weights[weight] || 0) > 0);
+
+  return REQUIREMENT_TYPES.flatMap(({ type, weight }) => {
+    const categoryWeight = priced ? (weights[weight] || 0) : 1;
+    return names[type].map(name => ({ type, name, weight: categoryWeight / names[type].length }));
+  });
+}
+
+/**
+ * How well one creator satisfies one requirement
+ * @returns {number} Credit in [0, 1]; niches earn partial taxonomy credit
+ */
+function requirementCredit(requirement, creator) {
+  const analysis = creator.analysis || {};
+
+  if (requirement.type === 'niche') {
+    const niches = [...(analysis.primaryNiches || []), ...(analysis.secondaryNiches || [])];
+    return niches.reduce((best, niche) => Math.max(best, nicheCredit(requirement.name, niche)), 0);
+  }
+  if (requirement.type === 'locale') {
+    return (creator.region || '').toUpperCase() === requirement.name ? 1 : 0;
+  }
+  return (analysis.apparentValues || []).some(value => value.toLowerCase() === requirement.name.toLowerCase()) ? 1 : 0;
+}
+
+/**
+ * Picks a complementary roster from ranked matches
+ * @param {Array<Object>} rankedMatches - Matches in relevance order
+ * @param {Array<Object>} requirements - Output of buildRequirements
+ * @param {Object} options
+ * @param {number} options.size - Roster size
+ * @param {number} options.relevanceFloor - Share of the best match score a member must reach
+ * @returns {Object} { matches, members, coverage }
+ */
+function selectRoster(rankedMatches, requirements, { size, relevanceFloor }) {
+  // The ranking puts niche count first, so the best score is not necessarily at the top
+  const bestScore = rankedMatches.length > 0 ? Math.max(...rankedMatches.map(match => match.matchScore)) : 0;
+  const floor = bestScore * relevanceFloor;
+  const pool = rankedMatches
+    .filter(match => match.matchScore >= floor)
+    .map(match => ({
+      match,
+      credits: requirements.map(requirement => requirementCredit(requirement, match.creator)),
+      penalized: isPenalized(match)
+    }));
+
+  const coverage = requirements.map(() => 0);
+  const members = [];
+
+  while (members.length < size && pool.length > 0) {
+    // Largest uncovered weight gained; ties keep the more relevant creator
+    let bestIndex = 0;
+    let bestGain = -1;
+    const cleanLeft = pool.some(candidate => !candidate.penalized);
+    pool.forEach((candidate, index) => {
+      if (cleanLeft && candidate.penalized) return;
+      const gain = candidate.credits.reduce((sum, credit, i) => sum + requirements[i].weight * Math.max(0, credit - coverage[i]), 0);
+      if (gain > bestGain + 1e-9) {
+        bestGain = gain;
+        bestIndex = index;
+      }
+    });
+
+    const [picked] = pool.splice(bestIndex, 1);
+    const contributes = [];
+    picked.credits.forEach((credit, i) => {
+      if (credit > coverage[i]) {
+        contributes.push({ type: requirements[i].type, name: requirements[i].name, credit: round4(credit), added: round4(credit - coverage[i]) });
+        coverage[i] = credit;
+      }
+    });
+
+    members.push({
+      creatorId: picked.match.creator.uniqueId,
+      nickname: picked.match.creator.nickname,
+      matchScore: picked.match.matchScore,
+      gain: round4(bestGain),
+      selectedBy: bestGain > 0 ? 'coverage' : 'relevance',
+      contributes,
+      match: picked.match
+    });
+  }
+
+  return {
+    matches: members.map(member => member.match),
+    members: members.map(({ match, ...member }) => member),
+    coverage: buildCoverageReport(requirements, coverage, members, floor)
+  };
+}
+
+// Per-requirement coverage, what is still missing and the weighted share of the brief covered
+function buildCoverageReport(requirements, coverage, members, floor) {
+  const totalWeight = requirements.reduce((sum, requirement) => sum + requirement.weight, 0);
+  const coveredWeight = requirements.reduce((sum, requirement, i) => sum + requirement.weight * coverage[i], 0);
+
+  const report = requirements.map((requirement, i) => ({
+    type: requirement.type,
+    name: requirement.name,
+    weight: round4(requirement.weight),
+    coverage: round4(coverage[i]),
+    coveredBy: members
+      .filter(member => member.contributes.some(c => c.type === requirement.type && c.name === requirement.name))
+      .map(member => member.creatorId)
+  }));
+
+  return {
+    score: totalWeight > 0 ? round4(coveredWeight / totalWeight) : null,
+    minScore: round4(floor),
+    requirements: report,
+    uncovered: report.filter(entry => entry.coverage === 0).map(({ type, name }) => ({ type, name })),
+    partial: report.filter(entry => entry.coverage > 0 && entry.coverage < 1).map(({ type, name, coverage: value }) => ({ type, name, coverage: value }))
+  };
+}
+
+module.exports = {
+  normalizeRoster,
+  buildRequirements,
+  selectRoster
+};
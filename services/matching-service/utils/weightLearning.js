@@ -0,0 +1,220 @@
+/**
+ * Learns Matcher weights from match feedback.
+ * Within an assignment, every creator marked a good fit (up / accepted) should outrank every
+ * creator marked a bad fit (down / rejected). Each such pair is one training example for a
+ * pairwise logistic regression over the score components: P(good above bad) = σ(w · (x_good − x_bad)).
+ * Weights are kept non-negative and pulled towards the base profile, so sparse feedback nudges
+ * the profile rather than replacing it. The niche boost is not learned; it follows the base profile.
+ */
+
+const COMPONENTS = ['semanticSimilarity', 'nicheAlignment', 'audienceMatch', 'valueAlignment', 'engagementFit', 'causeAlignment', 'hashtagOverlap'];
+const POSITIVE_VERDICTS = ['up', 'accepted'];
+const NEGATIVE_VERDICTS = ['down', 'rejected'];
+
+const DEFAULT_FIT_OPTIONS = {
+  l2: 1,
+  learningRate: 0.2,
+  iterations: 1000
+};
+// Fewer pairs than this say more about the few assignments reviewed than about the weights
+const DEFAULT_MIN_PAIRS = 20;
+const LEARNED_PREFIX = 'learned-v';
+
+function round4(value) {
+  return parseFloat(value.toFixed(4));
+}
+
+function learningError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Feature vector of one feedback entry, on the scale combineScores weighs it
+ * @param {Object} entry - Feedback with scoreBreakdown and requestedNiches
+ * @returns {Array<number>} One value per component; nicheAlignment as a share of requested niches
+ */
+function featurize(entry) {
+  const breakdown = entry.scoreBreakdown || {};
+  const maxNiches = Math.max(1, entry.requestedNiches || 0);
+
+  return COMPONENTS.map(component => {
+    const value = Number(breakdown[component]) || 0;
+    return component === 'nicheAlignment' ? value / maxNiches : value;
+  });
+}
+
+/**
+ * Pairs good-fit and bad-fit feedback on the same assignment
+ * @param {Array<Object>} feedback - MatchFeedback records
+ * @returns {Array<Object>} { assignmentId, preferred, rejected, diff } where diff is x_preferred − x_rejected
+ */
+function buildPairs(feedback) {
+  const byAssignment = new Map();
+  feedback.forEach(entry => {
+    const key = String(entry.assignmentId);
+    if (!byAssignment.has(key)) byAssignment.set(key, { positive: [], negative: [] });
+    if (POSITIVE_VERDICTS.includes(entry.verdict)) byAssignment.get(key).positive.push(entry);
+    if (NEGATIVE_VERDICTS.includes(entry.verdict)) byAssignment.get(key).negative.push(entry);
+  });
+
+  const pairs = [];
+  byAssignment.forEach(({ positive, negative }, assignmentId) => {
+    positive.forEach(good => {
+      const goodFeatures = featurize(good);
+      negative.forEach(bad => {
+        // Reviewers disagreeing on one creator is not a preference between two creators
+        if (good.creatorId === bad.creatorId) return;
+        const badFeatures = featurize(bad);
+        const diff = goodFeatures.map((value, i) => value - badFeatures[i]);
+        // Identical components cannot be separated by any weighting
+        if (diff.every(value => value === 0)) return;
+        pairs.push({ assignmentId, preferred: good.creatorId, rejected: bad.creatorId, diff });
+      });
+    });
+  });
+
+  return pairs;
+}
+
+function dot(weights, values) {
+  return values.reduce((sum, value, i) => sum + weights[i] * value, 0);
+}
+
+/**
+ * Share of pairs a weighting orders correctly; ties count as half
+ * @param {Array<Object>} pairs - Output of buildPairs
+ * @param {Object} weights - Weights keyed by component
+ * @returns {number|null} Accuracy in [0, 1], or null without pairs
+ */
+function pairwiseAccuracy(pairs, weights) {
+  if (pairs.length === 0) return null;
+  const vector = COMPONENTS.map(component => weights[component] || 0);
+
+  const correct = pairs.reduce((sum, { diff }) => {
+    const margin = dot(vector, diff);
+    if (Math.abs(margin) < 1e-12) return sum + 0.5;
+    return sum + (margin > 0 ? 1 : 0);
+  }, 0);
+
+  return round4(correct / pairs.length);
+}
+
+/**
+ * Fits non-negative component weights by projected gradient descent on the
+ * L2-regularized pairwise logistic loss
+ * @param {Array<Object>} pairs - Output of buildPairs
+ * @param {Object} prior - Base profile weights keyed by component, pulled towards by the L2 term
+ * @param {Object} [options] - { l2, learningRate, iterations }
+ * @returns {Object} { weights, loss } with weights normalized to sum to 1
+ */
+function fitPairwiseWeights(pairs, prior, options = {}) {
+  const { l2, learningRate, iterations } = { ...DEFAULT_FIT_OPTIONS, ...options };
+  const priorTotal = COMPONENTS.reduce((sum, component) => sum + (prior[component] || 0), 0);
+  const priorVector = COMPONENTS.map(component => (prior[component] || 0) / (priorTotal || 1));
+  const w = [...priorVector];
+
+  const lossAt = vector => pairs.reduce((sum, { diff }) => sum + Math.log1p(Math.exp(-dot(vector, diff))), 0) / pairs.length +
+    (l2 / 2) * vector.reduce((sum, value, i) => sum + (value - priorVector[i]) ** 2, 0);
+
+  for (let step = 0; step < iterations; step++) {
+    const gradient = w.map((value, i) => l2 * (value - priorVector[i]));
+    pairs.forEach(({ diff }) => {
+      // d/dw log(1 + e^(−w·d)) = −σ(−w·d) d
+      const slope = 1 / (1 + Math.exp(dot(w, diff)));
+      diff.forEach((value, i) => {
+        gradient[i] -= (slope * value) / pairs.length;
+      });
+    });
+    w.forEach((value, i) => {
+      w[i] = Math.max(0, value - learningRate * gradient[i]);
+    });
+  }
+
+  const total = w.reduce((sum, value) => sum + value, 0);
+  const fitted = total > 0 ? w : priorVector;
+  const fittedTotal = total > 0 ? total : 1;
+
+  const weights = {};
+  COMPONENTS.forEach((component, i) => {
+    weights[component] = round4(fitted[i] / fittedTotal);
+  });
+
+  return { weights, loss: round4(lossAt(w)) };
+}
+
+/**
+ * Learns a weight profile from accumulated feedback
+ * @param {Array<Object>} feedback - MatchFeedback records
+ * @param {Object} baseWeights - Weights of the profile the learned one starts from
+ * @param {Object} [options] - { minPairs } plus fitPairwiseWeights options
+ * @returns {Object} { weights, training } where training describes the data and the pairwise accuracy before and after
+ * @throws {Error} With code INSUFFICIENT_FEEDBACK when there are fewer than minPairs pairs
+ */
+function learnWeights(feedback, baseWeights, options = {}) {
+  const { minPairs = DEFAULT_MIN_PAIRS, ...fitOptions } = options;
+  const pairs = buildPairs(feedback);
+
+  if (pairs.length < minPairs) {
+    throw learningError('INSUFFICIENT_FEEDBACK', `Need at least ${minPairs} good/bad pairs to learn weights, found ${pairs.length}`);
+  }
+
+  const { weights, loss } = fitPairwiseWeights(pairs, baseWeights, fitOptions);
+
+  return {
+    weights,
+    training: {
+      feedback: feedback.length,
+      assignments: new Set(pairs.map(pair => pair.assignmentId)).size,
+      pairs: pairs.length,
+      loss,
+      accuracy: {
+        base: pairwiseAccuracy(pairs, baseWeights),
+        learned: pairwiseAccuracy(pairs, weights)
+      }
+    }
+  };
+}
+
+/**
+ * Adds a learned profile under the next version number
+ * @param {Object} learnedConfig - Contents of learnedWeightProfiles.json
+ * @param {Object} params - { basedOn, baseProfile, weights, training }
+ * @param {Date} [now] - Timestamp stored as trainedAt
+ * @returns {Object} { config, name } with the updated config and the new profile name
+ */
+function publishProfile(learnedConfig, { basedOn, baseProfile, weights, training }, now = new Date()) {
+  const profiles = learnedConfig.profiles || {};
+  const version = Object.values(profiles).reduce((max, profile) => Math.max(max, profile.version || 0), 0) + 1;
+  const name = `${LEARNED_PREFIX}${version}`;
+
+  return {
+    name,
+    config: {
+      ...learnedConfig,
+      latest: name,
+      profiles: {
+        ...profiles,
+        [name]: {
+          description: `Learned from ${training.pairs} feedback pairs, starting from ${basedOn}`,
+          prioritizeNiches: baseProfile.prioritizeNiches,
+          weights,
+          version,
+          basedOn,
+          trainedAt: now.toISOString(),
+          training
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  featurize,
+  buildPairs,
+  pairwiseAccuracy,
+  fitPairwiseWeights,
+  learnWeights,
+  publishProfile
+};
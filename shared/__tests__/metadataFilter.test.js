@@ -0,0 +1,50 @@
+const { matchesFilter } = require('../utils/metadataFilter');
+
+describe('Metadata Filters', () => {
+    const metadata = {
+        region: 'US',
+        followerCount: 50000,
+        verified: false,
+        primaryNiches: ['Personal Finance', 'Investing'],
+        secondaryNiches: []
+    };
+
+    test('comparison operators and bare values follow Pinecone semantics', () => {
+        expect(matchesFilter(metadata, { region: 'US' })).toBe(true);
+        expect(matchesFilter(metadata, { region: { $ne: 'US' } })).toBe(false);
+        expect(matchesFilter(metadata, { followerCount: { $gte: 50000, $lt: 100000 } })).toBe(true);
+        expect(matchesFilter(metadata, { followerCount: { $gt: 50000 } })).toBe(false);
+        expect(matchesFilter(metadata, { verified: { $eq: false } })).toBe(true);
+        expect(matchesFilter(metadata, null)).toBe(true);
+    });
+
+    test('list fields match when any element does', () => {
+        expect(matchesFilter(metadata, { primaryNiches: { $in: ['Investing', 'Career'] } })).toBe(true);
+        expect(matchesFilter(metadata, { primaryNiches: 'Investing' })).toBe(true);
+        expect(matchesFilter(metadata, { primaryNiches: { $nin: ['Investing'] } })).toBe(false);
+        expect(matchesFilter(metadata, { secondaryNiches: { $in: ['Investing'] } })).toBe(false);
+    });
+
+    test('missing fields only satisfy $exists: false, $ne and $nin', () => {
+        expect(matchesFilter(metadata, { language: { $exists: false } })).toBe(true);
+        expect(matchesFilter(metadata, { language: { $ne: 'en' } })).toBe(true);
+        expect(matchesFilter(metadata, { language: { $gte: 1 } })).toBe(false);
+        expect(matchesFilter(metadata, { region: { $exists: true } })).toBe(true);
+    });
+
+    test('$and and $or combine the filters the matching service builds', () => {
+        const filter = {
+            $and: [
+                { region: { $eq: 'US' } },
+                { $or: [{ primaryNiches: { $in: ['Career'] } }, { secondaryNiches: { $in: ['Investing'] } }] }
+            ]
+        };
+        expect(matchesFilter(metadata, filter)).toBe(false);
+        expect(matchesFilter({ ...metadata, secondaryNiches: ['Investing'] }, filter)).toBe(true);
+    });
+
+    test('unsupported operators are rejected', () => {
+        expect(() => matchesFilter(metadata, { region: { $regex: 'U.*' } })).toThrow(expect.objectContaining({ code: 'INVALID_FILTER' }));
+        expect(() => matchesFilter(metadata, { primaryNiches: { $in: 'Investing' } })).toThrow('$in needs an array');
+    });
+});
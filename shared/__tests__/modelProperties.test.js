@@ -17,7 +17,18 @@ describe('Shared Logic Property-Based Tests', () => {
                 }), { nil: undefined }),
                 creatorValues: fc.option(fc.array(nonWhitespaceString(1, 10)), { nil: undefined }),
                 creatorNiches: fc.option(fc.array(nonWhitespaceString(1, 10)), { nil: undefined }),
-                toneStyle: fc.option(nonWhitespaceString(1, 100), { nil: undefined })
+                toneStyle: fc.option(nonWhitespaceString(1, 100), { nil: undefined }),
+                exclusions: fc.option(fc.record({
+                    competitorBrands: fc.array(nonWhitespaceString(1, 20), { maxLength: 5 }),
+                    negativeKeywords: fc.array(nonWhitespaceString(1, 20), { maxLength: 5 }),
+                    action: fc.constantFrom('disqualify', 'penalize'),
+                    penalty: fc.double({ min: 0, max: 1, noNaN: true })
+                }), { nil: undefined }),
+                budget: fc.option(fc.record({
+                    total: fc.double({ min: 1, max: 1e7, noNaN: true }),
+                    currency: fc.constantFrom('USD', 'eur', 'GBP'),
+                    deliverables: fc.integer({ min: 1, max: 100 })
+                }), { nil: undefined })
             });
 
             fc.assert(
@@ -65,7 +76,11 @@ describe('Shared Logic Property-Based Tests', () => {
                         tone: fc.array(nonWhitespaceString(20), { minLength: 1 }),
                         contentStyle: nonWhitespaceString(200)
                     })
-                })
+                }),
+                rateCard: fc.option(fc.record({
+                    pricePerDeliverable: fc.double({ min: 0, max: 1e6, noNaN: true }),
+                    currency: fc.constantFrom('USD', 'eur', 'GBP')
+                }), { nil: undefined })
             });
 
             fc.assert(
@@ -0,0 +1,40 @@
+const fc = require('fast-check');
+const { resolveNiche, nicheCredit, expandNiches, searchNiches } = require('../utils/nicheTaxonomy');
+
+describe('Niche Taxonomy', () => {
+    const canonicalNames = searchNiches().map(n => n.name);
+    const nicheArbitrary = fc.oneof(fc.constantFrom(...canonicalNames), fc.string());
+
+    test('aliases resolve case-insensitively to the canonical niche', () => {
+        expect(resolveNiche('money')).toBe('Finance');
+        expect(resolveNiche('  Stock Market ')).toBe('Investing');
+        expect(resolveNiche('Underwater Basket Weaving')).toBeNull();
+    });
+
+    test('credit reflects the relation between niches', () => {
+        expect(nicheCredit('Money', 'finance')).toBe(1);
+        expect(nicheCredit('Finance', 'Personal Finance')).toBe(0.5);
+        expect(nicheCredit('Personal Finance', 'Finance')).toBe(0.5);
+        expect(nicheCredit('Finance', 'Behavioral Economics')).toBe(0.25);
+        expect(nicheCredit('Investing', 'Personal Finance')).toBe(0.25);
+        expect(nicheCredit('Finance', 'Gaming')).toBe(0);
+        expect(nicheCredit('Knitting', 'knitting')).toBe(1);
+    });
+
+    test('credit is symmetric and bounded for any pair of niches', () => {
+        fc.assert(
+            fc.property(nicheArbitrary, nicheArbitrary, (a, b) => {
+                const credit = nicheCredit(a, b);
+                expect(credit).toBeGreaterThanOrEqual(0);
+                expect(credit).toBeLessThanOrEqual(1);
+                expect(nicheCredit(b, a)).toBe(credit);
+            })
+        );
+    });
+
+    test('expansion includes aliases and descendants but not parents', () => {
+        const expanded = expandNiches(['Economics', 'Knitting']);
+        expect(expanded).toEqual(expect.arrayContaining(['Economics', 'Economy', 'Behavioral Economics', 'Knitting']));
+        expect(expanded).not.toContain('Finance');
+    });
+});
@@ -0,0 +1,48 @@
+const { parseRateCards, applyRateCards } = require('../utils/rateCards');
+
+describe('Rate Card Import', () => {
+    test('CSV rows are validated and normalized', () => {
+        const csv = [
+            'uniqueId,pricePerDeliverable,currency,deliverable',
+            'mindsovermoney,1200,usd,"video, 60s"',
+            '',
+            'marketdecoded,-5,USD,',
+            ',300,USD,video'
+        ].join('\n');
+
+        const [valid, negative, missingId] = parseRateCards(csv, 'csv');
+
+        expect(valid).toEqual({
+            uniqueId: 'mindsovermoney',
+            lineNumber: 2,
+            rateCard: { pricePerDeliverable: 1200, currency: 'USD', deliverable: 'video, 60s' }
+        });
+        expect(negative.lineNumber).toBe(4);
+        expect(negative.errors[0]).toMatch(/pricePerDeliverable/);
+        expect(missingId.errors).toEqual(['uniqueId is required']);
+    });
+
+    test('JSON keyed by creator id defaults the deliverable', () => {
+        const [entry] = parseRateCards(JSON.stringify({ civicbriefs: { pricePerDeliverable: 800, currency: 'EUR' } }), 'json');
+
+        expect(entry.rateCard).toEqual({ pricePerDeliverable: 800, currency: 'EUR', deliverable: 'video' });
+    });
+
+    test('only known creators are updated', () => {
+        const creators = { mindsovermoney: { uniqueId: 'mindsovermoney' } };
+        const now = new Date('2026-01-01T00:00:00Z');
+        const parsed = parseRateCards('uniqueId,pricePerDeliverable,currency\nmindsovermoney,1200,USD\nghost,100,USD\nbad,abc,USD', 'csv');
+
+        const report = applyRateCards(creators, parsed, now);
+
+        expect(report.updated).toEqual(['mindsovermoney']);
+        expect(report.unknown).toEqual(['ghost']);
+        expect(report.invalid).toHaveLength(1);
+        expect(creators.mindsovermoney.rateCard).toEqual({
+            pricePerDeliverable: 1200,
+            currency: 'USD',
+            deliverable: 'video',
+            updatedAt: '2026-01-01T00:00:00.000Z'
+        });
+    });
+});
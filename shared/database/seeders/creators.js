@@ -87,17 +87,27 @@ class CreatorSeeder {
       followerCount: data.followerCount || 0,
       region: data.region || 'US',
       avatarUrl: data.avatarUrl || `https://example.com/avatars/${data.uniqueId}.jpg`,
+      topHashtags: data.topHashtags || data.analysis?.topHashtags || [],
+      sourceHashtags: data.sourceHashtags || [],
       analysis: {
         summary: data.analysis?.summary || '',
         primaryNiches: data.analysis?.primaryNiches || [],
         secondaryNiches: data.analysis?.secondaryNiches || [],
         apparentValues: data.analysis?.apparentValues || [],
         audienceInterests: data.analysis?.audienceInterests || [],
+        identifiedCauses: data.analysis?.identifiedCauses || [],
+        socialStances: data.analysis?.socialStances || [],
         engagementStyle: {
           tone: data.analysis?.engagementStyle?.tone || ['Informative'],
           contentStyle: data.analysis?.engagementStyle?.contentStyle || 'General content style'
+        },
+        partnershipPotential: {
+          alignedOrganizationTypes: data.analysis?.partnershipPotential?.alignedOrganizationTypes || [],
+          contentStrengths: data.analysis?.partnershipPotential?.contentStrengths || [],
+          considerations: data.analysis?.partnershipPotential?.considerations || []
         }
       },
+      rateCard: data.rateCard || undefined,
       embeddings: data.embeddings || undefined,
       metadata: {
         isActive: true,
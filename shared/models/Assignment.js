@@ -47,6 +47,115 @@ const assignmentSchema = new mongoose.Schema({
     trim: true,
     maxlength: 100
   },
+  causes: [{
+    type: String,
+    trim: true,
+    maxlength: 100
+  }],
+  organizationType: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  hashtags: [{
+    type: String,
+    trim: true,
+    maxlength: 100
+  }],
+  constraints: {
+    minFollowers: {
+      type: Number,
+      min: 0
+    },
+    maxFollowers: {
+      type: Number,
+      min: 0
+    },
+    allowedRegions: [{
+      type: String,
+      trim: true,
+      maxlength: 10
+    }],
+    blockedRegions: [{
+      type: String,
+      trim: true,
+      maxlength: 10
+    }],
+    verifiedOnly: Boolean,
+    requiredNiches: [{
+      type: String,
+      trim: true,
+      maxlength: 100
+    }],
+    excludedCreatorIds: [{
+      type: String,
+      trim: true,
+      maxlength: 100
+    }]
+  },
+  exclusions: {
+    competitorBrands: [{
+      type: String,
+      trim: true,
+      maxlength: 100
+    }],
+    sensitiveTopics: [{
+      type: String,
+      trim: true,
+      maxlength: 100
+    }],
+    negativeKeywords: [{
+      type: String,
+      trim: true,
+      maxlength: 100
+    }],
+    action: {
+      type: String,
+      enum: ['disqualify', 'penalize'],
+      default: 'disqualify'
+    },
+    penalty: {
+      type: Number,
+      min: 0,
+      max: 1,
+      default: 0.15
+    }
+  },
+  budget: {
+    total: {
+      type: Number,
+      min: 0
+    },
+    currency: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      maxlength: 3
+    },
+    deliverables: {
+      type: Number,
+      min: 1
+    }
+  },
+  // Cached assignment embedding for reverse matching; textHash marks the brief text it was built from
+  embedding: {
+    values: {
+      type: [Number],
+      select: false // Vectors are large, load them only when asked for
+    },
+    textHash: String,
+    updatedAt: Date
+  },
+  // Experiment variant that produced the stored match results
+  experiment: {
+    name: String,
+    variant: String,
+    unit: {
+      type: String,
+      enum: ['userId', 'assignmentId']
+    },
+    assignedAt: Date
+  },
   userId: {
     type: String,
     trim: true,
@@ -64,13 +173,30 @@ const assignmentSchema = new mongoose.Schema({
     creatorId: String,
     matchScore: Number,
     reasoning: String,
+    reasoningDetails: {
+      rationale: String,
+      strengths: [String],
+      risks: [String],
+      source: {
+        type: String,
+        enum: ['ai', 'fallback']
+      }
+    },
     framingSuggestion: String,
+    matchedHashtags: [String],
     scoreBreakdown: {
       semanticSimilarity: Number,
       nicheAlignment: Number,
       audienceMatch: Number,
       valueAlignment: Number,
-      engagementFit: Number
+      engagementFit: Number,
+      causeAlignment: Number,
+      hashtagOverlap: Number,
+      exclusionPenalty: Number,
+      diversityPenalty: Number,
+      bioSimilarity: Number,
+      nicheSimilarity: Number,
+      valueSimilarity: Number
     }
   }]
 }, {
@@ -82,6 +208,7 @@ const assignmentSchema = new mongoose.Schema({
 assignmentSchema.index({ userId: 1, createdAt: -1 }); // User assignments sorted by date
 assignmentSchema.index({ status: 1, createdAt: -1 }); // Status-based queries with date sorting
 assignmentSchema.index({ 'targetAudience.locale': 1, createdAt: -1 }); // Locale-based queries
+assignmentSchema.index({ 'experiment.name': 1, 'experiment.variant': 1 }, { sparse: true }); // Experiment stats
 assignmentSchema.index({ createdAt: 1 }, {
   expireAfterSeconds: parseInt(process.env.DATA_RETENTION_SECONDS || 2592000) // Default 30 days
 });
@@ -113,6 +240,12 @@ assignmentSchema.pre('save', function (next) {
   if (this.creatorNiches && this.creatorNiches.length === 0) {
     this.creatorNiches = undefined;
   }
+  if (this.causes && this.causes.length === 0) {
+    this.causes = undefined;
+  }
+  if (this.hashtags && this.hashtags.length === 0) {
+    this.hashtags = undefined;
+  }
 
   // Remove empty target audience if both fields are empty
   if (this.targetAudience &&
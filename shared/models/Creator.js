@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { expandNiches } = require('../utils/nicheTaxonomy');
 
 const creatorSchema = new mongoose.Schema({
   uniqueId: {
@@ -45,6 +46,16 @@ const creatorSchema = new mongoose.Schema({
       message: 'Avatar URL must be a valid HTTP/HTTPS URL'
     }
   },
+  topHashtags: [{
+    type: String,
+    trim: true,
+    maxlength: 100
+  }],
+  sourceHashtags: [{
+    type: String,
+    trim: true,
+    maxlength: 100
+  }],
   analysis: {
     summary: {
       type: String,
@@ -73,6 +84,16 @@ const creatorSchema = new mongoose.Schema({
       trim: true,
       maxlength: 100
     }],
+    identifiedCauses: [{
+      type: String,
+      trim: true,
+      maxlength: 200
+    }],
+    socialStances: [{
+      type: String,
+      trim: true,
+      maxlength: 300
+    }],
     engagementStyle: {
       tone: [{
         type: String,
@@ -86,8 +107,43 @@ const creatorSchema = new mongoose.Schema({
         trim: true,
         maxlength: 500
       }
+    },
+    partnershipPotential: {
+      alignedOrganizationTypes: [{
+        type: String,
+        trim: true,
+        maxlength: 200
+      }],
+      contentStrengths: [{
+        type: String,
+        trim: true,
+        maxlength: 300
+      }],
+      considerations: [{
+        type: String,
+        trim: true,
+        maxlength: 500
+      }]
     }
   },
+  rateCard: {
+    pricePerDeliverable: {
+      type: Number,
+      min: 0
+    },
+    currency: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      maxlength: 3
+    },
+    deliverable: {
+      type: String,
+      trim: true,
+      maxlength: 100
+    },
+    updatedAt: Date
+  },
   embeddings: {
     bio: [Number],
     niches: [Number],
@@ -238,13 +294,15 @@ creatorSchema.methods.getMatchingScore = function(assignment) {
 // Static methods
 creatorSchema.statics.findByNiches = function(niches, options = {}) {
   const { limit = 20, skip = 0, minFollowers = 0 } = options;
+  // Resolve through the taxonomy so aliases and child niches are found too
+  const expandedNiches = expandNiches(niches);
   
   return this.find({
     'metadata.isActive': true,
     followerCount: { $gte: minFollowers },
     $or: [
-      { 'analysis.primaryNiches': { $in: niches } },
-      { 'analysis.secondaryNiches': { $in: niches } }
+      { 'analysis.primaryNiches': { $in: expandedNiches } },
+      { 'analysis.secondaryNiches': { $in: expandedNiches } }
     ]
   })
     .sort({ followerCount: -1 })
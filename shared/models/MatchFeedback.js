@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+// Verdicts that mark a recommended creator as a good or a bad fit
+const POSITIVE_VERDICTS = ['up', 'accepted'];
+const NEGATIVE_VERDICTS = ['down', 'rejected'];
+
+/**
+ * Feedback on one creator recommended for an assignment.
+ * The match's score breakdown is copied in when the feedback is given, so the
+ * feedback stays usable for weight learning after the assignment expires.
+ */
+const matchFeedbackSchema = new mongoose.Schema({
+  assignmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assignment',
+    required: true,
+    index: true
+  },
+  creatorId: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  userId: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: null
+  },
+  verdict: {
+    type: String,
+    required: true,
+    enum: [...POSITIVE_VERDICTS, ...NEGATIVE_VERDICTS]
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  // Snapshot of the match at feedback time
+  rank: {
+    type: Number,
+    min: 1
+  },
+  matchScore: {
+    type: Number,
+    min: 0,
+    max: 1
+  },
+  requestedNiches: {
+    type: Number,
+    min: 0
+  },
+  scoreBreakdown: {
+    semanticSimilarity: Number,
+    nicheAlignment: Number,
+    audienceMatch: Number,
+    valueAlignment: Number,
+    engagementFit: Number,
+    causeAlignment: Number,
+    hashtagOverlap: Number,
+    exclusionPenalty: Number,
+    diversityPenalty: Number
+  },
+  // Experiment variant of the match results the feedback is about
+  experiment: {
+    name: String,
+    variant: String
+  }
+}, {
+  timestamps: true,
+  collection: 'match_feedback'
+});
+
+// One verdict per user per recommended creator; giving feedback again replaces it
+matchFeedbackSchema.index({ assignmentId: 1, creatorId: 1, userId: 1 }, { unique: true });
+matchFeedbackSchema.index({ updatedAt: -1 });
+matchFeedbackSchema.index({ 'experiment.name': 1, 'experiment.variant': 1 }, { sparse: true });
+
+matchFeedbackSchema.methods.toPublicJSON = function () {
+  const feedback = this.toObject();
+
+  feedback.id = feedback._id.toString();
+  feedback.assignmentId = feedback.assignmentId.toString();
+  delete feedback._id;
+  delete feedback.__v;
+
+  return feedback;
+};
+
+const MatchFeedback = mongoose.model('MatchFeedback', matchFeedbackSchema);
+
+module.exports = MatchFeedback;
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const localVectorStore = require('../localVectorStore');
+
+describe('LocalVectorStore', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'local-vectors-'));
+    process.env.VECTOR_PROVIDER = 'local';
+    process.env.LOCAL_VECTOR_PATH = path.join(directory, 'vectors.json');
+    await localVectorStore.disconnect();
+  });
+
+  afterEach(async () => {
+    await localVectorStore.disconnect();
+    delete process.env.VECTOR_PROVIDER;
+    delete process.env.LOCAL_VECTOR_PATH;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const vectors = [
+    { id: 'saver', values: [1, 0, 0], metadata: { region: 'US', followerCount: 5000, primaryNiches: ['Budgeting'] } },
+    { id: 'investor', values: [0.8, 0.6, 0], metadata: { region: 'UK', followerCount: 90000, primaryNiches: ['Investing'] } },
+    { id: 'chef', values: [0, 0, 1], metadata: { region: 'US', followerCount: 20000, primaryNiches: ['Cooking'] } }
+  ];
+
+  test('queries rank by exact cosine similarity and apply metadata filters', async () => {
+    await localVectorStore.upsertVectors(vectors);
+
+    const all = await localVectorStore.queryVectors([1, 0, 0], 2);
+    expect(all.matches.map(match => match.id)).toEqual(['saver', 'investor']);
+    expect(all.matches[1].score).toBeCloseTo(0.8, 6);
+    expect(all.matches[0].values).toEqual([]);
+
+    const filtered = await localVectorStore.queryVectors([1, 0, 0], 10, { region: { $eq: 'US' }, followerCount: { $gte: 10000 } }, { includeValues: true });
+    expect(filtered.matches).toEqual([{ id: 'chef', score: 0, values: [0, 0, 1], metadata: vectors[2].metadata }]);
+  });
+
+  test('namespaces are separate and vectors survive a restart through the snapshot', async () => {
+    await localVectorStore.upsertVectors(vectors);
+    await localVectorStore.upsertVectors([{ id: 'saver', values: [0, 1, 0], metadata: {} }], { namespace: 'bio' });
+    await localVectorStore.disconnect();
+
+    const combined = await localVectorStore.fetchVectors(['saver', 'missing']);
+    const bio = await localVectorStore.fetchVectors(['saver'], { namespace: 'bio' });
+    expect(Object.keys(combined.records)).toEqual(['saver']);
+    expect(combined.records.saver.values).toEqual([1, 0, 0]);
+    expect(bio.records.saver.values).toEqual([0, 1, 0]);
+
+    const stats = await localVectorStore.getIndexStats();
+    expect(stats).toEqual({ dimension: 3, namespaces: { '': { recordCount: 3 }, bio: { recordCount: 1 } }, totalRecordCount: 4 });
+  });
+
+  test('writes from another process are picked up on the next operation', async () => {
+    await localVectorStore.upsertVectors(vectors.slice(0, 1));
+
+    const snapshot = JSON.parse(fs.readFileSync(process.env.LOCAL_VECTOR_PATH, 'utf8'));
+    snapshot.namespaces[''].chef = { values: [0, 0, 1], metadata: {} };
+    fs.writeFileSync(process.env.LOCAL_VECTOR_PATH, JSON.stringify(snapshot));
+    const later = new Date(Date.now() + 5000);
+    fs.utimesSync(process.env.LOCAL_VECTOR_PATH, later, later);
+
+    const result = await localVectorStore.queryVectors([0, 0, 1], 1);
+    expect(result.matches[0].id).toBe('chef');
+  });
+
+  test('each write goes through its own temporary file', async () => {
+    const rename = jest.spyOn(fs.promises, 'rename');
+    try {
+      await localVectorStore.upsertVectors(vectors.slice(0, 1));
+      await localVectorStore.upsertVectors(vectors.slice(1, 2));
+
+      const tempPaths = rename.mock.calls.map(([from]) => from);
+      expect(tempPaths).toHaveLength(2);
+      expect(new Set(tempPaths).size).toBe(2);
+      // Containers sharing the volume all run as PID 1, so the pid alone cannot tell writers apart
+      tempPaths.forEach(tempPath => expect(tempPath).not.toContain(`.${process.pid}.tmp`));
+      expect(fs.readdirSync(directory)).toEqual(['vectors.json']);
+    } finally {
+      rename.mockRestore();
+    }
+  });
+
+  test('vectors must match the store dimension', async () => {
+    await localVectorStore.upsertVectors(vectors);
+
+    await expect(localVectorStore.upsertVectors([{ id: 'short', values: [1, 0] }])).rejects.toThrow('does not match the store dimension 3');
+    await expect(localVectorStore.queryVectors([1, 0], 5)).rejects.toThrow('does not match');
+  });
+});
@@ -61,4 +61,29 @@ describe('ServiceManager', () => {
       expect(typeof isInit).toBe('boolean');
     });
   });
+
+  describe('vector provider', () => {
+    afterEach(() => {
+      serviceManager.vectorProvider = 'pinecone';
+      jest.restoreAllMocks();
+    });
+
+    test('should route vector operations to the configured store', async () => {
+      const localVectorStore = require('../localVectorStore');
+      const query = jest.spyOn(localVectorStore, 'queryVectors').mockResolvedValue({ matches: [] });
+      const fetch = jest.spyOn(localVectorStore, 'fetchVectors').mockResolvedValue({ records: {} });
+
+      serviceManager.vectorProvider = 'local';
+      await serviceManager.queryVectors([1, 0], 5, { region: { $eq: 'US' } });
+      await serviceManager.fetchVectors(['a'], { namespace: 'bio' });
+
+      expect(query).toHaveBeenCalledWith([1, 0], 5, { region: { $eq: 'US' } }, {});
+      expect(fetch).toHaveBeenCalledWith(['a'], { namespace: 'bio' });
+    });
+
+    test('should refuse an unknown provider at initialization', async () => {
+      serviceManager.vectorProvider = 'faiss';
+      await expect(serviceManager.initialize()).rejects.toThrow('Unknown VECTOR_PROVIDER');
+    });
+  });
 });
\ No newline at end of file
@@ -1,4 +1,4 @@
-const { BedrockRuntimeClient, InvokeModelCommand } = require('@aws-sdk/client-bedrock-runtime');
+const { BedrockRuntimeClient, InvokeModelCommand, InvokeModelWithResponseStreamCommand } = require('@aws-sdk/client-bedrock-runtime');
 const logger = require('../utils/logger');
 
 class BedrockService {
@@ -177,6 +177,25 @@ class BedrockService {
         return results;
     }
 
+    buildCompletionBody(modelId, prompt, options) {
+        if (modelId.includes('claude')) {
+            return JSON.stringify({
+                anthropic_version: 'bedrock-2023-05-31',
+                max_tokens: options.maxTokens || 500,
+                messages: [{ role: 'user', content: prompt }],
+                temperature: options.temperature || 0.7,
+            });
+        }
+
+        return JSON.stringify({
+            inputText: prompt,
+            textGenerationConfig: {
+                maxTokenCount: options.maxTokens || 500,
+                temperature: options.temperature || 0.7,
+            }
+        });
+    }
+
     async generateCompletion(prompt, options = {}) {
         if (!this.isConnected || !this.client) {
             await this.initialize();
@@ -185,30 +204,11 @@ class BedrockService {
         const modelId = options.model || this.completionModelId;
 
         return this.executeWithCircuitBreaker(async () => {
-            let body;
-
-            if (modelId.includes('claude')) {
-                body = JSON.stringify({
-                    anthropic_version: 'bedrock-2023-05-31',
-                    max_tokens: options.maxTokens || 500,
-                    messages: [{ role: 'user', content: prompt }],
-                    temperature: options.temperature || 0.7,
-                });
-            } else {
-                body = JSON.stringify({
-                    inputText: prompt,
-                    textGenerationConfig: {
-                        maxTokenCount: options.maxTokens || 500,
-                        temperature: options.temperature || 0.7,
-                    }
-                });
-            }
-
             const command = new InvokeModelCommand({
                 modelId: modelId,
                 contentType: 'application/json',
                 accept: 'application/json',
-                body: body,
+                body: this.buildCompletionBody(modelId, prompt, options),
             });
 
             const response = await this.client.send(command);
@@ -222,6 +222,49 @@ class BedrockService {
         });
     }
 
+    /**
+     * Streams a completion, calling onToken for each text delta
+     * @param {string} prompt - Prompt text
+     * @param {Object} options - { model, maxTokens, temperature }
+     * @param {Function} onToken - Called with each text delta as it arrives
+     * @returns {Promise<string>} The full completion text
+     */
+    async streamCompletion(prompt, options = {}, onToken = () => {}) {
+        if (!this.isConnected || !this.client) {
+            await this.initialize();
+        }
+
+        const modelId = options.model || this.completionModelId;
+
+        // Retries only cover opening the stream; tokens already forwarded cannot be taken back
+        const response = await this.executeWithCircuitBreaker(async () => {
+            const command = new InvokeModelWithResponseStreamCommand({
+                modelId: modelId,
+                contentType: 'application/json',
+                accept: 'application/json',
+                body: this.buildCompletionBody(modelId, prompt, options),
+            });
+            return this.client.send(command);
+        });
+
+        let text = '';
+        for await (const event of response.body) {
+            if (!event.chunk) continue;
+
+            const payload = JSON.parse(new TextDecoder().decode(event.chunk.bytes));
+            const token = modelId.includes('claude')
+                ? (payload.type === 'content_block_delta' ? payload.delta?.text : null)
+                : payload.outputText;
+
+            if (token) {
+                text += token;
+                onToken(token);
+            }
+        }
+
+        return text;
+    }
+
     getHealthStatus() {
         return {
             connected: this.isConnected,
@@ -1,5 +1,6 @@
 const serviceManager = require('./serviceManager');
 const pineconeService = require('./pinecone');
+const localVectorStore = require('./localVectorStore');
 const openaiService = require('./openai');
 const healthMonitor = require('./healthMonitor');
 const ConnectionPool = require('./connectionPool');
@@ -7,6 +8,7 @@ const ConnectionPool = require('./connectionPool');
 module.exports = {
   serviceManager,
   pineconeService,
+  localVectorStore,
   openaiService,
   healthMonitor,
   ConnectionPool
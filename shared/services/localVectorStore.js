@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+const { matchesFilter } = require('../utils/metadataFilter');
+
+const DEFAULT_SNAPSHOT_PATH = path.join(__dirname, '..', '..', 'data', 'vectors.json');
+const DEFAULT_NAMESPACE = '';
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) return null;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * In-process vector store with the PineconeService interface, selected with VECTOR_PROVIDER=local.
+ * Queries are exact cosine searches over every vector in the namespace, with Pinecone metadata
+ * filters evaluated in process. Vectors are kept in a JSON snapshot on disk (LOCAL_VECTOR_PATH,
+ * default data/vectors.json): every upsert or delete rewrites it, and every operation reloads it
+ * when another process (e.g. the creator service refreshing embeddings) has written it since.
+ */
+class LocalVectorStore {
+  constructor() {
+    this.snapshotPath = null;
+    this.namespaces = new Map(); // namespace -> Map of id -> { values, metadata }
+    this.dimension = null;
+    this.loadedMtime = null;
+    this.writeQueue = Promise.resolve();
+    this.isConnected = false;
+  }
+
+  async initialize() {
+    this.snapshotPath = path.resolve(process.env.LOCAL_VECTOR_PATH || DEFAULT_SNAPSHOT_PATH);
+    await this.loadSnapshot();
+    this.isConnected = true;
+
+    logger.info('Local vector store initialized', {
+      snapshotPath: this.snapshotPath,
+      records: this.countRecords()
+    });
+    return true;
+  }
+
+  // Reads the snapshot unless the copy in memory is already the latest
+  async loadSnapshot() {
+    let stats;
+    try {
+      stats = await fs.stat(this.snapshotPath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      // No snapshot yet; the first upsert creates it
+      return;
+    }
+    if (stats.mtimeMs === this.loadedMtime) return;
+
+    const snapshot = JSON.parse(await fs.readFile(this.snapshotPath, 'utf8'));
+    this.dimension = snapshot.dimension || null;
+    this.namespaces = new Map(Object.entries(snapshot.namespaces || {}).map(([namespace, records]) => (
+      [namespace, new Map(Object.entries(records))]
+    )));
+    this.loadedMtime = stats.mtimeMs;
+  }
+
+  // Writes go to a temporary file first so readers never see a half-written snapshot
+  async saveSnapshot() {
+    const write = async () => {
+      const namespaces = {};
+      this.namespaces.forEach((records, namespace) => {
+        namespaces[namespace] = Object.fromEntries(records);
+      });
+
+      // Unique per write: containers sharing the snapshot volume all run as PID 1
+      const tempPath = `${this.snapshotPath}.${crypto.randomUUID()}.tmp`;
+      await fs.mkdir(path.dirname(this.snapshotPath), { recursive: true });
+      await fs.writeFile(tempPath, JSON.stringify({ dimension: this.dimension, namespaces }));
+      await fs.rename(tempPath, this.snapshotPath);
+      this.loadedMtime = (await fs.stat(this.snapshotPath)).mtimeMs;
+    };
+
+    // One write at a time, in the order the changes were made
+    this.writeQueue = this.writeQueue.catch(() => {}).then(write);
+    return this.writeQueue;
+  }
+
+  async ensureReady() {
+    if (!this.isConnected) {
+      await this.initialize();
+    } else {
+      await this.loadSnapshot();
+    }
+  }
+
+  namespaceRecords(namespace, create = false) {
+    const name = namespace || DEFAULT_NAMESPACE;
+    if (!this.namespaces.has(name)) {
+      if (!create) return new Map();
+      this.namespaces.set(name, new Map());
+    }
+    return this.namespaces.get(name);
+  }
+
+  // Like a Pinecone index, the store has one dimension, fixed by the first vector written
+  checkDimension(values, dimension = this.dimension) {
+    if (!Array.isArray(values) || values.length === 0) {
+      throw new Error('Vector values must be a non-empty array');
+    }
+    if (dimension !== null && values.length !== dimension) {
+      throw new Error(`Vector dimension ${values.length} does not match the store dimension ${dimension}`);
+    }
+  }
+
+  countRecords() {
+    let total = 0;
+    this.namespaces.forEach(records => { total += records.size; });
+    return total;
+  }
+
+  async upsertVectors(vectors, options = {}) {
+    await this.ensureReady();
+
+    if (vectors.length === 0) return { upsertedCount: 0 };
+    const dimension = this.dimension === null ? (vectors[0].values || []).length : this.dimension;
+    vectors.forEach(vector => this.checkDimension(vector.values, dimension || null));
+    this.dimension = dimension;
+
+    const records = this.namespaceRecords(options.namespace, true);
+    vectors.forEach(vector => {
+      records.set(vector.id, { values: vector.values, metadata: vector.metadata || {} });
+    });
+    await this.saveSnapshot();
+
+    return { upsertedCount: vectors.length };
+  }
+
+  async queryVectors(vector, topK = 10, filter = null, options = {}) {
+    await this.ensureReady();
+    this.checkDimension(vector);
+
+    const matches = [];
+    this.namespaceRecords(options.namespace).forEach((record, id) => {
+      if (!matchesFilter(record.metadata, filter)) return;
+      const score = cosineSimilarity(vector, record.values);
+      if (score === null) return;
+      matches.push({ id, score, record });
+    });
+
+    matches.sort((a, b) => b.score - a.score || a.id.localeCompare(b.id));
+
+    return {
+      namespace: options.namespace || DEFAULT_NAMESPACE,
+      matches: matches.slice(0, topK).map(({ id, score, record }) => ({
+        id,
+        score,
+        values: options.includeValues ? record.values : [],
+        metadata: record.metadata
+      }))
+    };
+  }
+
+  async fetchVectors(ids, options = {}) {
+    await this.ensureReady();
+
+    const records = {};
+    const stored = this.namespaceRecords(options.namespace);
+    ids.forEach(id => {
+      const record = stored.get(id);
+      if (record) records[id] = { id, values: record.values, metadata: record.metadata };
+    });
+
+    return { namespace: options.namespace || DEFAULT_NAMESPACE, records };
+  }
+
+  async deleteVectors(ids, options = {}) {
+    await this.ensureReady();
+
+    const records = this.namespaceRecords(options.namespace);
+    (Array.isArray(ids) ? ids : [ids]).forEach(id => records.delete(id));
+    await this.saveSnapshot();
+  }
+
+  async getIndexStats() {
+    await this.ensureReady();
+
+    const namespaces = {};
+    this.namespaces.forEach((records, namespace) => {
+      namespaces[namespace] = { recordCount: records.size };
+    });
+
+    return {
+      dimension: this.dimension,
+      namespaces,
+      totalRecordCount: this.countRecords()
+    };
+  }
+
+  getHealthStatus() {
+    return {
+      connected: this.isConnected,
+      // Nothing remote to trip over; kept for parity with the Pinecone health checks
+      circuitBreakerState: 'CLOSED',
+      failureCount: 0,
+      lastFailureTime: null,
+      snapshotPath: this.snapshotPath,
+      configured: process.env.VECTOR_PROVIDER === 'local'
+    };
+  }
+
+  async disconnect() {
+    await this.writeQueue.catch(() => {});
+    this.isConnected = false;
+    this.namespaces = new Map();
+    this.dimension = null;
+    this.loadedMtime = null;
+    logger.info('Local vector store disconnected');
+  }
+}
+
+module.exports = new LocalVectorStore();
@@ -221,6 +221,44 @@ class OpenAIService {
     });
   }
 
+  /**
+   * Streams a completion, calling onToken for each text delta
+   * @param {string} prompt - Prompt text
+   * @param {Object} options - { model, maxTokens, temperature }
+   * @param {Function} onToken - Called with each text delta as it arrives
+   * @returns {Promise<string>} The full completion text
+   */
+  async streamCompletion(prompt, options = {}, onToken = () => {}) {
+    if (!this.isConnected) {
+      await this.initialize();
+    }
+
+    const { maxTokens, ...rest } = options;
+
+    // Retries only cover opening the stream; tokens already forwarded cannot be taken back
+    const stream = await this.executeWithCircuitBreaker(async () => {
+      return this.client.chat.completions.create({
+        model: options.model || 'gpt-3.5-turbo',
+        messages: [{ role: 'user', content: prompt }],
+        max_tokens: maxTokens || 150,
+        temperature: options.temperature || 0.7,
+        ...rest,
+        stream: true
+      });
+    });
+
+    let text = '';
+    for await (const part of stream) {
+      const token = part.choices[0]?.delta?.content;
+      if (token) {
+        text += token;
+        onToken(token);
+      }
+    }
+
+    return text;
+  }
+
   getRateLimitStatus() {
     return {
       requestsRemaining: this.rateLimitInfo.requestsRemaining,
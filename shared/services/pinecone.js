@@ -155,17 +155,22 @@ class PineconeService {
     }
   }
 
-  async upsertVectors(vectors) {
+  // The default namespace holds the combined creator vectors; field vectors live in their own
+  namespaceIndex(namespace) {
+    return namespace ? this.index.namespace(namespace) : this.index;
+  }
+
+  async upsertVectors(vectors, options = {}) {
     if (!this.isConnected) {
       await this.initialize();
     }
 
     return this.executeWithCircuitBreaker(async () => {
-      return await this.index.upsert(vectors);
+      return await this.namespaceIndex(options.namespace).upsert(vectors);
     });
   }
 
-  async queryVectors(vector, topK = 10, filter = null) {
+  async queryVectors(vector, topK = 10, filter = null, options = {}) {
     if (!this.isConnected) {
       await this.initialize();
     }
@@ -175,14 +180,24 @@ class PineconeService {
         vector,
         topK,
         includeMetadata: true,
-        includeValues: false
+        includeValues: !!options.includeValues
       };
 
       if (filter) {
         queryRequest.filter = filter;
       }
 
-      return await this.index.query(queryRequest);
+      return await this.namespaceIndex(options.namespace).query(queryRequest);
+    });
+  }
+
+  async fetchVectors(ids, options = {}) {
+    if (!this.isConnected) {
+      await this.initialize();
+    }
+
+    return this.executeWithCircuitBreaker(async () => {
+      return await this.namespaceIndex(options.namespace).fetch(ids);
     });
   }
 
@@ -1,4 +1,5 @@
 const pineconeService = require('./pinecone');
+const localVectorStore = require('./localVectorStore');
 const openaiService = require('./openai');
 const bedrockService = require('./bedrock');
 const healthMonitor = require('./healthMonitor');
@@ -8,6 +9,7 @@ class ServiceManager {
   constructor() {
     this.services = {
       pinecone: pineconeService,
+      local: localVectorStore,
       openai: openaiService,
       bedrock: bedrockService
     };
@@ -16,6 +18,13 @@ class ServiceManager {
 
     // Determine primary AI provider
     this.aiProvider = process.env.AI_PROVIDER || (process.env.AWS_ACCESS_KEY_ID ? 'bedrock' : 'openai');
+
+    // Vector store: hosted Pinecone, or the on-disk local store for development and tests
+    this.vectorProvider = process.env.VECTOR_PROVIDER || 'pinecone';
+  }
+
+  get vectorStore() {
+    return this.services[this.vectorProvider];
   }
 
   async initialize() {
@@ -33,12 +42,23 @@ class ServiceManager {
 
   async _performInitialization() {
     try {
-      logger.info('Initializing external services...', { primaryAI: this.aiProvider });
+      logger.info('Initializing external services...', { primaryAI: this.aiProvider, vectorProvider: this.vectorProvider });
+
+      if (!['pinecone', 'local'].includes(this.vectorProvider)) {
+        throw new Error(`Unknown VECTOR_PROVIDER "${this.vectorProvider}", expected pinecone or local`);
+      }
 
       const initPromises = [];
 
-      // Initialize Pinecone if configured
-      if (process.env.PINECONE_API_KEY) {
+      if (this.vectorProvider === 'local') {
+        initPromises.push(
+          this.services.local.initialize().catch(error => {
+            logger.error('Failed to initialize local vector store', { error: error.message });
+            return { service: 'local', error };
+          })
+        );
+      } else if (process.env.PINECONE_API_KEY) {
+        // Initialize Pinecone if configured
         initPromises.push(
           this.services.pinecone.initialize().catch(error => {
             logger.error('Failed to initialize Pinecone service', { error: error.message });
@@ -77,14 +97,15 @@ class ServiceManager {
   }
 
   registerHealthChecks() {
-    // Pinecone health check
-    healthMonitor.registerService('pinecone', async () => {
-      const status = this.services.pinecone.getHealthStatus();
+    // Vector store health check (Pinecone or the local store)
+    const vectorName = this.vectorProvider;
+    healthMonitor.registerService(vectorName, async () => {
+      const status = this.vectorStore.getHealthStatus();
       if (!status.configured) return { status: 'unhealthy', reason: 'Not configured' };
       if (status.circuitBreakerState === 'OPEN') return { status: 'unhealthy', reason: 'Circuit breaker open' };
 
       try {
-        await this.services.pinecone.getIndexStats();
+        await this.vectorStore.getIndexStats();
         return { status: 'healthy', circuitBreakerState: status.circuitBreakerState };
       } catch (error) {
         return { status: 'unhealthy', reason: error.message };
@@ -114,7 +135,8 @@ class ServiceManager {
       ...overallHealth,
       serviceDetails: serviceHealth,
       initialized: this.initialized,
-      aiProvider: this.aiProvider
+      aiProvider: this.aiProvider,
+      vectorProvider: this.vectorProvider
     };
   }
 
@@ -131,12 +153,22 @@ class ServiceManager {
     return this.services[this.aiProvider].generateCompletion(prompt, options);
   }
 
-  async queryVectors(vector, topK = 10, filter = null) {
-    return this.services.pinecone.queryVectors(vector, topK, filter);
+  async streamCompletion(prompt, options = {}, onToken) {
+    return this.services[this.aiProvider].streamCompletion(prompt, options, onToken);
+  }
+
+  // Vector Operations - Redirected to the configured vector store
+  async queryVectors(vector, topK = 10, filter = null, options = {}) {
+    return this.vectorStore.queryVectors(vector, topK, filter, options);
+  }
+
+  // options.namespace targets a field namespace instead of the combined vectors
+  async fetchVectors(ids, options = {}) {
+    return this.vectorStore.fetchVectors(ids, options);
   }
 
-  async upsertVectors(vectors) {
-    return this.services.pinecone.upsertVectors(vectors);
+  async upsertVectors(vectors, options = {}) {
+    return this.vectorStore.upsertVectors(vectors, options);
   }
 
   async gracefulShutdown() {
@@ -1,5 +1,29 @@
 // Shared TypeScript interfaces and types
 
+export interface AssignmentConstraints {
+  minFollowers?: number;
+  maxFollowers?: number;
+  allowedRegions?: string[];
+  blockedRegions?: string[];
+  verifiedOnly?: boolean;
+  requiredNiches?: string[];
+  excludedCreatorIds?: string[];
+}
+
+export interface AssignmentExclusions {
+  competitorBrands?: string[];
+  sensitiveTopics?: string[];
+  negativeKeywords?: string[];
+  action?: 'disqualify' | 'penalize';
+  penalty?: number;
+}
+
+export interface AssignmentBudget {
+  total: number;
+  currency: string; // ISO 4217
+  deliverables: number; // Per selected creator
+}
+
 export interface Assignment {
   id: string;
   topic: string;
@@ -12,10 +36,32 @@ export interface Assignment {
   creatorValues?: string[];
   creatorNiches?: string[];
   toneStyle?: string;
+  causes?: string[];
+  organizationType?: string;
+  hashtags?: string[];
+  constraints?: AssignmentConstraints;
+  exclusions?: AssignmentExclusions;
+  budget?: AssignmentBudget;
+  embedding?: AssignmentEmbedding;
+  experiment?: MatchExperiment;
   createdAt: Date;
   userId?: string;
 }
 
+// Cached for reverse matching; values are only loaded on request
+export interface AssignmentEmbedding {
+  values?: number[];
+  textHash: string;
+  updatedAt: Date;
+}
+
+export interface RateCard {
+  pricePerDeliverable: number;
+  currency: string; // ISO 4217
+  deliverable: string;
+  updatedAt?: Date;
+}
+
 export interface Creator {
   uniqueId: string;
   nickname: string;
@@ -23,16 +69,26 @@ export interface Creator {
   followerCount: number;
   region: string;
   avatarUrl: string;
+  topHashtags?: string[];
+  sourceHashtags?: string[];
+  rateCard?: RateCard;
   analysis: {
     summary: string;
     primaryNiches: string[];
     secondaryNiches: string[];
     apparentValues: string[];
     audienceInterests: string[];
+    identifiedCauses?: string[];
+    socialStances?: string[];
     engagementStyle: {
       tone: string[];
       contentStyle: string;
     };
+    partnershipPotential?: {
+      alignedOrganizationTypes: string[];
+      contentStrengths: string[];
+      considerations: string[];
+    };
   };
   embeddings?: {
     bio: number[];
@@ -41,20 +97,73 @@ export interface Creator {
   };
 }
 
+export interface MatchReasoning {
+  rationale: string;
+  strengths: string[];
+  risks: string[];
+  source: 'ai' | 'fallback';
+}
+
+export interface ExclusionHit {
+  category: 'competitorBrands' | 'sensitiveTopics' | 'negativeKeywords';
+  term: string;
+  field: 'bio' | 'summary' | 'hashtags' | 'considerations';
+  reason: string;
+}
+
 export interface CreatorMatch {
   creator: Creator;
   matchScore: number;
   reasoning: string;
+  reasoningDetails?: MatchReasoning;
   framingSuggestion: string;
+  matchedNiches?: string[];
+  matchedHashtags?: string[];
+  exclusionHits?: ExclusionHit[];
+  penalized?: boolean;
   scoreBreakdown: {
     semanticSimilarity: number;
     nicheAlignment: number;
     audienceMatch: number;
     valueAlignment: number;
     engagementFit: number;
+    causeAlignment?: number;
+    hashtagOverlap?: number;
+    exclusionPenalty?: number;
+    // Multi-vector similarities; null when either side has no vector for the field
+    bioSimilarity?: number | null;
+    nicheSimilarity?: number | null;
+    valueSimilarity?: number | null;
   };
 }
 
+export type FeedbackVerdict = 'up' | 'down' | 'accepted' | 'rejected';
+
+// Feedback on a recommended creator, with the match snapshotted for weight learning
+export interface MatchFeedback {
+  id: string;
+  assignmentId: string;
+  creatorId: string;
+  userId?: string | null;
+  verdict: FeedbackVerdict;
+  reason?: string;
+  rank: number;
+  matchScore: number;
+  requestedNiches: number;
+  scoreBreakdown: CreatorMatch['scoreBreakdown'];
+  experiment?: Pick<MatchExperiment, 'name' | 'variant'>;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+// The A/B experiment variant a match request was ranked under
+export interface MatchExperiment {
+  name: string;
+  variant: string;
+  unit: 'userId' | 'assignmentId';
+  assignedAt?: Date;
+}
+
 export interface ApiResponse<T> {
   success: boolean;
   data?: T;
@@ -0,0 +1,48 @@
+/**
+ * Per-field embeddings. Besides the combined profile vector in the default namespace, each
+ * creator gets one vector per field, stored in a Pinecone namespace named after the field under
+ * the creator's uniqueId. Assignments are embedded per field as well, and each assignment field
+ * is compared with the matching creator field: the brief with the bio, requested niches with
+ * niches and requested values with values.
+ */
+
+const EMBEDDING_FIELDS = ['bio', 'niches', 'values'];
+
+function joinList(values) {
+  return (values || []).filter(Boolean).join(', ');
+}
+
+/**
+ * Texts a creator's field vectors are embedded from
+ * @param {Object} creator - Creator in the creators.json shape
+ * @returns {Object} Field name to text; empty when the creator has nothing for the field
+ */
+function creatorFieldTexts(creator) {
+  const analysis = creator.analysis || {};
+  return {
+    // Bios are a line or two, so the analysis summary fills in what the creator covers
+    bio: [creator.bio, analysis.summary].filter(Boolean).join(' '),
+    niches: joinList([...(analysis.primaryNiches || []), ...(analysis.secondaryNiches || [])]),
+    values: joinList(analysis.apparentValues)
+  };
+}
+
+/**
+ * Texts an assignment's field vectors are embedded from
+ * @param {Object} assignment - The assignment details
+ * @param {string} briefText - The combined assignment text, compared with creator bios
+ * @returns {Object} Field name to text; empty when the assignment does not ask for the field
+ */
+function assignmentFieldTexts(assignment, briefText) {
+  return {
+    bio: briefText || '',
+    niches: joinList(assignment.creatorNiches),
+    values: joinList(assignment.creatorValues)
+  };
+}
+
+module.exports = {
+  EMBEDDING_FIELDS,
+  creatorFieldTexts,
+  assignmentFieldTexts
+};
@@ -0,0 +1,80 @@
+/**
+ * Evaluates Pinecone metadata filters in process, for the local vector store.
+ * Supports the operators Pinecone does: $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin and $exists
+ * on fields, combined with $and / $or. A bare value is shorthand for $eq. As in Pinecone, a
+ * list-valued field (e.g. primaryNiches) matches $eq / $in when any element does, and $ne / $nin
+ * only when no element does.
+ */
+
+const COMPARATORS = {
+  $eq: (value, operand) => anyElement(value, element => element === operand),
+  $ne: (value, operand) => !anyElement(value, element => element === operand),
+  $gt: (value, operand) => typeof value === 'number' && value > operand,
+  $gte: (value, operand) => typeof value === 'number' && value >= operand,
+  $lt: (value, operand) => typeof value === 'number' && value < operand,
+  $lte: (value, operand) => typeof value === 'number' && value <= operand,
+  $in: (value, operand) => anyElement(value, element => operand.includes(element)),
+  $nin: (value, operand) => !anyElement(value, element => operand.includes(element)),
+  $exists: (value, operand) => (value !== undefined && value !== null) === operand
+};
+
+function anyElement(value, predicate) {
+  if (value === undefined || value === null) return false;
+  return Array.isArray(value) ? value.some(predicate) : predicate(value);
+}
+
+function filterError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_FILTER';
+  return error;
+}
+
+function matchesField(value, condition) {
+  if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+    return COMPARATORS.$eq(value, condition);
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    const compare = COMPARATORS[operator];
+    if (!compare) {
+      throw filterError(`Unsupported filter operator ${operator}`);
+    }
+    if ((operator === '$in' || operator === '$nin') && !Array.isArray(operand)) {
+      throw filterError(`${operator} needs an array`);
+    }
+    // Missing fields only ever satisfy $exists: false, $ne and $nin
+    if ((value === undefined || value === null) && !['$exists', '$ne', '$nin'].includes(operator)) return false;
+    return compare(value, operand);
+  });
+}
+
+/**
+ * Whether a vector's metadata passes a filter
+ * @param {Object} metadata - Vector metadata
+ * @param {Object|null} filter - Pinecone filter; null or empty matches everything
+ * @returns {boolean}
+ * @throws {Error} With code INVALID_FILTER for operators Pinecone would reject
+ */
+function matchesFilter(metadata, filter) {
+  if (!filter) return true;
+  const fields = metadata || {};
+
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$and' || key === '$or') {
+      if (!Array.isArray(condition)) {
+        throw filterError(`${key} needs an array of filters`);
+      }
+      return key === '$and'
+        ? condition.every(clause => matchesFilter(fields, clause))
+        : condition.some(clause => matchesFilter(fields, clause));
+    }
+    if (key.startsWith('$')) {
+      throw filterError(`Unsupported filter operator ${key}`);
+    }
+    return matchesField(fields[key], condition);
+  });
+}
+
+module.exports = {
+  matchesFilter
+};
@@ -0,0 +1,259 @@
+/**
+ * Canonical niche taxonomy.
+ * Every niche has one canonical name, optional aliases and at most one parent.
+ * Free-text niches from assignments and creator profiles are resolved through
+ * the aliases (case-insensitive) so "Money" and "finance" land on "Finance".
+ * Niches that are not in the taxonomy are still usable and only ever match
+ * themselves.
+ */
+
+const TAXONOMY = [
+  { name: 'Finance', aliases: ['Money', 'Finances', 'Financial'] },
+  { name: 'Personal Finance', parent: 'Finance', aliases: ['Budgeting', 'Money Management'] },
+  { name: 'Investing', parent: 'Finance', aliases: ['Investment', 'Investments', 'Stocks', 'Stock Market'] },
+  { name: 'Financial Literacy', parent: 'Finance', aliases: ['Financial Education'] },
+  { name: 'Market News', parent: 'Finance', aliases: ['Markets', 'Financial News'] },
+  { name: 'Risk Management', parent: 'Finance' },
+  { name: 'Economics', parent: 'Finance', aliases: ['Economy', 'Economic Trends'] },
+  { name: 'Behavioral Economics', parent: 'Economics' },
+
+  { name: 'Psychology' },
+  { name: 'Consumer Psychology', parent: 'Psychology' },
+
+  { name: 'Career', aliases: ['Careers', 'Jobs', 'Work'] },
+  { name: 'Career Development', parent: 'Career', aliases: ['Career Growth', 'Professional Development'] },
+  { name: 'Recruiting', parent: 'Career', aliases: ['Recruitment', 'Hiring'] },
+  { name: 'Job Market Trends', parent: 'Career', aliases: ['Job Market', 'Labor Market'] },
+  { name: 'Workplace Productivity', parent: 'Career', aliases: ['Workplace'] },
+
+  { name: 'Law', aliases: ['Legal'] },
+  { name: 'Legal Education', parent: 'Law' },
+  { name: 'Consumer Rights', parent: 'Law', aliases: ['Consumer Protection'] },
+
+  { name: 'Politics', aliases: ['Civics', 'Government'] },
+  { name: 'Civic Engagement', parent: 'Politics', aliases: ['Voting', 'Activism'] },
+  { name: 'Policy', parent: 'Politics', aliases: ['Public Policy'] },
+
+  { name: 'Current Events', aliases: ['News', 'Current Affairs'] },
+  { name: 'Local Events', parent: 'Current Events', aliases: ['Local News', 'Community Events'] },
+
+  { name: 'Entertainment' },
+  { name: 'Humor', parent: 'Entertainment', aliases: ['Comedy', 'Funny'] },
+  { name: 'Pop Culture', parent: 'Entertainment', aliases: ['Celebrity'] },
+  { name: 'Streaming', parent: 'Entertainment', aliases: ['Live Streaming'] },
+  { name: 'Motorsports', parent: 'Entertainment', aliases: ['Racing'] },
+
+  { name: 'Gaming', aliases: ['Games', 'Video Games'] },
+  { name: 'Game Reviews', parent: 'Gaming' },
+  { name: 'Indie Games', parent: 'Gaming', aliases: ['Indie Gaming'] },
+
+  { name: 'Health', aliases: ['Healthcare', 'Medicine'] },
+  { name: 'Health Education', parent: 'Health' },
+  { name: 'Public Health', parent: 'Health' },
+  { name: 'Mental Health', parent: 'Health', aliases: ['Mental Wellness'] },
+  { name: 'Wellness', parent: 'Health', aliases: ['Wellbeing', 'Well-being', 'Self Care', 'Self-Care'] },
+  { name: 'Fitness', parent: 'Health', aliases: ['Exercise', 'Workout', 'Workouts'] },
+
+  { name: 'Education', aliases: ['Learning'] },
+  { name: 'Science Communication', parent: 'Education', aliases: ['Science', 'STEM'] },
+  { name: 'Study Tips', parent: 'Education', aliases: ['Studying', 'Study Skills'] },
+  { name: 'Tech Education', parent: 'Education', aliases: ['Coding Education'] },
+
+  { name: 'Productivity', aliases: ['Time Management'] },
+  { name: 'Note-taking', parent: 'Productivity', aliases: ['Note Taking', 'Notes'] },
+
+  { name: 'Home Improvement', aliases: ['Home Renovation', 'Renovation'] },
+  { name: 'DIY', parent: 'Home Improvement', aliases: ['Do It Yourself'] },
+  { name: 'Tools', parent: 'Home Improvement' },
+  { name: 'Budget Renovation', parent: 'Home Improvement' },
+
+  { name: 'Trades', aliases: ['Skilled Trades'] },
+  { name: 'Outdoor Trades', parent: 'Trades' },
+
+  { name: 'Environment', aliases: ['Climate', 'Climate Change', 'Environmentalism'] },
+  { name: 'Climate Education', parent: 'Environment' },
+  { name: 'Energy Transition', parent: 'Environment', aliases: ['Renewable Energy', 'Clean Energy'] },
+  { name: 'Sustainability', parent: 'Environment', aliases: ['Sustainable Living', 'Eco-Friendly'] },
+
+  { name: 'Food', aliases: ['Food & Drink'] },
+  { name: 'Cooking', parent: 'Food', aliases: ['Recipes', 'Home Cooking'] },
+  { name: 'Food Science', parent: 'Food' },
+  { name: 'Meal Prep', parent: 'Food', aliases: ['Meal Planning'] },
+
+  { name: 'Art', aliases: ['Arts'] },
+  { name: 'Creativity', parent: 'Art' },
+  { name: 'Illustration', parent: 'Art', aliases: ['Drawing'] },
+  { name: 'Photography', parent: 'Art', aliases: ['Photo'] },
+
+  { name: 'Parenting', aliases: ['Family', 'Parents'] },
+
+  { name: 'Technology', aliases: ['Tech'] },
+  { name: 'Product Reviews', parent: 'Technology', aliases: ['Tech Reviews', 'Reviews'] },
+  { name: 'AI Tools', parent: 'Technology', aliases: ['AI', 'Artificial Intelligence'] },
+  { name: 'Digital Literacy', parent: 'Technology' },
+
+  { name: 'Travel' },
+  { name: 'Budget Travel', parent: 'Travel' },
+  { name: 'Urban Exploration', parent: 'Travel' },
+
+  { name: 'Lifestyle' }
+];
+
+// Credit for an ancestor/descendant match decays by this factor per level
+const HIERARCHY_DECAY = 0.5;
+// Credit for two niches sharing a direct parent
+const SIBLING_CREDIT = 0.25;
+
+const byName = new Map();
+const byKey = new Map();
+
+TAXONOMY.forEach(entry => {
+  byName.set(entry.name, { ...entry, aliases: entry.aliases || [], parent: entry.parent || null, children: [] });
+});
+byName.forEach(node => {
+  byKey.set(node.name.toLowerCase(), node);
+  node.aliases.forEach(alias => byKey.set(alias.toLowerCase(), node));
+  if (node.parent) {
+    byName.get(node.parent).children.push(node.name);
+  }
+});
+
+/**
+ * Resolves a free-text niche to its canonical name
+ * @param {string} niche - Niche name or alias, any case
+ * @returns {string|null} Canonical name or null when not in the taxonomy
+ */
+function resolveNiche(niche) {
+  if (typeof niche !== 'string') return null;
+  const node = byKey.get(niche.trim().toLowerCase());
+  return node ? node.name : null;
+}
+
+function ancestors(name) {
+  const chain = [];
+  let parent = byName.get(name).parent;
+  while (parent) {
+    chain.push(parent);
+    parent = byName.get(parent).parent;
+  }
+  return chain;
+}
+
+function descendants(name) {
+  const result = [];
+  const queue = [...byName.get(name).children];
+  while (queue.length > 0) {
+    const child = queue.shift();
+    result.push(child);
+    queue.push(...byName.get(child).children);
+  }
+  return result;
+}
+
+/**
+ * Credit a creator niche earns against a requested niche.
+ * Same canonical niche = 1, ancestor/descendant = 0.5 per level, shared parent = 0.25.
+ * @param {string} requested - Niche from the assignment
+ * @param {string} candidate - Niche from the creator profile
+ * @returns {number} Credit in [0, 1]
+ */
+function nicheCredit(requested, candidate) {
+  const a = resolveNiche(requested);
+  const b = resolveNiche(candidate);
+
+  if (!a || !b) {
+    // Outside the taxonomy only a case-insensitive exact match counts
+    return typeof requested === 'string' && typeof candidate === 'string' &&
+      requested.trim().toLowerCase() === candidate.trim().toLowerCase() ? 1 : 0;
+  }
+  if (a === b) return 1;
+
+  const upFromB = ancestors(b).indexOf(a);
+  if (upFromB !== -1) return Math.pow(HIERARCHY_DECAY, upFromB + 1);
+
+  const upFromA = ancestors(a).indexOf(b);
+  if (upFromA !== -1) return Math.pow(HIERARCHY_DECAY, upFromA + 1);
+
+  const parentA = byName.get(a).parent;
+  if (parentA && parentA === byName.get(b).parent) return SIBLING_CREDIT;
+
+  return 0;
+}
+
+/**
+ * Expands niches to every stored spelling that should satisfy them:
+ * the canonical name, its aliases and all descendant niches with their aliases.
+ * Unknown niches are passed through unchanged.
+ * @param {Array<string>} niches - Requested niches
+ * @returns {Array<string>} De-duplicated niche names
+ */
+function expandNiches(niches = []) {
+  const expanded = new Set();
+
+  niches.forEach(niche => {
+    const canonical = resolveNiche(niche);
+    if (!canonical) {
+      expanded.add(niche);
+      return;
+    }
+    expanded.add(niche);
+    [canonical, ...descendants(canonical)].forEach(name => {
+      expanded.add(name);
+      byName.get(name).aliases.forEach(alias => expanded.add(alias));
+    });
+  });
+
+  return [...expanded];
+}
+
+function describe(node) {
+  return {
+    name: node.name,
+    parent: node.parent,
+    children: [...node.children],
+    aliases: [...node.aliases]
+  };
+}
+
+/**
+ * Lists canonical niches, optionally filtered by a case-insensitive prefix on
+ * the name, any alias or any word of the name. Name matches rank before alias matches.
+ * @param {Object} [options] - { query, limit }
+ * @returns {Array<Object>} { name, parent, children, aliases, matchedAlias? }
+ */
+function searchNiches({ query, limit } = {}) {
+  const nodes = [...byName.values()];
+  const term = (query || '').trim().toLowerCase();
+
+  let results;
+  if (!term) {
+    results = nodes.map(describe).sort((a, b) => a.name.localeCompare(b.name));
+  } else {
+    const nameMatches = [];
+    const aliasMatches = [];
+
+    nodes.forEach(node => {
+      const name = node.name.toLowerCase();
+      if (name.startsWith(term) || name.split(/[\s-]+/).some(word => word.startsWith(term))) {
+        nameMatches.push(describe(node));
+        return;
+      }
+      const alias = node.aliases.find(a => a.toLowerCase().startsWith(term));
+      if (alias) {
+        aliasMatches.push({ ...describe(node), matchedAlias: alias });
+      }
+    });
+
+    const byNameOrder = (a, b) => a.name.localeCompare(b.name);
+    results = [...nameMatches.sort(byNameOrder), ...aliasMatches.sort(byNameOrder)];
+  }
+
+  return limit ? results.slice(0, limit) : results;
+}
+
+module.exports = {
+  resolveNiche,
+  nicheCredit,
+  expandNiches,
+  searchNiches
+};
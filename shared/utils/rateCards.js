@@ -0,0 +1,122 @@
+const { rateCardSchema } = require('../validation/schemas');
+
+/**
+ * Rate card import. Parses creator pricing from CSV or JSON and merges it into
+ * creator records keyed by uniqueId (the creators.json shape).
+ * CSV needs a header row with uniqueId, pricePerDeliverable and currency; deliverable is optional.
+ * JSON is an array of { uniqueId, pricePerDeliverable, currency, deliverable? } or an object keyed by uniqueId.
+ */
+
+// Splits one CSV line, honouring double-quoted fields and "" escapes
+function splitCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+function csvRecords(text) {
+  const lines = text.split(/\r?\n/);
+  const header = splitCsvLine(lines[0] || '');
+
+  return lines.slice(1)
+    .map((line, index) => ({ line, lineNumber: index + 2 }))
+    .filter(({ line }) => line.trim())
+    .map(({ line, lineNumber }) => {
+      const values = splitCsvLine(line);
+      const record = {};
+      header.forEach((column, i) => {
+        if (values[i] !== undefined && values[i] !== '') record[column] = values[i];
+      });
+      return { record, lineNumber };
+    });
+}
+
+function jsonRecords(text) {
+  const parsed = JSON.parse(text);
+  const entries = Array.isArray(parsed)
+    ? parsed
+    : Object.entries(parsed).map(([uniqueId, card]) => ({ uniqueId, ...card }));
+  return entries.map((record, index) => ({ record, lineNumber: index + 1 }));
+}
+
+/**
+ * Parses and validates rate cards
+ * @param {string} text - File contents
+ * @param {string} format - 'csv' or 'json'
+ * @returns {Array<Object>} { uniqueId, lineNumber, rateCard } or { uniqueId, lineNumber, errors } per record
+ */
+function parseRateCards(text, format) {
+  const records = format === 'json' ? jsonRecords(text) : csvRecords(text);
+
+  return records.map(({ record, lineNumber }) => {
+    const { uniqueId, ...card } = record;
+    if (!uniqueId) {
+      return { uniqueId: null, lineNumber, errors: ['uniqueId is required'] };
+    }
+
+    const { error, value } = rateCardSchema.validate(card, {
+      abortEarly: false,
+      stripUnknown: true,
+      convert: true
+    });
+
+    return error
+      ? { uniqueId, lineNumber, errors: error.details.map(detail => detail.message) }
+      : { uniqueId, lineNumber, rateCard: value };
+  });
+}
+
+/**
+ * Writes parsed rate cards onto creator records
+ * @param {Object} creators - Creators keyed by uniqueId; updated in place
+ * @param {Array<Object>} parsed - Output of parseRateCards
+ * @param {Date} [now] - Timestamp stored as rateCard.updatedAt
+ * @returns {Object} { updated, unknown, invalid } where invalid keeps line numbers and errors
+ */
+function applyRateCards(creators, parsed, now = new Date()) {
+  const report = { updated: [], unknown: [], invalid: [] };
+
+  parsed.forEach(entry => {
+    if (entry.errors) {
+      report.invalid.push({ uniqueId: entry.uniqueId, lineNumber: entry.lineNumber, errors: entry.errors });
+      return;
+    }
+    if (!creators[entry.uniqueId]) {
+      report.unknown.push(entry.uniqueId);
+      return;
+    }
+
+    creators[entry.uniqueId].rateCard = { ...entry.rateCard, updatedAt: now.toISOString() };
+    report.updated.push(entry.uniqueId);
+  });
+
+  return report;
+}
+
+module.exports = {
+  parseRateCards,
+  applyRateCards
+};
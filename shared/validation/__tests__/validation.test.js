@@ -15,7 +15,9 @@ describe('Data Validation Property-Based Tests', () => {
         }), { nil: undefined }),
         creatorValues: fc.option(fc.array(validString(1, 100), { maxLength: 5 }), { nil: undefined }),
         creatorNiches: fc.option(fc.array(validString(1, 100), { maxLength: 5 }), { nil: undefined }),
-        toneStyle: fc.option(validString(1, 100), { nil: undefined })
+        toneStyle: fc.option(validString(1, 100), { nil: undefined }),
+        causes: fc.option(fc.array(validString(1, 100), { maxLength: 10 }), { nil: undefined }),
+        organizationType: fc.option(validString(1, 100), { nil: undefined })
     });
 
     const creatorAnalysisArbitrary = fc.record({
@@ -24,10 +26,17 @@ describe('Data Validation Property-Based Tests', () => {
         secondaryNiches: fc.option(fc.array(validString(1, 100), { maxLength: 2 }), { nil: undefined }),
         apparentValues: fc.option(fc.array(validString(1, 100), { maxLength: 3 }), { nil: undefined }),
         audienceInterests: fc.option(fc.array(validString(1, 100), { maxLength: 5 }), { nil: undefined }),
+        identifiedCauses: fc.option(fc.array(validString(1, 200), { maxLength: 3 }), { nil: undefined }),
+        socialStances: fc.option(fc.array(validString(1, 300), { maxLength: 3 }), { nil: undefined }),
         engagementStyle: fc.record({
             tone: fc.array(validString(1, 50), { minLength: 1, maxLength: 3 }),
             contentStyle: validString(1, 500)
-        })
+        }),
+        partnershipPotential: fc.option(fc.record({
+            alignedOrganizationTypes: fc.array(validString(1, 200), { maxLength: 3 }),
+            contentStrengths: fc.array(validString(1, 300), { maxLength: 3 }),
+            considerations: fc.array(validString(1, 500), { maxLength: 3 })
+        }), { nil: undefined })
     });
 
     const creatorArbitrary = fc.record({
@@ -60,6 +69,19 @@ describe('Data Validation Property-Based Tests', () => {
         );
     });
 
+    // Property: Inverted follower ranges in constraints always fail
+    test('Property: Constraints with minFollowers above maxFollowers fail validation', () => {
+        fc.assert(
+            fc.property(assignmentArbitrary, fc.integer({ min: 0, max: 1000000 }), fc.integer({ min: 1, max: 1000 }), (assignment, max, gap) => {
+                const { error } = validateAssignment({
+                    ...assignment,
+                    constraints: { minFollowers: max + gap, maxFollowers: max }
+                });
+                expect(error).toBeDefined();
+            })
+        );
+    });
+
     // Property: Missing required fields should always fail
     test('Property: Missing required assignment fields fails validation', () => {
         const invalidAssignment = fc.record({
@@ -1,5 +1,48 @@
 const Joi = require('joi');
 
+// Hard matching constraints attached to an assignment
+const assignmentConstraintsSchema = Joi.object({
+  minFollowers: Joi.number().integer().min(0).optional(),
+  maxFollowers: Joi.number().integer().min(0).optional(),
+  allowedRegions: Joi.array().items(Joi.string().min(2).max(10).trim().uppercase()).optional(),
+  blockedRegions: Joi.array().items(Joi.string().min(2).max(10).trim().uppercase()).optional(),
+  verifiedOnly: Joi.boolean().optional(),
+  requiredNiches: Joi.array().items(Joi.string().min(1).max(100).trim()).optional(),
+  excludedCreatorIds: Joi.array().items(Joi.string().min(1).max(100).trim()).optional()
+}).custom((value, helpers) => {
+  if (value.minFollowers !== undefined && value.maxFollowers !== undefined && value.minFollowers > value.maxFollowers) {
+    return helpers.message('"minFollowers" must be less than or equal to "maxFollowers"');
+  }
+  return value;
+});
+
+// Brand-safety exclusions attached to an assignment
+const assignmentExclusionsSchema = Joi.object({
+  competitorBrands: Joi.array().items(Joi.string().min(1).max(100).trim()).max(50).optional(),
+  sensitiveTopics: Joi.array().items(Joi.string().min(1).max(100).trim()).max(50).optional(),
+  negativeKeywords: Joi.array().items(Joi.string().min(1).max(100).trim()).max(50).optional(),
+  action: Joi.string().valid('disqualify', 'penalize').default('disqualify'),
+  penalty: Joi.number().min(0).max(1).default(0.15)
+});
+
+// ISO 4217 currency code, e.g. USD
+const currencySchema = Joi.string().trim().uppercase().pattern(/^[A-Z]{3}$/);
+
+// Total campaign budget and the deliverables each selected creator produces
+const assignmentBudgetSchema = Joi.object({
+  total: Joi.number().positive().required(),
+  currency: currencySchema.default('USD'),
+  deliverables: Joi.number().integer().min(1).max(100).default(1)
+});
+
+// Creator pricing, one price per deliverable
+const rateCardSchema = Joi.object({
+  pricePerDeliverable: Joi.number().min(0).required(),
+  currency: currencySchema.required(),
+  deliverable: Joi.string().min(1).max(100).trim().default('video'),
+  updatedAt: Joi.date().optional()
+});
+
 // Assignment validation schema
 const assignmentSchema = Joi.object({
   id: Joi.string().optional(),
@@ -13,6 +56,12 @@ const assignmentSchema = Joi.object({
   creatorValues: Joi.array().items(Joi.string().min(1).max(100).trim()).optional(),
   creatorNiches: Joi.array().items(Joi.string().min(1).max(100).trim()).optional(),
   toneStyle: Joi.string().optional().min(1).max(100).trim(),
+  causes: Joi.array().items(Joi.string().min(1).max(100).trim()).max(10).optional(),
+  organizationType: Joi.string().optional().min(1).max(100).trim(),
+  hashtags: Joi.array().items(Joi.string().min(1).max(100).trim()).max(20).optional(),
+  constraints: assignmentConstraintsSchema.optional(),
+  exclusions: assignmentExclusionsSchema.optional(),
+  budget: assignmentBudgetSchema.optional(),
   createdAt: Joi.date().optional(),
   userId: Joi.string().optional().min(1).max(100).trim()
 });
@@ -25,17 +74,27 @@ const creatorSchema = Joi.object({
   followerCount: Joi.number().integer().min(0).required(),
   region: Joi.string().required().min(2).max(10).trim(),
   avatarUrl: Joi.string().uri().required(),
+  topHashtags: Joi.array().items(Joi.string().min(1).max(100).trim()).optional(),
+  sourceHashtags: Joi.array().items(Joi.string().min(1).max(100).trim()).optional(),
   analysis: Joi.object({
     summary: Joi.string().required().min(1).max(2000).trim(),
     primaryNiches: Joi.array().items(Joi.string().min(1).max(100).trim()).min(1).required(),
     secondaryNiches: Joi.array().items(Joi.string().min(1).max(100).trim()).optional(),
     apparentValues: Joi.array().items(Joi.string().min(1).max(100).trim()).optional(),
     audienceInterests: Joi.array().items(Joi.string().min(1).max(100).trim()).optional(),
+    identifiedCauses: Joi.array().items(Joi.string().min(1).max(200).trim()).optional(),
+    socialStances: Joi.array().items(Joi.string().min(1).max(300).trim()).optional(),
     engagementStyle: Joi.object({
       tone: Joi.array().items(Joi.string().min(1).max(50).trim()).required(),
       contentStyle: Joi.string().required().min(1).max(500).trim()
-    }).required()
+    }).required(),
+    partnershipPotential: Joi.object({
+      alignedOrganizationTypes: Joi.array().items(Joi.string().min(1).max(200).trim()).optional(),
+      contentStrengths: Joi.array().items(Joi.string().min(1).max(300).trim()).optional(),
+      considerations: Joi.array().items(Joi.string().min(1).max(500).trim()).optional()
+    }).optional()
   }).required(),
+  rateCard: rateCardSchema.optional(),
   embeddings: Joi.object({
     bio: Joi.array().items(Joi.number()).optional(),
     niches: Joi.array().items(Joi.number()).optional(),
@@ -54,10 +113,34 @@ const creatorMatchSchema = Joi.object({
     nicheAlignment: Joi.number().min(0).max(1).required(),
     audienceMatch: Joi.number().min(0).max(1).required(),
     valueAlignment: Joi.number().min(0).max(1).required(),
-    engagementFit: Joi.number().min(0).max(1).required()
+    engagementFit: Joi.number().min(0).max(1).required(),
+    causeAlignment: Joi.number().min(0).max(1).optional(),
+    hashtagOverlap: Joi.number().min(0).max(1).optional(),
+    exclusionPenalty: Joi.number().min(0).max(1).optional(),
+    bioSimilarity: Joi.number().min(0).max(1).allow(null).optional(),
+    nicheSimilarity: Joi.number().min(0).max(1).allow(null).optional(),
+    valueSimilarity: Joi.number().min(0).max(1).allow(null).optional()
   }).required()
 });
 
+// Models sometimes list more points than asked for; the extras are dropped instead of failing the payload
+const MAX_REASONING_POINTS = 5;
+const reasoningPointsSchema = Joi.array()
+  .items(Joi.string().min(1).max(300).trim())
+  .default([])
+  .custom(points => points.slice(0, MAX_REASONING_POINTS));
+
+// Structured per-creator match reasoning returned by the LLM
+const matchReasoningSchema = Joi.object({
+  summary: Joi.string().max(1000).trim().allow('').optional(),
+  creators: Joi.array().items(Joi.object({
+    creatorId: Joi.string().required().min(1).max(100).trim(),
+    rationale: Joi.string().required().min(1).max(1000).trim(),
+    strengths: reasoningPointsSchema,
+    risks: reasoningPointsSchema
+  })).required()
+});
+
 // API Response validation schema
 const apiResponseSchema = Joi.object({
   success: Joi.boolean().required(),
@@ -129,9 +212,14 @@ const validateCreatorMatch = (data) => {
 };
 
 module.exports = {
+  assignmentConstraintsSchema,
+  assignmentExclusionsSchema,
+  assignmentBudgetSchema,
   assignmentSchema,
+  rateCardSchema,
   creatorSchema,
   creatorMatchSchema,
+  matchReasoningSchema,
   apiResponseSchema,
   healthCheckResponseSchema,
   validateRequest,